@@ -0,0 +1,78 @@
+// Password hashing, session tokens and API keys. Passwords are stored as
+// `scrypt$<salt>$<hash>` (hex); session tokens and API keys are random and only
+// their SHA-256 hash is stored, so a copy of the database cannot be used to log in.
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 64;
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_BYTES = 32;
+const API_KEY_PREFIX = 'ldk_';
+// How much of a key is kept in clear, so people can tell their keys apart.
+const API_KEY_DISPLAY_LENGTH = API_KEY_PREFIX.length + 8;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, saltHex, hashHex] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// A hash of a password nobody has, checked when the email is unknown so a
+// failed login takes as long whether or not the account exists.
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+async function verifyPasswordOrDummy(password, storedHash) {
+  if (storedHash) return verifyPassword(password, storedHash);
+  await verifyPassword(password, await DUMMY_PASSWORD_HASH);
+  return false;
+}
+
+function generateSessionToken() {
+  return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(TOKEN_BYTES).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_DISPLAY_LENGTH) };
+}
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+// Session tokens and API keys are hashed the same way.
+const hashApiKey = hashSessionToken;
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  verifyPasswordOrDummy,
+  generateSessionToken,
+  hashSessionToken,
+  generateApiKey,
+  isApiKey,
+  hashApiKey,
+  getBearerToken,
+};
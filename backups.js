@@ -0,0 +1,113 @@
+// Database snapshots and JSON dumps. Snapshots are consistent online copies of
+// the SQLite database written to BACKUP_DIR; restoring one (or a dump) replaces
+// the data in the live database after taking a `pre-restore` snapshot of it.
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { readDumpFromFile } = require('./db');
+
+const DEFAULT_BACKUP_DIR = path.join(__dirname, 'backups');
+const SNAPSHOT_KINDS = ['manual', 'scheduled', 'pre-restore'];
+const SNAPSHOT_NAME_PATTERN =
+  /^leads-crm-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-(manual|scheduled|pre-restore)\.sqlite$/;
+
+const readDumpFile = promisify(readDumpFromFile);
+
+function resolveBackupDir(value = process.env.BACKUP_DIR) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  return trimmed ? path.resolve(__dirname, trimmed) : DEFAULT_BACKUP_DIR;
+}
+
+function snapshotName(kind, date) {
+  return `leads-crm-${date.toISOString().replace(/[:.]/g, '-')}-${kind}.sqlite`;
+}
+
+function parseSnapshotName(name) {
+  const match = SNAPSHOT_NAME_PATTERN.exec(name);
+  if (!match) return null;
+  const [, day, hours, minutes, seconds, millis, kind] = match;
+  return { kind, createdAt: `${day}T${hours}:${minutes}:${seconds}.${millis}Z` };
+}
+
+function createBackups(store, options = {}) {
+  const backupDir = resolveBackupDir(options.backupDir);
+  const backupDatabase = promisify(store.backupDatabase);
+  const restoreDumpInStore = promisify(store.restoreDump);
+
+  async function describeSnapshot(name) {
+    const stat = await fs.promises.stat(path.join(backupDir, name));
+    return { name, ...parseSnapshotName(name), sizeBytes: stat.size };
+  }
+
+  async function createSnapshot(kind = 'manual') {
+    if (!SNAPSHOT_KINDS.includes(kind)) throw new Error(`Unknown snapshot kind "${kind}"`);
+    await fs.promises.mkdir(backupDir, { recursive: true });
+    const name = snapshotName(kind, new Date());
+    await backupDatabase(path.join(backupDir, name));
+    return describeSnapshot(name);
+  }
+
+  // Newest first. Files in BACKUP_DIR that do not look like snapshots are ignored.
+  async function listSnapshots() {
+    let names;
+    try {
+      names = await fs.promises.readdir(backupDir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const snapshots = await Promise.all(names.filter((name) => parseSnapshotName(name)).map(describeSnapshot));
+    return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  // Only names produced by `createSnapshot` resolve, so a name can never point
+  // outside BACKUP_DIR.
+  async function getSnapshotPath(name) {
+    if (!parseSnapshotName(name)) return null;
+    const filePath = path.join(backupDir, name);
+    try {
+      await fs.promises.access(filePath);
+      return filePath;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function restoreDump(dump) {
+    const safetySnapshot = await createSnapshot('pre-restore');
+    const result = await restoreDumpInStore(dump);
+    return { ...result, safetySnapshot: safetySnapshot.name };
+  }
+
+  async function restoreSnapshot(name) {
+    const filePath = await getSnapshotPath(name);
+    if (!filePath) return { notFound: true };
+    return restoreDump(await readDumpFile(filePath));
+  }
+
+  // Deletes all but the newest `keep` scheduled snapshots. Manual and
+  // pre-restore snapshots are never removed automatically.
+  async function pruneScheduledSnapshots(keep) {
+    const expired = (await listSnapshots()).filter((snapshot) => snapshot.kind === 'scheduled').slice(keep);
+    await Promise.all(expired.map((snapshot) => fs.promises.unlink(path.join(backupDir, snapshot.name))));
+    return expired.map((snapshot) => snapshot.name);
+  }
+
+  return {
+    backupDir,
+    createSnapshot,
+    listSnapshots,
+    getSnapshotPath,
+    dump: promisify(store.dumpDatabase),
+    restoreDump,
+    restoreSnapshot,
+    pruneScheduledSnapshots,
+  };
+}
+
+module.exports = {
+  createBackups,
+  resolveBackupDir,
+  DEFAULT_BACKUP_DIR,
+};
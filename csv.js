@@ -0,0 +1,89 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes ("") and
+// embedded newlines, with CRLF or LF line endings and an optional BOM.
+function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+function isBlankRow(cells) {
+  return cells.every((cell) => cell.trim() === '');
+}
+
+// Turns parsed rows into { header, records }. Each record maps header name to
+// cell value and keeps its row number as a spreadsheet would show it (the
+// header is row 1). Blank rows are skipped.
+function csvToRecords(text) {
+  const [header = [], ...dataRows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+  const records = [];
+
+  dataRows.forEach((cells, index) => {
+    if (isBlankRow(cells)) return;
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      values[column] = cells[columnIndex] != null ? cells[columnIndex].trim() : '';
+    });
+    records.push({ row: index + 2, values });
+  });
+
+  return { header: columns, records };
+}
+
+// Cells that a spreadsheet would run as a formula get a leading quote. Phone
+// numbers ("+44 ...") and negative amounts are left alone.
+const FORMULA_PREFIX_PATTERN = /^(?:[=@\t\r]|[+-](?![\d\s(]))/;
+
+function toCsvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseCsv,
+  csvToRecords,
+  toCsvLine,
+};
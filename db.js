@@ -1,958 +1,4134 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const { v4: uuidv4 } = require('uuid');
+const { getMigrationStatus, runMigrations } = require('./migrations');
+const { DEFAULT_TIMEZONE } = require('./time');
 
-const DEFAULT_OWNER_NAME = 'Zax Kalyan';
+// Owner name stored on leads and deals that belong to no user.
+const UNASSIGNED_OWNER_NAME = 'Unassigned';
 
-const DATA_DIR = path.join(__dirname, 'data');
-const DB_PATH = path.join(DATA_DIR, 'leads-crm.sqlite');
+const DEFAULT_PIPELINE_STAGES = [
+  { name: 'New', category: 'open', defaultProbability: 10, defaultIntent: 'first_contact' },
+  { name: 'Qualified', category: 'open', defaultProbability: 30, defaultIntent: 'nurture_checkin' },
+  { name: 'Proposal Sent', category: 'open', defaultProbability: 60, defaultIntent: 'proposal_followup' },
+  { name: 'Won', category: 'won', defaultProbability: 100, defaultIntent: 'post_call_summary' },
+  { name: 'Lost', category: 'lost', defaultProbability: 0, defaultIntent: 'deal_recovery' },
+];
 
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
+function isForeignKeyError(err) {
+  return !!err && err.code === 'SQLITE_CONSTRAINT' && /FOREIGN KEY/i.test(err.message || '');
 }
 
-const db = new sqlite3.Database(DB_PATH);
-
-function ensureOwnerColumns(dbInstance, callback) {
-  dbInstance.all('PRAGMA table_info(leads);', (leadErr, leadCols) => {
-    if (leadErr) {
-      console.error('Error reading leads schema:', leadErr);
-      return callback(leadErr);
-    }
+function normaliseStageName(stage) {
+  return stage == null
+    ? ''
+    : String(stage)
+      .trim()
+      .toLowerCase()
+      .replace(/[\s_-]+/g, ' ');
+}
 
-    const leadsHasOwner = Array.isArray(leadCols) && leadCols.some((col) => col.name === 'ownerName');
+const LEAD_SORT_FIELDS = {
+  name: 'l.name',
+  company: 'l.company',
+  value: 'l.value',
+  source: 'l.source',
+  ownerName: 'l.ownerName',
+  createdAt: 'datetime(l.createdAt)',
+};
 
-    const addOwnerToLeads = (next) => {
-      if (leadsHasOwner) return next();
-      dbInstance.run(
-        `ALTER TABLE leads ADD COLUMN ownerName TEXT DEFAULT 'Unassigned';`,
-        (alterErr) => {
-          if (alterErr) {
-            console.error('Error adding ownerName to leads:', alterErr);
-            return callback(alterErr);
-          }
-          next();
-        },
-      );
-    };
+const DEAL_SORT_FIELDS = {
+  title: 'd.title',
+  stage: 'd.stage',
+  value: 'd.value',
+  ownerName: 'd.ownerName',
+  createdAt: 'datetime(d.createdAt)',
+  nextActionDate: 'datetime(d.nextActionDate)',
+  stageEnteredAt: 'datetime(stageEnteredAt)',
+};
 
-    addOwnerToLeads(() => {
-      dbInstance.all('PRAGMA table_info(deals);', (dealErr, dealCols) => {
-        if (dealErr) {
-          console.error('Error reading deals schema:', dealErr);
-          return callback(dealErr);
-        }
+// Audit timestamps are always toISOString() values, which sort as text and keep
+// the milliseconds that datetime() would drop.
+const AUDIT_SORT_FIELDS = {
+  createdAt: 'a.createdAt',
+};
 
-        const dealsHasOwner = Array.isArray(dealCols) && dealCols.some((col) => col.name === 'ownerName');
+const REMINDER_LOG_SORT_FIELDS = {
+  createdAt: 'r.createdAt',
+  reminderDate: 'r.reminderDate',
+};
 
-        if (dealsHasOwner) {
-          return callback(null);
-        }
+const EDITABLE_LEAD_FIELDS = ['name', 'company', 'email', 'phone', 'address', 'value', 'source'];
 
-        dbInstance.run(
-          `ALTER TABLE deals ADD COLUMN ownerName TEXT DEFAULT 'Unassigned';`,
-          (alterErr) => {
-            if (alterErr) {
-              console.error('Error adding ownerName to deals:', alterErr);
-              return callback(alterErr);
-            }
-            callback(null);
-          },
-        );
-      });
-    });
-  });
+function normaliseEmail(email) {
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
 }
 
-function initialiseDb() {
-  db.serialize(() => {
-    db.run(
-      `CREATE TABLE IF NOT EXISTS leads (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        company TEXT NOT NULL,
-        email TEXT,
-        value INTEGER,
-        source TEXT,
-        createdAt TEXT,
-        address TEXT,
-        phone TEXT,
-        ownerName TEXT DEFAULT 'Unassigned'
-      )`,
-    );
+function normalisePhone(phone) {
+  if (typeof phone !== 'string') return null;
+  let digits = phone.replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  if (digits.startsWith('44')) digits = `0${digits.slice(2)}`;
+  return digits.length >= 7 ? digits : null;
+}
 
-    db.run(
-      `CREATE TABLE IF NOT EXISTS deals (
-        id TEXT PRIMARY KEY,
-        leadId TEXT NOT NULL,
-        title TEXT NOT NULL,
-        stage TEXT NOT NULL,
-        value INTEGER,
-        nextAction TEXT,
-        nextActionDate TEXT,
-        reminderChannel TEXT,
-        aiAutoReminderEnabled INTEGER,
-        ownerName TEXT DEFAULT 'Unassigned',
-        FOREIGN KEY (leadId) REFERENCES leads(id)
-      )`,
-    );
+const ACTIVITY_SORT_FIELDS = {
+  createdAt: 'datetime(a.createdAt)',
+  type: 'a.type',
+};
 
-    db.run(
-      `CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL
-      )`,
-    );
+const OUTREACH_STEP_SORT_FIELDS = {
+  dueDate: 'datetime(s.dueDate)',
+  createdAt: 'datetime(s.createdAt)',
+  status: 's.status',
+  channel: 's.channel',
+};
 
-    db.run(
-      `CREATE TABLE IF NOT EXISTS outreach_steps (
-        id TEXT PRIMARY KEY,
-        dealId TEXT NOT NULL,
-        dueDate TEXT NOT NULL,
-        channel TEXT NOT NULL,
-        intent TEXT NOT NULL,
-        goal TEXT,
-        status TEXT NOT NULL DEFAULT 'pending',
-        createdAt TEXT NOT NULL DEFAULT (datetime('now')),
-        completedAt TEXT,
-        FOREIGN KEY (dealId) REFERENCES deals(id) ON DELETE CASCADE
-      )`,
-    );
+const DEFAULT_DB_PATH = path.join(__dirname, 'data', 'leads-crm.sqlite');
+const MEMORY_DB_PATH = ':memory:';
 
-    db.run(
-      `CREATE TABLE IF NOT EXISTS activities (
-        id TEXT PRIMARY KEY,
-        dealId TEXT NOT NULL,
-        type TEXT NOT NULL,
-        note TEXT NOT NULL,
-        createdAt TEXT NOT NULL
-      )`,
-      (err) => {
-        if (err) {
-          console.error('Error creating activities table:', err);
-        } else {
-          console.log('Activities table ready');
-        }
-      },
-    );
+// DB_PATH may be a file path (relative paths are resolved from the project
+// directory) or `:memory:` for a private in-memory database. The directory of a
+// file path is created if it does not exist.
+function resolveDbPath(value = process.env.DB_PATH) {
+  const trimmed = typeof value === 'string' ? value.trim() : '';
+  if (trimmed === MEMORY_DB_PATH) return MEMORY_DB_PATH;
 
-    ensureOwnerColumns(db, (err) => {
-      if (err) {
-        console.error('Failed to ensure owner columns exist:', err);
-      }
-      if (process.env.SEED_DEMO_DATA === '1') {
-        seedDemoData();
-      }
-    });
-  });
+  const dbPath = trimmed ? path.resolve(__dirname, trimmed) : DEFAULT_DB_PATH;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  return dbPath;
 }
 
-function createLead(lead, callback) {
-  const {
-    id,
-    name,
-    company,
-    email,
-    value,
-    source,
-    createdAt,
-    address,
-    phone,
-    ownerName,
-  } = lead;
-  const ownerValue =
-    ownerName && typeof ownerName === 'string' && ownerName.trim()
-      ? ownerName.trim()
-      : DEFAULT_OWNER_NAME;
-
-  db.run(
-    `
-    INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-    [
-      id,
-      name,
-      company,
-      email || null,
-      value != null ? value : null,
-      source || null,
-      createdAt || new Date().toISOString(),
-      address || null,
-      phone || null,
-      ownerValue,
-    ],
-    function (err) {
-      if (err) {
-        return callback(err);
-      }
-      callback(null);
-    },
-  );
-}
+const DUMP_FORMAT = 'leads-crm-dump';
 
-function getLeads(callback) {
-  db.all(
-    `
-    SELECT
-      id,
-      name,
-      company,
-      email,
-      value,
-      source,
-      createdAt,
-      address,
-      phone,
-      ownerName
-    FROM leads
-    `,
-    [],
+// Tables covered by dumps and restores: everything except SQLite's own tables,
+// the migration log and the full-text search tables, which are rebuilt instead.
+function listDataTables(connection, callback) {
+  connection.all(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations' ORDER BY name",
     (err, rows) => {
-      if (err) {
-        console.error('Error fetching leads:', err);
-        return callback(err);
-      }
-      callback(null, rows || []);
+      if (err) return callback(err);
+      const virtualTables = rows.filter((row) => /^CREATE VIRTUAL TABLE/i.test(row.sql || '')).map((row) => row.name);
+      const isSearchTable = (name) => virtualTables.some((table) => name === table || name.startsWith(`${table}_`));
+      callback(null, rows.map((row) => row.name).filter((name) => !isSearchTable(name)));
     },
   );
 }
 
-function createActivity(activity, callback) {
-  const { id, dealId, type, note, createdAt } = activity;
-  db.run(
-    `
-    INSERT INTO activities (id, dealId, type, note, createdAt)
-    VALUES (?, ?, ?, ?, ?)
-    `,
-    [id, dealId, type, note, createdAt],
-    (err) => {
-      if (err) {
-        console.error('Error inserting activity:', err);
-        return callback(err);
-      }
-      callback(null);
-    },
-  );
-}
+function readDump(connection, callback) {
+  getMigrationStatus(connection, (statusErr, status) => {
+    if (statusErr) return callback(statusErr);
 
-function getActivitiesForDeal(dealId, callback) {
-  db.all(
-    `
-    SELECT * FROM activities
-    WHERE dealId = ?
-    ORDER BY datetime(createdAt) DESC
-    `,
-    [dealId],
-    (err, rows) => {
-      if (err) {
-        console.error('Error fetching activities:', err);
-        return callback(err);
-      }
-      callback(null, rows);
-    },
-  );
-}
+    listDataTables(connection, (listErr, tableNames) => {
+      if (listErr) return callback(listErr);
 
-function getRecentActivitiesForDeal(dealId, limit, callback) {
-  const effectiveLimit = Number.isInteger(limit) && limit > 0 ? limit : 5;
-  db.all(
-    `
-    SELECT *
-    FROM activities
-    WHERE dealId = ?
-    ORDER BY datetime(createdAt) DESC
-    LIMIT ?
-    `,
-    [dealId, effectiveLimit],
-    (err, rows) => {
-      if (err) {
-        console.error('Error fetching recent activities:', err);
-        return callback(err);
-      }
-      callback(null, rows || []);
-    },
-  );
+      const tables = {};
+      const readNext = (index) => {
+        if (index >= tableNames.length) {
+          return callback(null, {
+            format: DUMP_FORMAT,
+            schemaVersion: status.currentVersion,
+            createdAt: new Date().toISOString(),
+            tables,
+          });
+        }
+
+        connection.all(`SELECT * FROM "${tableNames[index]}"`, (err, rows) => {
+          if (err) return callback(err);
+          tables[tableNames[index]] = rows;
+          readNext(index + 1);
+        });
+      };
+      readNext(0);
+    });
+  });
 }
 
-function updateDealStage(dealId, stage, callback) {
-  db.run(
-    `
-    UPDATE deals
-    SET stage = ?
-    WHERE id = ?
-    `,
-    [stage, dealId],
-    function (err) {
-      if (err) {
-        console.error('Error updating deal stage:', err);
-        return callback(err);
-      }
+// Reads a snapshot file written by `backupDatabase` into the same shape as
+// `dumpDatabase`. The pending migrations are run on a temporary copy first, so
+// a snapshot from an older schema version gets the same data migrations as the
+// live database did, and the snapshot file itself is left as it was.
+function readDumpFromFile(filePath, callback) {
+  const copyPath = path.join(os.tmpdir(), `leads-crm-restore-${uuidv4()}.sqlite`);
+  fs.copyFile(filePath, copyPath, (copyErr) => {
+    if (copyErr) return callback(copyErr);
 
-      db.get(
-        `
-        SELECT *
-        FROM deals
-        WHERE id = ?
-        `,
-        [dealId],
-        (getErr, row) => {
-          if (getErr) {
-            console.error('Error loading updated deal:', getErr);
-            return callback(getErr);
-          }
-          callback(null, row || null);
-        },
-      );
-    },
-  );
+    const connection = openConnection(copyPath);
+    const finish = (err, dump) => connection.db.close(() => fs.unlink(copyPath, () => callback(err, dump)));
+    runMigrations(connection.runInTransaction, {}, (migrateErr) => {
+      if (migrateErr) return finish(migrateErr);
+      readDump(connection.db, finish);
+    });
+  });
 }
 
-function createDeal(deal, callback) {
-  const id = deal.id || uuidv4();
-  const {
-    leadId,
-    title,
-    stage = 'New',
-    value = 0,
-    nextAction = null,
-    nextActionDate = null,
-    reminderChannel = null,
-    aiAutoReminderEnabled = 0,
-    ownerName,
-  } = deal;
-  const ownerValue =
-    ownerName && typeof ownerName === 'string' && ownerName.trim()
-      ? ownerName.trim()
-      : DEFAULT_OWNER_NAME;
-
-  db.run(
-    `
-    INSERT INTO deals (
-      id,
-      leadId,
-      title,
-      stage,
-      value,
-      nextAction,
-      nextActionDate,
-      reminderChannel,
-      aiAutoReminderEnabled,
-      ownerName
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `,
-    [
-      id,
-      leadId,
-      title,
-      stage,
-      value,
-      nextAction,
-      nextActionDate,
-      reminderChannel,
-      aiAutoReminderEnabled ? 1 : 0,
-      ownerValue,
-    ],
-    function (err) {
-      if (err) {
-        console.error('Error creating deal:', err);
-        return callback(err);
-      }
+// Workspace that data created before workspaces existed belongs to.
+const DEFAULT_WORKSPACE_ID = 'default';
 
-      db.get(
-        `
-        SELECT *
-        FROM deals
-        WHERE id = ?
-        `,
-        [id],
-        (getErr, row) => {
-          if (getErr) {
-            console.error('Error fetching created deal:', getErr);
-            return callback(getErr);
-          }
-          callback(null, row || null);
-        },
-      );
-    },
-  );
-}
+// Opens the SQLite connection that every workspace's data-access functions
+// share, together with the queue that runs its transactions one at a time.
+function openConnection(dbPathOption) {
+  const dbPath = resolveDbPath(dbPathOption);
+  const db = new sqlite3.Database(dbPath);
+
+  // Foreign keys are off by default in SQLite and have to be enabled on every
+  // connection; the ON DELETE rules in the schema depend on it.
+  db.run('PRAGMA foreign_keys = ON', (err) => {
+    if (err) {
+      console.error('Failed to enable foreign key enforcement:', err);
+    }
+  });
 
-function updateDealDetails(dealId, details, callback) {
-  const fields = [];
-  const params = [];
+  // There is a single connection, and SQLite refuses a BEGIN while another
+  // transaction is open on it, so transactions are queued and run one at a time.
+  // `work` gets the connection and calls `done(err, result)`: an error rolls the
+  // transaction back, otherwise it is committed. With `{ foreignKeys: false }`
+  // foreign key enforcement (and so ON DELETE actions) is off for the
+  // transaction; SQLite only allows switching it outside one.
+  //
+  // Any other statement on the connection while a transaction is open would
+  // become part of it, and be rolled back with it. So the data-access functions
+  // get `statements` instead of the raw connection: its run, get and all hold a
+  // statement until the open transaction finishes, and a queued transaction only
+  // begins once the statements already running have completed.
+  //
+  // `runExclusive` takes a turn in the same queue without opening a transaction,
+  // for work such as backups that must not interleave with other statements.
+  const transactionQueue = [];
+  let transactionRunning = false;
+  const heldStatements = [];
+  let statementsRunning = 0;
 
-  if (typeof details.value === 'number') {
-    fields.push('value = ?');
-    params.push(details.value);
+  function runInTransaction(work, callback, options = {}) {
+    transactionQueue.push({ work, callback, foreignKeys: options.foreignKeys !== false });
+    runNextTransaction();
   }
 
-  if (typeof details.nextAction === 'string') {
-    fields.push('nextAction = ?');
-    params.push(details.nextAction);
+  function runExclusive(work, callback) {
+    transactionQueue.push({ work, callback, foreignKeys: true, exclusive: true });
+    runNextTransaction();
   }
 
-  if (Object.prototype.hasOwnProperty.call(details, 'nextActionDate')) {
-    fields.push('nextActionDate = ?');
-    params.push(details.nextActionDate);
+  function runNextTransaction() {
+    if (transactionRunning || statementsRunning > 0 || transactionQueue.length === 0) return;
+    transactionRunning = true;
+    const { work, callback, foreignKeys, exclusive } = transactionQueue.shift();
+
+    const release = (err, result) => {
+      transactionRunning = false;
+      heldStatements.splice(0).forEach(({ method, args }) => startStatement(method, args));
+      runNextTransaction();
+      callback(err, result);
+    };
+    const finish = (err, result) => {
+      if (foreignKeys) return release(err, result);
+      db.run('PRAGMA foreign_keys = ON', (pragmaErr) => {
+        if (pragmaErr) console.error('Failed to enable foreign key enforcement:', pragmaErr);
+        release(err, result);
+      });
+    };
+
+    if (exclusive) {
+      work(db, release);
+      return;
+    }
+
+    const begin = (next) => (foreignKeys ? next(null) : db.run('PRAGMA foreign_keys = OFF', next));
+
+    begin((pragmaErr) => {
+      if (pragmaErr) return finish(pragmaErr);
+
+      db.run('BEGIN IMMEDIATE TRANSACTION', (beginErr) => {
+        if (beginErr) {
+          console.error('Error starting transaction:', beginErr);
+          return finish(beginErr);
+        }
+
+        work(db, (workErr, result) => {
+          if (workErr) {
+            return db.run('ROLLBACK', (rollbackErr) => {
+              if (rollbackErr) console.error('Error rolling back transaction:', rollbackErr);
+              finish(workErr);
+            });
+          }
+
+          db.run('COMMIT', (commitErr) => {
+            if (commitErr) {
+              console.error('Error committing transaction:', commitErr);
+              return db.run('ROLLBACK', () => finish(commitErr));
+            }
+            finish(null, result);
+          });
+        });
+      });
+    });
   }
 
-  if (fields.length === 0) {
-    return callback(new Error('No fields to update'));
+  function startStatement(method, args) {
+    const callback = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+    const params = callback ? args.slice(0, -1) : args;
+
+    statementsRunning += 1;
+    db[method](...params, function (...results) {
+      statementsRunning -= 1;
+      runNextTransaction();
+      if (callback) callback.apply(this, results);
+    });
   }
 
-  params.push(dealId);
+  function queueStatement(method, args) {
+    if (transactionRunning || transactionQueue.length > 0) {
+      heldStatements.push({ method, args });
+      return;
+    }
+    startStatement(method, args);
+  }
 
-  db.run(
-    `
-    UPDATE deals
-    SET ${fields.join(', ')}
-    WHERE id = ?
-    `,
-    params,
-    function (err) {
-      if (err) {
-        console.error('Error updating deal details:', err);
-        return callback(err);
-      }
+  const statements = {
+    run: (...args) => queueStatement('run', args),
+    get: (...args) => queueStatement('get', args),
+    all: (...args) => queueStatement('all', args),
+    close: (callback) => db.close(callback),
+  };
 
-      db.get(
-        `
-        SELECT *
-        FROM deals
-        WHERE id = ?
-        `,
-        [dealId],
-        (getErr, row) => {
-          if (getErr) {
-            console.error('Error loading updated deal details:', getErr);
-            return callback(getErr);
-          }
-          callback(null, row || null);
-        },
-      );
-    },
-  );
+  return { db: statements, dbPath, runInTransaction, runExclusive, workspaceStores: new Map() };
 }
 
-function updateLeadOwnerName(leadId, ownerName, callback) {
-  const finalOwner = ownerName && ownerName.trim() ? ownerName.trim() : 'Unassigned';
+// Opens a connection and returns the data-access functions bound to it. Nothing
+// is opened when this module is required, so a process can hold several
+// isolated databases (for example one `:memory:` database per test). Call
+// `initialiseDb` before using the other functions and `close` when done.
+//
+// Records belong to a workspace and every function that reads or writes them
+// only sees the workspace the store is bound to: the default workspace here,
+// or another one through `forWorkspace(workspaceId)`. Users are looked up by
+// email or session across workspaces, and the maintenance functions (backups,
+// restores, integrity checks, purging and search reindexing) cover the whole
+// database.
+function createDatabase(options = {}) {
+  const connection = options.connection || openConnection(options.dbPath);
+  const { db, dbPath, runInTransaction, runExclusive } = connection;
+  const workspaceId = options.workspaceId || DEFAULT_WORKSPACE_ID;
 
-  db.run(
-    `
-    UPDATE leads
-    SET ownerName = ?
-    WHERE id = ?
-    `,
-    [finalOwner, leadId],
-    function (err) {
+  function close(callback = () => {}) {
+    db.close(callback);
+  }
+
+  // The same functions running on `transaction`, the connection handed to
+  // `runInTransaction` work: their own transactions run inline, so everything
+  // done through the returned store commits or rolls back together.
+  function forTransaction(transaction) {
+    return createDatabase({
+      connection: {
+        db: transaction,
+        dbPath,
+        runInTransaction: (work, callback) => work(transaction, callback),
+        runExclusive: (work, callback) => work(transaction, callback),
+        workspaceStores: new Map(),
+      },
+      workspaceId,
+    });
+  }
+
+  // Stores are cached per workspace, so each one is only built once.
+  function forWorkspace(id) {
+    if (!connection.workspaceStores.has(id)) {
+      createDatabase({ connection, workspaceId: id });
+    }
+    return connection.workspaceStores.get(id);
+  }
+
+  // Runs `statements` one after another on `connection`, stopping at the first
+  // error. Use it inside `runInTransaction` work.
+  function runStatements(connection, statements, callback) {
+    const results = [];
+
+    const runNext = (index) => {
+      if (index >= statements.length) return callback(null, results);
+
+      const { sql, params } = statements[index];
+      connection.run(sql, params || [], function (err) {
+        if (err) return callback(err);
+        results.push({ changes: this.changes });
+        runNext(index + 1);
+      });
+    };
+
+    runNext(0);
+  }
+
+  function runStatementsInTransaction(statements, callback) {
+    runInTransaction((connection, done) => runStatements(connection, statements, done), callback);
+  }
+
+  function seedDefaultPipelineStages(dbInstance, callback) {
+    dbInstance.get('SELECT COUNT(*) AS count FROM pipeline_stages WHERE workspaceId = ?', [workspaceId], (err, row) => {
       if (err) {
-        console.error('Error updating lead ownerName:', err);
+        console.error('Error counting pipeline stages:', err);
         return callback(err);
       }
+      if (row && row.count > 0) {
+        return callback(null);
+      }
 
-      db.get(
-        `
-        SELECT id, name, company, email, value, source, createdAt, address, phone, ownerName
-        FROM leads
-        WHERE id = ?
+      const insertNext = (index) => {
+        if (index >= DEFAULT_PIPELINE_STAGES.length) {
+          return callback(null);
+        }
+        const stage = DEFAULT_PIPELINE_STAGES[index];
+        dbInstance.run(
+          `
+        INSERT INTO pipeline_stages (id, workspaceId, name, displayOrder, category, defaultProbability, defaultIntent, createdAt)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `,
-        [leadId],
-        (getErr, row) => {
-          if (getErr) {
-            console.error('Error fetching updated lead owner:', getErr);
-            return callback(getErr);
-          }
-          callback(null, row || null);
-        },
-      );
-    },
-  );
-}
+          [
+            uuidv4(),
+            workspaceId,
+            stage.name,
+            index + 1,
+            stage.category,
+            stage.defaultProbability,
+            stage.defaultIntent,
+            new Date().toISOString(),
+          ],
+          (insertErr) => {
+            if (insertErr) {
+              console.error('Error seeding pipeline stage:', insertErr);
+              return callback(insertErr);
+            }
+            insertNext(index + 1);
+          },
+        );
+      };
 
-function updateDealsOwnerForLead(leadId, ownerName, callback) {
-  const finalOwner = ownerName && ownerName.trim() ? ownerName.trim() : 'Unassigned';
+      insertNext(0);
+    });
+  }
 
-  db.run(
-    `
-    UPDATE deals
-    SET ownerName = ?
-    WHERE leadId = ?
-    `,
-    [finalOwner, leadId],
-    (err) => {
+  // Rewrites free-text deal stages ("proposal_sent", "Proposal  sent") to the
+  // canonical spelling of the matching pipeline stage.
+  function canonicaliseDealStages(dbInstance, callback) {
+    dbInstance.all('SELECT name FROM pipeline_stages WHERE workspaceId = ?', [workspaceId], (err, stageRows) => {
       if (err) {
-        console.error('Error updating deals ownerName for lead:', err);
+        console.error('Error loading pipeline stages for canonicalisation:', err);
         return callback(err);
       }
-      callback(null);
-    },
-  );
-}
 
-function deleteLeadAndRelated(leadId, callback) {
-  db.all(
-    `
-    SELECT id FROM deals WHERE leadId = ?
-    `,
-    [leadId],
-    (err, dealRows) => {
-      if (err) {
-        console.error('Error loading deals for lead:', err);
-        return callback(err);
-      }
+      const canonicalByKey = new Map((stageRows || []).map((row) => [normaliseStageName(row.name), row.name]));
 
-      const dealIds = dealRows.map((row) => row.id);
+      dbInstance.all('SELECT DISTINCT stage FROM deals WHERE workspaceId = ?', [workspaceId], (dealErr, dealRows) => {
+        if (dealErr) {
+          console.error('Error loading deal stages for canonicalisation:', dealErr);
+          return callback(dealErr);
+        }
 
-      db.serialize(() => {
-        if (dealIds.length > 0) {
-          const placeholders = dealIds.map(() => '?').join(', ');
-          db.run(
-            `
-            DELETE FROM activities
-            WHERE dealId IN (${placeholders})
-            `,
-            dealIds,
-            (actErr) => {
-              if (actErr) {
-                console.error('Error deleting activities for lead:', actErr);
+        const renames = (dealRows || [])
+          .map((row) => ({ from: row.stage, to: canonicalByKey.get(normaliseStageName(row.stage)) }))
+          .filter((rename) => rename.to && rename.to !== rename.from);
+
+        const renameNext = (index) => {
+          if (index >= renames.length) {
+            return callback(null);
+          }
+          dbInstance.run(
+            'UPDATE deals SET stage = ? WHERE stage = ? AND workspaceId = ?',
+            [renames[index].to, renames[index].from, workspaceId],
+            (updateErr) => {
+              if (updateErr) {
+                console.error('Error canonicalising deal stage:', updateErr);
+                return callback(updateErr);
               }
+              renameNext(index + 1);
             },
           );
-        }
+        };
 
-        db.run(
-          `
-          DELETE FROM deals
-          WHERE leadId = ?
+        renameNext(0);
+      });
+    });
+  }
+
+  // The idempotent maintenance for this workspace's data, run for every
+  // workspace at startup and for a new one when it is created.
+  function prepareWorkspace(callback) {
+    seedDefaultPipelineStages(db, (seedErr) => {
+      if (seedErr) return callback(seedErr);
+      canonicaliseDealStages(db, (stageErr) => {
+        if (stageErr) return callback(stageErr);
+        linkUnlinkedLeads(callback);
+      });
+    });
+  }
+
+  function forEachWorkspace(step, callback) {
+    db.all('SELECT id FROM workspaces ORDER BY createdAt', (err, rows) => {
+      if (err) return callback(err);
+      const runNext = (index) => {
+        if (index >= rows.length) return callback(null);
+        step(forWorkspace(rows[index].id), (stepErr) => {
+          if (stepErr) return callback(stepErr);
+          runNext(index + 1);
+        });
+      };
+      runNext(0);
+    });
+  }
+
+  // Brings the schema up to date, then runs the idempotent data maintenance
+  // steps (seeding, canonicalising and indexing existing rows). A failing step
+  // is logged and startup carries on with the next one.
+  function initialiseDb(onReady) {
+    const steps = [
+      {
+        label: 'run database migrations',
+        run: (next) =>
+          runMigrations(runInTransaction, {}, (err, result) => {
+            if (!err && result.applied.length > 0) {
+              const applied = result.applied.map((migration) => `${migration.version} ${migration.name}`);
+              console.log(`Applied database migrations: ${applied.join(', ')}`);
+            }
+            next(err);
+          }),
+      },
+      {
+        label: 'seed demo data',
+        run: (next) => (process.env.SEED_DEMO_DATA === '1' ? seedDemoData(next) : next(null)),
+      },
+      {
+        label: 'prepare workspaces',
+        run: (next) => forEachWorkspace((workspaceStore, done) => workspaceStore.prepareWorkspace(done), next),
+      },
+      { label: 'backfill search indexes', run: backfillSearchIndexes },
+    ];
+
+    let firstError = null;
+    const runStep = (index) => {
+      if (index >= steps.length) {
+        if (typeof onReady === 'function') onReady(firstError);
+        return;
+      }
+      steps[index].run((err) => {
+        if (err) {
+          console.error(`Failed to ${steps[index].label}:`, err);
+          firstError = firstError || err;
+        }
+        runStep(index + 1);
+      });
+    };
+
+    runStep(0);
+  }
+
+  // Phone numbers are also indexed as bare digits, plus their UK national forms,
+  // so "01135550123" and "1135550123" both find "+44 113 555 0123".
+  const PHONE_DIGITS_SQL =
+    "replace(replace(replace(replace(replace(replace(phone, ' ', ''), '+', ''), '-', ''), '(', ''), ')', ''), '.', '')";
+  const PHONE_SEARCH_SQL = `
+  CASE
+    WHEN ${PHONE_DIGITS_SQL} LIKE '44%'
+      THEN ${PHONE_DIGITS_SQL} || ' 0' || substr(${PHONE_DIGITS_SQL}, 3) || ' ' || substr(${PHONE_DIGITS_SQL}, 3)
+    WHEN ${PHONE_DIGITS_SQL} LIKE '0%'
+      THEN ${PHONE_DIGITS_SQL} || ' ' || substr(${PHONE_DIGITS_SQL}, 2)
+    ELSE ${PHONE_DIGITS_SQL}
+  END
+`;
+
+  const LEAD_SEARCH_INSERT = `
+  INSERT INTO leads_fts (leadId, name, company, email, phone, phoneDigits, address)
+  SELECT id, name, company, email, phone, ${PHONE_SEARCH_SQL}, address
+  FROM leads
+`;
+
+  const DEAL_SEARCH_INSERT = `
+  INSERT INTO deals_fts (dealId, title, nextAction)
+  SELECT id, title, nextAction
+  FROM deals
+`;
+
+  const ACTIVITY_SEARCH_INSERT = `
+  INSERT INTO activities_fts (activityId, dealId, note)
+  SELECT id, dealId, note
+  FROM activities
+`;
+
+  function syncSearchRow(ftsTable, keyColumn, insertSql, sourceKey, id, callback) {
+    db.run(`DELETE FROM ${ftsTable} WHERE ${keyColumn} = ?`, [id], (deleteErr) => {
+      if (deleteErr) {
+        console.error(`Error clearing ${ftsTable} entry:`, deleteErr);
+        return callback(deleteErr);
+      }
+      db.run(`${insertSql} WHERE ${sourceKey} = ?`, [id], (insertErr) => {
+        if (insertErr) {
+          console.error(`Error indexing ${ftsTable} entry:`, insertErr);
+          return callback(insertErr);
+        }
+        callback(null);
+      });
+    });
+  }
+
+  // Index failures are logged rather than surfaced: the record itself was saved,
+  // and POST /admin/search/reindex rebuilds everything from the base tables.
+  function syncLeadSearchIndex(leadId, callback) {
+    syncSearchRow('leads_fts', 'leadId', LEAD_SEARCH_INSERT, 'id', leadId, () => callback(null));
+  }
+
+  function syncDealSearchIndex(dealId, callback) {
+    syncSearchRow('deals_fts', 'dealId', DEAL_SEARCH_INSERT, 'id', dealId, () => callback(null));
+  }
+
+  function syncActivitySearchIndex(activityId, callback) {
+    syncSearchRow('activities_fts', 'activityId', ACTIVITY_SEARCH_INSERT, 'id', activityId, () =>
+      callback(null),
+    );
+  }
+
+  function logSearchCleanupError(err) {
+    if (err) {
+      console.error('Error removing deleted records from search index:', err);
+    }
+  }
+
+  function rebuildSearchIndexes(callback) {
+    runStatementsInTransaction(
+      [
+        { sql: 'DELETE FROM leads_fts' },
+        { sql: LEAD_SEARCH_INSERT },
+        { sql: 'DELETE FROM deals_fts' },
+        { sql: DEAL_SEARCH_INSERT },
+        { sql: 'DELETE FROM activities_fts' },
+        { sql: ACTIVITY_SEARCH_INSERT },
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error rebuilding search indexes:', err);
+          return callback(err);
+        }
+        callback(null);
+      },
+    );
+  }
+
+  function backfillSearchIndexes(callback) {
+    db.get(
+      `
+    SELECT
+      (SELECT COUNT(*) FROM leads) AS leadCount,
+      (SELECT COUNT(*) FROM leads_fts) AS indexedLeadCount
+    `,
+      (err, row) => {
+        if (err) return callback(err);
+        if (!row || row.leadCount === 0 || row.indexedLeadCount > 0) {
+          return callback(null);
+        }
+        console.log('Building search indexes for existing records...');
+        rebuildSearchIndexes(callback);
+      },
+    );
+  }
+
+  function toFtsQuery(text) {
+    const terms = String(text || '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(Boolean)
+      .slice(0, 12);
+    return terms.map((term) => `"${term}"*`).join(' ');
+  }
+
+  const SEARCH_SNIPPET_ARGS = "'<mark>', '</mark>', '…', 12";
+
+  function searchRecords(query, options, callback) {
+    const ftsQuery = toFtsQuery(query);
+    if (!ftsQuery) {
+      return callback(null, []);
+    }
+
+    const types = options.types && options.types.length > 0 ? options.types : ['lead', 'deal', 'activity'];
+    const limit = Number.isInteger(options.limit) ? options.limit : 20;
+    const parts = [];
+    const params = [];
+    // The owner scope applies to each part; leads by their owner, deals and
+    // activities by the deal's owner.
+    const scopeFor = (column) => {
+      const clauses = [];
+      const scopeParams = [];
+      addOwnerScope(clauses, scopeParams, column, options.ownerScope);
+      return { sql: clauses.map((clause) => ` AND ${clause}`).join(''), params: scopeParams };
+    };
+
+    if (types.includes('lead')) {
+      const scope = scopeFor('l.ownerUserId');
+      parts.push(`
+      SELECT
+        'lead' AS type,
+        l.id AS id,
+        l.id AS leadId,
+        NULL AS dealId,
+        l.name AS title,
+        l.company AS subtitle,
+        snippet(leads_fts, -1, ${SEARCH_SNIPPET_ARGS}) AS snippet,
+        bm25(leads_fts) AS rank
+      FROM leads_fts
+      INNER JOIN leads l ON l.id = leads_fts.leadId
+      WHERE leads_fts MATCH ? AND l.workspaceId = ? AND l.archivedAt IS NULL${scope.sql}
+    `);
+      params.push(ftsQuery, workspaceId, ...scope.params);
+    }
+
+    if (types.includes('deal')) {
+      const scope = scopeFor('d.ownerUserId');
+      parts.push(`
+      SELECT
+        'deal' AS type,
+        d.id AS id,
+        d.leadId AS leadId,
+        d.id AS dealId,
+        d.title AS title,
+        l.company AS subtitle,
+        snippet(deals_fts, -1, ${SEARCH_SNIPPET_ARGS}) AS snippet,
+        bm25(deals_fts) AS rank
+      FROM deals_fts
+      INNER JOIN deals d ON d.id = deals_fts.dealId
+      LEFT JOIN leads l ON l.id = d.leadId
+      WHERE deals_fts MATCH ? AND d.workspaceId = ? AND d.archivedAt IS NULL${scope.sql}
+    `);
+      params.push(ftsQuery, workspaceId, ...scope.params);
+    }
+
+    if (types.includes('activity')) {
+      const scope = scopeFor('d.ownerUserId');
+      parts.push(`
+      SELECT
+        'activity' AS type,
+        a.id AS id,
+        d.leadId AS leadId,
+        a.dealId AS dealId,
+        d.title AS title,
+        a.type || ' · ' || a.createdAt AS subtitle,
+        snippet(activities_fts, 2, ${SEARCH_SNIPPET_ARGS}) AS snippet,
+        bm25(activities_fts) AS rank
+      FROM activities_fts
+      INNER JOIN activities a ON a.id = activities_fts.activityId
+      INNER JOIN deals d ON d.id = a.dealId
+      WHERE activities_fts MATCH ? AND d.workspaceId = ? AND d.archivedAt IS NULL${scope.sql}
+    `);
+      params.push(ftsQuery, workspaceId, ...scope.params);
+    }
+
+    db.all(
+      `
+    ${parts.join(' UNION ALL ')}
+    ORDER BY rank ASC
+    LIMIT ?
+    `,
+      [...params, limit],
+      (err, rows) => {
+        if (err) {
+          console.error('Error searching records:', err);
+          return callback(err);
+        }
+        callback(
+          null,
+          (rows || []).map(({ rank, ...row }) => ({ ...row, score: Number((-rank).toFixed(4)) })),
+        );
+      },
+    );
+  }
+
+  const COMPANY_SUFFIX_PATTERN = /\s+(ltd|limited|plc|llp|llc|inc|gmbh)$/;
+
+  function normaliseCompanyName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[.,']/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(COMPANY_SUFFIX_PATTERN, '');
+  }
+
+  function ensureCompanyStatement(companyName) {
+    return {
+      sql: `
+      INSERT OR IGNORE INTO companies (id, workspaceId, name, normalizedName, createdAt)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+      params: [
+        uuidv4(),
+        workspaceId,
+        String(companyName).trim(),
+        normaliseCompanyName(companyName),
+        new Date().toISOString(),
+      ],
+    };
+  }
+
+  const COMPANY_ID_BY_NAME_SQL = '(SELECT id FROM companies WHERE workspaceId = ? AND normalizedName = ?)';
+
+  // Keeps the contact that mirrors a lead in step with it. When the company
+  // changes, the contact and the lead's deals move to the (new) company record.
+  function contactSyncStatements(lead, companyChanged) {
+    const statements = [
+      {
+        sql: 'UPDATE contacts SET name = ?, email = ?, phone = ? WHERE leadId = ?',
+        params: [lead.name, lead.email || null, lead.phone || null, lead.id],
+      },
+    ];
+
+    if (companyChanged) {
+      const normalizedName = normaliseCompanyName(lead.company);
+      statements.push(
+        ensureCompanyStatement(lead.company),
+        {
+          sql: `UPDATE contacts SET companyId = ${COMPANY_ID_BY_NAME_SQL} WHERE leadId = ?`,
+          params: [workspaceId, normalizedName, lead.id],
+        },
+        {
+          sql: `UPDATE deals SET companyId = ${COMPANY_ID_BY_NAME_SQL} WHERE leadId = ?`,
+          params: [workspaceId, normalizedName, lead.id],
+        },
+      );
+    }
+
+    return statements;
+  }
+
+  // Creates (or reuses) the company for a lead, a contact for the person, and
+  // makes that contact the primary contact on the lead's deals.
+  function leadContactStatements(lead) {
+    const createdAt = new Date().toISOString();
+    const normalizedName = normaliseCompanyName(lead.company);
+
+    return [
+      ensureCompanyStatement(lead.company),
+      {
+        sql: `
+        INSERT INTO contacts (id, workspaceId, companyId, leadId, name, email, phone, createdAt)
+        SELECT ?, ?, ${COMPANY_ID_BY_NAME_SQL}, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (SELECT 1 FROM contacts WHERE leadId = ?)
+      `,
+        params: [
+          uuidv4(),
+          workspaceId,
+          workspaceId,
+          normalizedName,
+          lead.id,
+          lead.name,
+          lead.email || null,
+          lead.phone || null,
+          createdAt,
+          lead.id,
+        ],
+      },
+      {
+        sql: `UPDATE deals SET companyId = ${COMPANY_ID_BY_NAME_SQL} WHERE leadId = ? AND companyId IS NULL`,
+        params: [workspaceId, normalizedName, lead.id],
+      },
+      primaryContactForLeadDealsStatement(lead.id, createdAt),
+    ];
+  }
+
+  function linkLeadToContact(lead, callback) {
+    runStatementsInTransaction(leadContactStatements(lead), (err) => {
+      if (err) {
+        console.error('Error linking lead to company and contact:', err);
+        return callback(err);
+      }
+      callback(null);
+    });
+  }
+
+  function primaryContactForLeadDealsStatement(leadId, createdAt, dealId) {
+    return {
+      sql: `
+      INSERT OR IGNORE INTO deal_contacts (dealId, contactId, isPrimary, createdAt)
+      SELECT d.id, c.id, 1, ?
+      FROM deals d
+      INNER JOIN contacts c ON c.leadId = d.leadId
+      WHERE d.leadId = ?
+        ${dealId ? 'AND d.id = ?' : ''}
+        AND NOT EXISTS (SELECT 1 FROM deal_contacts dc WHERE dc.dealId = d.id AND dc.isPrimary = 1)
+    `,
+      params: dealId ? [createdAt, leadId, dealId] : [createdAt, leadId],
+    };
+  }
+
+  function linkUnlinkedLeads(callback) {
+    db.all(
+      `
+    SELECT l.id, l.name, l.company, l.email, l.phone
+    FROM leads l
+    WHERE l.workspaceId = ? AND NOT EXISTS (SELECT 1 FROM contacts c WHERE c.leadId = l.id)
+    `,
+      [workspaceId],
+      (err, rows) => {
+        if (err) return callback(err);
+        const leads = rows || [];
+        if (leads.length > 0) {
+          console.log(`Splitting ${leads.length} lead(s) into companies and contacts...`);
+        }
+
+        const linkNext = (index) => {
+          if (index >= leads.length) return callback(null);
+          linkLeadToContact(leads[index], (linkErr) => {
+            if (linkErr) return callback(linkErr);
+            linkNext(index + 1);
+          });
+        };
+
+        linkNext(0);
+      },
+    );
+  }
+
+  function getCompanies(options, callback) {
+    const q = options && options.q ? `%${normaliseCompanyName(options.q)}%` : null;
+
+    db.all(
+      `
+    SELECT
+      co.*,
+      (SELECT COUNT(*) FROM contacts c WHERE c.companyId = co.id) AS contactCount,
+      (SELECT COUNT(*) FROM deals d WHERE d.companyId = co.id AND d.archivedAt IS NULL) AS dealCount
+    FROM companies co
+    WHERE co.workspaceId = ?${q ? ' AND co.normalizedName LIKE ?' : ''}
+    ORDER BY co.name COLLATE NOCASE ASC
+    `,
+      q ? [workspaceId, q] : [workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching companies:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function getCompanyWithContactsAndDeals(companyId, callback) {
+    db.get('SELECT * FROM companies WHERE id = ? AND workspaceId = ?', [companyId, workspaceId], (err, company) => {
+      if (err) {
+        console.error('Error fetching company:', err);
+        return callback(err);
+      }
+      if (!company) return callback(null, null);
+
+      db.all(
+        'SELECT * FROM contacts WHERE companyId = ? ORDER BY name COLLATE NOCASE ASC',
+        [companyId],
+        (contactErr, contacts) => {
+          if (contactErr) {
+            console.error('Error fetching company contacts:', contactErr);
+            return callback(contactErr);
+          }
+
+          db.all(
+            'SELECT * FROM deals WHERE companyId = ? AND archivedAt IS NULL ORDER BY datetime(createdAt) DESC',
+            [companyId],
+            (dealErr, deals) => {
+              if (dealErr) {
+                console.error('Error fetching company deals:', dealErr);
+                return callback(dealErr);
+              }
+              callback(null, { ...company, contacts: contacts || [], deals: deals || [] });
+            },
+          );
+        },
+      );
+    });
+  }
+
+  function createCompany(company, callback) {
+    const normalizedName = normaliseCompanyName(company.name);
+    const existingSql = 'SELECT * FROM companies WHERE workspaceId = ? AND normalizedName = ?';
+
+    db.get(existingSql, [workspaceId, normalizedName], (err, existing) => {
+      if (err) {
+        console.error('Error checking existing company:', err);
+        return callback(err);
+      }
+      if (existing) {
+        return callback(null, { created: false, company: existing });
+      }
+
+      const id = uuidv4();
+      db.run(
+        'INSERT INTO companies (id, workspaceId, name, normalizedName, address, createdAt) VALUES (?, ?, ?, ?, ?, ?)',
+        [id, workspaceId, company.name, normalizedName, company.address || null, new Date().toISOString()],
+        (insertErr) => {
+          if (insertErr) {
+            console.error('Error creating company:', insertErr);
+            return callback(insertErr);
+          }
+          db.get('SELECT * FROM companies WHERE id = ?', [id], (getErr, row) => {
+            if (getErr) return callback(getErr);
+            callback(null, { created: true, company: row });
+          });
+        },
+      );
+    });
+  }
+
+  function createContact(contact, callback) {
+    const id = uuidv4();
+
+    db.run(
+      `
+    INSERT INTO contacts (id, workspaceId, companyId, name, email, phone, role, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        id,
+        workspaceId,
+        contact.companyId,
+        contact.name,
+        contact.email || null,
+        contact.phone || null,
+        contact.role || null,
+        new Date().toISOString(),
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error creating contact:', err);
+          return callback(err);
+        }
+        db.get('SELECT * FROM contacts WHERE id = ?', [id], (getErr, row) => {
+          if (getErr) return callback(getErr);
+          callback(null, row || null);
+        });
+      },
+    );
+  }
+
+  function getContactsForDeal(dealId, callback) {
+    db.all(
+      `
+    SELECT c.*, dc.isPrimary, co.name AS companyName
+    FROM deal_contacts dc
+    INNER JOIN contacts c ON c.id = dc.contactId
+    LEFT JOIN companies co ON co.id = c.companyId
+    WHERE dc.dealId = ? AND c.workspaceId = ?
+    ORDER BY dc.isPrimary DESC, c.name COLLATE NOCASE ASC
+    `,
+      [dealId, workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching deal contacts:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function addContactToDeal(dealId, contactId, isPrimary, callback) {
+    db.get('SELECT id, companyId FROM deals WHERE id = ? AND workspaceId = ?', [dealId, workspaceId], (dealErr, deal) => {
+      if (dealErr) return callback(dealErr);
+      if (!deal) return callback(null, { notFound: 'deal' });
+
+      const contactSql = 'SELECT id, companyId FROM contacts WHERE id = ? AND workspaceId = ?';
+      db.get(contactSql, [contactId, workspaceId], (contactErr, contact) => {
+        if (contactErr) return callback(contactErr);
+        if (!contact) return callback(null, { notFound: 'contact' });
+
+        if (deal.companyId && contact.companyId && deal.companyId !== contact.companyId) {
+          return callback(null, { companyMismatch: true });
+        }
+
+        const createdAt = new Date().toISOString();
+        const statements = [];
+
+        if (isPrimary) {
+          statements.push({ sql: 'UPDATE deal_contacts SET isPrimary = 0 WHERE dealId = ?', params: [dealId] });
+        }
+        statements.push({
+          sql: `
+          INSERT INTO deal_contacts (dealId, contactId, isPrimary, createdAt)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(dealId, contactId) DO UPDATE SET isPrimary = excluded.isPrimary
+        `,
+          params: [dealId, contactId, isPrimary ? 1 : 0, createdAt],
+        });
+        if (!deal.companyId && contact.companyId) {
+          statements.push({ sql: 'UPDATE deals SET companyId = ? WHERE id = ?', params: [contact.companyId, dealId] });
+        }
+
+        runStatementsInTransaction(statements, (txErr) => {
+          if (txErr) {
+            console.error('Error adding contact to deal:', txErr);
+            return callback(txErr);
+          }
+          getContactsForDeal(dealId, (listErr, contacts) => {
+            if (listErr) return callback(listErr);
+            callback(null, { contacts });
+          });
+        });
+      });
+    });
+  }
+
+  function removeContactFromDeal(dealId, contactId, callback) {
+    db.run(
+      'DELETE FROM deal_contacts WHERE dealId = ? AND contactId = ? AND dealId IN (SELECT id FROM deals WHERE workspaceId = ?)',
+      [dealId, contactId, workspaceId],
+      function (err) {
+        if (err) {
+          console.error('Error removing contact from deal:', err);
+          return callback(err);
+        }
+        callback(null, { notFound: this.changes === 0 });
+      },
+    );
+  }
+
+  function createLead(lead, callback) {
+    const {
+      id,
+      name,
+      company,
+      email,
+      value,
+      source,
+      createdAt,
+      address,
+      phone,
+      ownerUserId,
+      ownerName,
+      importId,
+    } = lead;
+    const ownerValue =
+      ownerName && typeof ownerName === 'string' && ownerName.trim() ? ownerName.trim() : UNASSIGNED_OWNER_NAME;
+
+    runStatementsInTransaction(
+      [
+        {
+          sql: `
+          INSERT INTO leads (
+            id, workspaceId, name, company, email, value, source, createdAt, address, phone, ownerUserId, ownerName, importId
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          params: [
+            id,
+            workspaceId,
+            name,
+            company,
+            email || null,
+            value != null ? value : null,
+            source || null,
+            createdAt || new Date().toISOString(),
+            address || null,
+            phone || null,
+            ownerUserId || null,
+            ownerValue,
+            importId || null,
+          ],
+        },
+        ...leadContactStatements({ id, name, company, email, phone }),
+      ],
+      (err) => {
+        if (err) {
+          return callback(err);
+        }
+        syncLeadSearchIndex(id, () => callback(null));
+      },
+    );
+  }
+
+  const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  function addDateRange(clauses, params, column, from, to) {
+    // Date-only bounds are inclusive of the whole day.
+    if (from) {
+      clauses.push(DATE_ONLY_PATTERN.test(from) ? `date(${column}) >= date(?)` : `datetime(${column}) >= datetime(?)`);
+      params.push(from);
+    }
+    if (to) {
+      clauses.push(DATE_ONLY_PATTERN.test(to) ? `date(${column}) <= date(?)` : `datetime(${column}) <= datetime(?)`);
+      params.push(to);
+    }
+  }
+
+  // Limits rows to the owners a user may see. `scope` is null for no limit, or
+  // { userIds, includeUnassigned } where includeUnassigned also allows rows
+  // with no owner.
+  function addOwnerScope(clauses, params, column, scope) {
+    if (!scope) return;
+    const conditions = [];
+    if (scope.userIds.length > 0) {
+      conditions.push(`${column} IN (${scope.userIds.map(() => '?').join(', ')})`);
+      params.push(...scope.userIds);
+    }
+    if (scope.includeUnassigned) {
+      conditions.push(`${column} IS NULL`);
+    }
+    clauses.push(conditions.length > 0 ? `(${conditions.join(' OR ')})` : '0');
+  }
+
+  function buildLeadFilters(filters) {
+    const f = filters || {};
+    const clauses = ['l.workspaceId = ?'];
+    const params = [workspaceId];
+
+    if (!f.includeArchived) {
+      clauses.push('l.archivedAt IS NULL');
+    }
+    if (f.owner) {
+      clauses.push('l.ownerName = ? COLLATE NOCASE');
+      params.push(f.owner);
+    }
+    if (f.ownerUserId) {
+      clauses.push('l.ownerUserId = ?');
+      params.push(f.ownerUserId);
+    }
+    addOwnerScope(clauses, params, 'l.ownerUserId', f.ownerScope);
+    if (f.source) {
+      clauses.push('l.source = ? COLLATE NOCASE');
+      params.push(f.source);
+    }
+    if (f.stage) {
+      clauses.push(
+        'EXISTS (SELECT 1 FROM deals sd WHERE sd.leadId = l.id AND sd.archivedAt IS NULL AND sd.stage = ? COLLATE NOCASE)',
+      );
+      params.push(f.stage);
+    }
+    if (f.minValue != null) {
+      clauses.push('l.value >= ?');
+      params.push(f.minValue);
+    }
+    if (f.maxValue != null) {
+      clauses.push('l.value <= ?');
+      params.push(f.maxValue);
+    }
+    addDateRange(clauses, params, 'l.createdAt', f.createdFrom, f.createdTo);
+    if (f.nextActionFrom || f.nextActionTo) {
+      const dealClauses = [];
+      addDateRange(dealClauses, params, 'nd.nextActionDate', f.nextActionFrom, f.nextActionTo);
+      clauses.push(
+        `EXISTS (SELECT 1 FROM deals nd WHERE nd.leadId = l.id AND nd.archivedAt IS NULL AND ${dealClauses.join(' AND ')})`,
+      );
+    }
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  function buildDealFilters(filters) {
+    const f = filters || {};
+    const clauses = ['d.workspaceId = ?'];
+    const params = [workspaceId];
+
+    if (!f.includeArchived) {
+      clauses.push('d.archivedAt IS NULL');
+    }
+    if (f.leadId) {
+      clauses.push('d.leadId = ?');
+      params.push(f.leadId);
+    }
+    if (f.owner) {
+      clauses.push('d.ownerName = ? COLLATE NOCASE');
+      params.push(f.owner);
+    }
+    if (f.ownerUserId) {
+      clauses.push('d.ownerUserId = ?');
+      params.push(f.ownerUserId);
+    }
+    addOwnerScope(clauses, params, 'd.ownerUserId', f.ownerScope);
+    if (f.stage) {
+      clauses.push('d.stage = ? COLLATE NOCASE');
+      params.push(f.stage);
+    }
+    if (f.source) {
+      clauses.push('l.source = ? COLLATE NOCASE');
+      params.push(f.source);
+    }
+    if (f.minValue != null) {
+      clauses.push('d.value >= ?');
+      params.push(f.minValue);
+    }
+    if (f.maxValue != null) {
+      clauses.push('d.value <= ?');
+      params.push(f.maxValue);
+    }
+    addDateRange(clauses, params, 'd.createdAt', f.createdFrom, f.createdTo);
+    addDateRange(clauses, params, 'd.nextActionDate', f.nextActionFrom, f.nextActionTo);
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  function buildOrderAndPage(options, sortFields, defaultSort, idColumn) {
+    const sortExpr = sortFields[options.sort] || sortFields[defaultSort];
+    const direction = options.order === 'desc' ? 'DESC' : 'ASC';
+    const params = [];
+    let sql = `ORDER BY ${sortExpr} ${direction}, ${idColumn} ASC`;
+
+    if (Number.isInteger(options.limit) || Number.isInteger(options.offset)) {
+      sql += ' LIMIT ? OFFSET ?';
+      params.push(Number.isInteger(options.limit) ? options.limit : -1, options.offset || 0);
+    }
+
+    return { sql, params };
+  }
+
+  function getLeads(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const filters = buildLeadFilters(options);
+    const page = buildOrderAndPage(options || {}, LEAD_SORT_FIELDS, 'createdAt', 'l.id');
+
+    db.all(
+      `
+    SELECT
+      l.id,
+      l.name,
+      l.company,
+      l.email,
+      l.value,
+      l.source,
+      l.createdAt,
+      l.address,
+      l.phone,
+      l.ownerUserId,
+      l.ownerName,
+      l.archivedAt
+    FROM leads l
+    ${filters.where}
+    ${page.sql}
+    `,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching leads:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function countLeads(options, callback) {
+    const filters = buildLeadFilters(options);
+
+    db.get(`SELECT COUNT(*) AS total FROM leads l ${filters.where}`, filters.params, (err, row) => {
+      if (err) {
+        console.error('Error counting leads:', err);
+        return callback(err);
+      }
+      callback(null, row ? row.total : 0);
+    });
+  }
+
+  function getLeadById(leadId, callback) {
+    db.get('SELECT * FROM leads WHERE id = ? AND workspaceId = ?', [leadId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching lead:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
+  }
+
+  function getDealById(dealId, callback) {
+    db.get('SELECT * FROM deals WHERE id = ? AND workspaceId = ?', [dealId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching deal:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
+  }
+
+  const STAGE_ENTERED_AT_SQL = `
+  COALESCE(
+    (
+      SELECT MAX(h.changedAt)
+      FROM deal_stage_history h
+      WHERE h.dealId = d.id AND h.toStage = d.stage
+    ),
+    d.createdAt
+  )
+`;
+
+  function getDeals(options, callback) {
+    const filters = buildDealFilters(options);
+    const page = buildOrderAndPage(options || {}, DEAL_SORT_FIELDS, 'createdAt', 'd.id');
+
+    db.all(
+      `
+    SELECT
+      d.*,
+      ${STAGE_ENTERED_AT_SQL} AS stageEnteredAt
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    ${filters.where}
+    ${page.sql}
+    `,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching deals:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function countDeals(options, callback) {
+    const filters = buildDealFilters(options);
+
+    db.get(
+      `
+    SELECT COUNT(*) AS total
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    ${filters.where}
+    `,
+      filters.params,
+      (err, row) => {
+        if (err) {
+          console.error('Error counting deals:', err);
+          return callback(err);
+        }
+        callback(null, row ? row.total : 0);
+      },
+    );
+  }
+
+  function createActivity(activity, callback) {
+    const { id, dealId, type, note, createdAt } = activity;
+    db.run(
+      `
+    INSERT INTO activities (id, workspaceId, dealId, type, note, createdAt)
+    SELECT ?, ?, ?, ?, ?, ?
+    WHERE EXISTS (SELECT 1 FROM deals WHERE id = ? AND workspaceId = ?)
+    `,
+      [id, workspaceId, dealId, type, note, createdAt, dealId, workspaceId],
+      function (err) {
+        if (err) {
+          console.error('Error inserting activity:', err);
+          return callback(err);
+        }
+        if (this.changes === 0) {
+          return callback(null, { notFound: true });
+        }
+        syncActivitySearchIndex(id, () => callback(null, { notFound: false }));
+      },
+    );
+  }
+
+  function getActivitiesForDeal(dealId, callback) {
+    db.all(
+      `
+    SELECT * FROM activities
+    WHERE dealId = ? AND workspaceId = ?
+    ORDER BY datetime(createdAt) DESC
+    `,
+      [dealId, workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching activities:', err);
+          return callback(err);
+        }
+        callback(null, rows);
+      },
+    );
+  }
+
+  function getRecentActivitiesForDeal(dealId, limit, callback) {
+    const effectiveLimit = Number.isInteger(limit) && limit > 0 ? limit : 5;
+    db.all(
+      `
+    SELECT *
+    FROM activities
+    WHERE dealId = ? AND workspaceId = ?
+    ORDER BY datetime(createdAt) DESC
+    LIMIT ?
+    `,
+      [dealId, workspaceId, effectiveLimit],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching recent activities:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function updateDealStage(dealId, stage, changedBy, callback) {
+    db.get('SELECT stage FROM deals WHERE id = ? AND workspaceId = ?', [dealId, workspaceId], (currentErr, current) => {
+      if (currentErr) {
+        console.error('Error loading deal before stage update:', currentErr);
+        return callback(currentErr);
+      }
+
+      if (!current) {
+        return callback(null, null);
+      }
+
+      const statements = [];
+      if (current.stage !== stage) {
+        statements.push(
+          {
+            sql: 'UPDATE deals SET stage = ? WHERE id = ?',
+            params: [stage, dealId],
+          },
+          {
+            sql: `
+            INSERT INTO deal_stage_history (id, dealId, fromStage, toStage, changedAt, changedBy)
+            VALUES (?, ?, ?, ?, ?, ?)
           `,
-          [leadId],
-          (dealErr) => {
-            if (dealErr) {
-              console.error('Error deleting deals for lead:', dealErr);
-              return callback(dealErr);
+            params: [
+              uuidv4(),
+              dealId,
+              current.stage,
+              stage,
+              new Date().toISOString(),
+              changedBy && changedBy.trim() ? changedBy.trim() : null,
+            ],
+          },
+        );
+      }
+
+      runStatementsInTransaction(statements, (err) => {
+        if (err) {
+          console.error('Error updating deal stage:', err);
+          return callback(err);
+        }
+
+        db.get(
+          `
+        SELECT *
+        FROM deals
+        WHERE id = ?
+        `,
+          [dealId],
+          (getErr, row) => {
+            if (getErr) {
+              console.error('Error loading updated deal:', getErr);
+              return callback(getErr);
+            }
+            callback(null, row || null);
+          },
+        );
+      });
+    });
+  }
+
+  function getDealStageHistory(dealId, callback) {
+    db.all(
+      `
+    SELECT *
+    FROM deal_stage_history
+    WHERE dealId = ? AND dealId IN (SELECT id FROM deals WHERE workspaceId = ?)
+    ORDER BY datetime(changedAt) ASC
+    `,
+      [dealId, workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching deal stage history:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function createDeal(deal, callback) {
+    const id = deal.id || uuidv4();
+    const {
+      leadId,
+      title,
+      stage = 'New',
+      value = 0,
+      nextAction = null,
+      nextActionDate = null,
+      reminderChannel = null,
+      aiAutoReminderEnabled = 0,
+      ownerUserId = null,
+      ownerName,
+      changedBy = null,
+    } = deal;
+    const ownerValue =
+      ownerName && typeof ownerName === 'string' && ownerName.trim() ? ownerName.trim() : UNASSIGNED_OWNER_NAME;
+    const createdAt = new Date().toISOString();
+
+    runStatementsInTransaction(
+      [
+        {
+          sql: `
+          INSERT INTO deals (
+            id,
+            workspaceId,
+            leadId,
+            title,
+            stage,
+            value,
+            nextAction,
+            nextActionDate,
+            reminderChannel,
+            aiAutoReminderEnabled,
+            ownerUserId,
+            ownerName,
+            createdAt
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `,
+          params: [
+            id,
+            workspaceId,
+            leadId,
+            title,
+            stage,
+            value,
+            nextAction,
+            nextActionDate,
+            reminderChannel,
+            aiAutoReminderEnabled ? 1 : 0,
+            ownerUserId,
+            ownerValue,
+            createdAt,
+          ],
+        },
+        {
+          sql: `
+          INSERT INTO deal_stage_history (id, dealId, fromStage, toStage, changedAt, changedBy)
+          VALUES (?, ?, NULL, ?, ?, ?)
+        `,
+          params: [uuidv4(), id, stage, createdAt, changedBy],
+        },
+        {
+          sql: 'UPDATE deals SET companyId = (SELECT companyId FROM contacts WHERE leadId = ?) WHERE id = ?',
+          params: [leadId, id],
+        },
+        primaryContactForLeadDealsStatement(leadId, createdAt, id),
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error creating deal:', err);
+          return callback(err);
+        }
+
+        db.get(
+          `
+        SELECT *
+        FROM deals
+        WHERE id = ?
+        `,
+          [id],
+          (getErr, row) => {
+            if (getErr) {
+              console.error('Error fetching created deal:', getErr);
+              return callback(getErr);
+            }
+            syncDealSearchIndex(id, () => callback(null, row || null));
+          },
+        );
+      },
+    );
+  }
+
+  function updateDealDetails(dealId, details, callback) {
+    const fields = [];
+    const params = [];
+
+    if (typeof details.value === 'number') {
+      fields.push('value = ?');
+      params.push(details.value);
+    }
+
+    if (typeof details.nextAction === 'string') {
+      fields.push('nextAction = ?');
+      params.push(details.nextAction);
+    }
+
+    if (Object.prototype.hasOwnProperty.call(details, 'nextActionDate')) {
+      fields.push('nextActionDate = ?');
+      params.push(details.nextActionDate);
+    }
+
+    if (fields.length === 0) {
+      return callback(new Error('No fields to update'));
+    }
+
+    params.push(dealId, workspaceId);
+
+    db.run(
+      `
+    UPDATE deals
+    SET ${fields.join(', ')}
+    WHERE id = ? AND workspaceId = ?
+    `,
+      params,
+      function (err) {
+        if (err) {
+          console.error('Error updating deal details:', err);
+          return callback(err);
+        }
+
+        db.get(
+          `
+        SELECT *
+        FROM deals
+        WHERE id = ? AND workspaceId = ?
+        `,
+          [dealId, workspaceId],
+          (getErr, row) => {
+            if (getErr) {
+              console.error('Error loading updated deal details:', getErr);
+              return callback(getErr);
+            }
+            syncDealSearchIndex(dealId, () => callback(null, row || null));
+          },
+        );
+      },
+    );
+  }
+
+  // Reassigns the lead and all of its deals together. `owner` is a user
+  // ({ id, name }), or null to leave them unassigned.
+  function updateLeadOwner(leadId, owner, callback) {
+    const ownerUserId = owner ? owner.id : null;
+    const ownerName = owner ? owner.name : UNASSIGNED_OWNER_NAME;
+
+    runStatementsInTransaction(
+      [
+        {
+          sql: 'UPDATE leads SET ownerUserId = ?, ownerName = ? WHERE id = ? AND workspaceId = ?',
+          params: [ownerUserId, ownerName, leadId, workspaceId],
+        },
+        {
+          sql: 'UPDATE deals SET ownerUserId = ?, ownerName = ? WHERE leadId = ? AND workspaceId = ?',
+          params: [ownerUserId, ownerName, leadId, workspaceId],
+        },
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error updating lead owner:', err);
+          return callback(err);
+        }
+
+        db.get(
+          `
+        SELECT id, name, company, email, value, source, createdAt, address, phone, ownerUserId, ownerName
+        FROM leads
+        WHERE id = ? AND workspaceId = ?
+        `,
+          [leadId, workspaceId],
+          (getErr, row) => {
+            if (getErr) {
+              console.error('Error fetching updated lead owner:', getErr);
+              return callback(getErr);
+            }
+            callback(null, row || null);
+          },
+        );
+      },
+    );
+  }
+
+  function toHistoryValue(value) {
+    return value == null ? null : String(value);
+  }
+
+  // `changedBy` is the id of the user (or API key) making the change; the
+  // history shows their current name as `changedByName`.
+  function updateLeadFields(leadId, changes, changedBy, callback) {
+    runInTransaction(
+      (connection, done) => {
+        connection.get(
+          `
+        SELECT id, name, company, email, value, source, createdAt, address, phone, ownerName
+        FROM leads
+        WHERE id = ? AND workspaceId = ?
+        `,
+          [leadId, workspaceId],
+          (getErr, current) => {
+            if (getErr) return done(getErr);
+            if (!current) return done(null, { notFound: true });
+
+            const changedFields = EDITABLE_LEAD_FIELDS.filter(
+              (field) =>
+                Object.prototype.hasOwnProperty.call(changes, field) &&
+                toHistoryValue(changes[field]) !== toHistoryValue(current[field]),
+            );
+
+            if (changedFields.length === 0) {
+              return done(null, { notFound: false, lead: current, history: [] });
+            }
+
+            const changedAt = new Date().toISOString();
+            const actor = changedBy && changedBy.trim() ? changedBy.trim() : null;
+            const history = changedFields.map((field) => ({
+              id: uuidv4(),
+              leadId,
+              field,
+              oldValue: toHistoryValue(current[field]),
+              newValue: toHistoryValue(changes[field]),
+              changedAt,
+              changedBy: actor,
+            }));
+
+            const updatedLead = { ...current };
+            changedFields.forEach((field) => {
+              updatedLead[field] = changes[field];
+            });
+
+            const statements = [
+              {
+                sql: `UPDATE leads SET ${changedFields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+                params: [...changedFields.map((field) => changes[field]), leadId],
+              },
+              ...history.map((entry) => ({
+                sql: `
+                INSERT INTO lead_history (id, leadId, field, oldValue, newValue, changedAt, changedBy)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+              `,
+                params: [
+                  entry.id,
+                  entry.leadId,
+                  entry.field,
+                  entry.oldValue,
+                  entry.newValue,
+                  entry.changedAt,
+                  entry.changedBy,
+                ],
+              })),
+              ...contactSyncStatements(updatedLead, changedFields.includes('company')),
+            ];
+
+            runStatements(connection, statements, (runErr) =>
+              done(runErr, { notFound: false, lead: updatedLead, history }),
+            );
+          },
+        );
+      },
+      (err, result) => {
+        if (err) {
+          console.error('Error updating lead fields:', err);
+          return callback(err);
+        }
+        if (!result.history || result.history.length === 0) return callback(null, result);
+        syncLeadSearchIndex(leadId, () => callback(null, result));
+      },
+    );
+  }
+
+  function getLeadHistory(leadId, callback) {
+    db.all(
+      `
+    SELECT
+      lead_history.*,
+      COALESCE(
+        users.name,
+        'API key ' || api_keys.name || ' (' || api_keys.prefix || ')',
+        lead_history.changedBy
+      ) AS changedByName
+    FROM lead_history
+    LEFT JOIN users ON users.id = lead_history.changedBy
+    LEFT JOIN api_keys ON api_keys.id = lead_history.changedBy
+    WHERE leadId = ? AND leadId IN (SELECT id FROM leads WHERE workspaceId = ?)
+    ORDER BY datetime(changedAt) DESC
+    `,
+      [leadId, workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching lead history:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  // Duplicate detection matches normalised emails and phone numbers exactly, and
+  // names and companies fuzzily, so "Jon Smith @ ACME" matches "John Smith @ Acme Ltd".
+  const FUZZY_MATCH_THRESHOLD = 0.85;
+
+  function normalisePersonName(name) {
+    return String(name || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(' ');
+  }
+
+  function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j += 1) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  function textSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    return 1 - levenshteinDistance(a, b) / Math.max(a.length, b.length);
+  }
+
+  // Only leads within `options.ownerScope` are compared.
+  function findDuplicateLeads(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    const clauses = ['l.workspaceId = ?', 'l.archivedAt IS NULL'];
+    const params = [workspaceId];
+    addOwnerScope(clauses, params, 'l.ownerUserId', (options || {}).ownerScope);
+
+    db.all(
+      `
+    SELECT l.id, l.name, l.company, l.email, l.phone, l.value, l.source, l.ownerUserId, l.ownerName, l.createdAt
+    FROM leads l
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY datetime(l.createdAt) ASC, l.id ASC
+    `,
+      params,
+      (err, rows) => {
+        if (err) {
+          console.error('Error loading leads for duplicate detection:', err);
+          return callback(err);
+        }
+
+        const leads = rows || [];
+        const keys = leads.map((lead) => ({
+          email: normaliseEmail(lead.email),
+          phone: normalisePhone(lead.phone),
+          name: normalisePersonName(lead.name),
+          company: normaliseCompanyName(lead.company),
+        }));
+
+        // "i:j" -> Set of reasons the two leads look like the same person.
+        const pairs = new Map();
+        const addPairsWithin = (keyName, reason, accept) => {
+          const buckets = new Map();
+          keys.forEach((key, index) => {
+            const value = key[keyName];
+            if (!value) return;
+            if (!buckets.has(value)) buckets.set(value, []);
+            buckets.get(value).push(index);
+          });
+
+          buckets.forEach((indexes) => {
+            for (let a = 0; a < indexes.length; a += 1) {
+              for (let b = a + 1; b < indexes.length; b += 1) {
+                if (accept && !accept(keys[indexes[a]], keys[indexes[b]])) continue;
+                const pairKey = `${indexes[a]}:${indexes[b]}`;
+                if (!pairs.has(pairKey)) pairs.set(pairKey, new Set());
+                pairs.get(pairKey).add(reason);
+              }
+            }
+          });
+        };
+
+        addPairsWithin('email', 'email');
+        addPairsWithin('phone', 'phone');
+        addPairsWithin(
+          'company',
+          'nameAndCompany',
+          (a, b) => textSimilarity(a.name, b.name) >= FUZZY_MATCH_THRESHOLD,
+        );
+        addPairsWithin(
+          'name',
+          'nameAndCompany',
+          (a, b) => textSimilarity(a.company, b.company) >= FUZZY_MATCH_THRESHOLD,
+        );
+
+        const parent = leads.map((_, index) => index);
+        const findRoot = (index) => {
+          while (parent[index] !== index) index = parent[index];
+          return index;
+        };
+        const pairEntries = [...pairs.entries()].map(([pairKey, reasons]) => {
+          const [a, b] = pairKey.split(':').map(Number);
+          parent[findRoot(b)] = findRoot(a);
+          return { a, b, reasons: [...reasons] };
+        });
+
+        const groups = new Map();
+        pairEntries.forEach(({ a, b, reasons }) => {
+          const root = findRoot(a);
+          if (!groups.has(root)) groups.set(root, { indexes: new Set(), reasons: new Set(), matches: [] });
+          const group = groups.get(root);
+          group.indexes.add(a).add(b);
+          reasons.forEach((reason) => group.reasons.add(reason));
+          group.matches.push({ leadIds: [leads[a].id, leads[b].id], reasons });
+        });
+
+        // Leads are ordered oldest first, so the first lead is the suggested survivor.
+        const result = [...groups.values()].map((group) => {
+          const groupLeads = [...group.indexes].sort((x, y) => x - y).map((index) => leads[index]);
+          return {
+            suggestedTargetId: groupLeads[0].id,
+            reasons: [...group.reasons],
+            leads: groupLeads,
+            matches: group.matches,
+          };
+        });
+
+        callback(null, result);
+      },
+    );
+  }
+
+  const INITIAL_DEAL_TITLE_SQL = "(d.title = 'Initial deal' OR d.title LIKE '% - initial deal')";
+
+  function isBlankValue(value) {
+    return value == null || (typeof value === 'string' && !value.trim());
+  }
+
+  // Merges the duplicate lead into the target. Deals (with their activities and
+  // outreach steps) and history move to the target, the duplicate's contact is
+  // folded into the target's, and the duplicate lead is deleted. Field values
+  // default to the target's unless blank; `fieldChoices` can pick 'duplicate'
+  // or 'target' per field. An untouched auto-created initial deal on the
+  // duplicate is archived when the target already has an open deal, so the same
+  // opportunity is not counted twice. `changedBy` is the id of the user or API
+  // key, as for updateLeadFields.
+  function mergeLeads(targetLeadId, duplicateLeadId, fieldChoices, changedBy, callback) {
+    runInTransaction(
+      (connection, done) => {
+        connection.all(
+          `
+        SELECT l.*, c.id AS contactId
+        FROM leads l
+        LEFT JOIN contacts c ON c.leadId = l.id
+        WHERE l.id IN (?, ?) AND l.workspaceId = ?
+        `,
+          [targetLeadId, duplicateLeadId, workspaceId],
+          (loadErr, rows) => {
+            if (loadErr) return done(loadErr);
+
+            const target = (rows || []).find((row) => row.id === targetLeadId);
+            const duplicate = (rows || []).find((row) => row.id === duplicateLeadId);
+            if (!target) return done(null, { notFound: 'target' });
+            if (!duplicate) return done(null, { notFound: 'duplicate' });
+            if (target.archivedAt) return done(null, { targetArchived: true });
+
+            connection.all(
+              `
+            SELECT
+              d.id,
+              d.archivedAt,
+              ${INITIAL_DEAL_TITLE_SQL}
+                AND d.archivedAt IS NULL
+                AND d.nextAction IS NULL
+                AND NOT EXISTS (SELECT 1 FROM activities a WHERE a.dealId = d.id)
+                AND NOT EXISTS (SELECT 1 FROM outreach_steps s WHERE s.dealId = d.id)
+                AND (SELECT COUNT(*) FROM deal_stage_history h WHERE h.dealId = d.id) <= 1 AS untouchedInitialDeal,
+              EXISTS (
+                SELECT 1 FROM deals t WHERE t.leadId = ? AND t.archivedAt IS NULL
+              ) AS targetHasOpenDeal
+            FROM deals d
+            WHERE d.leadId = ?
+            `,
+              [targetLeadId, duplicateLeadId],
+              (dealErr, dealRows) => {
+                if (dealErr) return done(dealErr);
+
+                const deals = dealRows || [];
+                const movedDealIds = deals.map((deal) => deal.id);
+                const archivedDealIds = deals
+                  .filter((deal) => deal.untouchedInitialDeal && deal.targetHasOpenDeal)
+                  .map((deal) => deal.id);
+
+                const changes = {};
+                EDITABLE_LEAD_FIELDS.forEach((field) => {
+                  const choice = fieldChoices && fieldChoices[field];
+                  let value;
+                  if (choice === 'duplicate') {
+                    value = duplicate[field];
+                  } else if (choice === 'target') {
+                    value = target[field];
+                  } else {
+                    value = isBlankValue(target[field]) ? duplicate[field] : target[field];
+                  }
+                  if (toHistoryValue(value) !== toHistoryValue(target[field])) {
+                    changes[field] = value;
+                  }
+                });
+                const changedFields = Object.keys(changes);
+
+                const mergedAt = new Date().toISOString();
+                const actor = changedBy && changedBy.trim() ? changedBy.trim() : null;
+                const { contactId: duplicateContactId, ...duplicateSnapshot } = duplicate;
+                const history = [
+                  ...changedFields.map((field) => ({
+                    id: uuidv4(),
+                    leadId: targetLeadId,
+                    field,
+                    oldValue: toHistoryValue(target[field]),
+                    newValue: toHistoryValue(changes[field]),
+                    changedAt: mergedAt,
+                    changedBy: actor,
+                  })),
+                  {
+                    id: uuidv4(),
+                    leadId: targetLeadId,
+                    field: 'mergedLead',
+                    oldValue: duplicateLeadId,
+                    newValue: JSON.stringify(duplicateSnapshot),
+                    changedAt: mergedAt,
+                    changedBy: actor,
+                  },
+                ];
+
+                const { contactId: targetContactId, ...targetLead } = target;
+                const mergedLead = { ...targetLead, ...changes };
+
+                const statements = [];
+                if (changedFields.length > 0) {
+                  statements.push({
+                    sql: `UPDATE leads SET ${changedFields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+                    params: [...changedFields.map((field) => changes[field]), targetLeadId],
+                  });
+                }
+                statements.push(
+                  {
+                    sql: 'UPDATE lead_history SET leadId = ? WHERE leadId = ?',
+                    params: [targetLeadId, duplicateLeadId],
+                  },
+                  ...history.map((entry) => ({
+                    sql: `
+                    INSERT INTO lead_history (id, leadId, field, oldValue, newValue, changedAt, changedBy)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                  `,
+                    params: [
+                      entry.id,
+                      entry.leadId,
+                      entry.field,
+                      entry.oldValue,
+                      entry.newValue,
+                      entry.changedAt,
+                      entry.changedBy,
+                    ],
+                  })),
+                  ...archivedDealIds.map((dealId) => ({
+                    sql: 'UPDATE deals SET archivedAt = ? WHERE id = ?',
+                    params: [mergedAt, dealId],
+                  })),
+                  { sql: 'UPDATE deals SET leadId = ? WHERE leadId = ?', params: [targetLeadId, duplicateLeadId] },
+                );
+
+                if (duplicateContactId && targetContactId) {
+                  statements.push(
+                    {
+                      sql: 'UPDATE OR IGNORE deal_contacts SET contactId = ? WHERE contactId = ?',
+                      params: [targetContactId, duplicateContactId],
+                    },
+                    { sql: 'DELETE FROM deal_contacts WHERE contactId = ?', params: [duplicateContactId] },
+                    {
+                      sql: `
+                      UPDATE deal_contacts
+                      SET isPrimary = 1
+                      WHERE contactId = ?
+                        AND NOT EXISTS (
+                          SELECT 1 FROM deal_contacts p WHERE p.dealId = deal_contacts.dealId AND p.isPrimary = 1
+                        )
+                    `,
+                      params: [targetContactId],
+                    },
+                    { sql: 'DELETE FROM contacts WHERE id = ?', params: [duplicateContactId] },
+                  );
+                } else if (duplicateContactId) {
+                  statements.push({
+                    sql: 'UPDATE contacts SET leadId = ? WHERE id = ?',
+                    params: [targetLeadId, duplicateContactId],
+                  });
+                }
+
+                statements.push(
+                  ...contactSyncStatements(mergedLead, changedFields.includes('company')),
+                  {
+                    sql: `
+                    UPDATE deals SET companyId = (SELECT companyId FROM contacts WHERE leadId = ?) WHERE leadId = ?
+                  `,
+                    params: [targetLeadId, targetLeadId],
+                  },
+                  primaryContactForLeadDealsStatement(targetLeadId, mergedAt),
+                  { sql: 'DELETE FROM leads_fts WHERE leadId = ?', params: [duplicateLeadId] },
+                  { sql: 'DELETE FROM leads WHERE id = ?', params: [duplicateLeadId] },
+                );
+
+                runStatements(connection, statements, (runErr) =>
+                  done(runErr, { notFound: false, lead: mergedLead, movedDealIds, archivedDealIds, history }),
+                );
+              },
+            );
+          },
+        );
+      },
+      (err, result) => {
+        if (err) {
+          console.error('Error merging leads:', err);
+          return callback(err);
+        }
+        if (!result.lead) return callback(null, result);
+        syncLeadSearchIndex(targetLeadId, () => callback(null, result));
+      },
+    );
+  }
+
+  // Normalised email and phone of every active lead, for spotting duplicates
+  // before they are written (e.g. during an import dry run).
+  function getLeadMatchKeys(callback) {
+    db.all('SELECT id, email, phone FROM leads WHERE workspaceId = ? AND archivedAt IS NULL', [workspaceId], (err, rows) => {
+      if (err) {
+        console.error('Error loading lead match keys:', err);
+        return callback(err);
+      }
+
+      const emails = new Map();
+      const phones = new Map();
+      (rows || []).forEach((row) => {
+        const email = normaliseEmail(row.email);
+        const phone = normalisePhone(row.phone);
+        if (email && !emails.has(email)) emails.set(email, row.id);
+        if (phone && !phones.has(phone)) phones.set(phone, row.id);
+      });
+      callback(null, { emails, phones });
+    });
+  }
+
+  function parseImportRow(row) {
+    if (!row) return row;
+    return { ...row, errors: row.errors ? JSON.parse(row.errors) : [] };
+  }
+
+  function createLeadImport(leadImport, callback) {
+    const { id, fileName, createdAt, createdBy, totalRows } = leadImport;
+
+    db.run(
+      `
+    INSERT INTO lead_imports (id, workspaceId, fileName, createdAt, createdBy, totalRows)
+    VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [id, workspaceId, fileName || null, createdAt, createdBy || null, totalRows],
+      (err) => {
+        if (err) {
+          console.error('Error creating lead import:', err);
+          return callback(err);
+        }
+        callback(null);
+      },
+    );
+  }
+
+  function completeLeadImport(importId, summary, callback) {
+    db.run(
+      `
+    UPDATE lead_imports
+    SET importedRows = ?, skippedRows = ?, errors = ?, completedAt = ?
+    WHERE id = ? AND workspaceId = ?
+    `,
+      [
+        summary.importedRows,
+        summary.skippedRows,
+        JSON.stringify(summary.errors || []),
+        new Date().toISOString(),
+        importId,
+        workspaceId,
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error completing lead import:', err);
+          return callback(err);
+        }
+        callback(null);
+      },
+    );
+  }
+
+  const LEAD_IMPORT_SELECT = `
+  SELECT
+    i.*,
+    (SELECT COUNT(*) FROM leads l WHERE l.importId = i.id) AS remainingLeads
+  FROM lead_imports i
+`;
+
+  function getLeadImports(callback) {
+    db.all(
+      `${LEAD_IMPORT_SELECT} WHERE i.workspaceId = ? ORDER BY datetime(i.createdAt) DESC`,
+      [workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching lead imports:', err);
+          return callback(err);
+        }
+        callback(null, (rows || []).map(parseImportRow));
+      },
+    );
+  }
+
+  function getLeadImportById(importId, callback) {
+    db.get(`${LEAD_IMPORT_SELECT} WHERE i.id = ? AND i.workspaceId = ?`, [importId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching lead import:', err);
+        return callback(err);
+      }
+      callback(null, parseImportRow(row) || null);
+    });
+  }
+
+  // Deletes every lead still tagged with the import (and their deals,
+  // activities and history) and marks the import as rolled back.
+  function rollbackLeadImport(importId, callback) {
+    const importSql = 'SELECT id, rolledBackAt FROM lead_imports WHERE id = ? AND workspaceId = ?';
+    db.get(importSql, [importId, workspaceId], (err, leadImport) => {
+      if (err) {
+        console.error('Error loading lead import for rollback:', err);
+        return callback(err);
+      }
+      if (!leadImport) return callback(null, { notFound: true });
+      if (leadImport.rolledBackAt) return callback(null, { alreadyRolledBack: true });
+
+      db.all('SELECT id FROM leads WHERE importId = ?', [importId], (leadErr, rows) => {
+        if (leadErr) {
+          console.error('Error loading imported leads:', leadErr);
+          return callback(leadErr);
+        }
+
+        const leadIds = (rows || []).map((row) => row.id);
+        const rolledBackAt = new Date().toISOString();
+        const statements = [
+          ...leadIds.flatMap((leadId) => leadDeleteStatements(leadId)),
+          { sql: 'UPDATE lead_imports SET rolledBackAt = ? WHERE id = ?', params: [rolledBackAt, importId] },
+        ];
+
+        runStatementsInTransaction(statements, (txErr) => {
+          if (txErr) {
+            console.error('Error rolling back lead import:', txErr);
+            return callback(txErr);
+          }
+          callback(null, { notFound: false, deletedLeads: leadIds.length, rolledBackAt });
+        });
+      });
+    });
+  }
+
+  // Statements that delete a deal and everything hanging off it. The deal row
+  // itself is deleted last, so its result tells whether the deal existed.
+  function dealDeleteStatements(dealId) {
+    return [
+      { sql: 'DELETE FROM outreach_steps WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM activities_fts WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM activities WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM deal_stage_history WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM deal_contacts WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM deals_fts WHERE dealId = ?', params: [dealId] },
+      { sql: 'DELETE FROM deals WHERE id = ?', params: [dealId] },
+    ];
+  }
+
+  // Same for a lead and all of its deals. The contact outlives the lead it came
+  // from; it still belongs to its company.
+  function leadDeleteStatements(leadId) {
+    const leadDealIds = 'SELECT id FROM deals WHERE leadId = ?';
+    return [
+      { sql: `DELETE FROM outreach_steps WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: `DELETE FROM activities_fts WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: `DELETE FROM activities WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: `DELETE FROM deal_stage_history WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: `DELETE FROM deal_contacts WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: `DELETE FROM deals_fts WHERE dealId IN (${leadDealIds})`, params: [leadId] },
+      { sql: 'DELETE FROM deals WHERE leadId = ?', params: [leadId] },
+      { sql: 'DELETE FROM lead_history WHERE leadId = ?', params: [leadId] },
+      { sql: 'UPDATE contacts SET leadId = NULL WHERE leadId = ?', params: [leadId] },
+      { sql: 'DELETE FROM leads_fts WHERE leadId = ?', params: [leadId] },
+      { sql: 'DELETE FROM leads WHERE id = ?', params: [leadId] },
+    ];
+  }
+
+  function deleteLeadAndRelated(leadId, callback) {
+    db.get('SELECT id FROM leads WHERE id = ? AND workspaceId = ?', [leadId, workspaceId], (getErr, lead) => {
+      if (getErr) {
+        console.error('Error loading lead for delete:', getErr);
+        return callback(getErr);
+      }
+      if (!lead) return callback(null, { notFound: true });
+
+      runStatementsInTransaction(leadDeleteStatements(leadId), (err, results) => {
+        if (err) {
+          console.error('Error deleting lead and related data:', err);
+          return callback(err);
+        }
+        callback(null, { notFound: results[results.length - 1].changes === 0 });
+      });
+    });
+  }
+
+  function deleteDealAndRelated(dealId, callback) {
+    db.get('SELECT id FROM deals WHERE id = ? AND workspaceId = ?', [dealId, workspaceId], (getErr, deal) => {
+      if (getErr) {
+        console.error('Error loading deal for delete:', getErr);
+        return callback(getErr);
+      }
+      if (!deal) return callback(null, { notFound: true });
+
+      runStatementsInTransaction(dealDeleteStatements(dealId), (err, results) => {
+        if (err) {
+          console.error('Error deleting deal and related data:', err);
+          return callback(err);
+        }
+        callback(null, { notFound: results[results.length - 1].changes === 0 });
+      });
+    });
+  }
+
+  function archiveLead(leadId, callback) {
+    db.get('SELECT id, archivedAt FROM leads WHERE id = ? AND workspaceId = ?', [leadId, workspaceId], (err, lead) => {
+      if (err) {
+        console.error('Error loading lead for archive:', err);
+        return callback(err);
+      }
+      if (!lead) {
+        return callback(null, { notFound: true });
+      }
+      if (lead.archivedAt) {
+        return callback(null, { notFound: false, archivedAt: lead.archivedAt });
+      }
+
+      const archivedAt = new Date().toISOString();
+      runStatementsInTransaction(
+        [
+          { sql: 'UPDATE leads SET archivedAt = ? WHERE id = ?', params: [archivedAt, leadId] },
+          {
+            sql: 'UPDATE deals SET archivedAt = ? WHERE leadId = ? AND archivedAt IS NULL',
+            params: [archivedAt, leadId],
+          },
+        ],
+        (txErr) => {
+          if (txErr) {
+            console.error('Error archiving lead:', txErr);
+            return callback(txErr);
+          }
+          callback(null, { notFound: false, archivedAt });
+        },
+      );
+    });
+  }
+
+  function restoreLead(leadId, callback) {
+    db.get('SELECT id, archivedAt FROM leads WHERE id = ? AND workspaceId = ?', [leadId, workspaceId], (err, lead) => {
+      if (err) {
+        console.error('Error loading lead for restore:', err);
+        return callback(err);
+      }
+      if (!lead) {
+        return callback(null, { notFound: true });
+      }
+      if (!lead.archivedAt) {
+        return callback(null, { notFound: false, restoredDeals: 0 });
+      }
+
+      // Only deals archived together with the lead come back; deals archived on
+      // their own beforehand stay archived.
+      runStatementsInTransaction(
+        [
+          { sql: 'UPDATE leads SET archivedAt = NULL WHERE id = ?', params: [leadId] },
+          {
+            sql: 'UPDATE deals SET archivedAt = NULL WHERE leadId = ? AND archivedAt = ?',
+            params: [leadId, lead.archivedAt],
+          },
+        ],
+        (txErr, results) => {
+          if (txErr) {
+            console.error('Error restoring lead:', txErr);
+            return callback(txErr);
+          }
+          callback(null, { notFound: false, restoredDeals: results[1].changes });
+        },
+      );
+    });
+  }
+
+  function setDealArchivedAt(dealId, archivedAt, callback) {
+    db.get(
+      `
+    SELECT d.id, d.archivedAt, l.archivedAt AS leadArchivedAt
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    WHERE d.id = ? AND d.workspaceId = ?
+    `,
+      [dealId, workspaceId],
+      (err, deal) => {
+        if (err) {
+          console.error('Error loading deal for archive change:', err);
+          return callback(err);
+        }
+        if (!deal) {
+          return callback(null, { notFound: true });
+        }
+        if (!archivedAt && deal.leadArchivedAt) {
+          return callback(null, { notFound: false, leadArchived: true });
+        }
+
+        db.run('UPDATE deals SET archivedAt = ? WHERE id = ?', [archivedAt, dealId], (updateErr) => {
+          if (updateErr) {
+            console.error('Error updating deal archivedAt:', updateErr);
+            return callback(updateErr);
+          }
+          db.get('SELECT * FROM deals WHERE id = ?', [dealId], (getErr, row) => {
+            if (getErr) {
+              console.error('Error loading archived deal:', getErr);
+              return callback(getErr);
             }
+            callback(null, { notFound: false, deal: row });
+          });
+        });
+      },
+    );
+  }
 
-            db.run(
-              `
-              DELETE FROM leads
-              WHERE id = ?
-              `,
-              [leadId],
-              function (leadErr) {
-                if (leadErr) {
-                  console.error('Error deleting lead:', leadErr);
-                  return callback(leadErr);
+  function archiveDeal(dealId, callback) {
+    setDealArchivedAt(dealId, new Date().toISOString(), callback);
+  }
+
+  function restoreDeal(dealId, callback) {
+    setDealArchivedAt(dealId, null, callback);
+  }
+
+  function purgeArchivedRecords(olderThanDays, callback) {
+    const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+
+    db.all(
+      `
+    SELECT 'lead' AS type, id FROM leads WHERE archivedAt IS NOT NULL AND archivedAt < ?
+    UNION ALL
+    SELECT 'deal' AS type, d.id
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    WHERE d.archivedAt IS NOT NULL
+      AND d.archivedAt < ?
+      AND NOT (l.archivedAt IS NOT NULL AND l.archivedAt < ?)
+    `,
+      [cutoff, cutoff, cutoff],
+      (err, rows) => {
+        if (err) {
+          console.error('Error loading archived records for purge:', err);
+          return callback(err);
+        }
+
+        // Deals of purged leads go with their lead; only deals archived on their
+        // own are purged separately.
+        const leadIds = (rows || []).filter((row) => row.type === 'lead').map((row) => row.id);
+        const dealIds = (rows || []).filter((row) => row.type === 'deal').map((row) => row.id);
+        const statements = [
+          ...leadIds.flatMap((leadId) => leadDeleteStatements(leadId)),
+          ...dealIds.flatMap((dealId) => dealDeleteStatements(dealId)),
+        ];
+
+        runStatementsInTransaction(statements, (purgeErr) => {
+          if (purgeErr) {
+            console.error('Error purging archived records:', purgeErr);
+            return callback(purgeErr);
+          }
+          callback(null, { cutoff, purgedLeads: leadIds.length, purgedDeals: dealIds.length });
+        });
+      },
+    );
+  }
+
+  // Rows left pointing at records that no longer exist, from before foreign keys
+  // were enforced. Checks run (and repair) in order, so deals without a lead are
+  // removed before the checks for rows that hang off deals.
+  const INTEGRITY_CHECKS = [
+    {
+      name: 'dealsWithoutLead',
+      description: 'Deals whose lead no longer exists',
+      table: 'deals',
+      idExpression: 'id',
+      where: 'leadId NOT IN (SELECT id FROM leads)',
+    },
+    {
+      name: 'outreachStepsWithoutDeal',
+      description: 'Outreach steps whose deal no longer exists',
+      table: 'outreach_steps',
+      idExpression: 'id',
+      where: 'dealId NOT IN (SELECT id FROM deals)',
+    },
+    {
+      name: 'activitiesWithoutDeal',
+      description: 'Activities whose deal no longer exists',
+      table: 'activities',
+      idExpression: 'id',
+      where: 'dealId NOT IN (SELECT id FROM deals)',
+    },
+    {
+      name: 'stageHistoryWithoutDeal',
+      description: 'Deal stage history whose deal no longer exists',
+      table: 'deal_stage_history',
+      idExpression: 'id',
+      where: 'dealId NOT IN (SELECT id FROM deals)',
+    },
+    {
+      name: 'dealContactsWithoutDealOrContact',
+      description: 'Deal contact links whose deal or contact no longer exists',
+      table: 'deal_contacts',
+      idExpression: "dealId || ':' || contactId",
+      where: 'dealId NOT IN (SELECT id FROM deals) OR contactId NOT IN (SELECT id FROM contacts)',
+    },
+    {
+      name: 'leadHistoryWithoutLead',
+      description: 'Lead history whose lead no longer exists',
+      table: 'lead_history',
+      idExpression: 'id',
+      where: 'leadId NOT IN (SELECT id FROM leads)',
+    },
+    {
+      name: 'contactsWithMissingLead',
+      description: 'Contacts linked to a lead that no longer exists (link is cleared)',
+      table: 'contacts',
+      idExpression: 'id',
+      where: 'leadId IS NOT NULL AND leadId NOT IN (SELECT id FROM leads)',
+      set: 'leadId = NULL',
+    },
+    {
+      name: 'contactsWithMissingCompany',
+      description: 'Contacts linked to a company that no longer exists (link is cleared)',
+      table: 'contacts',
+      idExpression: 'id',
+      where: 'companyId IS NOT NULL AND companyId NOT IN (SELECT id FROM companies)',
+      set: 'companyId = NULL',
+    },
+    {
+      name: 'dealsWithMissingCompany',
+      description: 'Deals linked to a company that no longer exists (link is cleared)',
+      table: 'deals',
+      idExpression: 'id',
+      where: 'companyId IS NOT NULL AND companyId NOT IN (SELECT id FROM companies)',
+      set: 'companyId = NULL',
+    },
+    {
+      name: 'leadSearchRowsWithoutLead',
+      description: 'Lead search index rows whose lead no longer exists',
+      table: 'leads_fts',
+      idExpression: 'leadId',
+      where: 'leadId NOT IN (SELECT id FROM leads)',
+    },
+    {
+      name: 'dealSearchRowsWithoutDeal',
+      description: 'Deal search index rows whose deal no longer exists',
+      table: 'deals_fts',
+      idExpression: 'dealId',
+      where: 'dealId NOT IN (SELECT id FROM deals)',
+    },
+    {
+      name: 'activitySearchRowsWithoutActivity',
+      description: 'Activity search index rows whose activity no longer exists',
+      table: 'activities_fts',
+      idExpression: 'activityId',
+      where: 'activityId NOT IN (SELECT id FROM activities)',
+    },
+  ];
+
+  const INTEGRITY_SAMPLE_SIZE = 10;
+
+  function integrityRepairStatement(check) {
+    const sql = check.set
+      ? `UPDATE ${check.table} SET ${check.set} WHERE ${check.where}`
+      : `DELETE FROM ${check.table} WHERE ${check.where}`;
+    return { sql, params: [] };
+  }
+
+  function runIntegrityCheck(check, callback) {
+    db.get(`SELECT COUNT(*) AS count FROM ${check.table} WHERE ${check.where}`, [], (countErr, countRow) => {
+      if (countErr) return callback(countErr);
+
+      const count = countRow ? countRow.count : 0;
+      if (count === 0) {
+        return callback(null, { count, sampleIds: [] });
+      }
+
+      db.all(
+        `SELECT ${check.idExpression} AS id FROM ${check.table} WHERE ${check.where} LIMIT ?`,
+        [INTEGRITY_SAMPLE_SIZE],
+        (sampleErr, rows) => {
+          if (sampleErr) return callback(sampleErr);
+          callback(null, { count, sampleIds: (rows || []).map((row) => row.id) });
+        },
+      );
+    });
+  }
+
+  function getIntegrityReport(callback) {
+    const checks = [];
+
+    const next = (index) => {
+      if (index >= INTEGRITY_CHECKS.length) {
+        const totalIssues = checks.reduce((sum, check) => sum + check.count, 0);
+        return callback(null, { checkedAt: new Date().toISOString(), ok: totalIssues === 0, totalIssues, checks });
+      }
+
+      const check = INTEGRITY_CHECKS[index];
+      runIntegrityCheck(check, (err, result) => {
+        if (err) {
+          console.error(`Error running integrity check ${check.name}:`, err);
+          return callback(err);
+        }
+        checks.push({
+          name: check.name,
+          description: check.description,
+          repair: check.set ? 'unlink' : 'delete',
+          count: result.count,
+          sampleIds: result.sampleIds,
+        });
+        next(index + 1);
+      });
+    };
+
+    next(0);
+  }
+
+  function repairIntegrity(callback) {
+    runStatementsInTransaction(INTEGRITY_CHECKS.map(integrityRepairStatement), (err, results) => {
+      if (err) {
+        console.error('Error repairing integrity issues:', err);
+        return callback(err);
+      }
+
+      const repaired = {};
+      INTEGRITY_CHECKS.forEach((check, index) => {
+        repaired[check.name] = results[index].changes;
+      });
+      const totalRepaired = Object.values(repaired).reduce((sum, changes) => sum + changes, 0);
+      callback(null, { repairedAt: new Date().toISOString(), totalRepaired, repaired });
+    });
+  }
+
+  // Copies the whole database to `filePath` with SQLite's online backup API.
+  // It takes its turn in the connection's queue, so no transaction is open and
+  // other statements are held until the copy is finished.
+  function backupDatabase(filePath, callback) {
+    runExclusive((connection, done) => {
+      const backup = connection.backup(filePath, (openErr) => {
+        if (openErr) return done(openErr);
+        backup.step(-1, (stepErr) => {
+          backup.finish(() => done(stepErr || null));
+        });
+      });
+    }, callback);
+  }
+
+  function dumpDatabase(callback) {
+    runInTransaction(readDump, callback);
+  }
+
+  // Replaces the rows of every table in `dump.tables` in one transaction. Only a
+  // dump at the database's schema version is restored, as an older one would
+  // miss the data moved by later migrations; otherwise the result names both
+  // versions in `unsupportedSchemaVersion` and `currentSchemaVersion`. Tables
+  // the dump does not mention are left alone and columns are matched by name. Foreign
+  // keys are off while the tables are emptied and loaded, so clearing a table
+  // does not cascade into tables the dump leaves out, and are checked across
+  // the whole database before committing.
+  function restoreDump(dump, callback) {
+    runInTransaction(
+      (connection, done) => {
+        getMigrationStatus(connection, (statusErr, status) => {
+          if (statusErr) return done(statusErr);
+          if (dump.schemaVersion !== status.currentVersion) {
+            return done(null, {
+              unsupportedSchemaVersion: dump.schemaVersion,
+              currentSchemaVersion: status.currentVersion,
+            });
+          }
+
+          listDataTables(connection, (listErr, tableNames) => {
+            if (listErr) return done(listErr);
+            const restoredTables = tableNames.filter((name) => Array.isArray(dump.tables[name]));
+
+            const statements = restoredTables.map((name) => ({ sql: `DELETE FROM "${name}"` }));
+
+            const loadColumns = (index) => {
+              if (index >= restoredTables.length) return runRestore();
+
+              const name = restoredTables[index];
+              connection.all(`PRAGMA table_info("${name}")`, (err, columns) => {
+                if (err) return done(err);
+                const tableColumns = new Set(columns.map((column) => column.name));
+                dump.tables[name].forEach((row) => {
+                  const rowColumns = Object.keys(row).filter((column) => tableColumns.has(column));
+                  if (rowColumns.length === 0) return;
+                  const columnList = rowColumns.map((column) => `"${column}"`).join(', ');
+                  statements.push({
+                    sql: `INSERT INTO "${name}" (${columnList}) VALUES (${rowColumns.map(() => '?').join(', ')})`,
+                    params: rowColumns.map((column) => row[column]),
+                  });
+                });
+                loadColumns(index + 1);
+              });
+            };
+
+            const runRestore = () => {
+              const runNext = (index) => {
+                if (index >= statements.length) return checkForeignKeys();
+
+                const { sql, params } = statements[index];
+                connection.run(sql, params || [], (err) => {
+                  if (err) return done(err);
+                  runNext(index + 1);
+                });
+              };
+              runNext(0);
+            };
+
+            const checkForeignKeys = () => {
+              connection.all('PRAGMA foreign_key_check', (checkErr, violations) => {
+                if (checkErr) return done(checkErr);
+                if (violations.length > 0) {
+                  const err = new Error('FOREIGN KEY constraint failed');
+                  err.code = 'SQLITE_CONSTRAINT';
+                  const pairs = violations.map((row) => `"${row.table}" rows reference missing "${row.parent}" rows`);
+                  err.details = [...new Set(pairs)];
+                  return done(err);
                 }
 
-                if (this.changes === 0) {
-                  return callback(null, { notFound: true });
-                }
+                const tables = {};
+                restoredTables.forEach((name) => {
+                  tables[name] = dump.tables[name].length;
+                });
+                done(null, { restoredAt: new Date().toISOString(), schemaVersion: dump.schemaVersion, tables });
+              });
+            };
+
+            loadColumns(0);
+          });
+        });
+      },
+      (err, result) => {
+        if (err) {
+          console.error('Error restoring database:', err);
+          return callback(err);
+        }
+        if (result.unsupportedSchemaVersion) return callback(null, result);
+
+        rebuildSearchIndexes((indexErr) => {
+          if (indexErr) return callback(indexErr);
+          callback(null, result);
+        });
+      },
+      { foreignKeys: false },
+    );
+  }
+
+  // For tables that belong to a workspace through their deal.
+  const WORKSPACE_DEAL_SQL = 'dealId IN (SELECT id FROM deals WHERE workspaceId = ?)';
+
+  function getPipelineStages(callback) {
+    db.all(
+      `
+    SELECT *
+    FROM pipeline_stages
+    WHERE workspaceId = ?
+    ORDER BY displayOrder ASC, name ASC
+    `,
+      [workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching pipeline stages:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function getPipelineStageById(stageId, callback) {
+    db.get('SELECT * FROM pipeline_stages WHERE id = ? AND workspaceId = ?', [stageId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching pipeline stage:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
+  }
+
+  function createPipelineStage(stage, callback) {
+    const id = uuidv4();
+
+    db.run(
+      `
+    INSERT INTO pipeline_stages (id, workspaceId, name, displayOrder, category, defaultProbability, defaultIntent, createdAt)
+    VALUES (
+      ?,
+      ?,
+      ?,
+      COALESCE(?, (SELECT COALESCE(MAX(displayOrder), 0) + 1 FROM pipeline_stages WHERE workspaceId = ?)),
+      ?,
+      ?,
+      ?,
+      ?
+    )
+    `,
+      [
+        id,
+        workspaceId,
+        stage.name,
+        stage.displayOrder != null ? stage.displayOrder : null,
+        workspaceId,
+        stage.category,
+        stage.defaultProbability != null ? stage.defaultProbability : null,
+        stage.defaultIntent || null,
+        new Date().toISOString(),
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error creating pipeline stage:', err);
+          return callback(err);
+        }
+        getPipelineStageById(id, callback);
+      },
+    );
+  }
+
+  function updatePipelineStage(stageId, changes, callback) {
+    getPipelineStageById(stageId, (err, current) => {
+      if (err) return callback(err);
+      if (!current) {
+        return callback(null, { notFound: true });
+      }
+
+      const fields = ['name', 'displayOrder', 'category', 'defaultProbability', 'defaultIntent'].filter(
+        (field) => Object.prototype.hasOwnProperty.call(changes, field),
+      );
+
+      if (fields.length === 0) {
+        return callback(null, { notFound: false, stage: current });
+      }
+
+      const statements = [
+        {
+          sql: `UPDATE pipeline_stages SET ${fields.map((field) => `${field} = ?`).join(', ')} WHERE id = ?`,
+          params: [...fields.map((field) => changes[field]), stageId],
+        },
+      ];
+
+      // Renaming a stage carries its deals along so they keep pointing at it.
+      if (fields.includes('name') && changes.name !== current.name) {
+        statements.push(
+          {
+            sql: 'UPDATE deals SET stage = ? WHERE stage = ? AND workspaceId = ?',
+            params: [changes.name, current.name, workspaceId],
+          },
+          {
+            sql: `UPDATE deal_stage_history SET fromStage = ? WHERE fromStage = ? AND ${WORKSPACE_DEAL_SQL}`,
+            params: [changes.name, current.name, workspaceId],
+          },
+          {
+            sql: `UPDATE deal_stage_history SET toStage = ? WHERE toStage = ? AND ${WORKSPACE_DEAL_SQL}`,
+            params: [changes.name, current.name, workspaceId],
+          },
+        );
+      }
+
+      runStatementsInTransaction(statements, (txErr) => {
+        if (txErr) {
+          console.error('Error updating pipeline stage:', txErr);
+          return callback(txErr);
+        }
+        getPipelineStageById(stageId, (getErr, row) => {
+          if (getErr) return callback(getErr);
+          callback(null, { notFound: false, stage: row });
+        });
+      });
+    });
+  }
+
+  function deletePipelineStage(stageId, callback) {
+    getPipelineStageById(stageId, (err, current) => {
+      if (err) return callback(err);
+      if (!current) {
+        return callback(null, { notFound: true });
+      }
+
+      const countSql = 'SELECT COUNT(*) AS count FROM deals WHERE stage = ? AND workspaceId = ?';
+      db.get(countSql, [current.name, workspaceId], (countErr, row) => {
+        if (countErr) {
+          console.error('Error counting deals for pipeline stage:', countErr);
+          return callback(countErr);
+        }
+
+        if (row && row.count > 0) {
+          return callback(null, { notFound: false, dealsInStage: row.count });
+        }
+
+        db.run('DELETE FROM pipeline_stages WHERE id = ?', [stageId], (deleteErr) => {
+          if (deleteErr) {
+            console.error('Error deleting pipeline stage:', deleteErr);
+            return callback(deleteErr);
+          }
+          callback(null, { notFound: false, dealsInStage: 0 });
+        });
+      });
+    });
+  }
+
+  function seedDemoData(callback) {
+    // The demo rows take the column default, which is the default workspace.
+    db.get('SELECT COUNT(*) AS count FROM leads WHERE workspaceId = ?', [DEFAULT_WORKSPACE_ID], (err, row) => {
+      if (err) {
+        console.error('Error counting leads for seed:', err);
+        return callback(err);
+      }
+      if (row && row.count > 0) {
+        return callback(null);
+      }
+
+      console.log('Seeding demo leads/deals into SQLite...');
+      runStatementsInTransaction(
+        [
+          // Leads
+          {
+            sql: 'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'lead-1',
+              'Sarah Thompson',
+              'Thompson Logistics',
+              'sarah@thompsonlogistics.co.uk',
+              12000,
+              'Referral',
+              '2025-11-20T09:15:00.000Z',
+              'Unit 4, Riverside Park, Leeds',
+              '+44 113 555 0123',
+              'Unassigned',
+            ],
+          },
+          {
+            sql: 'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'lead-2',
+              'James Patel',
+              'Patel & Co Accountants',
+              'james@patelco.co.uk',
+              8000,
+              'LinkedIn',
+              '2025-11-18T13:45:00.000Z',
+              'Suite 12, City Gate, Manchester',
+              '+44 161 555 0456',
+              'Unassigned',
+            ],
+          },
+          {
+            sql: 'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'lead-3',
+              'Emily Carter',
+              'Carter Retail Group',
+              'emily.carter@carterretail.com',
+              25000,
+              'Website',
+              '2025-11-10T10:30:00.000Z',
+              'High Street 22, Birmingham',
+              '+44 121 555 0789',
+              'Unassigned',
+            ],
+          },
+          {
+            sql: 'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'lead-4',
+              'Michael Chen',
+              'Chen Manufacturing',
+              'michael.chen@chenmfg.com',
+              18000,
+              'Manual',
+              '2025-11-05T16:20:00.000Z',
+              'Industrial Estate Road 5, Sheffield',
+              '+44 114 555 0110',
+              'Unassigned',
+            ],
+          },
 
-                callback(null, { notFound: false });
-              },
-            );
+          // Deals
+          {
+            sql: 'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'deal-1',
+              'lead-1',
+              'AI dispatch optimisation',
+              'Qualified',
+              12000,
+              'Schedule technical scoping call',
+              '2025-12-03T10:00:00.000Z',
+              'WhatsApp',
+              1,
+              'Unassigned',
+            ],
           },
-        );
-      });
-    },
-  );
-}
+          {
+            sql: 'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'deal-2',
+              'lead-2',
+              'Automation for monthly reporting',
+              'New',
+              8000,
+              'Send follow-up with case studies',
+              '2025-12-02T09:30:00.000Z',
+              'SMS',
+              0,
+              'Unassigned',
+            ],
+          },
+          {
+            sql: 'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'deal-3',
+              'lead-3',
+              'Retail analytics revamp',
+              'Proposal Sent',
+              25000,
+              'Review proposal with CFO',
+              '2025-12-05T15:00:00.000Z',
+              'WhatsApp',
+              1,
+              'Unassigned',
+            ],
+          },
+          {
+            sql: 'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            params: [
+              'deal-4',
+              'lead-4',
+              'Factory workflow automation',
+              'Qualified',
+              18000,
+              'Prepare pilot scope deck',
+              '2025-12-04T11:00:00.000Z',
+              'SMS',
+              0,
+              'Unassigned',
+            ],
+          },
+        ],
+        (seedErr) => {
+          if (seedErr) {
+            console.error('Error seeding demo data:', seedErr);
+          }
+          callback(seedErr || null);
+        },
+      );
+    });
+  }
 
-function seedDemoData() {
-  db.get('SELECT COUNT(*) AS count FROM leads', (err, row) => {
-    if (err) {
-      console.error('Error counting leads for seed:', err);
-      return;
+  // Deal context comes from the deal's primary contact and company, falling back
+  // to the lead the deal was created from.
+  const PRIMARY_CONTACT_JOINS = `
+  LEFT JOIN deal_contacts pdc ON pdc.dealId = d.id AND pdc.isPrimary = 1
+  LEFT JOIN contacts pc ON pc.id = pdc.contactId
+  LEFT JOIN companies co ON co.id = COALESCE(d.companyId, pc.companyId)
+`;
+
+  function getDealWithLead(dealId, callback) {
+    db.get(
+      `
+    SELECT
+      d.*,
+      COALESCE(pc.name, l.name) AS leadName,
+      COALESCE(co.name, l.company) AS leadCompany,
+      COALESCE(pc.email, l.email) AS leadEmail,
+      COALESCE(pc.phone, l.phone) AS leadPhone,
+      pc.id AS primaryContactId,
+      pc.role AS primaryContactRole,
+      l.ownerName AS leadOwnerName
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    ${PRIMARY_CONTACT_JOINS}
+    WHERE d.id = ? AND d.workspaceId = ?
+    `,
+      [dealId, workspaceId],
+      (err, row) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, row || null);
+      },
+    );
+  }
+
+  // Accepts the same filters, sort and paging options as getDeals. Deals of
+  // archived leads are left out unless includeArchived is set.
+  function getDealsWithLeadAndLastActivity(options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
     }
-    if (row && row.count > 0) {
-      return;
+    const listOptions = options || {};
+    const filters = buildDealFilters(listOptions);
+    const page = buildOrderAndPage(listOptions, DEAL_SORT_FIELDS, 'createdAt', 'd.id');
+    const where = listOptions.includeArchived ? filters.where : `${filters.where} AND l.archivedAt IS NULL`;
+
+    db.all(
+      `
+    SELECT
+      d.*,
+      ${STAGE_ENTERED_AT_SQL} AS stageEnteredAt,
+      l.name AS leadName,
+      l.company AS leadCompany,
+      l.email AS leadEmail,
+      l.ownerName AS leadOwnerName,
+      la.type AS lastActivityType,
+      la.createdAt AS lastActivityDate
+    FROM deals d
+    LEFT JOIN leads l ON l.id = d.leadId
+    LEFT JOIN (
+      SELECT a.dealId, a.type, a.createdAt
+      FROM activities a
+      INNER JOIN (
+        SELECT dealId, MAX(datetime(createdAt)) AS maxDate
+        FROM activities
+        GROUP BY dealId
+      ) latest ON latest.dealId = a.dealId AND datetime(a.createdAt) = latest.maxDate
+    ) la ON la.dealId = d.id
+    ${where}
+    ${page.sql}
+    `,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  // Activities and outreach steps are filtered by their deal, using the same
+  // options as getDeals, and carry the deal and lead they belong to.
+  function getActivitiesWithDeal(options, callback) {
+    const listOptions = options || {};
+    const filters = buildDealFilters(listOptions);
+    const page = buildOrderAndPage(listOptions, ACTIVITY_SORT_FIELDS, 'createdAt', 'a.id');
+
+    db.all(
+      `
+    SELECT
+      a.*,
+      d.title AS dealTitle,
+      d.stage AS dealStage,
+      d.leadId,
+      l.name AS leadName,
+      l.company AS leadCompany
+    FROM activities a
+    INNER JOIN deals d ON d.id = a.dealId
+    LEFT JOIN leads l ON l.id = d.leadId
+    ${filters.where}
+    ${page.sql}
+    `,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching activities:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  // Takes the deal filters, plus `status` to only list steps with that status.
+  function getOutreachStepsWithDeal(options, callback) {
+    const listOptions = options || {};
+    const filters = buildDealFilters(listOptions);
+    const page = buildOrderAndPage(listOptions, OUTREACH_STEP_SORT_FIELDS, 'dueDate', 's.id');
+    if (listOptions.status) {
+      filters.where += ' AND s.status = ?';
+      filters.params.push(listOptions.status);
     }
 
-    console.log('Seeding demo leads/deals into SQLite...');
-    db.serialize(() => {
-      // Leads
-      db.run(
-        'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'lead-1',
-          'Sarah Thompson',
-          'Thompson Logistics',
-          'sarah@thompsonlogistics.co.uk',
-          12000,
-          'Referral',
-          '2025-11-20T09:15:00.000Z',
-          'Unit 4, Riverside Park, Leeds',
-          '+44 113 555 0123',
-          'Unassigned',
-        ],
-      );
-      db.run(
-        'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'lead-2',
-          'James Patel',
-          'Patel & Co Accountants',
-          'james@patelco.co.uk',
-          8000,
-          'LinkedIn',
-          '2025-11-18T13:45:00.000Z',
-          'Suite 12, City Gate, Manchester',
-          '+44 161 555 0456',
-          'Unassigned',
-        ],
-      );
-      db.run(
-        'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'lead-3',
-          'Emily Carter',
-          'Carter Retail Group',
-          'emily.carter@carterretail.com',
-          25000,
-          'Website',
-          '2025-11-10T10:30:00.000Z',
-          'High Street 22, Birmingham',
-          '+44 121 555 0789',
-          'Unassigned',
-        ],
-      );
-      db.run(
-        'INSERT INTO leads (id, name, company, email, value, source, createdAt, address, phone, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'lead-4',
-          'Michael Chen',
-          'Chen Manufacturing',
-          'michael.chen@chenmfg.com',
-          18000,
-          'Manual',
-          '2025-11-05T16:20:00.000Z',
-          'Industrial Estate Road 5, Sheffield',
-          '+44 114 555 0110',
-          'Unassigned',
-        ],
-      );
+    db.all(
+      `
+    SELECT
+      s.*,
+      d.title AS dealTitle,
+      d.stage AS dealStage,
+      d.leadId,
+      l.name AS leadName,
+      l.company AS leadCompany
+    FROM outreach_steps s
+    INNER JOIN deals d ON d.id = s.dealId
+    LEFT JOIN leads l ON l.id = d.leadId
+    ${filters.where}
+    ${page.sql}
+    `,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching outreach steps:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function getOutreachStepsForDeal(dealId, callback) {
+    db.all(
+      `
+    SELECT *
+    FROM outreach_steps
+    WHERE dealId = ? AND workspaceId = ?
+    ORDER BY datetime(dueDate) ASC, datetime(createdAt) ASC
+    `,
+      [dealId, workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching outreach steps:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function getOutreachStepById(stepId, callback) {
+    db.get('SELECT * FROM outreach_steps WHERE id = ? AND workspaceId = ?', [stepId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching outreach step:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
+  }
+
+  // Settings are JSON objects stored per workspace under a key. Values that
+  // were never saved come from `defaults`.
+  function getSettings(key, defaults) {
+    return new Promise((resolve, reject) => {
+      db.get('SELECT value FROM settings WHERE workspaceId = ? AND key = ?', [workspaceId, key], (err, row) => {
+        if (err) return reject(err);
+        if (!row || !row.value) {
+          return resolve({ ...defaults });
+        }
+        try {
+          const parsed = JSON.parse(row.value);
+          resolve({
+            ...defaults,
+            ...parsed,
+          });
+        } catch (parseErr) {
+          console.warn(`Failed to parse ${key} settings, using defaults:`, parseErr);
+          resolve({ ...defaults });
+        }
+      });
+    });
+  }
 
-      // Deals
+  async function saveSettings(key, defaults, partial) {
+    const current = await getSettings(key, defaults);
+    const next = {
+      ...current,
+      ...(partial || {}),
+    };
+    const value = JSON.stringify(next);
+
+    return new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'deal-1',
-          'lead-1',
-          'AI dispatch optimisation',
-          'Qualified',
-          12000,
-          'Schedule technical scoping call',
-          '2025-12-03T10:00:00.000Z',
-          'WhatsApp',
-          1,
-          'Unassigned',
-        ],
+        `INSERT INTO settings (workspaceId, key, value) VALUES (?, ?, ?)
+        ON CONFLICT(workspaceId, key) DO UPDATE SET value = excluded.value`,
+        [workspaceId, key, value],
+        (err) => {
+          if (err) return reject(err);
+          resolve(next);
+        },
       );
+    });
+  }
+
+  // emailFrom and emailTo are the sender and recipient of the reminder email;
+  // null means the REMINDER_EMAIL_FROM / REMINDER_EMAIL_TO fallback. The
+  // scheduler sends it at sendTime on sendDays, in the workspace's timezone.
+  const DEFAULT_REMINDER_SETTINGS = {
+    remindersEnabled: false,
+    reminderChannel: 'email',
+    emailFrom: null,
+    emailTo: null,
+    phoneTo: null,
+    sendTime: '08:00',
+    sendDays: ['mon', 'tue', 'wed', 'thu', 'fri'],
+    appBaseUrl: null,
+  };
+
+  function getReminderSettings() {
+    return getSettings('reminders', DEFAULT_REMINDER_SETTINGS);
+  }
+
+  function saveReminderSettings(partial) {
+    return saveSettings('reminders', DEFAULT_REMINDER_SETTINGS, partial);
+  }
+
+  // The business the AI endpoints write on behalf of.
+  const DEFAULT_AI_SETTINGS = {
+    businessName: null,
+    businessContext: null,
+  };
+
+  function getAiSettings() {
+    return getSettings('ai', DEFAULT_AI_SETTINGS);
+  }
+
+  function saveAiSettings(partial) {
+    return saveSettings('ai', DEFAULT_AI_SETTINGS, partial);
+  }
+
+  function buildReminderLog(entry) {
+    return {
+      id: uuidv4(),
+      channel: entry.channel,
+      recipient: entry.recipient || null,
+      reminderDate: entry.reminderDate,
+      reminderCount: entry.reminderCount || 0,
+      status: entry.status,
+      reason: entry.reason || null,
+      triggeredBy: entry.triggeredBy || 'manual',
+      ownerUserId: entry.ownerUserId || null,
+      messageId: entry.messageId || null,
+      error: entry.error || null,
+      claimKey: entry.claimKey || null,
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  function insertReminderLog(log) {
+    return new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        `
+      INSERT INTO reminder_logs (
+        id, workspaceId, channel, recipient, reminderDate, reminderCount, status, reason, triggeredBy, ownerUserId,
+        messageId, error, claimKey, createdAt
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
         [
-          'deal-2',
-          'lead-2',
-          'Automation for monthly reporting',
-          'New',
-          8000,
-          'Send follow-up with case studies',
-          '2025-12-02T09:30:00.000Z',
-          'SMS',
-          0,
-          'Unassigned',
+          log.id,
+          workspaceId,
+          log.channel,
+          log.recipient,
+          log.reminderDate,
+          log.reminderCount,
+          log.status,
+          log.reason,
+          log.triggeredBy,
+          log.ownerUserId,
+          log.messageId,
+          log.error,
+          log.claimKey,
+          log.createdAt,
         ],
+        (err) => {
+          if (err) return reject(err);
+          resolve(log);
+        },
       );
+    });
+  }
+
+  // Records a run that sent nothing (status `skipped` with a `reason`, or
+  // `failed` with an `error`).
+  function recordReminderLog(entry) {
+    return insertReminderLog(buildReminderLog({ ...entry, claimKey: null }));
+  }
+
+  // A send that has not finished after this long is assumed to have died with
+  // the process, and its claim is released.
+  const STALE_REMINDER_CLAIM_MS = 15 * 60 * 1000;
+
+  // Records a send as `sending` under `entry.claimKey` before anything goes out.
+  // Resolves { log }, or { alreadyClaimed: true, log } with the log of the send
+  // that already holds the key, so the same digest is never sent twice.
+  function claimReminderSend(entry) {
+    const log = buildReminderLog({ ...entry, status: 'sending' });
+    const staleBefore = new Date(Date.now() - STALE_REMINDER_CLAIM_MS).toISOString();
+
+    return new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'deal-3',
-          'lead-3',
-          'Retail analytics revamp',
-          'Proposal Sent',
-          25000,
-          'Review proposal with CFO',
-          '2025-12-05T15:00:00.000Z',
-          'WhatsApp',
-          1,
-          'Unassigned',
-        ],
+        `UPDATE reminder_logs SET status = 'failed', error = 'Interrupted before the send finished', claimKey = NULL
+        WHERE workspaceId = ? AND claimKey = ? AND status = 'sending' AND createdAt < ?`,
+        [workspaceId, log.claimKey, staleBefore],
+        (staleErr) => {
+          if (staleErr) return reject(staleErr);
+          insertReminderLog(log)
+            .then(() => resolve({ log }))
+            .catch((err) => {
+              if (err.code !== 'SQLITE_CONSTRAINT') return reject(err);
+              db.get(
+                'SELECT * FROM reminder_logs WHERE workspaceId = ? AND claimKey = ?',
+                [workspaceId, log.claimKey],
+                (getErr, existing) => {
+                  if (getErr) return reject(getErr);
+                  resolve({ alreadyClaimed: true, log: existing || null });
+                },
+              );
+            });
+        },
       );
+    });
+  }
+
+  // Marks a claimed send `sent` or `failed`. A failed send gives up its claim
+  // so the digest can be sent again.
+  function finishReminderSend(id, result) {
+    const failed = result.status === 'failed';
+    return new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO deals (id, leadId, title, stage, value, nextAction, nextActionDate, reminderChannel, aiAutoReminderEnabled, ownerName) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          'deal-4',
-          'lead-4',
-          'Factory workflow automation',
-          'Qualified',
-          18000,
-          'Prepare pilot scope deck',
-          '2025-12-04T11:00:00.000Z',
-          'SMS',
-          0,
-          'Unassigned',
-        ],
+        `UPDATE reminder_logs SET status = ?, messageId = ?, error = ?, claimKey = CASE WHEN ? THEN NULL ELSE claimKey END
+        WHERE id = ? AND workspaceId = ?`,
+        [result.status, result.messageId || null, result.error || null, failed ? 1 : 0, id, workspaceId],
+        (err) => {
+          if (err) return reject(err);
+          db.get('SELECT * FROM reminder_logs WHERE id = ? AND workspaceId = ?', [id, workspaceId], (getErr, row) => {
+            if (getErr) return reject(getErr);
+            resolve(row || null);
+          });
+        },
       );
     });
-  });
-}
+  }
+
+  function buildReminderLogFilters(filters) {
+    const f = filters || {};
+    const clauses = ['r.workspaceId = ?'];
+    const params = [workspaceId];
+
+    [
+      ['status', 'r.status'],
+      ['triggeredBy', 'r.triggeredBy'],
+      ['ownerUserId', 'r.ownerUserId'],
+      ['channel', 'r.channel'],
+      ['reminderDate', 'r.reminderDate'],
+    ].forEach(([key, column]) => {
+      if (f[key]) {
+        clauses.push(`${column} = ?`);
+        params.push(f[key]);
+      }
+    });
+    addDateRange(clauses, params, 'r.createdAt', f.createdFrom, f.createdTo);
+
+    return { where: `WHERE ${clauses.join(' AND ')}`, params };
+  }
+
+  // Newest first unless `order` says otherwise.
+  function getReminderLogs(options, callback) {
+    const filters = buildReminderLogFilters(options);
+    const page = buildOrderAndPage({ order: 'desc', ...options }, REMINDER_LOG_SORT_FIELDS, 'createdAt', 'r.id');
+
+    db.all(
+      `SELECT r.* FROM reminder_logs r ${filters.where} ${page.sql}`,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching reminder logs:', err);
+          return callback(err);
+        }
+        callback(null, rows || []);
+      },
+    );
+  }
+
+  function countReminderLogs(options, callback) {
+    const filters = buildReminderLogFilters(options);
+
+    db.get(`SELECT COUNT(*) AS total FROM reminder_logs r ${filters.where}`, filters.params, (err, row) => {
+      if (err) {
+        console.error('Error counting reminder logs:', err);
+        return callback(err);
+      }
+      callback(null, row ? row.total : 0);
+    });
+  }
+
+  // Where each user's own reminders go: `reminderEmail`, or their login email
+  // when that is null, once they have opted in.
+  function toReminderDirectoryEntry(row) {
+    return {
+      userId: row.id,
+      name: row.name,
+      email: row.email,
+      reminderEmail: row.reminderEmail || null,
+      reminderPhone: row.reminderPhone || null,
+      remindersOptIn: row.remindersOptIn === 1,
+      timezone: row.timezone || null,
+    };
+  }
+
+  function getReminderDirectory(callback) {
+    db.all(
+      `SELECT id, name, email, reminderEmail, reminderPhone, remindersOptIn, timezone
+      FROM users WHERE workspaceId = ? ORDER BY name COLLATE NOCASE, id`,
+      [workspaceId],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching reminder directory:', err);
+          return callback(err);
+        }
+        callback(null, (rows || []).map(toReminderDirectoryEntry));
+      },
+    );
+  }
+
+  // `changes` may set reminderEmail (null for the login email), reminderPhone,
+  // remindersOptIn and timezone (null for the workspace's). Resolves the updated
+  // entry, or null for an unknown user.
+  function updateReminderDirectoryEntry(userId, changes, callback) {
+    const fields = [];
+    const params = [];
+    if (Object.prototype.hasOwnProperty.call(changes, 'reminderEmail')) {
+      fields.push('reminderEmail = ?');
+      params.push(changes.reminderEmail || null);
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, 'reminderPhone')) {
+      fields.push('reminderPhone = ?');
+      params.push(changes.reminderPhone || null);
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, 'remindersOptIn')) {
+      fields.push('remindersOptIn = ?');
+      params.push(changes.remindersOptIn ? 1 : 0);
+    }
+    if (Object.prototype.hasOwnProperty.call(changes, 'timezone')) {
+      fields.push('timezone = ?');
+      params.push(changes.timezone || null);
+    }
+    if (fields.length === 0) {
+      return callback(new Error('No fields to update'));
+    }
+
+    db.run(
+      `UPDATE users SET ${fields.join(', ')} WHERE id = ? AND workspaceId = ?`,
+      [...params, userId, workspaceId],
+      function (err) {
+        if (err) {
+          console.error('Error updating reminder directory entry:', err);
+          return callback(err);
+        }
+        if (this.changes === 0) return callback(null, null);
+        db.get(
+          `SELECT id, name, email, reminderEmail, reminderPhone, remindersOptIn, timezone
+          FROM users WHERE id = ? AND workspaceId = ?`,
+          [userId, workspaceId],
+          (getErr, row) => {
+            if (getErr) return callback(getErr);
+            callback(null, row ? toReminderDirectoryEntry(row) : null);
+          },
+        );
+      },
+    );
+  }
+
+  function recordAuditEntry(entry, callback) {
+    const row = {
+      id: uuidv4(),
+      actor: entry.actor || null,
+      actorUserId: entry.actorUserId || null,
+      method: entry.method,
+      route: entry.route,
+      path: entry.path,
+      statusCode: entry.statusCode,
+      entityType: entry.entityType || null,
+      entityId: entry.entityId || null,
+      beforeJson: entry.before == null ? null : JSON.stringify(entry.before),
+      afterJson: entry.after == null ? null : JSON.stringify(entry.after),
+      createdAt: new Date().toISOString(),
+    };
+
+    db.run(
+      `
+    INSERT INTO audit_log (
+      id, workspaceId, actor, actorUserId, method, route, path, statusCode, entityType, entityId, beforeJson, afterJson,
+      createdAt
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        row.id,
+        workspaceId,
+        row.actor,
+        row.actorUserId,
+        row.method,
+        row.route,
+        row.path,
+        row.statusCode,
+        row.entityType,
+        row.entityId,
+        row.beforeJson,
+        row.afterJson,
+        row.createdAt,
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error recording audit entry:', err);
+          return callback(err);
+        }
+        callback(null, row.id);
+      },
+    );
+  }
+
+  function buildAuditFilters(filters) {
+    const f = filters || {};
+    const clauses = ['a.workspaceId = ?'];
+    const params = [workspaceId];
+
+    [
+      ['actor', 'a.actor'],
+      ['actorUserId', 'a.actorUserId'],
+      ['method', 'a.method'],
+      ['route', 'a.route'],
+      ['entityType', 'a.entityType'],
+      ['entityId', 'a.entityId'],
+    ].forEach(([key, column]) => {
+      if (f[key]) {
+        clauses.push(`${column} = ?`);
+        params.push(f[key]);
+      }
+    });
+    addDateRange(clauses, params, 'a.createdAt', f.createdFrom, f.createdTo);
+
+    return {
+      where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '',
+      params,
+    };
+  }
+
+  function parseAuditRow(row) {
+    const { beforeJson, afterJson, ...entry } = row;
+    return {
+      ...entry,
+      before: beforeJson ? JSON.parse(beforeJson) : null,
+      after: afterJson ? JSON.parse(afterJson) : null,
+    };
+  }
+
+  // Newest first unless `order` says otherwise.
+  function getAuditEntries(options, callback) {
+    const filters = buildAuditFilters(options);
+    const page = buildOrderAndPage({ order: 'desc', ...options }, AUDIT_SORT_FIELDS, 'createdAt', 'a.id');
+
+    db.all(
+      `SELECT a.* FROM audit_log a ${filters.where} ${page.sql}`,
+      [...filters.params, ...page.params],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching audit log:', err);
+          return callback(err);
+        }
+        callback(null, (rows || []).map(parseAuditRow));
+      },
+    );
+  }
+
+  function countAuditEntries(options, callback) {
+    const filters = buildAuditFilters(options);
+
+    db.get(`SELECT COUNT(*) AS total FROM audit_log a ${filters.where}`, filters.params, (err, row) => {
+      if (err) {
+        console.error('Error counting audit log entries:', err);
+        return callback(err);
+      }
+      callback(null, row ? row.total : 0);
+    });
+  }
+
+  // Workspaces are listed and created across the whole database. A new
+  // workspace gets the default pipeline stages straight away.
+  function getWorkspaces(callback) {
+    db.all('SELECT id, name, timezone, createdAt FROM workspaces ORDER BY createdAt, id', [], (err, rows) => {
+      if (err) {
+        console.error('Error fetching workspaces:', err);
+        return callback(err);
+      }
+      callback(null, rows || []);
+    });
+  }
 
-function getDealWithLead(dealId, callback) {
-  db.get(
-    `
-    SELECT
-      d.*,
-      l.name AS leadName,
-      l.company AS leadCompany,
-      l.email AS leadEmail,
-      l.ownerName AS leadOwnerName
-    FROM deals d
-    LEFT JOIN leads l ON l.id = d.leadId
-    WHERE d.id = ?
-    `,
-    [dealId],
-    (err, row) => {
+  function getWorkspaceById(id, callback) {
+    db.get('SELECT id, name, timezone, createdAt FROM workspaces WHERE id = ?', [id], (err, row) => {
       if (err) {
+        console.error('Error fetching workspace:', err);
         return callback(err);
       }
       callback(null, row || null);
-    },
-  );
-}
+    });
+  }
 
-function getDealsWithLeadAndLastActivity(callback) {
-  db.all(
-    `
-    SELECT
-      d.*,
-      l.name AS leadName,
-      l.company AS leadCompany,
-      l.email AS leadEmail,
-      l.ownerName AS leadOwnerName,
-      la.type AS lastActivityType,
-      la.createdAt AS lastActivityDate
-    FROM deals d
-    LEFT JOIN leads l ON l.id = d.leadId
-    LEFT JOIN (
-      SELECT a.dealId, a.type, a.createdAt
-      FROM activities a
-      INNER JOIN (
-        SELECT dealId, MAX(datetime(createdAt)) AS maxDate
-        FROM activities
-        GROUP BY dealId
-      ) latest ON latest.dealId = a.dealId AND datetime(a.createdAt) = latest.maxDate
-    ) la ON la.dealId = d.id
-    `,
-    [],
-    (err, rows) => {
+  function createWorkspace(workspace, callback) {
+    const row = {
+      id: workspace.id || uuidv4(),
+      name: String(workspace.name).trim(),
+      timezone: workspace.timezone || DEFAULT_TIMEZONE,
+      createdAt: new Date().toISOString(),
+    };
+
+    const sql = 'INSERT INTO workspaces (id, name, timezone, createdAt) VALUES (?, ?, ?, ?)';
+    db.run(sql, [row.id, row.name, row.timezone, row.createdAt], (err) => {
       if (err) {
+        if (err.code === 'SQLITE_CONSTRAINT' && /workspaces\.name/.test(err.message || '')) {
+          return callback(null, { nameTaken: true });
+        }
+        if (err.code === 'SQLITE_CONSTRAINT' && /workspaces\.id/.test(err.message || '')) {
+          return callback(null, { idTaken: true });
+        }
+        console.error('Error creating workspace:', err);
         return callback(err);
       }
-      callback(null, rows || []);
-    },
-  );
-}
+      forWorkspace(row.id).prepareWorkspace((prepareErr) => {
+        if (prepareErr) {
+          console.error('Error preparing new workspace:', prepareErr);
+          return callback(prepareErr);
+        }
+        callback(null, { workspace: row });
+      });
+    });
+  }
 
-function getOutreachStepsForDeal(dealId, callback) {
-  db.all(
-    `
-    SELECT *
-    FROM outreach_steps
-    WHERE dealId = ?
-    ORDER BY datetime(dueDate) ASC, datetime(createdAt) ASC
-    `,
-    [dealId],
-    (err, rows) => {
+  // `changes` may set the timezone. Resolves the updated workspace, or null for
+  // an unknown one.
+  function updateWorkspace(id, changes, callback) {
+    if (!changes.timezone) {
+      return callback(new Error('No fields to update'));
+    }
+    db.run('UPDATE workspaces SET timezone = ? WHERE id = ?', [changes.timezone, id], function (err) {
       if (err) {
-        console.error('Error fetching outreach steps:', err);
+        console.error('Error updating workspace:', err);
         return callback(err);
       }
-      callback(null, rows || []);
-    },
-  );
-}
+      if (this.changes === 0) return callback(null, null);
+      getWorkspaceById(id, callback);
+    });
+  }
 
-function getPendingOutreachStepsDueToday(callback) {
-  db.all(
-    `
-    SELECT
-      id,
-      dealId,
-      dueDate,
-      channel,
-      intent,
-      goal,
-      status
-    FROM outreach_steps
-    WHERE status = 'pending'
-      AND date(dueDate) = date('now')
-    `,
-    [],
-    (err, rows) => {
+  const USER_COLUMNS = 'id, workspaceId, email, name, role, managerId, createdAt';
+
+  function normaliseUserEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  // Leads and deals whose free-text owner matches the new user's name (from
+  // before accounts existed) are linked to the user in the same transaction.
+  function createUser(user, callback) {
+    const row = {
+      id: user.id || uuidv4(),
+      workspaceId,
+      email: normaliseUserEmail(user.email),
+      name: String(user.name).trim(),
+      role: user.role || 'rep',
+      managerId: user.managerId || null,
+      passwordHash: user.passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+
+    runStatementsInTransaction(
+      [
+        {
+          sql: `
+          INSERT INTO users (id, workspaceId, email, name, role, managerId, passwordHash, createdAt)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          params: [row.id, workspaceId, row.email, row.name, row.role, row.managerId, row.passwordHash, row.createdAt],
+        },
+        {
+          sql: `UPDATE leads SET ownerUserId = ?
+          WHERE workspaceId = ? AND ownerUserId IS NULL AND ownerName = ? COLLATE NOCASE`,
+          params: [row.id, workspaceId, row.name],
+        },
+        {
+          sql: `UPDATE deals SET ownerUserId = ?
+          WHERE workspaceId = ? AND ownerUserId IS NULL AND ownerName = ? COLLATE NOCASE`,
+          params: [row.id, workspaceId, row.name],
+        },
+      ],
+      (err, results) => {
+        if (err) {
+          if (err.code === 'SQLITE_CONSTRAINT' && /users\.email/.test(err.message || '')) {
+            return callback(null, { emailTaken: true });
+          }
+          console.error('Error creating user:', err);
+          return callback(err);
+        }
+
+        const { passwordHash, ...created } = row;
+        callback(null, { user: created, linkedLeads: results[1].changes, linkedDeals: results[2].changes });
+      },
+    );
+  }
+
+  function getUsers(callback) {
+    const usersSql = `SELECT ${USER_COLUMNS} FROM users WHERE workspaceId = ? ORDER BY name COLLATE NOCASE, id`;
+    db.all(usersSql, [workspaceId], (err, rows) => {
       if (err) {
-        console.error('Error fetching pending outreach steps due today:', err);
+        console.error('Error fetching users:', err);
         return callback(err);
       }
       callback(null, rows || []);
-    },
-  );
-}
+    });
+  }
 
-async function getImportantRemindersForToday() {
-  const toDateKey = (d) => {
-    const year = d.getFullYear();
-    const month = String(d.getMonth() + 1).padStart(2, '0');
-    const day = String(d.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  };
+  function getUserById(userId, callback) {
+    db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ? AND workspaceId = ?`, [userId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching user:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
+  }
 
-  const todayKey = toDateKey(new Date());
+  // `changes` may hold name, role and managerId (null removes the manager). A new
+  // name is copied to the ownerName of the user's leads and deals. Returns null
+  // for an unknown user.
+  function updateUser(userId, changes, callback) {
+    const fields = [];
+    const params = [];
 
-  const deals = await new Promise((resolve, reject) => {
-    getDealsWithLeadAndLastActivity((err, rows) => {
-      if (err) return reject(err);
-      resolve(rows || []);
+    ['name', 'role', 'managerId'].forEach((field) => {
+      if (!Object.prototype.hasOwnProperty.call(changes, field)) return;
+      fields.push(`${field} = ?`);
+      params.push(field === 'name' ? String(changes.name).trim() : changes[field]);
     });
-  });
 
-  const reminders = [];
-
-  for (const deal of deals) {
-    const dateStr = deal.nextActionDate;
-    if (dateStr) {
-      const date = new Date(dateStr);
-      if (!Number.isNaN(date.getTime())) {
-        const key = toDateKey(date);
-        let urgency = null;
-        if (key < todayKey) urgency = 'overdue';
-        else if (key === todayKey) urgency = 'today';
-
-        if (urgency) {
-          reminders.push({
-            type: 'nextAction',
-            urgency,
-            dealId: deal.id,
-            leadId: deal.leadId,
-            ownerName: deal.ownerName || null,
-            leadName: deal.leadName || null,
-            dealTitle: deal.title,
-            nextAction: deal.nextAction || null,
-            dueDate: deal.nextActionDate || null,
-          });
-        }
-      }
+    if (fields.length === 0) {
+      return callback(new Error('No fields to update'));
     }
 
-    const steps = await new Promise((resolve, reject) => {
-      getOutreachStepsForDeal(deal.id, (err, rows) => {
-        if (err) return reject(err);
-        resolve(rows || []);
+    const statements = [
+      { sql: `UPDATE users SET ${fields.join(', ')} WHERE id = ? AND workspaceId = ?`, params: [...params, userId, workspaceId] },
+    ];
+    if (changes.name !== undefined) {
+      ['leads', 'deals'].forEach((table) => {
+        statements.push({
+          sql: `UPDATE ${table} SET ownerName = (SELECT name FROM users WHERE id = ?)
+          WHERE ownerUserId = ? AND workspaceId = ?`,
+          params: [userId, userId, workspaceId],
+        });
       });
+    }
+
+    runStatementsInTransaction(statements, (err, results) => {
+      if (err) {
+        console.error('Error updating user:', err);
+        return callback(err);
+      }
+      if (results[0].changes === 0) return callback(null, null);
+      getUserById(userId, callback);
     });
+  }
 
-    steps
-      .filter((step) => step && step.status === 'pending')
-      .forEach((step) => {
-        const stepDate = step.dueDate ? new Date(step.dueDate) : null;
-        if (!stepDate || Number.isNaN(stepDate.getTime())) return;
-
-        const key = toDateKey(stepDate);
-        let urgency = null;
-        if (key < todayKey) urgency = 'overdue';
-        else if (key === todayKey) urgency = 'today';
-
-        if (!urgency) return;
-
-        reminders.push({
-          type: 'outreachStep',
-          urgency,
-          dealId: deal.id,
-          leadId: deal.leadId,
-          ownerName: deal.ownerName || null,
-          leadName: deal.leadName || null,
-          dealTitle: deal.title,
-          channel: step.channel,
-          intent: step.intent,
-          goal: step.goal,
-          dueDate: step.dueDate,
-        });
-      });
+  // Includes passwordHash; only for checking a login. Email addresses are
+  // unique across workspaces, so this finds the user in any workspace.
+  function getUserCredentials(email, callback) {
+    db.get(`SELECT ${USER_COLUMNS}, passwordHash FROM users WHERE email = ?`, [normaliseUserEmail(email)], (err, row) => {
+      if (err) {
+        console.error('Error fetching user credentials:', err);
+        return callback(err);
+      }
+      callback(null, row || null);
+    });
   }
 
-  return reminders;
-}
+  function createSession(session, callback) {
+    const row = {
+      id: uuidv4(),
+      tokenHash: session.tokenHash,
+      userId: session.userId,
+      createdAt: new Date().toISOString(),
+      expiresAt: session.expiresAt,
+    };
 
-const DEFAULT_REMINDER_SETTINGS = {
-  remindersEnabled: false,
-  reminderChannel: 'email',
-};
+    db.run(
+      'INSERT INTO sessions (id, tokenHash, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?)',
+      [row.id, row.tokenHash, row.userId, row.createdAt, row.expiresAt],
+      (err) => {
+        if (err) {
+          console.error('Error creating session:', err);
+          return callback(err);
+        }
+        callback(null, { id: row.id, userId: row.userId, createdAt: row.createdAt, expiresAt: row.expiresAt });
+      },
+    );
+  }
+
+  // The user a session token belongs to (in any workspace), or null if the
+  // session is unknown or expired.
+  function getSessionUser(tokenHash, callback) {
+    db.get(
+      `
+    SELECT
+      u.id, u.workspaceId, u.email, u.name, u.role, u.managerId, u.createdAt,
+      s.id AS sessionId, s.expiresAt AS sessionExpiresAt
+    FROM sessions s
+    JOIN users u ON u.id = s.userId
+    WHERE s.tokenHash = ? AND s.expiresAt > ?
+    `,
+      [tokenHash, new Date().toISOString()],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching session:', err);
+          return callback(err);
+        }
+        callback(null, row || null);
+      },
+    );
+  }
 
-function getReminderSettings() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT value FROM settings WHERE key = ?', ['reminders'], (err, row) => {
-      if (err) return reject(err);
-      if (!row || !row.value) {
-        return resolve({ ...DEFAULT_REMINDER_SETTINGS });
+  function deleteSession(sessionId, callback) {
+    db.run('DELETE FROM sessions WHERE id = ?', [sessionId], function (err) {
+      if (err) {
+        console.error('Error deleting session:', err);
+        return callback(err);
       }
-      try {
-        const parsed = JSON.parse(row.value);
-        resolve({
-          ...DEFAULT_REMINDER_SETTINGS,
-          ...parsed,
-        });
-      } catch (parseErr) {
-        console.warn('Failed to parse reminder settings, using defaults:', parseErr);
-        resolve({ ...DEFAULT_REMINDER_SETTINGS });
+      callback(null, { deleted: this.changes > 0 });
+    });
+  }
+
+  function deleteExpiredSessions(callback) {
+    db.run('DELETE FROM sessions WHERE expiresAt <= ?', [new Date().toISOString()], function (err) {
+      if (err) {
+        console.error('Error deleting expired sessions:', err);
+        return callback(err);
       }
+      callback(null, this.changes);
     });
-  });
-}
+  }
 
-async function saveReminderSettings(partial) {
-  const current = await getReminderSettings();
-  const next = {
-    ...current,
-    ...(partial || {}),
-  };
-  const value = JSON.stringify(next);
+  const API_KEY_COLUMNS = 'id, workspaceId, name, prefix, scopes, createdByUserId, createdAt, lastUsedAt, revokedAt';
+
+  function parseApiKeyRow(row) {
+    if (!row) return null;
+    let scopes = [];
+    try {
+      scopes = JSON.parse(row.scopes) || [];
+    } catch (parseErr) {
+      console.error(`Error parsing scopes of API key ${row.id}:`, parseErr);
+    }
+    return { ...row, scopes };
+  }
+
+  function createApiKey(apiKey, callback) {
+    const row = {
+      id: uuidv4(),
+      workspaceId,
+      name: String(apiKey.name).trim(),
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      createdByUserId: apiKey.createdByUserId || null,
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null,
+      revokedAt: null,
+    };
 
-  return new Promise((resolve, reject) => {
     db.run(
-      'INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
-      ['reminders', value],
+      `
+    INSERT INTO api_keys (id, workspaceId, name, prefix, keyHash, scopes, createdByUserId, createdAt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        row.id,
+        workspaceId,
+        row.name,
+        row.prefix,
+        apiKey.keyHash,
+        JSON.stringify(row.scopes),
+        row.createdByUserId,
+        row.createdAt,
+      ],
       (err) => {
-        if (err) return reject(err);
-        resolve(next);
+        if (err) {
+          console.error('Error creating API key:', err);
+          return callback(err);
+        }
+        callback(null, row);
       },
     );
-  });
-}
+  }
 
-function createOutreachSteps(steps, callback) {
-  if (!Array.isArray(steps) || steps.length === 0) {
-    return callback(null);
+  function getApiKeys(callback) {
+    const keysSql = `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE workspaceId = ? ORDER BY createdAt DESC, id`;
+    db.all(keysSql, [workspaceId], (err, rows) => {
+      if (err) {
+        console.error('Error fetching API keys:', err);
+        return callback(err);
+      }
+      callback(null, (rows || []).map(parseApiKeyRow));
+    });
   }
 
-  db.serialize(() => {
-    db.run('BEGIN TRANSACTION');
-    let hasErrored = false;
-    let remaining = steps.length;
+  // The key with this hash (in any workspace), or null if it is unknown or has
+  // been revoked.
+  function getActiveApiKeyByHash(keyHash, callback) {
+    db.get(
+      `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE keyHash = ? AND revokedAt IS NULL`,
+      [keyHash],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching API key:', err);
+          return callback(err);
+        }
+        callback(null, parseApiKeyRow(row));
+      },
+    );
+  }
 
-    steps.forEach((step) => {
-      if (hasErrored) {
-        return;
+  function markApiKeyUsed(apiKeyId, callback) {
+    db.run('UPDATE api_keys SET lastUsedAt = ? WHERE id = ?', [new Date().toISOString(), apiKeyId], (err) => {
+      if (err) {
+        console.error('Error recording API key use:', err);
+        return callback(err);
+      }
+      callback(null);
+    });
+  }
+
+  function revokeApiKey(apiKeyId, callback) {
+    db.get(`SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE id = ? AND workspaceId = ?`, [apiKeyId, workspaceId], (err, row) => {
+      if (err) {
+        console.error('Error fetching API key:', err);
+        return callback(err);
       }
+      if (!row) return callback(null, { notFound: true });
+      if (row.revokedAt) return callback(null, { alreadyRevoked: true });
 
-      const statusValue = step.status || 'pending';
-      const completedAt = statusValue === 'pending' ? null : new Date().toISOString();
-      const id = step.id || uuidv4();
+      const revokedAt = new Date().toISOString();
+      db.run('UPDATE api_keys SET revokedAt = ? WHERE id = ?', [revokedAt, apiKeyId], (updateErr) => {
+        if (updateErr) {
+          console.error('Error revoking API key:', updateErr);
+          return callback(updateErr);
+        }
+        callback(null, { apiKey: parseApiKeyRow({ ...row, revokedAt }) });
+      });
+    });
+  }
 
-      db.run(
-        `
+  function createOutreachSteps(steps, callback) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return callback(null);
+    }
+
+    const statements = steps.map((step) => {
+      const statusValue = step.status || 'pending';
+      return {
+        sql: `
         INSERT INTO outreach_steps (
           id,
+          workspaceId,
           dealId,
           dueDate,
           channel,
@@ -960,69 +4136,59 @@ function createOutreachSteps(steps, callback) {
           goal,
           status,
           completedAt
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `,
-        [
-          id,
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+        params: [
+          step.id || uuidv4(),
+          workspaceId,
           step.dealId,
           step.dueDate,
           step.channel,
           step.intent,
           step.goal || null,
           statusValue,
-          completedAt,
+          statusValue === 'pending' ? null : new Date().toISOString(),
         ],
-        (err) => {
-          if (err) {
-            hasErrored = true;
-            console.error('Error inserting outreach step:', err);
-            return db.run('ROLLBACK', () => callback(err));
-          }
+      };
+    });
 
-          remaining -= 1;
-          if (remaining === 0 && !hasErrored) {
-            db.run('COMMIT', (commitErr) => {
-              if (commitErr) {
-                console.error('Error committing outreach steps:', commitErr);
-                return callback(commitErr);
-              }
-              callback(null);
-            });
-          }
-        },
-      );
+    runStatementsInTransaction(statements, (err) => {
+      if (err) {
+        console.error('Error inserting outreach steps:', err);
+        return callback(err);
+      }
+      callback(null);
     });
-  });
-}
+  }
 
-function updateOutreachStepStatus(stepId, status, callback) {
-  const completedAt = status === 'pending' ? null : new Date().toISOString();
+  function updateOutreachStepStatus(stepId, status, callback) {
+    const completedAt = status === 'pending' ? null : new Date().toISOString();
 
-  db.run(
-    `
+    db.run(
+      `
     UPDATE outreach_steps
     SET status = ?, completedAt = ?
-    WHERE id = ?
+    WHERE id = ? AND workspaceId = ?
     `,
-    [status, completedAt, stepId],
-    function (err) {
-      if (err) {
-        console.error('Error updating outreach step status:', err);
-        return callback(err);
-      }
+      [status, completedAt, stepId, workspaceId],
+      function (err) {
+        if (err) {
+          console.error('Error updating outreach step status:', err);
+          return callback(err);
+        }
 
-      if (this.changes === 0) {
-        return callback(null, { notFound: true });
-      }
+        if (this.changes === 0) {
+          return callback(null, { notFound: true });
+        }
 
-      callback(null, { notFound: false });
-    },
-  );
-}
+        callback(null, { notFound: false });
+      },
+    );
+  }
 
-function getDealContextForMessageDraft(dealId, callback) {
-  db.get(
-    `
+  function getDealContextForMessageDraft(dealId, callback) {
+    db.get(
+      `
     SELECT
       d.id AS dealId,
       d.leadId,
@@ -1032,89 +4198,206 @@ function getDealContextForMessageDraft(dealId, callback) {
       d.nextAction,
       d.nextActionDate,
       d.ownerName AS dealOwnerName,
-      l.name AS leadName,
-      l.company,
-      l.email,
-      l.phone
+      l.ownerName AS leadOwnerName,
+      COALESCE(pc.name, l.name) AS leadName,
+      COALESCE(co.name, l.company) AS company,
+      COALESCE(pc.email, l.email) AS email,
+      COALESCE(pc.phone, l.phone) AS phone,
+      pc.id AS primaryContactId,
+      pc.role
     FROM deals d
     LEFT JOIN leads l ON l.id = d.leadId
-    WHERE d.id = ?
+    ${PRIMARY_CONTACT_JOINS}
+    WHERE d.id = ? AND d.workspaceId = ?
     `,
-    [dealId],
-    (err, row) => {
-      if (err) {
-        console.error('Error fetching deal context:', err);
-        return callback(err);
-      }
+      [dealId, workspaceId],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching deal context:', err);
+          return callback(err);
+        }
 
-      if (!row) {
-        return callback(null, null);
-      }
+        if (!row) {
+          return callback(null, null);
+        }
 
-      db.get(
-        `
+        db.get(
+          `
         SELECT type, note, createdAt
         FROM activities
         WHERE dealId = ?
         ORDER BY datetime(createdAt) DESC
         LIMIT 1
         `,
-        [dealId],
-        (actErr, activity) => {
-          if (actErr) {
-            console.error('Error fetching last activity for deal:', actErr);
-          }
+          [dealId],
+          (actErr, activity) => {
+            if (actErr) {
+              console.error('Error fetching last activity for deal:', actErr);
+            }
 
-          const context = {
-            leadId: row.leadId,
-            dealId: row.dealId,
-            leadName: row.leadName || null,
-            company: row.company || null,
-            role: null,
-            email: row.email || null,
-            phone: row.phone || null,
-            stage: row.stage || null,
-            dealName: row.dealName || null,
-            valueGBP: row.valueGBP != null ? Number(row.valueGBP) : null,
-            productsOrServices: null,
-            keyBenefits: null,
-            lastActivityType: activity ? activity.type : null,
-            lastActivityDate: activity ? activity.createdAt : null,
-            lastActivityNotes: activity ? activity.note : null,
-            dealOwnerName: row.dealOwnerName || 'Unassigned',
-            leadOwnerName: row.leadOwnerName || 'Unassigned',
-          };
+            getContactsForDeal(dealId, (contactsErr, contacts) => {
+              if (contactsErr) {
+                console.error('Error fetching contacts for deal context:', contactsErr);
+              }
 
-          return callback(null, context);
-        },
-      );
-    },
-  );
+              const context = {
+                leadId: row.leadId,
+                dealId: row.dealId,
+                leadName: row.leadName || null,
+                company: row.company || null,
+                role: row.role || null,
+                email: row.email || null,
+                phone: row.phone || null,
+                stage: row.stage || null,
+                dealName: row.dealName || null,
+                valueGBP: row.valueGBP != null ? Number(row.valueGBP) : null,
+                productsOrServices: null,
+                keyBenefits: null,
+                lastActivityType: activity ? activity.type : null,
+                lastActivityDate: activity ? activity.createdAt : null,
+                lastActivityNotes: activity ? activity.note : null,
+                dealOwnerName: row.dealOwnerName || 'Unassigned',
+                leadOwnerName: row.leadOwnerName || 'Unassigned',
+                contacts: (contacts || []).map((c) => ({
+                  name: c.name,
+                  role: c.role || null,
+                  email: c.email || null,
+                  isPrimary: !!c.isPrimary,
+                })),
+              };
+
+              return callback(null, context);
+            });
+          },
+        );
+      },
+    );
+  }
+
+  const store = {
+    db,
+    dbPath,
+    workspaceId,
+    close,
+    forWorkspace,
+    forTransaction,
+    initialiseDb,
+    prepareWorkspace,
+    runInTransaction,
+    getPipelineStages,
+    getPipelineStageById,
+    createPipelineStage,
+    updatePipelineStage,
+    deletePipelineStage,
+    createLead,
+    getDealWithLead,
+    getLeads,
+    countLeads,
+    getLeadById,
+    getDealById,
+    getDeals,
+    countDeals,
+    createActivity,
+    getActivitiesForDeal,
+    updateDealStage,
+    getDealStageHistory,
+    searchRecords,
+    rebuildSearchIndexes,
+    createDeal,
+    updateDealDetails,
+    deleteLeadAndRelated,
+    deleteDealAndRelated,
+    archiveLead,
+    restoreLead,
+    archiveDeal,
+    restoreDeal,
+    purgeArchivedRecords,
+    getIntegrityReport,
+    repairIntegrity,
+    backupDatabase,
+    dumpDatabase,
+    restoreDump,
+    getDealsWithLeadAndLastActivity,
+    getActivitiesWithDeal,
+    getOutreachStepsWithDeal,
+    getDealContextForMessageDraft,
+    getRecentActivitiesForDeal,
+    getOutreachStepsForDeal,
+    getOutreachStepById,
+    createOutreachSteps,
+    updateOutreachStepStatus,
+    updateLeadOwner,
+    updateLeadFields,
+    getLeadHistory,
+    findDuplicateLeads,
+    mergeLeads,
+    getLeadMatchKeys,
+    createLeadImport,
+    completeLeadImport,
+    getLeadImports,
+    getLeadImportById,
+    rollbackLeadImport,
+    getCompanies,
+    getCompanyWithContactsAndDeals,
+    createCompany,
+    createContact,
+    getContactsForDeal,
+    addContactToDeal,
+    removeContactFromDeal,
+    getReminderSettings,
+    saveReminderSettings,
+    getAiSettings,
+    saveAiSettings,
+    recordReminderLog,
+    claimReminderSend,
+    finishReminderSend,
+    getReminderLogs,
+    countReminderLogs,
+    getReminderDirectory,
+    updateReminderDirectoryEntry,
+    recordAuditEntry,
+    getAuditEntries,
+    countAuditEntries,
+    getWorkspaces,
+    getWorkspaceById,
+    createWorkspace,
+    updateWorkspace,
+    createUser,
+    getUsers,
+    getUserById,
+    updateUser,
+    getUserCredentials,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    deleteExpiredSessions,
+    createApiKey,
+    getApiKeys,
+    getActiveApiKeyByHash,
+    markApiKeyUsed,
+    revokeApiKey,
+  };
+  connection.workspaceStores.set(workspaceId, store);
+  return store;
 }
 
 module.exports = {
-  db,
-  initialiseDb,
-  DB_PATH,
-  createLead,
-  getDealWithLead,
-  getLeads,
-  createActivity,
-  getActivitiesForDeal,
-  updateDealStage,
-  createDeal,
-  updateDealDetails,
-  deleteLeadAndRelated,
-  getDealsWithLeadAndLastActivity,
-  getDealContextForMessageDraft,
-  getRecentActivitiesForDeal,
-  getOutreachStepsForDeal,
-  createOutreachSteps,
-  updateOutreachStepStatus,
-  getPendingOutreachStepsDueToday,
-  updateLeadOwnerName,
-  updateDealsOwnerForLead,
-  getImportantRemindersForToday,
-  getReminderSettings,
-  saveReminderSettings,
+  createDatabase,
+  DEFAULT_WORKSPACE_ID,
+  resolveDbPath,
+  DEFAULT_DB_PATH,
+  UNASSIGNED_OWNER_NAME,
+  DUMP_FORMAT,
+  readDumpFromFile,
+  isForeignKeyError,
+  normaliseStageName,
+  LEAD_SORT_FIELDS,
+  EDITABLE_LEAD_FIELDS,
+  DEAL_SORT_FIELDS,
+  ACTIVITY_SORT_FIELDS,
+  OUTREACH_STEP_SORT_FIELDS,
+  AUDIT_SORT_FIELDS,
+  REMINDER_LOG_SORT_FIELDS,
+  normaliseEmail,
+  normalisePhone,
 };
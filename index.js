@@ -2,933 +2,2813 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const OpenAI = require('openai');
-const nodemailer = require('nodemailer');
 
 const { v4: uuidv4 } = require('uuid');
 const {
-  db,
-  initialiseDb,
-  createLead,
-  getLeads,
-  getDealWithLead,
-  createActivity,
-  getActivitiesForDeal,
-  updateDealStage,
-  createDeal,
-  updateDealDetails,
-  deleteLeadAndRelated,
-  getDealsWithLeadAndLastActivity,
-  getDealContextForMessageDraft,
-  getRecentActivitiesForDeal,
-  getOutreachStepsForDeal,
-  createOutreachSteps,
-  updateOutreachStepStatus,
-  getPendingOutreachStepsDueToday,
-  updateLeadOwnerName,
-  updateDealsOwnerForLead,
-  getImportantRemindersForToday,
-  getReminderSettings,
-  saveReminderSettings,
+  createDatabase,
+  DEFAULT_WORKSPACE_ID,
+  DUMP_FORMAT,
+  LEAD_SORT_FIELDS,
+  EDITABLE_LEAD_FIELDS,
+  DEAL_SORT_FIELDS,
+  ACTIVITY_SORT_FIELDS,
+  OUTREACH_STEP_SORT_FIELDS,
+  AUDIT_SORT_FIELDS,
+  REMINDER_LOG_SORT_FIELDS,
+  normaliseEmail,
+  normalisePhone,
+  normaliseStageName,
+  UNASSIGNED_OWNER_NAME,
 } = require('./db');
-
+const { createRepositories, isForeignKeyError } = require('./repositories');
+const { createBackups } = require('./backups');
 const {
-  REMINDER_EMAIL_FROM,
-  REMINDER_EMAIL_TO,
-  SMTP_HOST,
-  SMTP_PORT,
-  SMTP_USER,
-  SMTP_PASS,
-} = process.env;
-
-const DEFAULT_OWNER_NAME = 'Zax Kalyan';
-
-let mailTransporter = null;
-
-function getMailTransporter() {
-  if (!mailTransporter) {
-    if (!SMTP_HOST || !SMTP_PORT || !SMTP_USER || !SMTP_PASS) {
-      console.warn('SMTP is not fully configured; email sending is disabled.');
-      return null;
-    }
-
-    mailTransporter = nodemailer.createTransport({
-      host: SMTP_HOST,
-      port: Number(SMTP_PORT),
-      secure: Number(SMTP_PORT) === 465,
-      auth: {
-        user: SMTP_USER,
-        pass: SMTP_PASS,
-      },
-    });
-  }
-  return mailTransporter;
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPasswordOrDummy,
+  generateSessionToken,
+  hashSessionToken,
+  generateApiKey,
+  isApiKey,
+  hashApiKey,
+  getBearerToken,
+} = require('./auth');
+const { csvToRecords, toCsvLine } = require('./csv');
+const { createReminderDigest } = require('./reminders');
+const { CHANNELS } = require('./notifications');
+const { WEEKDAYS, isValidTimeZone, getZonedDateTime, zonedTimeToDate, addDays, toZonedDateKey } = require('./time');
+
+const SESSION_TTL_HOURS = Number.parseFloat(process.env.SESSION_TTL_HOURS);
+const SESSION_TTL_MS = (SESSION_TTL_HOURS > 0 ? SESSION_TTL_HOURS : 24) * 60 * 60 * 1000;
+// Routes that can be called without signing in.
+const PUBLIC_ROUTES = ['GET /health', 'POST /auth/login'];
+const ROLES = ['rep', 'manager', 'admin'];
+// Workspace ids end up in URLs and CLI arguments, so they are kept simple.
+const WORKSPACE_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+const API_KEY_SCOPES = [
+  'leads:read',
+  'leads:write',
+  'deals:read',
+  'deals:write',
+  'companies:read',
+  'companies:write',
+  'reminders:read',
+  'ai:invoke',
+];
+// The scope resource for each top-level path an API key may use. Activities and
+// outreach steps belong to deals.
+const API_KEY_RESOURCES = {
+  leads: 'leads',
+  deals: 'deals',
+  'outreach-steps': 'deals',
+  'pipeline-stages': 'deals',
+  companies: 'companies',
+  reminders: 'reminders',
+};
+
+// The scopes an API key needs for a request: `<resource>:read` for GET,
+// `<resource>:write` for anything else, and `ai:invoke` for the AI endpoints.
+// Null for routes API keys cannot use at all (accounts, API keys, settings,
+// imports, exports, the audit log and /admin).
+function getRequiredApiKeyScopes(method, path) {
+  const resource = path.split('/')[1];
+  const access = method === 'GET' || method === 'HEAD' ? 'read' : 'write';
+  if (resource === 'ai') return ['ai:invoke'];
+  if (resource === 'search') return access === 'read' ? ['leads:read', 'deals:read'] : null;
+
+  const scope = API_KEY_RESOURCES[resource] ? `${API_KEY_RESOURCES[resource]}:${access}` : null;
+  return scope && API_KEY_SCOPES.includes(scope) ? [scope] : null;
 }
 
-const app = express();
-const PORT = process.env.PORT || 3003;
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-if (!process.env.OPENAI_API_KEY) {
-  console.warn('⚠️  OPENAI_API_KEY is not set. AI endpoints will return stub responses.');
+function isTruthyQueryFlag(value) {
+  return typeof value === 'string' && ['1', 'true', 'yes'].includes(value.toLowerCase());
 }
 
-app.use(cors());
-app.use(express.json());
-
-initialiseDb();
+// The signed-in user's name, or the API key's, recorded as who made a change.
+function getRequestActor(req) {
+  if (req.apiKey) return `API key ${req.apiKey.name} (${req.apiKey.prefix})`;
+  return req.user ? req.user.name : null;
+}
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    service: 'lead-desk-backend',
-    port: Number(PORT),
-  });
-});
+// The id of the signed-in user, or of the API key, for history that stores who
+// made a change by id.
+function getRequestActorId(req) {
+  if (req.apiKey) return req.apiKey.id;
+  return req.user ? req.user.id : null;
+}
 
-app.get('/reminders/today', async (req, res) => {
-  try {
-    const reminders = await getImportantRemindersForToday();
-    res.json({
-      date: new Date().toISOString(),
-      reminders,
-    });
-  } catch (err) {
-    console.error('Error in /reminders/today:', err);
-    res.status(500).json({ error: 'Failed to load reminders for today' });
+// Whose leads and deals a user can see and change: admins everyone's (null),
+// managers their own, their team's (users whose managerId is theirs) and
+// unassigned ones, and reps only their own. `userList` is only read for managers.
+function getOwnerScope(user, userList) {
+  if (user.role === 'admin') return null;
+  if (user.role === 'manager') {
+    const team = userList.filter((member) => member.managerId === user.id).map((member) => member.id);
+    return { userIds: [user.id, ...team], includeUnassigned: true };
   }
-});
-
-function buildRemindersEmailPreview(reminders) {
-  const now = new Date();
-  const isoDate = now.toISOString();
-  const dateLabel = isoDate.slice(0, 10); // YYYY-MM-DD
-
-  const totalReminders = reminders.length;
-
-  const subject =
-    totalReminders === 0
-      ? `Lead Desk – ${dateLabel}: No urgent reminders`
-      : `Lead Desk – ${dateLabel}: ${totalReminders} urgent reminder${totalReminders === 1 ? '' : 's'}`;
+  return { userIds: [user.id], includeUnassigned: false };
+}
 
-  if (totalReminders === 0) {
-    return {
-      date: isoDate,
-      totalReminders,
-      subject,
-      textBody: `Lead Desk – ${dateLabel}\n\nNo overdue or due-today reminders.\n`,
-    };
-  }
+function canAccessOwner(scope, ownerUserId) {
+  if (!scope) return true;
+  return ownerUserId ? scope.userIds.includes(ownerUserId) : scope.includeUnassigned;
+}
 
-  const groups = new Map();
+// Route middleware that only lets users with one of `roles` through.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
 
-  for (const r of reminders) {
-    const ownerLabel = r.ownerName && r.ownerName.trim()
-      ? r.ownerName.trim()
-      : 'Unassigned owner';
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+// POST routes that only generate text and change nothing.
+const UNAUDITED_ROUTES = ['/ai/next-step', '/ai/deal-recovery', '/ai/reminder-text', '/ai/message-draft'];
+const AUDIT_ENTITY_PARAMS = {
+  leadId: 'lead',
+  dealId: 'deal',
+  stepId: 'outreachStep',
+  stageId: 'pipelineStage',
+  companyId: 'company',
+  contactId: 'contact',
+  importId: 'leadImport',
+  userId: 'user',
+  keyId: 'apiKey',
+  name: 'backup',
+};
+
+// Records what a mutating route changed, for its audit log entry. Snapshots are
+// the stored rows before and after the change (null for creates and deletes).
+function auditChange(res, entityType, entityId, before, after) {
+  res.locals.audit = { entityType, entityId, before: before || null, after: after || null };
+}
 
-    if (!groups.has(ownerLabel)) {
-      groups.set(ownerLabel, []);
-    }
-    groups.get(ownerLabel).push(r);
-  }
+// Routes that do not call auditChange are logged against their first id parameter.
+function inferAuditEntity(req) {
+  const param = Object.keys(req.params || {}).find((key) => AUDIT_ENTITY_PARAMS[key]);
+  return param ? { entityType: AUDIT_ENTITY_PARAMS[param], entityId: req.params[param] } : {};
+}
 
-  const lines = [];
-  lines.push(`Lead Desk – ${dateLabel}`);
-  lines.push('');
-  lines.push('The following items are overdue or due today:');
-  lines.push('');
-
-  for (const [ownerLabel, ownerReminders] of groups.entries()) {
-    lines.push(`Owner: ${ownerLabel}`);
-    for (const r of ownerReminders) {
-      const urgencyTag = r.urgency === 'overdue' ? '[OVERDUE]' : '[TODAY]';
-      const leadPart = r.leadName ? ` | Lead: ${r.leadName}` : '';
-      const dealPart = r.dealTitle ? ` | Deal: ${r.dealTitle}` : '';
-      const datePart = r.dueDate ? ` | Due: ${r.dueDate}` : '';
-
-      if (r.type === 'nextAction') {
-        const actionText = r.nextAction || 'Next action';
-        lines.push(
-          `  ${urgencyTag} Next action: ${actionText}${leadPart}${dealPart}${datePart}`,
-        );
-      } else if (r.type === 'outreachStep') {
-        const channel = r.channel || 'channel';
-        const goal = r.goal || r.intent || 'Outreach step';
-        lines.push(
-          `  ${urgencyTag} Outreach via ${channel}: ${goal}${leadPart}${dealPart}${datePart}`,
-        );
-      } else {
-        lines.push(
-          `  ${urgencyTag} Reminder${leadPart}${dealPart}${datePart}`,
-        );
+// Wraps an async route handler. Anything it throws is logged and answered with
+// a 500 carrying `failureMessage`, so handlers only deal with their own 4xx
+// responses.
+function route(failureMessage, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      console.error(`${req.method} ${req.path}: ${failureMessage}`, err);
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
       }
+      res.status(500).json({ error: failureMessage });
     }
-    lines.push('');
-  }
-
-  const textBody = lines.join('\n');
-
-  return {
-    date: isoDate,
-    totalReminders,
-    subject,
-    textBody,
   };
 }
 
-app.get('/reminders/today/email-preview', async (req, res) => {
-  try {
-    const reminders = await getImportantRemindersForToday();
-    const preview = buildRemindersEmailPreview(reminders || []);
-    res.json(preview);
-  } catch (err) {
-    console.error('Error in /reminders/today/email-preview:', err);
-    res.status(500).json({ error: 'Failed to build reminders email preview' });
-  }
+const PORT = process.env.PORT || 3003;
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY,
 });
 
-app.get('/settings/reminders', async (req, res) => {
-  try {
-    const settings = await getReminderSettings();
-    res.json(settings);
-  } catch (err) {
-    console.error('Error in GET /settings/reminders:', err);
-    res.status(500).json({ error: 'Failed to load reminder settings' });
+if (!process.env.OPENAI_API_KEY) {
+  console.warn('⚠️  OPENAI_API_KEY is not set. AI endpoints will return stub responses.');
+}
+
+// A one- or two-sentence reminder of a deal's next action for the salesperson,
+// worded for `channel` ('SMS' or 'WhatsApp'). Resolves { message, source }:
+// `openai`, or `stub`/`fallback` text when the AI is not configured or fails.
+async function generateReminderText({ nextAction, nextActionDate, leadName, leadCompany }, channel) {
+  const displayName = leadName || 'your client';
+  const companyName = leadCompany ? ` at ${leadCompany}` : '';
+  const datePart = nextActionDate ? ` on ${nextActionDate}` : '';
+  const actionPart = nextAction
+    ? ` about "${nextAction}"`
+    : ' about the next step in your project';
+
+  if (!process.env.OPENAI_API_KEY) {
+    const stub =
+      `Reminder: contact ${displayName}${companyName}${actionPart}${datePart}. ` +
+      'Keep it short, reconfirm their priorities, and suggest a specific time for the next call.';
+    return { message: stub, source: 'stub' };
   }
-});
 
-app.post('/settings/reminders', async (req, res) => {
   try {
-    const { remindersEnabled, reminderChannel } = req.body || {};
-    const partial = {};
+    const systemPrompt =
+      'You are a sales assistant. Generate a short, friendly reminder message (1–2 sentences) suitable for ' +
+      (channel === 'WhatsApp' ? 'WhatsApp' : 'SMS') +
+      ', reminding the salesperson what they need to do next. Address the opportunity in neutral terms (no greeting, no signature).';
 
-    if (typeof remindersEnabled === 'boolean') {
-      partial.remindersEnabled = remindersEnabled;
-    }
+    const userContext = `
+Recipient: ${displayName}${companyName}
+Next action: ${nextAction || 'not specified'}
+Due: ${nextActionDate || 'not specified'}
+Channel: ${channel}
+`;
 
-    if (typeof reminderChannel === 'string') {
-      const normalized = reminderChannel.toLowerCase();
-      if (['email', 'sms', 'whatsapp'].includes(normalized)) {
-        partial.reminderChannel = normalized;
-      }
-    }
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-4.1-mini',
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: userContext },
+      ],
+      max_tokens: 120,
+    });
 
-    const updated = await saveReminderSettings(partial);
-    res.json(updated);
-  } catch (err) {
-    console.error('Error in POST /settings/reminders:', err);
-    res.status(500).json({ error: 'Failed to update reminder settings' });
+    const aiText =
+      completion.choices?.[0]?.message?.content?.trim() ||
+      'No reminder generated.';
+
+    return { message: aiText, source: 'openai' };
+  } catch (aiErr) {
+    console.error('Error from OpenAI for reminder-text:', aiErr);
+    const fallback =
+      `Reminder: contact ${displayName}${companyName}${actionPart}${datePart}. ` +
+      'AI is temporarily unavailable, so keep it short and reconfirm next steps.';
+    return { message: fallback, source: 'fallback' };
   }
-});
+}
 
-app.post('/reminders/today/send-email', async (req, res) => {
-  try {
-    const settings = await getReminderSettings();
-    if (!settings.remindersEnabled) {
-      return res.status(200).json({
-        sent: false,
-        reason: 'disabled',
-        message: 'Reminder email sending is currently disabled in settings',
-        settings,
-      });
+// Builds the app on its own database: `dbPath` overrides DB_PATH (":memory:"
+// gives a throwaway database) and `store` reuses one from `createDatabase`.
+// `app.locals.ready` resolves once pending migrations have been applied, and
+// rejects with the first error if a startup step failed.
+//
+// Sign-in, /admin and the audit log middleware live here; every other route is
+// served by the router of the caller's workspace (see createWorkspaceRouter).
+function createApp(options = {}) {
+  const store = options.store || createDatabase({ dbPath: options.dbPath });
+  const repositories = createRepositories(store);
+  const { search, maintenance, workspaces, users, sessions, apiKeys } = repositories;
+  const backups = createBackups(store, { backupDir: options.backupDir });
+
+  const app = express();
+  app.locals.store = store;
+  app.locals.repositories = repositories;
+  app.locals.backups = backups;
+  app.locals.getWorkspaceHandlers = (workspaceId) => getWorkspaceHandlers(workspaceId);
+  app.locals.ready = new Promise((resolve, reject) => store.initialiseDb((err) => (err ? reject(err) : resolve())));
+  app.locals.ready.catch(() => {}); // already logged by initialiseDb
+
+  app.use(cors({ exposedHeaders: ['X-Total-Count'] }));
+  // Imports carry whole CSV files, so they get a larger limit and also accept raw text/csv.
+  const IMPORT_BODY_LIMIT = '5mb';
+  app.use(
+    '/imports',
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }),
+  );
+  // A full JSON dump of the database can be far larger than a normal request.
+  app.use('/admin/restore', express.json({ limit: '100mb' }));
+  app.use(express.json());
+
+  // Integrations send an API key instead of a session token. It must be active
+  // and have the scopes the route needs; the key is available as req.apiKey and
+  // there is no req.user.
+  async function authenticateApiKey(req, res, next, key) {
+    let apiKey;
+    try {
+      apiKey = await apiKeys.getActiveByHash(hashApiKey(key));
+    } catch (err) {
+      console.error('Failed to check API key:', err);
+      return res.status(500).json({ error: 'Failed to authenticate' });
     }
-
-    const transporter = getMailTransporter();
-    if (!transporter) {
-      return res.status(500).json({
-        sent: false,
-        reason: 'smtp_not_configured',
-        error: 'SMTP is not configured; cannot send reminder emails',
-      });
+    if (!apiKey) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or revoked API key' });
     }
 
-    if (!REMINDER_EMAIL_FROM || !REMINDER_EMAIL_TO) {
-      return res.status(500).json({
-        sent: false,
-        reason: 'email_from_to_missing',
-        error: 'REMINDER_EMAIL_FROM and REMINDER_EMAIL_TO must be configured',
-      });
+    const requiredScopes = getRequiredApiKeyScopes(req.method, req.path);
+    if (!requiredScopes) {
+      return res.status(403).json({ error: 'API keys cannot use this route' });
+    }
+    const missingScopes = requiredScopes.filter((scope) => !apiKey.scopes.includes(scope));
+    if (missingScopes.length > 0) {
+      return res.status(403).json({ error: `This API key needs the ${missingScopes.join(', ')} scope` });
     }
 
-    const reminders = await getImportantRemindersForToday();
-    const preview = buildRemindersEmailPreview(reminders || []);
+    apiKeys.markUsed(apiKey.id).catch(() => {}); // already logged by markApiKeyUsed
+    req.apiKey = apiKey;
+    req.workspaceId = apiKey.workspaceId;
+    next();
+  }
 
-    if (!preview.totalReminders || preview.totalReminders === 0) {
-      return res.status(200).json({
-        sent: false,
-        reason: 'no_reminders',
-        message: 'No overdue or due-today reminders; email not sent',
-        preview,
-      });
+  // Every route except PUBLIC_ROUTES needs `Authorization: Bearer <token>` with a
+  // token from POST /auth/login (the user is available as req.user), or an API
+  // key in that header or in `X-API-Key`. Either one sets req.workspaceId.
+  app.use(async (req, res, next) => {
+    if (PUBLIC_ROUTES.includes(`${req.method} ${req.path}`)) return next();
+
+    const token = getBearerToken(req) || req.get('X-API-Key');
+    if (!token) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (isApiKey(token)) {
+      return authenticateApiKey(req, res, next, token);
     }
 
-    const mailOptions = {
-      from: REMINDER_EMAIL_FROM,
-      to: REMINDER_EMAIL_TO,
-      subject: preview.subject,
-      text: preview.textBody,
-    };
+    let sessionUser;
+    try {
+      sessionUser = await sessions.getUser(hashSessionToken(token));
+    } catch (err) {
+      console.error('Failed to check session:', err);
+      return res.status(500).json({ error: 'Failed to authenticate' });
+    }
+    if (!sessionUser) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
 
-    const info = await transporter.sendMail(mailOptions);
+    const { sessionId, sessionExpiresAt, ...user } = sessionUser;
+    req.user = user;
+    req.session = { id: sessionId, expiresAt: sessionExpiresAt };
+    req.workspaceId = user.workspaceId;
+    next();
+  });
 
-    return res.status(200).json({
-      sent: true,
-      messageId: info.messageId,
-      envelope: info.envelope,
-      accepted: info.accepted,
-      rejected: info.rejected,
-      preview,
-    });
-  } catch (err) {
-    console.error('Error in /reminders/today/send-email:', err);
-    res.status(500).json({ error: 'Failed to send reminders email' });
+  // The repositories and router of each workspace, built on first use.
+  const workspaceHandlers = new Map();
+
+  function getWorkspaceHandlers(workspaceId) {
+    if (!workspaceHandlers.has(workspaceId)) {
+      const workspaceRepositories =
+        workspaceId === store.workspaceId ? repositories : createRepositories(store.forWorkspace(workspaceId));
+      const reminderDigest = createReminderDigest(workspaceRepositories, {
+        isDefaultWorkspace: workspaceId === DEFAULT_WORKSPACE_ID,
+        getReminderText: (reminder, channel) =>
+          generateReminderText(
+            { ...reminder, nextActionDate: reminder.dueDate },
+            channel === 'whatsapp' ? 'WhatsApp' : 'SMS',
+          ),
+      });
+      workspaceHandlers.set(workspaceId, {
+        repositories: workspaceRepositories,
+        reminderDigest,
+        router: createWorkspaceRouter(workspaceRepositories, reminderDigest),
+      });
+    }
+    return workspaceHandlers.get(workspaceId);
   }
-});
 
-app.get('/leads', (req, res) => {
-  getLeads((err, rows) => {
-    if (err) {
-      console.error('Error fetching leads:', err);
-      return res.status(500).json({ error: 'Failed to fetch leads' });
+  // Backups, restores, integrity repairs, purges and workspaces cover the whole
+  // database, so they are for admins of the default workspace only.
+  app.use('/admin', requireRole('admin'), (req, res, next) => {
+    if (req.workspaceId !== DEFAULT_WORKSPACE_ID) {
+      return res.status(403).json({ error: 'Only admins of the default workspace can do this' });
     }
-    res.json(rows);
+    next();
   });
-});
 
-app.post('/leads/:leadId/owner', (req, res) => {
-  const { leadId } = req.params;
-  const { ownerName } = req.body || {};
+  // Every successful POST, PUT, PATCH or DELETE is written to audit_log once its
+  // response has been sent, so a failed write is never recorded as a change.
+  app.use((req, res, next) => {
+    if (!AUDITED_METHODS.includes(req.method)) return next();
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || !req.route || UNAUDITED_ROUTES.includes(req.route.path)) return;
+      const { entityType, entityId, before, after } = res.locals.audit || inferAuditEntity(req);
+      const { auditLog } = getWorkspaceHandlers(req.workspaceId || store.workspaceId).repositories;
+      auditLog
+        .record({
+          actor: getRequestActor(req),
+          actorUserId: req.user ? req.user.id : null,
+          method: req.method,
+          route: req.route.path,
+          path: req.originalUrl,
+          statusCode: res.statusCode,
+          entityType,
+          entityId,
+          before,
+          after,
+        })
+        .catch(() => {}); // already logged by recordAuditEntry
+    });
+    next();
+  });
 
-  if (!leadId) {
-    return res.status(400).json({ error: 'leadId is required' });
-  }
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      service: 'lead-desk-backend',
+      port: Number(PORT),
+    });
+  });
+
+  app.post('/auth/login', route('Failed to log in', async (req, res) => {
+    const { email, password } = req.body || {};
 
-  updateLeadOwnerName(leadId, ownerName, (leadErr, updatedLead) => {
-    if (leadErr) {
-      console.error('Error updating lead owner:', leadErr);
-      return res.status(500).json({ error: 'Failed to update lead owner' });
+    if (typeof email !== 'string' || !email.trim() || typeof password !== 'string' || !password) {
+      return res.status(400).json({ error: 'email and password are required' });
     }
 
-    updateDealsOwnerForLead(leadId, ownerName, (dealErr) => {
-      if (dealErr) {
-        console.error('Error updating deals owner for lead:', dealErr);
-        return res
-          .status(500)
-          .json({ error: 'Lead owner updated, but failed for deals' });
-      }
+    const credentials = await users.getCredentials(email);
+    const valid = await verifyPasswordOrDummy(password, credentials && credentials.passwordHash);
+    if (!valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
 
-      return res.json(updatedLead);
+    const { passwordHash, ...user } = credentials;
+    const token = generateSessionToken();
+    const session = await sessions.create({
+      tokenHash: hashSessionToken(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
     });
+    sessions.removeExpired().catch(() => {}); // already logged by deleteExpiredSessions
+
+    req.user = user;
+    req.workspaceId = user.workspaceId;
+    auditChange(res, 'user', user.id, null, null);
+    res.json({ token, expiresAt: session.expiresAt, user });
+  }));
+
+  app.post('/auth/logout', route('Failed to log out', async (req, res) => {
+    await sessions.remove(req.session.id);
+    auditChange(res, 'user', req.user.id, null, null);
+    res.json({ success: true });
+  }));
+
+  app.get('/auth/me', (req, res) => {
+    res.json({ ...req.user, sessionExpiresAt: req.session.expiresAt });
   });
-});
 
-app.get('/deals', (req, res) => {
-  db.all('SELECT * FROM deals', [], (err, rows) => {
-    if (err) {
-      console.error('Error fetching deals:', err);
-      return res.status(500).json({ error: 'Failed to fetch deals' });
-    }
-    res.json(rows);
-  });
-});
+  app.get('/admin/workspaces', route('Failed to fetch workspaces', async (req, res) => {
+    res.json(await workspaces.list());
+  }));
 
-app.post('/deals', (req, res) => {
-  const {
-    leadId,
-    title,
-    value,
-    stage,
-    nextAction,
-    nextActionDate,
-    reminderChannel,
-    aiAutoReminderEnabled,
-    ownerName,
-  } = req.body || {};
-
-  if (!leadId || typeof leadId !== 'string' || !leadId.trim()) {
-    return res.status(400).json({ error: 'leadId is required' });
-  }
-  if (!title || typeof title !== 'string' || !title.trim()) {
-    return res.status(400).json({ error: 'title is required' });
-  }
+  // A workspace starts with the default pipeline stages and no users; create
+  // its first admin with `node users.js create --workspace <id> ...`.
+  app.post('/admin/workspaces', route('Failed to create workspace', async (req, res) => {
+    const { id, name, timezone } = req.body || {};
+    const errors = [];
 
-  const dealInput = {
-    leadId: leadId.trim(),
-    title: title.trim(),
-    stage: stage && typeof stage === 'string' ? stage : 'New',
-    value: typeof value === 'number' ? value : 0,
-    nextAction: typeof nextAction === 'string' ? nextAction.trim() : null,
-    nextActionDate: nextActionDate || null,
-    reminderChannel: typeof reminderChannel === 'string' ? reminderChannel.trim() : null,
-    aiAutoReminderEnabled: !!aiAutoReminderEnabled,
-    ownerName: ownerName && typeof ownerName === 'string' ? ownerName : DEFAULT_OWNER_NAME,
-  };
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('"name" is required');
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push('"timezone" must be an IANA timezone such as Europe/London');
+    }
+    if (id !== undefined && (typeof id !== 'string' || !WORKSPACE_ID_PATTERN.test(id))) {
+      errors.push('"id" must be 1-64 lowercase letters, digits, "-" or "_"');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid workspace', details: errors });
+    }
 
-  createDeal(dealInput, (err, createdDeal) => {
-    if (err) {
-      console.error('Failed to create deal', err);
-      return res.status(500).json({ error: 'Failed to create deal' });
+    const result = await workspaces.create({ id, name, timezone });
+    if (result.nameTaken) {
+      return res.status(409).json({ error: `A workspace named "${name.trim()}" already exists` });
+    }
+    if (result.idTaken) {
+      return res.status(409).json({ error: `A workspace with id "${id}" already exists` });
     }
 
-    if (!createdDeal) {
-      return res.status(500).json({ error: 'Deal not created' });
+    auditChange(res, 'workspace', result.workspace.id, null, result.workspace);
+    res.status(201).json(result.workspace);
+  }));
+
+  app.post('/admin/purge-archived', route('Failed to purge archived records', async (req, res) => {
+    const { olderThanDays } = req.body || {};
+
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 0) {
+      return res.status(400).json({ error: 'olderThanDays must be a non-negative integer' });
     }
 
-    return res.status(201).json(createdDeal);
-  });
-});
+    return res.status(200).json(await maintenance.purgeArchived(olderThanDays));
+  }));
 
-app.post('/deals/:dealId/details', (req, res) => {
-  const { dealId } = req.params;
-  const { value, nextAction, nextActionDate } = req.body || {};
+  app.get('/admin/integrity', route('Failed to run integrity checks', async (req, res) => {
+    return res.status(200).json(await maintenance.getIntegrityReport());
+  }));
 
-  const details = {};
+  app.post('/admin/integrity/repair', route('Failed to repair integrity issues', async (req, res) => {
+    return res.status(200).json(await maintenance.repairIntegrity());
+  }));
 
-  if (typeof value === 'number') {
-    details.value = value;
-  }
+  app.post('/admin/backups', route('Failed to create backup', async (req, res) => {
+    return res.status(201).json(await backups.createSnapshot('manual'));
+  }));
 
-  if (typeof nextAction === 'string') {
-    details.nextAction = nextAction.trim();
-  }
+  app.get('/admin/backups', route('Failed to list backups', async (req, res) => {
+    return res.status(200).json(await backups.listSnapshots());
+  }));
 
-  if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'nextActionDate')) {
-    details.nextActionDate = nextActionDate || null;
-  }
+  app.get('/admin/backups/:name', route('Failed to download backup', async (req, res) => {
+    const filePath = await backups.getSnapshotPath(req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    await new Promise((resolve, reject) => {
+      res.download(filePath, req.params.name, (err) => (err ? reject(err) : resolve()));
+    });
+  }));
+
+  app.get('/admin/dump', route('Failed to dump database', async (req, res) => {
+    const dump = await backups.dump();
+    const fileName = `leads-crm-dump-${dump.createdAt.replace(/[:.]/g, '-')}.json`;
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    return res.status(200).json(dump);
+  }));
+
+  // A dump must look like the output of GET /admin/dump: a `tables` object of
+  // row arrays whose values are plain strings, numbers, booleans or nulls.
+  function validateDump(dump) {
+    if (!dump || typeof dump !== 'object' || Array.isArray(dump)) return ['"dump" must be an object'];
+
+    const errors = [];
+    if (dump.format !== DUMP_FORMAT) errors.push(`"dump.format" must be "${DUMP_FORMAT}"`);
+    if (!Number.isInteger(dump.schemaVersion) || dump.schemaVersion < 0) {
+      errors.push('"dump.schemaVersion" must be a non-negative integer');
+    }
+    if (!dump.tables || typeof dump.tables !== 'object' || Array.isArray(dump.tables)) {
+      errors.push('"dump.tables" must be an object of row arrays');
+      return errors;
+    }
 
-  if (Object.keys(details).length === 0) {
-    return res.status(400).json({ error: 'At least one of value, nextAction, or nextActionDate is required' });
+    Object.entries(dump.tables).forEach(([table, rows]) => {
+      if (!Array.isArray(rows)) {
+        errors.push(`"dump.tables.${table}" must be an array`);
+        return;
+      }
+      const invalidRow = rows.findIndex(
+        (row) =>
+          !row ||
+          typeof row !== 'object' ||
+          Array.isArray(row) ||
+          Object.values(row).some((value) => value !== null && typeof value === 'object'),
+      );
+      if (invalidRow !== -1) {
+        errors.push(`"dump.tables.${table}[${invalidRow}]" must be an object of plain values`);
+      }
+    });
+    return errors;
   }
 
-  updateDealDetails(dealId, details, (err, updatedDeal) => {
-    if (err) {
-      console.error('Failed to update deal details', err);
-      return res.status(500).json({ error: 'Failed to update deal details' });
-    }
+  app.post('/admin/restore', route('Failed to restore database', async (req, res) => {
+    const { backup, dump } = req.body || {};
 
-    if (!updatedDeal) {
-      return res.status(404).json({ error: 'Deal not found' });
+    if ((backup === undefined) === (dump === undefined)) {
+      return res.status(400).json({ error: 'Provide either "backup" (a snapshot name) or "dump"' });
+    }
+    if (dump !== undefined) {
+      const errors = validateDump(dump);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid dump', details: errors });
+      }
     }
 
-    return res.status(200).json(updatedDeal);
-  });
-});
+    let result;
+    try {
+      result = backup !== undefined ? await backups.restoreSnapshot(String(backup)) : await backups.restoreDump(dump);
+    } catch (err) {
+      if (isForeignKeyError(err)) {
+        return res.status(400).json({
+          error: 'The dump has rows that reference records it does not contain',
+          ...(err.details ? { details: err.details } : {}),
+        });
+      }
+      throw err;
+    }
 
-app.get('/deals/:dealId/activities', (req, res) => {
-  const { dealId } = req.params;
-  getActivitiesForDeal(dealId, (err, rows) => {
-    if (err) {
-      console.error('Error fetching activities:', err);
-      return res.status(500).json({ error: 'Failed to fetch activities' });
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Backup not found' });
     }
-    res.json(rows);
+    if (result.unsupportedSchemaVersion != null) {
+      return res.status(409).json({
+        error:
+          `The backup is at schema version ${result.unsupportedSchemaVersion}, ` +
+          `but this database is at version ${result.currentSchemaVersion}`,
+      });
+    }
+    return res.status(200).json(result);
+  }));
+
+  app.post('/admin/search/reindex', route('Failed to rebuild search indexes', async (req, res) => {
+    await search.rebuildIndexes();
+    res.json({ success: true });
+  }));
+
+  // Everything else is answered by the caller's workspace, so its routes only
+  // ever see that workspace's records and settings.
+  app.use((req, res, next) => {
+    if (!req.workspaceId) return next();
+    getWorkspaceHandlers(req.workspaceId).router(req, res, next);
   });
-});
 
-app.get('/deals/:dealId/outreach-steps', (req, res) => {
-  const { dealId } = req.params;
+  return app;
+}
 
-  if (!dealId) {
-    return res.status(400).json({ error: 'dealId is required' });
+// The routes for one workspace's leads, deals, users, settings and so on, all
+// reading and writing through that workspace's `repositories`.
+function createWorkspaceRouter(repositories, reminderDigest) {
+  const {
+    withTransaction,
+    leads,
+    deals,
+    activities,
+    outreachSteps,
+    settings,
+    pipelineStages,
+    companies,
+    leadImports,
+    search,
+    users,
+    apiKeys,
+    auditLog,
+    reminders,
+    workspaces,
+  } = repositories;
+  const router = express.Router();
+
+  // The owner scope of the signed-in user (see getOwnerScope), passed to list
+  // queries as `ownerScope`. API keys are limited by their scopes instead and
+  // see every owner's records.
+  async function getRequestScope(req) {
+    if (req.apiKey) return null;
+    return getOwnerScope(req.user, req.user.role === 'manager' ? await users.list() : []);
   }
 
-  getOutreachStepsForDeal(dealId, (err, steps) => {
-    if (err) {
-      console.error('Failed to fetch outreach steps', err);
-      return res.status(500).json({ error: 'Failed to fetch outreach steps' });
-    }
-
-    return res.json(steps);
-  });
-});
+  // The lead or deal, or null if it does not exist or is outside the user's
+  // scope. Routes answer both with 404 so other people's records stay hidden.
+  async function findVisibleLead(req, leadId) {
+    const lead = await leads.getById(leadId);
+    return lead && canAccessOwner(await getRequestScope(req), lead.ownerUserId) ? lead : null;
+  }
 
-app.post('/deals/:dealId/activities', (req, res) => {
-  const { dealId } = req.params;
-  const { type, note, createdAt } = req.body || {};
+  async function findVisibleDeal(req, dealId) {
+    const deal = await deals.getById(dealId);
+    return deal && canAccessOwner(await getRequestScope(req), deal.ownerUserId) ? deal : null;
+  }
 
-  if (!type || !note) {
-    return res.status(400).json({ error: 'type and note are required' });
+  // Why the user cannot give a record to `owner` (a user, or null for
+  // unassigned), or null if they can.
+  function getOwnerScopeError(scope, owner) {
+    if (canAccessOwner(scope, owner ? owner.id : null)) return null;
+    return owner ? `You cannot assign records to ${owner.name}` : 'You cannot leave records unassigned';
   }
 
-  const id = uuidv4();
-  const activity = {
-    id,
-    dealId,
-    type,
-    note,
-    createdAt: createdAt || new Date().toISOString(),
-  };
+  router.get('/users', route('Failed to fetch users', async (req, res) => {
+    res.json(await users.list());
+  }));
+
+  router.get('/api-keys', requireRole('admin'), route('Failed to fetch API keys', async (req, res) => {
+    res.json(await apiKeys.list());
+  }));
 
-  createActivity(activity, (err) => {
-    if (err) {
-      console.error('Error inserting activity:', err);
-      return res.status(500).json({ error: 'Failed to create activity' });
+  // The key itself is only returned here; afterwards only its prefix is shown.
+  router.post('/api-keys', requireRole('admin'), route('Failed to create API key', async (req, res) => {
+    const { name, scopes } = req.body || {};
+    const errors = [];
+
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('"name" is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.push(`"scopes" must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`);
+    } else {
+      scopes
+        .filter((scope) => !API_KEY_SCOPES.includes(scope))
+        .forEach((scope) => errors.push(`"${scope}" is not a scope; use one of: ${API_KEY_SCOPES.join(', ')}`));
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid API key', details: errors });
     }
-    res.status(201).json(activity);
-  });
-});
 
-app.patch('/outreach-steps/:stepId/status', (req, res) => {
-  const { stepId } = req.params;
-  const { status } = req.body || {};
+    const { key, prefix } = generateApiKey();
+    const apiKey = await apiKeys.create({
+      name,
+      prefix,
+      keyHash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      createdByUserId: req.user.id,
+    });
 
-  const allowedStatuses = ['pending', 'done', 'skipped'];
-  if (!stepId || !allowedStatuses.includes(status)) {
-    return res.status(400).json({ error: 'Invalid status' });
-  }
+    auditChange(res, 'apiKey', apiKey.id, null, apiKey);
+    res.status(201).json({ ...apiKey, key });
+  }));
 
-  updateOutreachStepStatus(stepId, status, (err, result) => {
-    if (err) {
-      console.error('Failed to update outreach step status', err);
-      return res.status(500).json({ error: 'Failed to update outreach step status' });
+  router.delete('/api-keys/:keyId', requireRole('admin'), route('Failed to revoke API key', async (req, res) => {
+    const result = await apiKeys.revoke(req.params.keyId);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'API key not found' });
     }
-
-    if (result && result.notFound) {
-      return res.status(404).json({ error: 'Outreach step not found' });
+    if (result.alreadyRevoked) {
+      return res.status(409).json({ error: 'API key has already been revoked' });
     }
 
-    return res.status(200).json({ ok: true, status });
-  });
-});
+    auditChange(res, 'apiKey', req.params.keyId, { ...result.apiKey, revokedAt: null }, result.apiKey);
+    res.json(result.apiKey);
+  }));
 
-const DEFAULT_INTENT = 'nurture_checkin';
-
-function stageToBaseIntent(stage) {
-  const s = stage ? String(stage).toLowerCase() : '';
-  switch (s) {
-    case 'new':
-    case 'discovery booked':
-      return 'first_contact';
-    case 'qualified':
-    case 'presentation':
-      return 'nurture_checkin';
-    case 'proposal sent':
-    case 'proposal_sent':
-    case 'negotiation':
-      return 'proposal_followup';
-    case 'won':
-      return 'post_call_summary';
-    case 'lost':
-      return 'deal_recovery';
-    default:
-      return DEFAULT_INTENT;
+  // A manager must be an existing manager or admin, and not the user themself.
+  function getManagerError(userList, managerId, userId) {
+    if (managerId === null) return null;
+    const manager = userList.find((user) => user.id === managerId);
+    if (!manager || manager.role === 'rep' || managerId === userId) {
+      return '"managerId" must be the id of another user who is a manager or admin, or null';
+    }
+    return null;
   }
-}
 
-function normalizeIntentForStage(stage, originalIntent, hasAnyContact) {
-  const base = stageToBaseIntent(stage);
-  if (!originalIntent) return base;
+  router.post('/users', requireRole('admin'), route('Failed to create user', async (req, res) => {
+    const { email, name, password, role = 'rep', managerId = null } = req.body || {};
+    const userList = await users.list();
+    const errors = [];
 
-  const intent = String(originalIntent).toLowerCase();
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      errors.push('"email" must be a valid email address');
+    }
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('"name" is required');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`"password" must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (!ROLES.includes(role)) {
+      errors.push(`"role" must be one of ${ROLES.join(', ')}`);
+    }
+    const managerError = getManagerError(userList, managerId, null);
+    if (managerError) errors.push(managerError);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid user', details: errors });
+    }
 
-  if (intent === 'first_contact') {
-    // If stage mapping prefers nurture based on prior contact
-    if (hasAnyContact) {
-      return 'nurture_checkin';
+    const result = await users.create({ email, name, role, managerId, passwordHash: await hashPassword(password) });
+    if (result.emailTaken) {
+      return res.status(409).json({ error: 'A user with that email already exists' });
     }
-    return base;
-  }
 
-  const allowedIntents = new Set([
-    'first_contact',
-    'post_call_summary',
-    'proposal_followup',
-    'nurture_checkin',
-    'deal_recovery',
-    'meeting_confirmation',
-    'meeting_reminder',
-    'invoice_gentle',
-    'invoice_firm',
-    'invoice_final',
-  ]);
+    auditChange(res, 'user', result.user.id, null, result.user);
+    res.status(201).json(result.user);
+  }));
 
-  if (allowedIntents.has(intent)) {
-    return intent;
-  }
+  const EDITABLE_USER_FIELDS = ['name', 'role', 'managerId'];
 
-  return base;
-}
+  router.patch('/users/:userId', requireRole('admin'), route('Failed to update user', async (req, res) => {
+    const { userId } = req.params;
+    const input = req.body && typeof req.body === 'object' ? req.body : {};
+    const has = (field) => Object.prototype.hasOwnProperty.call(input, field);
+    const changes = {};
+    const errors = [];
 
-app.post('/ai/outreach-plan', (req, res) => {
-  const { dealId, horizonDays } = req.body || {};
+    const userList = await users.list();
+    const before = userList.find((user) => user.id === userId);
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
 
-  if (!dealId) {
-    return res.status(400).json({ error: 'dealId is required' });
-  }
+    Object.keys(input)
+      .filter((field) => !EDITABLE_USER_FIELDS.includes(field))
+      .forEach((field) => errors.push(`"${field}" cannot be updated`));
 
-  const parsedHorizon = Number.isInteger(horizonDays) && horizonDays > 0 ? horizonDays : 14;
-  const allowedChannels = ['email', 'whatsapp', 'sms', 'call_script'];
-  const allowedIntents = [
-    'first_contact',
-    'post_call_summary',
-    'proposal_followup',
-    'nurture_checkin',
-    'deal_recovery',
-    'meeting_confirmation',
-    'meeting_reminder',
-    'invoice_gentle',
-    'invoice_firm',
-    'invoice_final',
-  ];
+    if (has('name')) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('"name" must be a non-empty string');
+      } else {
+        changes.name = input.name.trim();
+      }
+    }
+    if (has('role')) {
+      if (!ROLES.includes(input.role)) {
+        errors.push(`"role" must be one of ${ROLES.join(', ')}`);
+      } else {
+        changes.role = input.role;
+      }
+    }
+    if (has('managerId')) {
+      const managerError = getManagerError(userList, input.managerId, userId);
+      if (managerError) {
+        errors.push(managerError);
+      } else {
+        changes.managerId = input.managerId;
+      }
+    }
 
-  getDealContextForMessageDraft(dealId, async (err, context) => {
-    if (err) {
-      console.error('Error fetching deal for outreach plan:', err);
-      return res.status(500).json({ error: 'Failed to generate outreach plan' });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid user update', details: errors });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'At least one of name, role or managerId is required' });
     }
 
-    if (!context) {
-      return res.status(404).json({ error: 'Deal not found' });
+    const admins = userList.filter((user) => user.role === 'admin');
+    if (changes.role && changes.role !== 'admin' && admins.length === 1 && admins[0].id === userId) {
+      return res.status(409).json({ error: 'At least one user must remain an admin' });
     }
 
-    getRecentActivitiesForDeal(dealId, 5, async (activitiesErr, activityRows) => {
-      if (activitiesErr) {
-        console.error('Error fetching recent activities for outreach plan:', activitiesErr);
-      }
-
-      const recentActivities = (activityRows || []).map((row) => ({
-        type: row.type || null,
-        createdAt: row.createdAt || null,
-        note: row.note || null,
-      }));
-
-      const input = {
-        appName: 'lead_desk',
-        horizonDays: parsedHorizon,
-        deal: {
-          id: context.dealId || dealId,
-          stage: context.stage,
-          valueGBP: context.valueGBP || null,
-          name: context.dealName || null,
-        },
-        lead: {
-          name: context.leadName || null,
-          company: context.company || null,
-        },
-        recentHistory: {
-          lastContactType: context.lastActivityType || null,
-          lastContactDate: context.lastActivityDate || null,
-          recentActivities,
-        },
-      };
-      const hasAnyContact = !!context.lastActivityDate || recentActivities.length > 0;
-
-      async function buildAndStoreSteps(modelSteps) {
-        const today = new Date();
-        const stepsToInsert = [];
-
-        const normalizedSteps = (modelSteps || []).map((step) => {
-          const normalizedIntent = normalizeIntentForStage(
-            context.stage,
-            step.intent,
-            hasAnyContact,
-          );
-
-          return {
-            ...step,
-            intent: normalizedIntent,
-          };
-        });
+    const updated = await users.update(userId, changes);
+    auditChange(res, 'user', userId, before, updated);
+    res.json(updated);
+  }));
 
-        normalizedSteps.forEach((step) => {
-          if (
-            typeof step !== 'object' ||
-            typeof step.offsetDays !== 'number' ||
-            step.offsetDays < 0 ||
-            step.offsetDays > parsedHorizon
-          ) {
-            return;
-          }
+  router.get('/reminders/today', route('Failed to load reminders for today', async (req, res) => {
+    const now = new Date();
+    const dueReminders = await reminders.getForToday({ ownerScope: await getRequestScope(req), now });
+    // API keys have no user, so they get the workspace's date.
+    const timezone = await workspaces.getTimezone(req.user ? req.user.id : null);
+    res.json({
+      date: getZonedDateTime(now, timezone).date,
+      reminders: dueReminders,
+    });
+  }));
 
-          if (!allowedChannels.includes(step.channel) || !allowedIntents.includes(step.intent)) {
-            return;
-          }
+  // The user `ownerUserId` names, if it is one the caller may see reminders of.
+  async function findReminderOwner(ownerUserId, ownerScope) {
+    if (typeof ownerUserId !== 'string' || !canAccessOwner(ownerScope, ownerUserId)) return null;
+    return users.getById(ownerUserId);
+  }
 
-          const due = new Date(today);
-          due.setHours(9, 0, 0, 0);
-          due.setDate(due.getDate() + step.offsetDays);
+  // Optional `ownerUserId` narrows the preview to one owner's reminders and
+  // adds the `recipient` they would be sent to.
+  router.get('/reminders/today/email-preview', route('Failed to build reminders email preview', async (req, res) => {
+    const ownerScope = await getRequestScope(req);
+    const { ownerUserId } = req.query;
+    if (ownerUserId !== undefined && !(await findReminderOwner(ownerUserId, ownerScope))) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+    res.json(await reminderDigest.preview({ ownerScope, ownerUserId }));
+  }));
+
+  router.get('/workspace', route('Failed to fetch workspace', async (req, res) => {
+    res.json(await workspaces.getCurrent());
+  }));
+
+  // The workspace's `timezone` decides which day it is for due dates, reminders
+  // and the reminders schedule; owners can set their own with
+  // PATCH /users/:userId/reminders.
+  router.patch('/workspace', requireRole('admin'), route('Failed to update workspace', async (req, res) => {
+    const { timezone } = req.body || {};
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: '"timezone" must be an IANA timezone such as Europe/London' });
+    }
 
-          stepsToInsert.push({
-            id: uuidv4(),
-            dealId,
-            dueDate: due.toISOString(),
-            channel: step.channel,
-            intent: step.intent,
-            goal: step.goal || null,
-            status: 'pending',
-          });
-        });
+    const before = await workspaces.getCurrent();
+    const updated = await workspaces.updateCurrent({ timezone });
+    auditChange(res, 'workspace', updated.id, before, updated);
+    res.json(updated);
+  }));
 
-        if (stepsToInsert.length === 0) {
-          return null;
-        }
+  // The reminder settings with the workspace's timezone, which the schedule runs
+  // in. It used to be one of these settings and is still read and set here.
+  async function loadReminderSettings() {
+    const [reminderSettings, workspace] = await Promise.all([settings.getReminderSettings(), workspaces.getCurrent()]);
+    return { ...reminderSettings, timezone: workspace.timezone };
+  }
 
-        return new Promise((resolve, reject) => {
-          createOutreachSteps(stepsToInsert, (createErr) => {
-            if (createErr) {
-              return reject(createErr);
-            }
-
-            getOutreachStepsForDeal(dealId, (fetchErr, rows) => {
-              if (fetchErr) {
-                return reject(fetchErr);
-              }
-              resolve(rows || []);
-            });
-          });
-        });
+  router.get('/settings/reminders', route('Failed to load reminder settings', async (req, res) => {
+    res.json(await loadReminderSettings());
+  }));
+
+  const SEND_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+  // SMS and WhatsApp numbers, in international format once spaces, dots,
+  // dashes and brackets are dropped: +447700900123.
+  const REMINDER_PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+  const normalizeReminderPhone = (value) => value.replace(/[\s().-]/g, '');
+
+  // Reminders go out on `reminderChannel`. Emails go from `emailFrom` to
+  // `emailTo`; while either is null the default workspace falls back to
+  // REMINDER_EMAIL_FROM / REMINDER_EMAIL_TO. SMS and WhatsApp go to `phoneTo`. The
+  // scheduler sends them at `sendTime` (HH:MM) on `sendDays` in `timezone`.
+  // Deals in the email link to `appBaseUrl`/deals/<dealId>; while it is null the
+  // default workspace uses APP_BASE_URL, and other workspaces send no links.
+  router.post('/settings/reminders', requireRole('admin'), route('Failed to update reminder settings', async (req, res) => {
+    const { remindersEnabled, reminderChannel } = req.body || {};
+    const partial = {};
+    const errors = [];
+
+    if (typeof remindersEnabled === 'boolean') {
+      partial.remindersEnabled = remindersEnabled;
+    }
+
+    if (reminderChannel !== undefined) {
+      if (typeof reminderChannel === 'string' && CHANNELS.includes(reminderChannel.toLowerCase())) {
+        partial.reminderChannel = reminderChannel.toLowerCase();
+      } else {
+        errors.push(`"reminderChannel" must be one of: ${CHANNELS.join(', ')}`);
       }
+    }
 
-      async function handleStubResponse() {
-        const stub = [
-          {
-            offsetDays: 0,
-            channel: 'email',
-            intent: 'first_contact',
-            goal: 'Send a concise intro email with value props and propose a short call.',
-          },
-          {
-            offsetDays: 3,
-            channel: 'whatsapp',
-            intent: 'nurture_checkin',
-            goal: 'Lightly check in to see if they had a chance to review.',
-          },
-          {
-            offsetDays: 7,
-            channel: 'call_script',
-            intent: 'post_call_summary',
-            goal: 'Call to recap fit, address questions, and agree next steps.',
-          },
-        ];
+    ['emailFrom', 'emailTo'].forEach((field) => {
+      const value = (req.body || {})[field];
+      if (value === undefined) return;
+      if (value === null || value === '') {
+        partial[field] = null;
+      } else if (typeof value === 'string' && EMAIL_PATTERN.test(value.trim())) {
+        partial[field] = value.trim();
+      } else {
+        errors.push(`"${field}" must be an email address or null`);
+      }
+    });
+
+    const { phoneTo } = req.body || {};
+    if (phoneTo !== undefined) {
+      if (phoneTo === null || phoneTo === '') {
+        partial.phoneTo = null;
+      } else if (typeof phoneTo === 'string' && REMINDER_PHONE_PATTERN.test(normalizeReminderPhone(phoneTo))) {
+        partial.phoneTo = normalizeReminderPhone(phoneTo);
+      } else {
+        errors.push('"phoneTo" must be a phone number in international format, such as +447700900123, or null');
+      }
+    }
+
+    const { sendTime, sendDays, timezone } = req.body || {};
+    if (sendTime !== undefined) {
+      if (typeof sendTime === 'string' && SEND_TIME_PATTERN.test(sendTime)) {
+        partial.sendTime = sendTime;
+      } else {
+        errors.push('"sendTime" must be a time of day as HH:MM (24-hour)');
+      }
+    }
+    if (sendDays !== undefined) {
+      if (Array.isArray(sendDays) && sendDays.every((day) => WEEKDAYS.includes(day))) {
+        partial.sendDays = WEEKDAYS.filter((day) => sendDays.includes(day));
+      } else {
+        errors.push(`"sendDays" must be an array of: ${WEEKDAYS.join(', ')}`);
+      }
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      errors.push('"timezone" must be an IANA timezone such as Europe/London');
+    }
+    const { appBaseUrl } = req.body || {};
+    if (appBaseUrl !== undefined) {
+      if (appBaseUrl === null || appBaseUrl === '') {
+        partial.appBaseUrl = null;
+      } else if (typeof appBaseUrl === 'string' && /^https?:\/\/[^\s/]+(\/\S*)?$/.test(appBaseUrl.trim())) {
+        partial.appBaseUrl = appBaseUrl.trim().replace(/\/+$/, '');
+      } else {
+        errors.push('"appBaseUrl" must be an http(s) URL or null');
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid reminder settings', details: errors });
+    }
+
+    const before = await loadReminderSettings();
+    await settings.saveReminderSettings(partial);
+    if (timezone !== undefined) {
+      await workspaces.updateCurrent({ timezone });
+    }
+    const saved = await loadReminderSettings();
+    auditChange(res, 'reminderSettings', null, before, saved);
+    res.json(saved);
+  }));
+
+  router.get('/settings/ai', route('Failed to load AI settings', async (req, res) => {
+    res.json(await settings.getAiSettings());
+  }));
+
+  // The business the AI endpoints write for: its name and a sentence or two on
+  // what it sells. Null or empty clears a field.
+  router.post('/settings/ai', requireRole('admin'), route('Failed to update AI settings', async (req, res) => {
+    const partial = {};
+    const errors = [];
+
+    [
+      ['businessName', 200],
+      ['businessContext', 2000],
+    ].forEach(([field, maxLength]) => {
+      const value = (req.body || {})[field];
+      if (value === undefined) return;
+      if (value === null || (typeof value === 'string' && !value.trim())) {
+        partial[field] = null;
+      } else if (typeof value === 'string' && value.trim().length <= maxLength) {
+        partial[field] = value.trim();
+      } else {
+        errors.push(`"${field}" must be a string of at most ${maxLength} characters, or null`);
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid AI settings', details: errors });
+    }
+
+    const before = await settings.getAiSettings();
+    const saved = await settings.saveAiSettings(partial);
+    auditChange(res, 'aiSettings', null, before, saved);
+    res.json(saved);
+  }));
+
+  // Sends each opted-in owner their reminders and the rest to the fallback
+  // recipient (only `ownerUserId`'s when given), so only admins can trigger it.
+  // Like the scheduler, it refuses to send a day's digest twice.
+  router.post('/reminders/today/send-email', requireRole('admin'), route('Failed to send reminders email', async (req, res) => {
+    const { ownerUserId } = req.body || {};
+    if (ownerUserId !== undefined && !(await findReminderOwner(ownerUserId, null))) {
+      return res.status(404).json({ error: 'Owner not found' });
+    }
+
+    const result = await reminderDigest.send({ triggeredBy: 'manual', ownerUserId });
+    if (result.error) {
+      return res.status(500).json(result);
+    }
+    return res.status(200).json(result);
+  }));
+
+  router.get('/reminders/directory', requireRole('admin'), route('Failed to fetch reminder directory', async (req, res) => {
+    res.json(await reminderDigest.getDirectory());
+  }));
+
+  // Admins can change anyone's reminder preferences; other users only their own.
+  router.patch('/users/:userId/reminders', route('Failed to update reminder preferences', async (req, res) => {
+    const { userId } = req.params;
+    if (req.user.role !== 'admin' && req.user.id !== userId) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+
+    const input = req.body && typeof req.body === 'object' ? req.body : {};
+    const changes = {};
+    const errors = [];
+
+    Object.keys(input)
+      .filter((field) => !['reminderEmail', 'reminderPhone', 'remindersOptIn', 'timezone'].includes(field))
+      .forEach((field) => errors.push(`"${field}" cannot be updated`));
+    if (input.reminderEmail !== undefined) {
+      if (input.reminderEmail === null || input.reminderEmail === '') {
+        changes.reminderEmail = null;
+      } else if (typeof input.reminderEmail === 'string' && EMAIL_PATTERN.test(input.reminderEmail.trim())) {
+        changes.reminderEmail = input.reminderEmail.trim();
+      } else {
+        errors.push('"reminderEmail" must be an email address or null');
+      }
+    }
+    if (input.reminderPhone !== undefined) {
+      if (input.reminderPhone === null || input.reminderPhone === '') {
+        changes.reminderPhone = null;
+      } else if (
+        typeof input.reminderPhone === 'string' &&
+        REMINDER_PHONE_PATTERN.test(normalizeReminderPhone(input.reminderPhone))
+      ) {
+        changes.reminderPhone = normalizeReminderPhone(input.reminderPhone);
+      } else {
+        errors.push('"reminderPhone" must be a phone number in international format, such as +447700900123, or null');
+      }
+    }
+    if (input.remindersOptIn !== undefined) {
+      if (typeof input.remindersOptIn === 'boolean') {
+        changes.remindersOptIn = input.remindersOptIn;
+      } else {
+        errors.push('"remindersOptIn" must be a boolean');
+      }
+    }
+    if (input.timezone !== undefined) {
+      if (input.timezone === null || input.timezone === '') {
+        changes.timezone = null;
+      } else if (isValidTimeZone(input.timezone)) {
+        changes.timezone = input.timezone;
+      } else {
+        errors.push('"timezone" must be an IANA timezone such as Europe/London, or null for the workspace\'s');
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid reminder preferences', details: errors });
+    }
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'At least one of reminderEmail, reminderPhone, remindersOptIn or timezone is required' });
+    }
+
+    const before = (await reminders.getDirectory()).find((entry) => entry.userId === userId);
+    if (!before) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const updated = await reminders.updateDirectoryEntry(userId, changes);
+    auditChange(res, 'reminderPreferences', userId, before, updated);
+    res.json(updated);
+  }));
+
+  const REMINDER_LOG_FILTERS = ['status', 'triggeredBy', 'ownerUserId', 'channel', 'reminderDate'];
+
+  router.get('/reminders/logs', requireRole('admin'), route('Failed to fetch reminder logs', async (req, res) => {
+    const { options: listOptions, errors } = parseListQuery(req.query, REMINDER_LOG_SORT_FIELDS);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const options = {};
+    ['createdFrom', 'createdTo', 'sort', 'order', 'limit', 'offset'].forEach((key) => {
+      if (listOptions[key] !== undefined) options[key] = listOptions[key];
+    });
+    REMINDER_LOG_FILTERS.forEach((key) => {
+      if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+        options[key] = req.query[key].trim();
+      }
+    });
+
+    const total = await reminders.countLogs(options);
+    const rows = await reminders.listLogs(options);
+    res.set('X-Total-Count', String(total));
+    res.json(rows);
+  }));
+
+  const MAX_PAGE_SIZE = 500;
+
+  function parseListQuery(query, sortFields) {
+    const q = query || {};
+    const options = { includeArchived: isTruthyQueryFlag(q.includeArchived) };
+    const errors = [];
+
+    ['owner', 'ownerUserId', 'stage', 'source', 'leadId'].forEach((key) => {
+      if (typeof q[key] === 'string' && q[key].trim()) {
+        options[key] = q[key].trim();
+      }
+    });
+
+    ['minValue', 'maxValue'].forEach((key) => {
+      if (q[key] === undefined || q[key] === '') return;
+      const parsed = Number(q[key]);
+      if (!Number.isFinite(parsed)) {
+        errors.push(`"${key}" must be a number`);
+      } else {
+        options[key] = parsed;
+      }
+    });
+
+    ['createdFrom', 'createdTo', 'nextActionFrom', 'nextActionTo'].forEach((key) => {
+      if (typeof q[key] !== 'string' || !q[key].trim()) return;
+      const value = q[key].trim();
+      if (Number.isNaN(new Date(value).getTime())) {
+        errors.push(`"${key}" must be an ISO date`);
+      } else {
+        options[key] = value;
+      }
+    });
+
+    if (q.sort !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(sortFields, q.sort)) {
+        errors.push(`"sort" must be one of ${Object.keys(sortFields).join(', ')}`);
+      } else {
+        options.sort = q.sort;
+      }
+    }
+
+    if (q.order !== undefined) {
+      const order = String(q.order).toLowerCase();
+      if (order !== 'asc' && order !== 'desc') {
+        errors.push('"order" must be asc or desc');
+      } else {
+        options.order = order;
+      }
+    }
+
+    if (q.limit !== undefined) {
+      const limit = Number(q.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        errors.push(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+      } else {
+        options.limit = limit;
+      }
+    }
+
+    if (q.offset !== undefined) {
+      const offset = Number(q.offset);
+      if (!Number.isInteger(offset) || offset < 0) {
+        errors.push('"offset" must be a non-negative integer');
+      } else {
+        options.offset = offset;
+      }
+    }
+
+    return { options, errors };
+  }
+
+  const SEARCH_TYPES = ['lead', 'deal', 'activity'];
+  const MAX_SEARCH_RESULTS = 100;
+
+  router.get('/search', route('Failed to search', async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: '"q" is required' });
+    }
+
+    const types =
+      typeof req.query.types === 'string' && req.query.types.trim()
+        ? req.query.types.split(',').map((t) => t.trim().toLowerCase())
+        : SEARCH_TYPES;
+    const invalidTypes = types.filter((t) => !SEARCH_TYPES.includes(t));
+    if (invalidTypes.length > 0) {
+      return res.status(400).json({ error: `"types" must be a comma-separated list of ${SEARCH_TYPES.join(', ')}` });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({ error: `"limit" must be an integer between 1 and ${MAX_SEARCH_RESULTS}` });
+    }
+
+    const results = await search.query(q, { types, limit, ownerScope: await getRequestScope(req) });
+    res.json({ query: q, results });
+  }));
+
+  router.get('/leads', route('Failed to fetch leads', async (req, res) => {
+    const { options, errors } = parseListQuery(req.query, LEAD_SORT_FIELDS);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    options.ownerScope = await getRequestScope(req);
+    const total = await leads.count(options);
+    const rows = await leads.list(options);
+    res.set('X-Total-Count', String(total));
+    res.json(rows);
+  }));
+
+  router.get('/leads/duplicates', route('Failed to find duplicate leads', async (req, res) => {
+    res.json(await leads.findDuplicates({ ownerScope: await getRequestScope(req) }));
+  }));
+
+  router.post('/leads/:leadId/owner', route('Failed to update lead owner', async (req, res) => {
+    const { leadId } = req.params;
+
+    if (!leadId) {
+      return res.status(400).json({ error: 'leadId is required' });
+    }
+
+    const { owner, error } = resolveOwner(req.body, await users.list(), null);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const before = await findVisibleLead(req, leadId);
+    if (!before) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const scopeError = getOwnerScopeError(await getRequestScope(req), owner);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+
+    const updatedLead = await leads.updateOwner(leadId, owner);
+    if (!updatedLead) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    auditChange(res, 'lead', leadId, before, await leads.getById(leadId));
+    return res.json(updatedLead);
+  }));
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  const PHONE_PATTERN = /^\+?[0-9\s().-]{5,}$/;
+
+  function validateLeadPatch(body) {
+    const changes = {};
+    const errors = [];
+    const input = body && typeof body === 'object' ? body : {};
+    const has = (field) => Object.prototype.hasOwnProperty.call(input, field);
+
+    Object.keys(input)
+      .filter((field) => !EDITABLE_LEAD_FIELDS.includes(field))
+      .forEach((field) => errors.push(`"${field}" cannot be updated`));
+
+    ['name', 'company'].forEach((field) => {
+      if (!has(field)) return;
+      const raw = input[field];
+      if (typeof raw !== 'string' || !raw.trim()) {
+        errors.push(`"${field}" must be a non-empty string`);
+        return;
+      }
+      changes[field] = raw.trim();
+    });
+
+    ['email', 'phone', 'address', 'source'].forEach((field) => {
+      if (!has(field)) return;
+      const raw = input[field];
+      if (raw === null || (typeof raw === 'string' && !raw.trim())) {
+        changes[field] = null;
+        return;
+      }
+      if (typeof raw !== 'string') {
+        errors.push(`"${field}" must be a string or null`);
+        return;
+      }
+      const trimmed = raw.trim();
+      if (field === 'email' && !EMAIL_PATTERN.test(trimmed)) {
+        errors.push('"email" must be a valid email address');
+        return;
+      }
+      if (field === 'phone' && !PHONE_PATTERN.test(trimmed)) {
+        errors.push('"phone" must contain only digits, spaces, +, -, ( and )');
+        return;
+      }
+      changes[field] = trimmed;
+    });
+
+    if (has('value')) {
+      const raw = input.value;
+      if (raw === null) {
+        changes.value = null;
+      } else if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < 0) {
+        errors.push('"value" must be a non-negative number or null');
+      } else {
+        changes.value = raw;
+      }
+    }
+
+    return { changes, errors };
+  }
+
+  // Finds the user an owner value names: a user id, email address or name
+  // (ignoring case), so CSV imports can give owners the way people write them.
+  function findUser(userList, value) {
+    const needle = String(value).trim().toLowerCase();
+    return (
+      userList.find((user) => user.id === value || user.email === needle || user.name.toLowerCase() === needle) ||
+      null
+    );
+  }
+
+  // Reads `ownerUserId` (or `ownerName`) from a request body. Without either,
+  // the owner is `defaultOwner`; null means unassigned.
+  function resolveOwner(body, userList, defaultOwner) {
+    const input = body && typeof body === 'object' ? body : {};
+    const value = input.ownerUserId != null ? input.ownerUserId : input.ownerName;
+    if (value == null || value === '') {
+      return { owner: defaultOwner || null, error: null };
+    }
+
+    const owner = typeof value === 'string' ? findUser(userList, value) : null;
+    return owner ? { owner, error: null } : { owner: null, error: `Owner "${value}" is not a user` };
+  }
+
+  const NEW_LEAD_REQUIRED_ERROR = 'Both "name" and "company" fields are required.';
+
+  // The owner of a new lead from POST /leads or a CSV import: the one the body
+  // names, or `defaultOwner` (the user making the request), and within their
+  // `ownerScope`.
+  function resolveNewLeadOwner(input, userList, defaultOwner, ownerScope) {
+    const { owner, error } = resolveOwner(input, userList, defaultOwner);
+    return { owner, error: error || getOwnerScopeError(ownerScope, owner) };
+  }
+
+  // The rules for an imported row: name and company are required, the owner is
+  // checked as for POST /leads, and the optional fields get the same checks as
+  // a lead update so a bad cell is reported before anything is saved.
+  function validateNewLead(body, userList, defaultOwner, ownerScope) {
+    const input = body && typeof body === 'object' ? body : {};
+    const fields = {};
+    EDITABLE_LEAD_FIELDS.forEach((field) => {
+      if (input[field] !== undefined) fields[field] = input[field];
+    });
+    if (typeof fields.value === 'string') {
+      const amount = fields.value.replace(/[£,\s]/g, '');
+      fields.value = amount === '' ? null : Number(amount);
+    }
+
+    const { changes, errors } = validateLeadPatch(fields);
+    if (fields.name === undefined || fields.company === undefined) {
+      errors.unshift(NEW_LEAD_REQUIRED_ERROR);
+    }
+
+    const { createdAt } = input;
+    if (createdAt != null && (typeof createdAt !== 'string' || Number.isNaN(Date.parse(createdAt)))) {
+      errors.push('"createdAt" must be an ISO date');
+    }
+
+    const { owner, error: ownerError } = resolveNewLeadOwner(input, userList, defaultOwner, ownerScope);
+    if (ownerError) errors.push(ownerError);
+
+    return {
+      lead: {
+        ...changes,
+        createdAt: createdAt || undefined,
+        ownerUserId: owner ? owner.id : null,
+        ownerName: owner ? owner.name : UNASSIGNED_OWNER_NAME,
+      },
+      errors,
+    };
+  }
+
+  router.patch('/leads/:leadId', route('Failed to update lead', async (req, res) => {
+    const { leadId } = req.params;
+    const { changes, errors } = validateLeadPatch(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid lead update', details: errors });
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        error: 'At least one of name, company, email, phone, address, value or source is required',
+      });
+    }
+
+    const before = await findVisibleLead(req, leadId);
+    if (!before) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const result = await leads.updateFields(leadId, changes, getRequestActorId(req));
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    const lead = await leads.getById(leadId);
+    auditChange(res, 'lead', leadId, before, lead);
+    return res.json(lead);
+  }));
+
+  router.get('/leads/:leadId/history', route('Failed to fetch lead history', async (req, res) => {
+    if (!(await findVisibleLead(req, req.params.leadId))) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    res.json(await leads.getHistory(req.params.leadId));
+  }));
+
+  const MERGE_FIELD_CHOICES = ['target', 'duplicate'];
+
+  // Merging deletes the duplicate lead, so like other deletes it is admin-only.
+  router.post('/leads/:leadId/merge', requireRole('admin'), route('Failed to merge leads', async (req, res) => {
+    const { leadId } = req.params;
+    const { duplicateLeadId, fields } = req.body || {};
+    const errors = [];
+
+    if (!duplicateLeadId || typeof duplicateLeadId !== 'string') {
+      errors.push('"duplicateLeadId" is required');
+    } else if (duplicateLeadId === leadId) {
+      errors.push('A lead cannot be merged into itself');
+    }
+
+    if (fields != null) {
+      if (typeof fields !== 'object' || Array.isArray(fields)) {
+        errors.push('"fields" must be an object');
+      } else {
+        Object.entries(fields).forEach(([field, choice]) => {
+          if (!EDITABLE_LEAD_FIELDS.includes(field)) {
+            errors.push(`"${field}" cannot be chosen when merging`);
+          } else if (!MERGE_FIELD_CHOICES.includes(choice)) {
+            errors.push(`"fields.${field}" must be one of: ${MERGE_FIELD_CHOICES.join(', ')}`);
+          }
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid merge request', details: errors });
+    }
+
+    const [targetBefore, duplicateBefore] = await Promise.all([leads.getById(leadId), leads.getById(duplicateLeadId)]);
+    const result = await leads.merge(leadId, duplicateLeadId, fields || {}, getRequestActorId(req));
+    if (result.notFound === 'target') {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    if (result.notFound === 'duplicate') {
+      return res.status(404).json({ error: 'Duplicate lead not found' });
+    }
+    if (result.targetArchived) {
+      return res.status(409).json({ error: 'Restore the lead before merging into it' });
+    }
+
+    auditChange(
+      res,
+      'lead',
+      leadId,
+      { lead: targetBefore, duplicateLead: duplicateBefore },
+      {
+        lead: await leads.getById(leadId),
+        movedDealIds: result.movedDealIds,
+        archivedDealIds: result.archivedDealIds,
+      },
+    );
+    res.json({
+      lead: result.lead,
+      movedDealIds: result.movedDealIds,
+      archivedDealIds: result.archivedDealIds,
+    });
+  }));
+
+  const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+  function withTimeInStage(deal, now) {
+    const enteredAt = deal.stageEnteredAt ? new Date(deal.stageEnteredAt) : null;
+    const timeInStageMs =
+      enteredAt && !Number.isNaN(enteredAt.getTime()) ? Math.max(0, now - enteredAt.getTime()) : null;
+
+    return {
+      ...deal,
+      timeInStageMs,
+      timeInStageDays: timeInStageMs != null ? Math.floor(timeInStageMs / MS_PER_DAY) : null,
+    };
+  }
+
+  const EXPORT_FORMATS = ['csv', 'json'];
+  const EXPORT_BATCH_SIZE = 500;
+
+  const DEAL_EXPORT_COLUMNS = [
+    'id',
+    'leadId',
+    'title',
+    'stage',
+    'value',
+    'ownerName',
+    'nextAction',
+    'nextActionDate',
+    'reminderChannel',
+    'aiAutoReminderEnabled',
+    'createdAt',
+    'stageEnteredAt',
+    'archivedAt',
+    'leadName',
+    'leadCompany',
+    'leadEmail',
+    'leadOwnerName',
+    'lastActivityType',
+    'lastActivityDate',
+  ];
+
+  const EXPORT_ENTITIES = {
+    leads: {
+      sortFields: LEAD_SORT_FIELDS,
+      fetch: leads.list,
+      columns: ['id', 'name', 'company', 'email', 'phone', 'address', 'value', 'source', 'ownerUserId', 'ownerName', 'createdAt', 'archivedAt'],
+    },
+    deals: {
+      sortFields: DEAL_SORT_FIELDS,
+      fetch: deals.listWithLeadAndLastActivity,
+      columns: DEAL_EXPORT_COLUMNS,
+    },
+    activities: {
+      sortFields: ACTIVITY_SORT_FIELDS,
+      fetch: activities.listWithDeal,
+      columns: ['id', 'dealId', 'type', 'note', 'createdAt', 'dealTitle', 'dealStage', 'leadId', 'leadName', 'leadCompany'],
+    },
+    'outreach-steps': {
+      sortFields: OUTREACH_STEP_SORT_FIELDS,
+      fetch: outreachSteps.listWithDeal,
+      columns: [
+        'id',
+        'dealId',
+        'dueDate',
+        'channel',
+        'intent',
+        'goal',
+        'status',
+        'createdAt',
+        'completedAt',
+        'dealTitle',
+        'dealStage',
+        'leadId',
+        'leadName',
+        'leadCompany',
+      ],
+    },
+  };
+
+  // Resolves once the client has drained the response, or has gone away.
+  function waitForDrain(res) {
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+
+  // Streams every matching row in batches, waiting for the client to drain the
+  // response between batches so large exports are never held in memory.
+  router.get('/exports/:entity', requireRole('admin'), route('Failed to export data', async (req, res) => {
+    const entity = EXPORT_ENTITIES[req.params.entity];
+    if (!entity) {
+      return res
+        .status(404)
+        .json({ error: `Unknown export; use one of: ${Object.keys(EXPORT_ENTITIES).join(', ')}` });
+    }
+
+    const format = typeof req.query.format === 'string' ? req.query.format.toLowerCase() : 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `"format" must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const { options, errors } = parseListQuery(req.query, entity.sortFields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid export query', details: errors });
+    }
+    delete options.limit;
+    delete options.offset;
+
+    const fileName = `${req.params.entity}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    let offset = 0;
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+
+    const writeBatch = (rows) => {
+      if (format === 'csv') {
+        return res.write(rows.map((row) => toCsvLine(entity.columns.map((column) => row[column]))).join(''));
+      }
+      const separator = offset === 0 ? '\n' : ',\n';
+      return res.write(`${separator}${rows.map((row) => JSON.stringify(row)).join(',\n')}`);
+    };
+
+    for (;;) {
+      const rows = await entity.fetch({ ...options, limit: EXPORT_BATCH_SIZE, offset });
+      if (clientGone) return;
+
+      if (offset === 0) {
+        res.status(200);
+        res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.attachment(fileName);
+        // The byte order mark makes Excel read the file as UTF-8 (£, accents).
+        res.write(format === 'csv' ? `\uFEFF${toCsvLine(entity.columns)}` : '[');
+      }
+
+      const drained = rows.length > 0 ? writeBatch(rows) : true;
+      offset += rows.length;
+
+      if (rows.length < EXPORT_BATCH_SIZE) {
+        return res.end(format === 'json' ? `${offset > 0 ? '\n' : ''}]\n` : undefined);
+      }
+
+      if (!drained) {
+        await waitForDrain(res);
+      }
+    }
+  }));
+
+  router.get('/companies', route('Failed to fetch companies', async (req, res) => {
+    const q = typeof req.query.q === 'string' && req.query.q.trim() ? req.query.q.trim() : null;
+    res.json(await companies.list({ q }));
+  }));
+
+  router.post('/companies', route('Failed to create company', async (req, res) => {
+    const { name, address } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const result = await companies.create({
+      name: name.trim(),
+      address: typeof address === 'string' ? address.trim() : null,
+    });
+    auditChange(res, 'company', result.company.id, null, result.company);
+    res.status(result.created ? 201 : 200).json(result.company);
+  }));
+
+  router.get('/companies/:companyId', route('Failed to fetch company', async (req, res) => {
+    const company = await companies.getWithContactsAndDeals(req.params.companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+    const scope = await getRequestScope(req);
+    res.json({ ...company, deals: company.deals.filter((deal) => canAccessOwner(scope, deal.ownerUserId)) });
+  }));
+
+  router.post('/companies/:companyId/contacts', route('Failed to create contact', async (req, res) => {
+    const { companyId } = req.params;
+    const { name, email, phone, role } = req.body || {};
+
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (email && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+      return res.status(400).json({ error: '"email" must be a valid email address' });
+    }
+    if (phone && (typeof phone !== 'string' || !PHONE_PATTERN.test(phone.trim()))) {
+      return res.status(400).json({ error: '"phone" must contain only digits, spaces, +, -, ( and )' });
+    }
+
+    const company = await companies.getWithContactsAndDeals(companyId);
+    if (!company) {
+      return res.status(404).json({ error: 'Company not found' });
+    }
+
+    const contact = await companies.createContact({
+      companyId,
+      name: name.trim(),
+      email: email ? email.trim() : null,
+      phone: phone ? phone.trim() : null,
+      role: typeof role === 'string' && role.trim() ? role.trim() : null,
+    });
+    auditChange(res, 'contact', contact.id, null, contact);
+    res.status(201).json(contact);
+  }));
+
+  router.get('/deals', route('Failed to fetch deals', async (req, res) => {
+    const { options, errors } = parseListQuery(req.query, DEAL_SORT_FIELDS);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    options.ownerScope = await getRequestScope(req);
+    const total = await deals.count(options);
+    const rows = await deals.list(options);
+    const now = Date.now();
+    res.set('X-Total-Count', String(total));
+    res.json(rows.map((row) => withTimeInStage(row, now)));
+  }));
+
+  router.post('/deals', route('Failed to create deal', async (req, res) => {
+    const {
+      leadId,
+      title,
+      value,
+      stage,
+      nextAction,
+      nextActionDate,
+      reminderChannel,
+      aiAutoReminderEnabled,
+    } = req.body || {};
+
+    if (!leadId || typeof leadId !== 'string' || !leadId.trim()) {
+      return res.status(400).json({ error: 'leadId is required' });
+    }
+    if (!title || typeof title !== 'string' || !title.trim()) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    const { owner, error: ownerError } = resolveOwner(req.body, await users.list(), req.user);
+    if (ownerError) {
+      return res.status(400).json({ error: ownerError });
+    }
+
+    if (!(await findVisibleLead(req, leadId.trim()))) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+    const scopeError = getOwnerScopeError(await getRequestScope(req), owner);
+    if (scopeError) {
+      return res.status(403).json({ error: scopeError });
+    }
+
+    const stages = await pipelineStages.list();
+    const stageDefinition =
+      stage && typeof stage === 'string'
+        ? findPipelineStage(stages, stage)
+        : getDefaultPipelineStage(stages);
+
+    if (!stageDefinition) {
+      return res.status(400).json({
+        error: 'stage must be one of the configured pipeline stages',
+        allowedStages: stages.map((s) => s.name),
+      });
+    }
+
+    const dealInput = {
+      leadId: leadId.trim(),
+      title: title.trim(),
+      stage: stageDefinition.name,
+      value: typeof value === 'number' ? value : 0,
+      nextAction: typeof nextAction === 'string' ? nextAction.trim() : null,
+      nextActionDate: nextActionDate || null,
+      reminderChannel: typeof reminderChannel === 'string' ? reminderChannel.trim() : null,
+      aiAutoReminderEnabled: !!aiAutoReminderEnabled,
+      ownerUserId: owner ? owner.id : null,
+      ownerName: owner ? owner.name : UNASSIGNED_OWNER_NAME,
+      changedBy: getRequestActor(req),
+    };
+
+    let createdDeal;
+    try {
+      createdDeal = await deals.create(dealInput);
+    } catch (err) {
+      if (isForeignKeyError(err)) {
+        return res.status(404).json({ error: 'Lead not found' });
+      }
+      throw err;
+    }
+
+    if (!createdDeal) {
+      return res.status(500).json({ error: 'Deal not created' });
+    }
+
+    auditChange(res, 'deal', createdDeal.id, null, await deals.getById(createdDeal.id));
+    return res.status(201).json(createdDeal);
+  }));
+
+  router.post('/deals/:dealId/details', route('Failed to update deal details', async (req, res) => {
+    const { dealId } = req.params;
+    const { value, nextAction, nextActionDate } = req.body || {};
+
+    const details = {};
+
+    if (typeof value === 'number') {
+      details.value = value;
+    }
+
+    if (typeof nextAction === 'string') {
+      details.nextAction = nextAction.trim();
+    }
+
+    if (req.body && Object.prototype.hasOwnProperty.call(req.body, 'nextActionDate')) {
+      details.nextActionDate = nextActionDate || null;
+    }
+
+    if (Object.keys(details).length === 0) {
+      return res.status(400).json({ error: 'At least one of value, nextAction, or nextActionDate is required' });
+    }
+
+    const before = await findVisibleDeal(req, dealId);
+    if (!before) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const updatedDeal = await deals.updateDetails(dealId, details);
+    if (!updatedDeal) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    auditChange(res, 'deal', dealId, before, await deals.getById(dealId));
+    return res.status(200).json(updatedDeal);
+  }));
+
+  router.get('/deals/:dealId/stage-history', route('Failed to fetch stage history', async (req, res) => {
+    const { dealId } = req.params;
+
+    if (!(await findVisibleDeal(req, dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const rows = await deals.getStageHistory(dealId);
+
+    // Each entry lasts until the next transition; the last one is still open.
+    const now = Date.now();
+    const history = rows.map((row, index) => {
+      const next = rows[index + 1];
+      const start = new Date(row.changedAt).getTime();
+      const end = next ? new Date(next.changedAt).getTime() : now;
+      return {
+        ...row,
+        durationMs: Number.isNaN(start) || Number.isNaN(end) ? null : Math.max(0, end - start),
+        current: !next,
+      };
+    });
+
+    res.json(history);
+  }));
+
+  router.get('/deals/:dealId/contacts', route('Failed to fetch deal contacts', async (req, res) => {
+    if (!(await findVisibleDeal(req, req.params.dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+    res.json(await deals.getContacts(req.params.dealId));
+  }));
+
+  router.post('/deals/:dealId/contacts', route('Failed to add contact to deal', async (req, res) => {
+    const { dealId } = req.params;
+    const { contactId, isPrimary } = req.body || {};
+
+    if (!contactId || typeof contactId !== 'string') {
+      return res.status(400).json({ error: 'contactId is required' });
+    }
+    if (!(await findVisibleDeal(req, dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const contactsBefore = await deals.getContacts(dealId);
+    const result = await deals.addContact(dealId, contactId, !!isPrimary);
+    if (result.notFound === 'deal') {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+    if (result.notFound === 'contact') {
+      return res.status(404).json({ error: 'Contact not found' });
+    }
+    if (result.companyMismatch) {
+      return res.status(409).json({ error: 'Contact belongs to a different company than the deal' });
+    }
+    auditChange(res, 'deal', dealId, { contacts: contactsBefore }, { contacts: result.contacts });
+    res.json(result.contacts);
+  }));
+
+  router.delete('/deals/:dealId/contacts/:contactId', route('Failed to remove contact from deal', async (req, res) => {
+    const { dealId, contactId } = req.params;
+    if (!(await findVisibleDeal(req, dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const contactsBefore = await deals.getContacts(dealId);
+    const result = await deals.removeContact(dealId, contactId);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Contact is not linked to this deal' });
+    }
+    auditChange(res, 'deal', dealId, { contacts: contactsBefore }, { contacts: await deals.getContacts(dealId) });
+    res.json({ success: true });
+  }));
+
+  router.get('/deals/:dealId/activities', route('Failed to fetch activities', async (req, res) => {
+    if (!(await findVisibleDeal(req, req.params.dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+    res.json(await activities.listForDeal(req.params.dealId));
+  }));
+
+  router.get('/deals/:dealId/outreach-steps', route('Failed to fetch outreach steps', async (req, res) => {
+    const { dealId } = req.params;
+
+    if (!dealId) {
+      return res.status(400).json({ error: 'dealId is required' });
+    }
+    if (!(await findVisibleDeal(req, dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    return res.json(await outreachSteps.listForDeal(dealId));
+  }));
+
+  router.post('/deals/:dealId/activities', route('Failed to create activity', async (req, res) => {
+    const { dealId } = req.params;
+    const { type, note, createdAt } = req.body || {};
+
+    if (!type || !note) {
+      return res.status(400).json({ error: 'type and note are required' });
+    }
+    if (!(await findVisibleDeal(req, dealId))) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const activity = {
+      id: uuidv4(),
+      dealId,
+      type,
+      note,
+      createdAt: createdAt || new Date().toISOString(),
+    };
+
+    const result = await activities.create(activity);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+    auditChange(res, 'activity', activity.id, null, activity);
+    res.status(201).json(activity);
+  }));
+
+  router.patch('/outreach-steps/:stepId/status', route('Failed to update outreach step status', async (req, res) => {
+    const { stepId } = req.params;
+    const { status } = req.body || {};
+
+    const allowedStatuses = ['pending', 'done', 'skipped'];
+    if (!stepId || !allowedStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const before = await outreachSteps.getById(stepId);
+    if (!before || !(await findVisibleDeal(req, before.dealId))) {
+      return res.status(404).json({ error: 'Outreach step not found' });
+    }
+
+    const result = await outreachSteps.updateStatus(stepId, status);
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Outreach step not found' });
+    }
+
+    auditChange(res, 'outreachStep', stepId, before, await outreachSteps.getById(stepId));
+    return res.status(200).json({ ok: true, status });
+  }));
+
+  const DEFAULT_INTENT = 'nurture_checkin';
+
+  const OUTREACH_INTENTS = [
+    'first_contact',
+    'post_call_summary',
+    'proposal_followup',
+    'nurture_checkin',
+    'deal_recovery',
+    'meeting_confirmation',
+    'meeting_reminder',
+    'invoice_gentle',
+    'invoice_firm',
+    'invoice_final',
+  ];
+
+  const PIPELINE_STAGE_CATEGORIES = ['open', 'won', 'lost'];
+
+  function findPipelineStage(stages, stageName) {
+    const key = normaliseStageName(stageName);
+    if (!key) return null;
+    return (stages || []).find((s) => normaliseStageName(s.name) === key) || null;
+  }
+
+  function getDefaultPipelineStage(stages) {
+    const list = stages || [];
+    return list.find((s) => s.category === 'open') || list[0] || null;
+  }
+
+  function stageToBaseIntent(stage, stages) {
+    const definition = findPipelineStage(stages, stage);
+    if (!definition) return DEFAULT_INTENT;
+    if (definition.defaultIntent) return definition.defaultIntent;
+    if (definition.category === 'won') return 'post_call_summary';
+    if (definition.category === 'lost') return 'deal_recovery';
+    return DEFAULT_INTENT;
+  }
 
-        return buildAndStoreSteps(stub);
+  function normalizeIntentForStage(stage, originalIntent, hasAnyContact, stages) {
+    const base = stageToBaseIntent(stage, stages);
+    if (!originalIntent) return base;
+
+    const intent = String(originalIntent).toLowerCase();
+
+    if (intent === 'first_contact') {
+      // If stage mapping prefers nurture based on prior contact
+      if (hasAnyContact) {
+        return 'nurture_checkin';
       }
+      return base;
+    }
 
-      if (!process.env.OPENAI_API_KEY) {
-        return handleStubResponse()
-          .then((rows) => res.status(200).json({ dealId, steps: rows || [] }))
-          .catch((storeErr) => {
-            console.error('Failed to store stub outreach steps', storeErr);
-            res.status(500).json({ error: 'Failed to generate outreach plan' });
-          });
+    if (OUTREACH_INTENTS.includes(intent)) {
+      return intent;
+    }
+
+    return base;
+  }
+
+  function getRecoveryStageProfile(stageDefinition) {
+    if (!stageDefinition) return 'other';
+    if (stageDefinition.category === 'lost') return 'lost';
+    if (stageDefinition.category === 'won') return 'won';
+    switch (stageDefinition.defaultIntent) {
+      case 'proposal_followup':
+        return 'proposal';
+      case 'first_contact':
+        return 'new';
+      case 'nurture_checkin':
+        return 'qualified';
+      default:
+        return 'other';
+    }
+  }
+
+  // Best-effort lookups for the AI endpoints, which still answer when these fail.
+  function loadPipelineStages() {
+    return pipelineStages.list().catch((err) => {
+      console.error('Error loading pipeline stages:', err);
+      return [];
+    });
+  }
+
+  function loadDuplicateLeadGroups(ownerScope) {
+    return leads.findDuplicates({ ownerScope }).catch((err) => {
+      console.error('Error loading duplicate leads:', err);
+      return [];
+    });
+  }
+
+  function validatePipelineStageInput(body, { partial }) {
+    const values = {};
+    const errors = [];
+    const input = body && typeof body === 'object' ? body : {};
+    const has = (field) => Object.prototype.hasOwnProperty.call(input, field);
+
+    if (has('name') || !partial) {
+      if (typeof input.name !== 'string' || !input.name.trim()) {
+        errors.push('"name" must be a non-empty string');
+      } else {
+        values.name = input.name.trim().replace(/\s+/g, ' ');
       }
+    }
 
-      try {
-        const systemMessage =
-          'You are the Outreach Planner for Lead Desk. Plan 3-5 concrete outreach steps over the next horizonDays.' +
-          ' Use only channels: email, whatsapp, sms, call_script. Use intents from the provided list.' +
-          ' Provide short human-readable goals. Use GBP/£ if you mention amounts.' +
-          ' recentHistory.recentActivities is an array of recent events (type, createdAt, note) you can use to set tone.' +
-          ' Output ONLY valid JSON with a top-level "steps" array of objects: {offsetDays, channel, intent, goal}.' +
-          ' offsetDays must be between 0 and the provided horizonDays.';
-
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4.1-mini',
-          response_format: { type: 'json_object' },
-          messages: [
-            { role: 'system', content: systemMessage },
-            { role: 'user', content: JSON.stringify({ input }) },
-          ],
-        });
+    if (has('category') || !partial) {
+      const category = typeof input.category === 'string' ? input.category.toLowerCase() : input.category;
+      if (!PIPELINE_STAGE_CATEGORIES.includes(category)) {
+        errors.push(`"category" must be one of ${PIPELINE_STAGE_CATEGORIES.join(', ')}`);
+      } else {
+        values.category = category;
+      }
+    }
 
-        const content = completion.choices?.[0]?.message?.content || '{}';
-        let parsed;
-        try {
-          parsed = JSON.parse(content);
-        } catch (jsonErr) {
-          console.error('Failed to parse outreach plan JSON:', jsonErr);
-          parsed = null;
-        }
+    if (has('displayOrder')) {
+      if (!Number.isInteger(input.displayOrder)) {
+        errors.push('"displayOrder" must be an integer');
+      } else {
+        values.displayOrder = input.displayOrder;
+      }
+    }
+
+    if (has('defaultProbability')) {
+      const probability = input.defaultProbability;
+      if (probability !== null && (!Number.isInteger(probability) || probability < 0 || probability > 100)) {
+        errors.push('"defaultProbability" must be an integer between 0 and 100, or null');
+      } else {
+        values.defaultProbability = probability;
+      }
+    }
+
+    if (has('defaultIntent')) {
+      const intent = input.defaultIntent;
+      if (intent !== null && !OUTREACH_INTENTS.includes(intent)) {
+        errors.push(`"defaultIntent" must be one of ${OUTREACH_INTENTS.join(', ')}, or null`);
+      } else {
+        values.defaultIntent = intent;
+      }
+    }
+
+    return { values, errors };
+  }
+
+  router.get('/pipeline-stages', route('Failed to fetch pipeline stages', async (req, res) => {
+    res.json(await pipelineStages.list());
+  }));
+
+  router.post('/pipeline-stages', requireRole('admin'), route('Failed to create pipeline stage', async (req, res) => {
+    const { values, errors } = validatePipelineStageInput(req.body, { partial: false });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pipeline stage', details: errors });
+    }
+
+    const stages = await pipelineStages.list();
+    if (findPipelineStage(stages, values.name)) {
+      return res.status(409).json({ error: `A stage named "${values.name}" already exists` });
+    }
+
+    const createdStage = await pipelineStages.create(values);
+    auditChange(res, 'pipelineStage', createdStage.id, null, createdStage);
+    res.status(201).json(createdStage);
+  }));
 
-        const created = await buildAndStoreSteps(parsed?.steps);
+  router.patch('/pipeline-stages/:stageId', requireRole('admin'), route('Failed to update pipeline stage', async (req, res) => {
+    const { stageId } = req.params;
+    const { values, errors } = validatePipelineStageInput(req.body, { partial: true });
 
-        if (!created) {
-          console.warn('No outreach steps created from AI; using stub fallback');
-          const fallback = await handleStubResponse();
-          return res.status(200).json({ dealId, steps: fallback || [] });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid pipeline stage', details: errors });
+    }
+
+    const stages = await pipelineStages.list();
+    const clash = values.name ? findPipelineStage(stages, values.name) : null;
+    if (clash && clash.id !== stageId) {
+      return res.status(409).json({ error: `A stage named "${values.name}" already exists` });
+    }
+
+    const result = await pipelineStages.update(stageId, values);
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Pipeline stage not found' });
+    }
+
+    auditChange(res, 'pipelineStage', stageId, stages.find((existing) => existing.id === stageId), result.stage);
+    res.json(result.stage);
+  }));
+
+  router.delete('/pipeline-stages/:stageId', requireRole('admin'), route('Failed to delete pipeline stage', async (req, res) => {
+    const { stageId } = req.params;
+    const before = await pipelineStages.getById(stageId);
+    const result = await pipelineStages.remove(stageId);
+
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Pipeline stage not found' });
+    }
+
+    if (result && result.dealsInStage > 0) {
+      return res.status(409).json({
+        error: `Stage is used by ${result.dealsInStage} deal(s); move them to another stage first`,
+      });
+    }
+
+    auditChange(res, 'pipelineStage', stageId, before, null);
+    res.json({ success: true });
+  }));
+
+  const OUTREACH_STEP_DUE_TIME = '09:00';
+
+  const OUTREACH_PLAN_STUB_STEPS = [
+    {
+      offsetDays: 0,
+      channel: 'email',
+      intent: 'first_contact',
+      goal: 'Send a concise intro email with value props and propose a short call.',
+    },
+    {
+      offsetDays: 3,
+      channel: 'whatsapp',
+      intent: 'nurture_checkin',
+      goal: 'Lightly check in to see if they had a chance to review.',
+    },
+    {
+      offsetDays: 7,
+      channel: 'call_script',
+      intent: 'post_call_summary',
+      goal: 'Call to recap fit, address questions, and agree next steps.',
+    },
+  ];
+
+  router.post('/ai/outreach-plan', route('Failed to generate outreach plan', async (req, res) => {
+    const { dealId, horizonDays } = req.body || {};
+
+    if (!dealId) {
+      return res.status(400).json({ error: 'dealId is required' });
+    }
+
+    const parsedHorizon = Number.isInteger(horizonDays) && horizonDays > 0 ? horizonDays : 14;
+    const allowedChannels = ['email', 'whatsapp', 'sms', 'call_script'];
+
+    const deal = await findVisibleDeal(req, dealId);
+    const context = deal ? await deals.getMessageDraftContext(dealId) : null;
+    if (!context) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const activityRows = await activities.listRecentForDeal(dealId, 5).catch((activitiesErr) => {
+      console.error('Error fetching recent activities for outreach plan:', activitiesErr);
+      return [];
+    });
+
+    const recentActivities = activityRows.map((row) => ({
+      type: row.type || null,
+      createdAt: row.createdAt || null,
+      note: row.note || null,
+    }));
+    const stages = await loadPipelineStages();
+    const stageDefinition = findPipelineStage(stages, context.stage);
+
+    const input = {
+      appName: 'lead_desk',
+      horizonDays: parsedHorizon,
+      deal: {
+        id: context.dealId || dealId,
+        stage: context.stage,
+        stageCategory: stageDefinition ? stageDefinition.category : null,
+        valueGBP: context.valueGBP || null,
+        name: context.dealName || null,
+      },
+      lead: {
+        name: context.leadName || null,
+        company: context.company || null,
+      },
+      recentHistory: {
+        lastContactType: context.lastActivityType || null,
+        lastContactDate: context.lastActivityDate || null,
+        recentActivities,
+      },
+    };
+    const hasAnyContact = !!context.lastActivityDate || recentActivities.length > 0;
+
+    // Steps are due at OUTREACH_STEP_DUE_TIME on their day in the deal owner's
+    // timezone.
+    async function buildAndStoreSteps(modelSteps) {
+      const timezone = await workspaces.getTimezone(deal.ownerUserId);
+      const today = getZonedDateTime(new Date(), timezone).date;
+      const stepsToInsert = [];
+
+      const normalizedSteps = (modelSteps || []).map((step) => {
+        const normalizedIntent = normalizeIntentForStage(
+          context.stage,
+          step.intent,
+          hasAnyContact,
+          stages,
+        );
+
+        return {
+          ...step,
+          intent: normalizedIntent,
+        };
+      });
+
+      normalizedSteps.forEach((step) => {
+        if (
+          typeof step !== 'object' ||
+          typeof step.offsetDays !== 'number' ||
+          step.offsetDays < 0 ||
+          step.offsetDays > parsedHorizon
+        ) {
+          return;
         }
 
-        return res.status(200).json({ dealId, steps: created });
-      } catch (aiErr) {
-        console.error('Error generating outreach plan:', aiErr);
-        return handleStubResponse()
-          .then((rows) => res.status(200).json({ dealId, steps: rows || [] }))
-          .catch((storeErr) => {
-            console.error('Failed to store fallback outreach steps', storeErr);
-            res.status(500).json({ error: 'Failed to generate outreach plan' });
-          });
+        if (!allowedChannels.includes(step.channel) || !OUTREACH_INTENTS.includes(step.intent)) {
+          return;
+        }
+
+        const due = zonedTimeToDate(addDays(today, step.offsetDays), OUTREACH_STEP_DUE_TIME, timezone);
+
+        stepsToInsert.push({
+          id: uuidv4(),
+          dealId,
+          dueDate: due.toISOString(),
+          channel: step.channel,
+          intent: step.intent,
+          goal: step.goal || null,
+          status: 'pending',
+        });
+      });
+
+      if (stepsToInsert.length === 0) {
+        return null;
       }
-    });
-  });
-});
 
-app.delete('/leads/:leadId', (req, res) => {
-  const { leadId } = req.params;
+      await outreachSteps.createMany(stepsToInsert);
+      auditChange(res, 'deal', dealId, null, { outreachSteps: stepsToInsert });
+      return outreachSteps.listForDeal(dealId);
+    }
+
+    if (!process.env.OPENAI_API_KEY) {
+      const rows = await buildAndStoreSteps(OUTREACH_PLAN_STUB_STEPS);
+      return res.status(200).json({ dealId, steps: rows || [] });
+    }
+
+    let parsed = null;
+    try {
+      const systemMessage =
+        'You are the Outreach Planner for Lead Desk. Plan 3-5 concrete outreach steps over the next horizonDays.' +
+        ' Use only channels: email, whatsapp, sms, call_script. Use intents from the provided list.' +
+        ' Provide short human-readable goals. Use GBP/£ if you mention amounts.' +
+        ' recentHistory.recentActivities is an array of recent events (type, createdAt, note) you can use to set tone.' +
+        ' Output ONLY valid JSON with a top-level "steps" array of objects: {offsetDays, channel, intent, goal}.' +
+        ' offsetDays must be between 0 and the provided horizonDays.';
+
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-4.1-mini',
+        response_format: { type: 'json_object' },
+        messages: [
+          { role: 'system', content: systemMessage },
+          { role: 'user', content: JSON.stringify({ input }) },
+        ],
+      });
+
+      const content = completion.choices?.[0]?.message?.content || '{}';
+      try {
+        parsed = JSON.parse(content);
+      } catch (jsonErr) {
+        console.error('Failed to parse outreach plan JSON:', jsonErr);
+      }
+    } catch (aiErr) {
+      console.error('Error generating outreach plan:', aiErr);
+    }
 
-  deleteLeadAndRelated(leadId, (err, result) => {
-    if (err) {
-      console.error('Failed to delete lead and related data', err);
-      return res.status(500).json({ error: 'Failed to delete lead' });
+    const created = await buildAndStoreSteps(parsed?.steps);
+    if (created) {
+      return res.status(200).json({ dealId, steps: created });
     }
 
+    console.warn('No outreach steps created from AI; using stub fallback');
+    const fallback = await buildAndStoreSteps(OUTREACH_PLAN_STUB_STEPS);
+    return res.status(200).json({ dealId, steps: fallback || [] });
+  }));
+
+  router.delete('/leads/:leadId', requireRole('admin'), route('Failed to delete lead', async (req, res) => {
+    const { leadId } = req.params;
+    const before = await leads.getById(leadId);
+    const result = await leads.archive(leadId);
+
     if (result && result.notFound) {
       return res.status(404).json({ error: 'Lead not found' });
     }
 
-    return res.status(200).json({ success: true });
-  });
-});
+    auditChange(res, 'lead', leadId, before, await leads.getById(leadId));
+    return res.status(200).json({ success: true, archivedAt: result.archivedAt });
+  }));
 
-app.post('/deals/:dealId/stage', (req, res) => {
-  const { dealId } = req.params;
-  const { stage } = req.body || {};
+  router.post('/leads/:leadId/restore', requireRole('admin'), route('Failed to restore lead', async (req, res) => {
+    const { leadId } = req.params;
+    const before = await leads.getById(leadId);
+    const result = await leads.restore(leadId);
 
-  if (!stage || typeof stage !== 'string' || !stage.trim()) {
-    return res.status(400).json({ error: 'stage is required' });
-  }
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Lead not found' });
+    }
+
+    auditChange(res, 'lead', leadId, before, await leads.getById(leadId));
+    return res.status(200).json({ success: true, restoredDeals: result.restoredDeals });
+  }));
+
+  router.delete('/deals/:dealId', requireRole('admin'), route('Failed to delete deal', async (req, res) => {
+    const { dealId } = req.params;
+    const before = await deals.getById(dealId);
+    const result = await deals.archive(dealId);
+
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    auditChange(res, 'deal', dealId, before, await deals.getById(dealId));
+    return res.status(200).json({ success: true, archivedAt: result.deal.archivedAt });
+  }));
+
+  router.post('/deals/:dealId/restore', requireRole('admin'), route('Failed to restore deal', async (req, res) => {
+    const { dealId } = req.params;
+    const before = await deals.getById(dealId);
+    const result = await deals.restore(dealId);
+
+    if (result && result.notFound) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    if (result && result.leadArchived) {
+      return res.status(409).json({ error: 'The lead for this deal is archived; restore the lead first' });
+    }
+
+    auditChange(res, 'deal', dealId, before, await deals.getById(dealId));
+    return res.status(200).json(result.deal);
+  }));
+
+  const AUDIT_FILTERS = ['actor', 'method', 'route', 'entityType', 'entityId'];
+
+  router.get('/audit', requireRole('admin'), route('Failed to fetch audit log', async (req, res) => {
+    const { options: listOptions, errors } = parseListQuery(req.query, AUDIT_SORT_FIELDS);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: errors });
+    }
+
+    const options = {};
+    ['createdFrom', 'createdTo', 'sort', 'order', 'limit', 'offset'].forEach((key) => {
+      if (listOptions[key] !== undefined) options[key] = listOptions[key];
+    });
+    AUDIT_FILTERS.forEach((key) => {
+      if (typeof req.query[key] === 'string' && req.query[key].trim()) {
+        options[key] = key === 'method' ? req.query[key].trim().toUpperCase() : req.query[key].trim();
+      }
+    });
+
+    const total = await auditLog.count(options);
+    const rows = await auditLog.list(options);
+    res.set('X-Total-Count', String(total));
+    res.json(rows);
+  }));
+
+  router.post('/deals/:dealId/stage', route('Failed to update deal stage', async (req, res) => {
+    const { dealId } = req.params;
+    const { stage } = req.body || {};
+
+    if (!stage || typeof stage !== 'string' || !stage.trim()) {
+      return res.status(400).json({ error: 'stage is required' });
+    }
+
+    const stages = await pipelineStages.list();
+    const stageDefinition = findPipelineStage(stages, stage);
+    if (!stageDefinition) {
+      return res.status(400).json({
+        error: 'stage must be one of the configured pipeline stages',
+        allowedStages: stages.map((s) => s.name),
+      });
+    }
 
-  updateDealStage(dealId, stage.trim(), (err, updatedDeal) => {
-    if (err) {
-      console.error('Failed to update deal stage', err);
-      return res.status(500).json({ error: 'Failed to update deal stage' });
+    const before = await findVisibleDeal(req, dealId);
+    if (!before) {
+      return res.status(404).json({ error: 'Deal not found' });
     }
 
+    // The stage and its status_change activity are saved together or not at all.
+    const updatedDeal = await withTransaction(async (tx) => {
+      const deal = await tx.deals.updateStage(dealId, stageDefinition.name, getRequestActor(req));
+      if (deal) {
+        await tx.activities.create({
+          id: uuidv4(),
+          dealId,
+          type: 'status_change',
+          note: `Status updated to ${deal.stage}`,
+          createdAt: new Date().toISOString(),
+        });
+      }
+      return deal;
+    });
     if (!updatedDeal) {
       return res.status(404).json({ error: 'Deal not found' });
     }
 
-    const activity = {
-      id: uuidv4(),
-      dealId,
-      type: 'status_change',
-      note: `Status updated to ${updatedDeal.stage}`,
-      createdAt: new Date().toISOString(),
+    auditChange(res, 'deal', dealId, before, await deals.getById(dealId));
+    return res.status(200).json(updatedDeal);
+  }));
+
+  // Creates the lead's first deal through `repos`, which is the `tx` of the
+  // transaction that saves the lead so both are saved together. `changedBy` is
+  // recorded as who set the deal's first stage.
+  async function ensureInitialDealForLead(repos, lead, changedBy) {
+    if (!lead || !lead.id) {
+      throw new Error('Lead data missing for initial deal creation');
+    }
+
+    const existingDeals = await repos.deals.count({ leadId: lead.id, includeArchived: true });
+    if (existingDeals > 0) {
+      return { created: false };
+    }
+
+    const titleBase =
+      (lead.company && typeof lead.company === 'string' && lead.company.trim()) ||
+      (lead.name && typeof lead.name === 'string' && lead.name.trim());
+    const title = titleBase ? `${titleBase} - initial deal` : 'Initial deal';
+
+    const stages = await repos.pipelineStages.list();
+    const defaultStage = getDefaultPipelineStage(stages);
+
+    await repos.deals.create({
+      leadId: lead.id,
+      title,
+      stage: defaultStage ? defaultStage.name : 'New',
+      value: typeof lead.value === 'number' ? lead.value : 0,
+      nextAction: null,
+      nextActionDate: null,
+      reminderChannel: null,
+      aiAutoReminderEnabled: false,
+      ownerUserId: lead.ownerUserId || null,
+      ownerName: lead.ownerName,
+      changedBy,
+    });
+    return { created: true };
+  }
+
+  router.post('/leads', route('Failed to create lead', async (req, res) => {
+    const body = req.body || {};
+    const { name, company, email, value, source, createdAt, address, phone } = body;
+
+    if (!name || !company) {
+      return res.status(400).json({ error: NEW_LEAD_REQUIRED_ERROR });
+    }
+
+    const { owner, error: ownerError } = resolveNewLeadOwner(
+      body,
+      await users.list(),
+      req.user,
+      await getRequestScope(req),
+    );
+    if (ownerError) {
+      return res.status(400).json({ error: ownerError });
+    }
+
+    const id = uuidv4();
+    const input = {
+      name,
+      company,
+      email,
+      value,
+      source,
+      createdAt,
+      address,
+      phone,
+      ownerUserId: owner ? owner.id : null,
+      ownerName: owner ? owner.name : UNASSIGNED_OWNER_NAME,
+    };
+    const lead = await withTransaction(async (tx) => {
+      await tx.leads.create({ id, ...input });
+      const created = await tx.leads.getById(id);
+      await ensureInitialDealForLead(tx, created, getRequestActor(req));
+      return created;
+    });
+
+    auditChange(res, 'lead', id, null, lead);
+    res.status(201).json(lead);
+  }));
+
+  const IMPORT_LEAD_FIELDS = [...EDITABLE_LEAD_FIELDS, 'ownerName'];
+  const MAX_IMPORT_ROWS = 5000;
+
+  function toImportFlag(value) {
+    return value === true || isTruthyQueryFlag(value);
+  }
+
+  // Accepts either a JSON body ({ csv, mapping, fileName, dryRun, ... }) or a raw
+  // text/csv body with the same options in the query string (mapping as JSON).
+  function parseImportRequest(req) {
+    const errors = [];
+    const isRawCsv = typeof req.body === 'string';
+    const options = isRawCsv ? req.query : req.body || {};
+    const csv = isRawCsv ? req.body : options.csv;
+    let { mapping } = options;
+
+    if (typeof csv !== 'string' || !csv.trim()) {
+      errors.push('"csv" must contain the CSV file contents');
+    }
+
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (parseErr) {
+        errors.push('"mapping" must be valid JSON');
+        mapping = null;
+      }
+    }
+    if (mapping != null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      errors.push('"mapping" must be an object of lead field to CSV column');
+      mapping = null;
+    }
+
+    return {
+      csv,
+      mapping: mapping || null,
+      fileName: typeof options.fileName === 'string' && options.fileName.trim() ? options.fileName.trim() : null,
+      dryRun: toImportFlag(options.dryRun),
+      createInitialDeal: toImportFlag(options.createInitialDeal),
+      skipDuplicates: toImportFlag(options.skipDuplicates),
+      errors,
     };
+  }
+
+  function normaliseColumnName(name) {
+    return String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  // Maps lead fields to CSV columns. Without an explicit mapping, columns whose
+  // names match a lead field (ignoring case, spaces and punctuation) are used.
+  function resolveImportMapping(header, mapping) {
+    const errors = [];
+    const columns = {};
+    const findColumn = (name) => header.find((column) => normaliseColumnName(column) === normaliseColumnName(name));
+
+    if (mapping) {
+      Object.entries(mapping).forEach(([field, columnName]) => {
+        if (!IMPORT_LEAD_FIELDS.includes(field)) {
+          errors.push(`"${field}" is not a lead field; use one of: ${IMPORT_LEAD_FIELDS.join(', ')}`);
+          return;
+        }
+        const column = typeof columnName === 'string' ? findColumn(columnName) : null;
+        if (!column) {
+          errors.push(`Column "${columnName}" mapped to "${field}" is not in the CSV header`);
+          return;
+        }
+        columns[field] = column;
+      });
+    } else {
+      IMPORT_LEAD_FIELDS.forEach((field) => {
+        const column = findColumn(field);
+        if (column) columns[field] = column;
+      });
+    }
+
+    ['name', 'company'].forEach((field) => {
+      if (!columns[field] && !errors.some((error) => error.includes(`"${field}"`))) {
+        errors.push(`A column must be mapped to "${field}"`);
+      }
+    });
+
+    return { columns, errors };
+  }
+
+  function buildImportRows(records, columns, matchKeys, userList, defaultOwner, ownerScope) {
+    const seenEmails = new Map();
+    const seenPhones = new Map();
+
+    return records.map(({ row, values }) => {
+      const input = {};
+      Object.entries(columns).forEach(([field, column]) => {
+        if (values[column] !== '') input[field] = values[column];
+      });
+
+      const { lead, errors } = validateNewLead(input, userList, defaultOwner, ownerScope);
+      const warnings = [];
+
+      if (errors.length === 0) {
+        const email = normaliseEmail(lead.email);
+        const phone = normalisePhone(lead.phone);
+        if (email && matchKeys.emails.has(email)) {
+          warnings.push(`Email matches existing lead ${matchKeys.emails.get(email)}`);
+        }
+        if (phone && matchKeys.phones.has(phone)) {
+          warnings.push(`Phone matches existing lead ${matchKeys.phones.get(phone)}`);
+        }
+        if (email && seenEmails.has(email)) {
+          warnings.push(`Email repeats row ${seenEmails.get(email)}`);
+        }
+        if (phone && seenPhones.has(phone)) {
+          warnings.push(`Phone repeats row ${seenPhones.get(phone)}`);
+        }
+        if (email && !seenEmails.has(email)) seenEmails.set(email, row);
+        if (phone && !seenPhones.has(phone)) seenPhones.set(phone, row);
+      }
+
+      return { row, lead: errors.length === 0 ? lead : null, errors, warnings };
+    });
+  }
+
+  async function saveImportRows(rows, importId, options) {
+    const results = [];
 
-    createActivity(activity, (activityErr) => {
-      if (activityErr) {
-        console.error('Failed to record status change activity', activityErr);
+    for (const { row, lead, errors, warnings } of rows) {
+      if (errors.length > 0 || (options.skipDuplicates && warnings.length > 0)) {
+        results.push({ row, leadId: null, skipped: true, errors, warnings });
+        continue;
       }
-      return res.status(200).json(updatedDeal);
-    });
-  });
-});
 
-function ensureInitialDealForLead(lead, callback) {
-  if (!lead || !lead.id) {
-    return callback(new Error('Lead data missing for initial deal creation'));
+      const id = uuidv4();
+      try {
+        await withTransaction(async (tx) => {
+          await tx.leads.create({ ...lead, id, importId });
+          if (options.createInitialDeal) {
+            await ensureInitialDealForLead(tx, { ...lead, id }, options.changedBy);
+          }
+        });
+      } catch (saveErr) {
+        console.error(`Error importing lead from row ${row}:`, saveErr);
+        results.push({ row, leadId: null, skipped: true, errors: ['Failed to save lead'], warnings });
+        continue;
+      }
+
+      results.push({ row, leadId: id, skipped: false, errors, warnings });
+    }
+
+    return results;
   }
 
-  db.all('SELECT id FROM deals WHERE leadId = ? LIMIT 1', [lead.id], (checkErr, rows) => {
-    if (checkErr) {
-      console.error('Error checking existing deals for lead:', checkErr);
-      return callback(checkErr);
+  router.post('/imports/leads', requireRole('manager', 'admin'), route('Failed to import leads', async (req, res) => {
+    const request = parseImportRequest(req);
+    if (request.errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid import request', details: request.errors });
     }
 
-    if (rows && rows.length > 0) {
-      return callback(null, { created: false });
+    const { header, records } = csvToRecords(request.csv);
+    if (records.length === 0) {
+      return res.status(400).json({ error: 'The CSV has no data rows' });
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res
+        .status(400)
+        .json({ error: `The CSV has ${records.length} rows; split it into files of at most ${MAX_IMPORT_ROWS}` });
     }
 
-    const titleBase =
-      (lead.company && typeof lead.company === 'string' && lead.company.trim()) ||
-      (lead.name && typeof lead.name === 'string' && lead.name.trim());
-    const title = titleBase ? `${titleBase} - initial deal` : 'Initial deal';
+    const { columns, errors: mappingErrors } = resolveImportMapping(header, request.mapping);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: mappingErrors, header });
+    }
 
-    const dealInput = {
-      leadId: lead.id,
-      title,
-      stage: 'New',
-      value: typeof lead.value === 'number' ? lead.value : 0,
-      nextAction: null,
-      nextActionDate: null,
-      reminderChannel: null,
-      aiAutoReminderEnabled: false,
-      ownerName: lead.ownerName,
-    };
+    const matchKeys = await leads.getMatchKeys();
+    const rows = buildImportRows(
+      records,
+      columns,
+      matchKeys,
+      await users.list(),
+      req.user,
+      await getRequestScope(req),
+    );
+
+    if (request.dryRun) {
+      return res.json({
+        dryRun: true,
+        mapping: columns,
+        totalRows: rows.length,
+        validRows: rows.filter((row) => row.errors.length === 0).length,
+        errorRows: rows.filter((row) => row.errors.length > 0).length,
+        duplicateRows: rows.filter((row) => row.warnings.length > 0).length,
+        rows,
+      });
+    }
 
-    createDeal(dealInput, (createErr) => {
-      if (createErr) {
-        console.error('Error creating initial deal for lead:', createErr);
-        return callback(createErr);
-      }
-      callback(null, { created: true });
+    const importId = uuidv4();
+    await leadImports.create({
+      id: importId,
+      fileName: request.fileName,
+      createdAt: new Date().toISOString(),
+      createdBy: getRequestActor(req),
+      totalRows: rows.length,
     });
-  });
-}
-
-app.post('/leads', (req, res) => {
-  const {
-    name,
-    company,
-    email,
-    value,
-    source,
-    createdAt,
-    address,
-    phone,
-    ownerName,
-  } = req.body || {};
-
-  if (!name || !company) {
-    return res
-      .status(400)
-      .json({ error: 'Both "name" and "company" fields are required.' });
-  }
 
-  const id = uuidv4();
-  const lead = {
-    id,
-    name,
-    company,
-    email,
-    value,
-    source,
-    createdAt,
-    address,
-    phone,
-    ownerName: ownerName && typeof ownerName === 'string' ? ownerName : DEFAULT_OWNER_NAME,
-  };
+    const results = await saveImportRows(rows, importId, { ...request, changedBy: getRequestActor(req) });
+    const importedRows = results.filter((result) => !result.skipped).length;
+    const summary = {
+      importedRows,
+      skippedRows: results.length - importedRows,
+      errors: results
+        .filter((result) => result.errors.length > 0)
+        .map(({ row, errors }) => ({ row, errors })),
+    };
 
-  createLead(lead, (err) => {
-    if (err) {
-      console.error('Error inserting lead:', err);
-      return res.status(500).json({ error: 'Failed to create lead' });
+    try {
+      await leadImports.complete(importId, summary);
+    } catch (completeErr) {
+      console.error('Error saving import summary:', completeErr);
+      return res.status(500).json({ error: 'Leads imported but the import record could not be saved', importId });
     }
 
-    db.get('SELECT * FROM leads WHERE id = ?', [id], (selectErr, row) => {
-      if (selectErr) {
-        console.error('Error fetching new lead:', selectErr);
-        return res
-          .status(500)
-          .json({ error: 'Lead created but failed to fetch' });
-      }
-
-      ensureInitialDealForLead(row, (dealErr) => {
-        if (dealErr) {
-          return res
-            .status(500)
-            .json({ error: 'Lead created but failed to create initial deal' });
-        }
-        res.status(201).json(row);
-      });
+    auditChange(res, 'leadImport', importId, null, await leadImports.getById(importId));
+    res.status(201).json({
+      importId,
+      mapping: columns,
+      totalRows: rows.length,
+      importedRows: summary.importedRows,
+      skippedRows: summary.skippedRows,
+      rows: results,
     });
-  });
-});
+  }));
 
-app.post('/ai/next-step', (req, res) => {
-  const { dealId } = req.body || {};
-  if (!dealId) {
-    return res.status(400).json({ error: '"dealId" is required' });
-  }
+  router.get('/imports', requireRole('manager', 'admin'), route('Failed to fetch imports', async (req, res) => {
+    res.json(await leadImports.list());
+  }));
 
-  getDealWithLead(dealId, async (err, record) => {
-    if (err) {
-      console.error('Error fetching deal for AI next step:', err);
-      return res.status(500).json({ error: 'Failed to fetch deal' });
+  router.get('/imports/:importId', requireRole('manager', 'admin'), route('Failed to fetch import', async (req, res) => {
+    const leadImport = await leadImports.getById(req.params.importId);
+    if (!leadImport) {
+      return res.status(404).json({ error: 'Import not found' });
     }
-    if (!record) {
+    res.json(leadImport);
+  }));
+
+  router.post('/imports/:importId/rollback', requireRole('admin'), route('Failed to roll back import', async (req, res) => {
+    const { importId } = req.params;
+    const before = await leadImports.getById(importId);
+    const result = await leadImports.rollback(importId);
+    if (result.notFound) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+    if (result.alreadyRolledBack) {
+      return res.status(409).json({ error: 'Import has already been rolled back' });
+    }
+    auditChange(res, 'leadImport', importId, before, await leadImports.getById(importId));
+    res.json({ success: true, deletedLeads: result.deletedLeads, rolledBackAt: result.rolledBackAt });
+  }));
+
+  router.post('/ai/next-step', route('Failed to fetch deal', async (req, res) => {
+    const { dealId } = req.body || {};
+    if (!dealId) {
+      return res.status(400).json({ error: '"dealId" is required' });
+    }
+
+    const record = await deals.getWithLead(dealId);
+    if (!record || !canAccessOwner(await getRequestScope(req), record.ownerUserId)) {
       return res.status(404).json({ error: 'Deal not found' });
     }
 
@@ -984,319 +2864,252 @@ app.post('/ai/next-step', (req, res) => {
         'AI suggestion temporarily unavailable. Focus on confirming the client’s priorities and agreeing a clear next meeting date.';
       res.json({ dealId, suggestion: fallback, source: 'fallback' });
     }
-  });
-});
+  }));
 
-app.post('/ai/deal-recovery', (req, res) => {
-  const { dealId, userNotes } = req.body || {};
-
-  if (!dealId) {
-    return res.status(400).json({ error: 'dealId is required' });
-  }
+  router.post('/ai/deal-recovery', route('Failed to fetch deal', async (req, res) => {
+    const { dealId, userNotes } = req.body || {};
 
-  getDealWithLead(dealId, (dealErr, deal) => {
-    if (dealErr) {
-      console.error('Error fetching deal for recovery:', dealErr);
-      return res.status(500).json({ error: 'Failed to fetch deal' });
+    if (!dealId) {
+      return res.status(400).json({ error: 'dealId is required' });
     }
 
-    if (!deal) {
+    const deal = await deals.getWithLead(dealId);
+    if (!deal || !canAccessOwner(await getRequestScope(req), deal.ownerUserId)) {
       return res.status(404).json({ error: 'Deal not found' });
     }
 
-    getActivitiesForDeal(dealId, async (activitiesErr, activityRows) => {
-      if (activitiesErr) {
-        console.error('Error fetching activities for recovery:', activitiesErr);
-      }
-
-      const activities = activityRows || [];
-      const ownerLabel =
-        (deal.ownerName && typeof deal.ownerName === 'string' && deal.ownerName.trim()) ||
-        (deal.leadOwnerName && typeof deal.leadOwnerName === 'string' && deal.leadOwnerName.trim()) ||
-        'Unassigned';
-
-      const context = {
-        deal: {
-          id: deal.id,
-          title: deal.title,
-          stage: deal.stage,
-          value: deal.value,
-          nextAction: deal.nextAction,
-          nextActionDate: deal.nextActionDate,
-        },
-        lead: {
-          name: deal.leadName,
-          company: deal.leadCompany,
-          email: deal.leadEmail,
-        },
-        ownerName: ownerLabel,
-        activities: activities.map((a) => ({
-          type: a.type,
-          note: a.note,
-          createdAt: a.createdAt,
-        })),
-        userNotes: userNotes || null,
-      };
+    const dealActivities = await activities.listForDeal(dealId).catch((activitiesErr) => {
+      console.error('Error fetching activities for recovery:', activitiesErr);
+      return [];
+    });
 
-      let reasonSummary;
-      if (userNotes && typeof userNotes === 'string' && userNotes.trim()) {
-        reasonSummary = `Based on your notes, this situation looks like: ${userNotes.trim()}`;
-      } else {
-        switch (deal.stage) {
-          case 'Lost':
-            reasonSummary =
-              'This deal appears to be stalled or marked as Lost. Common reasons include price, timing, or misalignment with the client\'s priorities.';
-            break;
-          case 'New':
-            reasonSummary =
-              'This is a new lead. The main risk is lack of clarity on fit, priorities, and decision-makers.';
-            break;
-          case 'Qualified':
-            reasonSummary =
-              'This is a qualified opportunity. The main risks are unclear budget, timing, and unspoken objections.';
-            break;
-          case 'Proposal Sent':
-            reasonSummary =
-              'A proposal has been sent. The main risk is going quiet without addressing hidden concerns or decision dynamics.';
-            break;
-          case 'Won':
-            reasonSummary =
-              'This is a won deal. The main risk is poor onboarding or missed expansion opportunities.';
-            break;
-          default:
-            reasonSummary =
-              'This deal is in progress. The main risks are unclear next steps and unaddressed concerns.';
-            break;
-        }
-      }
+    const stages = await loadPipelineStages();
+    const stageDefinition = findPipelineStage(stages, deal.stage);
+    const stageProfile = getRecoveryStageProfile(stageDefinition);
+    const ownerLabel =
+      (deal.ownerName && typeof deal.ownerName === 'string' && deal.ownerName.trim()) ||
+      (deal.leadOwnerName && typeof deal.leadOwnerName === 'string' && deal.leadOwnerName.trim()) ||
+      'Unassigned';
 
-      let recoveryIdeas;
-      let messageTemplate;
+    const context = {
+      deal: {
+        id: deal.id,
+        title: deal.title,
+        stage: deal.stage,
+        stageCategory: stageDefinition ? stageDefinition.category : null,
+        stageIntent: stageDefinition ? stageDefinition.defaultIntent : null,
+        value: deal.value,
+        nextAction: deal.nextAction,
+        nextActionDate: deal.nextActionDate,
+      },
+      lead: {
+        name: deal.leadName,
+        company: deal.leadCompany,
+        email: deal.leadEmail,
+      },
+      ownerName: ownerLabel,
+      activities: dealActivities.map((a) => ({
+        type: a.type,
+        note: a.note,
+        createdAt: a.createdAt,
+      })),
+      pipelineStages: stages.map((s) => ({
+        name: s.name,
+        category: s.category,
+        defaultIntent: s.defaultIntent,
+      })),
+      userNotes: userNotes || null,
+    };
 
-      switch (deal.stage) {
-        case 'Lost':
-          recoveryIdeas = [
-            'Send a short check-in asking if priorities have changed or if concerns remain.',
-            'Offer a lighter/pilot package to reduce risk and re-open the conversation.',
-            'Ask for permission to stay in touch with occasional, high-value insights.',
-          ];
-          messageTemplate =
-            'Hi {{CLIENT_NAME}},\n\nI know we haven’t moved ahead yet, but I wanted to check in briefly in case your priorities have shifted. If helpful, I can suggest a smaller, lower-risk way to test this with you and address any concerns.\n\nThanks,\n{{YOUR_NAME}}';
+    let reasonSummary;
+    if (userNotes && typeof userNotes === 'string' && userNotes.trim()) {
+      reasonSummary = `Based on your notes, this situation looks like: ${userNotes.trim()}`;
+    } else {
+      switch (stageProfile) {
+        case 'lost':
+          reasonSummary =
+            'This deal appears to be stalled or marked as Lost. Common reasons include price, timing, or misalignment with the client\'s priorities.';
+          break;
+        case 'new':
+          reasonSummary =
+            'This is a new lead. The main risk is lack of clarity on fit, priorities, and decision-makers.';
           break;
-        case 'Won':
-          recoveryIdeas = [
-            'Confirm onboarding success criteria and timeline with clear owners.',
-            'Schedule a kickoff to align on quick wins and risk areas.',
-            'Identify expansion, referral, or upsell opportunities once early value is proven.',
-          ];
-          messageTemplate =
-            'Hi {{CLIENT_NAME}},\n\nExcited to get you live. Can we confirm your success criteria and timeline, and schedule a quick kickoff to align owners? I can also share a plan for early wins and discuss potential expansion paths once we deliver them.\n\nThanks,\n{{YOUR_NAME}}';
+        case 'qualified':
+          reasonSummary =
+            'This is a qualified opportunity. The main risks are unclear budget, timing, and unspoken objections.';
           break;
-        case 'Proposal Sent':
-          recoveryIdeas = [
-            'Follow up with a concise summary of value, pricing, and next steps.',
-            'Surface hidden concerns by asking about decision-makers and timeline.',
-            'Offer a short call to address objections and agree a decision date.',
-          ];
-          messageTemplate =
-            'Hi {{CLIENT_NAME}},\n\nFollowing our proposal, I want to ensure we’ve addressed all questions. Are there any concerns from your side or other decision-makers? If helpful, I can walk through the key points briefly and align on a decision date.\n\nThanks,\n{{YOUR_NAME}}';
+        case 'proposal':
+          reasonSummary =
+            'A proposal has been sent. The main risk is going quiet without addressing hidden concerns or decision dynamics.';
           break;
-        case 'New':
-        case 'Qualified':
-          recoveryIdeas = [
-            'Clarify the problem, urgency, and success criteria with the client.',
-            'Confirm budget, timeline, and the decision-making process.',
-            'Propose a small next step (demo, pilot, or workshop) to de-risk.',
-          ];
-          messageTemplate =
-            'Hi {{CLIENT_NAME}},\n\nThanks for the recent conversation. To make this valuable, could we confirm your top priorities, timing, and decision process? I can suggest a focused next step (demo, pilot, or workshop) to de-risk and show quick value.\n\nThanks,\n{{YOUR_NAME}}';
+        case 'won':
+          reasonSummary =
+            'This is a won deal. The main risk is poor onboarding or missed expansion opportunities.';
           break;
         default:
-          recoveryIdeas = [
-            'Clarify the client’s current priorities and any blockers.',
-            'Confirm decision process, timeline, and remaining questions.',
-            'Propose a clear next step to keep momentum (short call, demo, or pilot).',
-          ];
-          messageTemplate =
-            'Hi {{CLIENT_NAME}},\n\nChecking in to make sure we’re aligned on priorities and next steps. Are there any open questions or blockers? I can propose a short call to confirm the plan and keep things moving.\n\nThanks,\n{{YOUR_NAME}}';
+          reasonSummary =
+            'This deal is in progress. The main risks are unclear next steps and unaddressed concerns.';
           break;
       }
+    }
 
-      const stub = {
-        dealId,
-        reasonSummary,
-        recoveryIdeas,
-        messageTemplate,
-        source: 'stub',
-      };
-
-      if (!process.env.OPENAI_API_KEY) {
-        return res.status(200).json(stub);
-      }
-
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4.1-mini',
-          response_format: { type: 'json_object' },
-          messages: [
-            {
-              role: 'system',
-              content:
-                'You are a sales coach helping with deals at any stage. Always respond in JSON. Use the ownerName field and address the owner directly. All primary suggestion strings should start with "<ownerName> – " (e.g., "Ram Sharma – Re-open the conversation by acknowledging the delay and offering a focused, time-boxed call to clarify the proposal.").',
-            },
-            {
-              role: 'user',
-              content: JSON.stringify({
-                task: 'analyse_deal',
-                instructions:
-                  'You are a sales coach. Use the CURRENT stage as the source of truth. If stage is "Lost", focus on why it was lost and how to revive/re-open. If stage is "New" or "Qualified", treat it as an active opportunity and focus on clarifying fit, priorities, and next steps. If stage is "Proposal Sent", focus on closing, handling objections, and follow-up strategy. If stage is "Won", focus on onboarding, expansion, and strengthening the relationship. NEVER describe the deal as lost unless the stage is exactly "Lost". Use the rep\'s notes and activity history to make advice concrete. Respond in JSON with keys reasonSummary, recoveryIdeas (array of short bullet-style strings), and messageTemplate (a concise outreach email or message). Each reasonSummary and recoveryIdeas item should start with "<ownerName> – " addressing the owner. Use GBP / £ if you reference amounts.',
-                context,
-              }),
-            },
-          ],
-          max_tokens: 400,
-        });
-
-        const content = completion.choices?.[0]?.message?.content;
-        let parsed;
-        try {
-          parsed = JSON.parse(content || '{}');
-        } catch (parseErr) {
-          console.error('Failed to parse deal recovery AI response', parseErr, content);
-        }
-
-        if (
-          parsed &&
-          typeof parsed.reasonSummary === 'string' &&
-          Array.isArray(parsed.recoveryIdeas) &&
-          typeof parsed.messageTemplate === 'string'
-        ) {
-          return res.status(200).json({
-            dealId,
-            reasonSummary: parsed.reasonSummary,
-            recoveryIdeas: parsed.recoveryIdeas,
-            messageTemplate: parsed.messageTemplate,
-            source: 'openai',
-          });
-        }
-
-        return res.status(200).json({ ...stub, source: 'fallback' });
-      } catch (aiErr) {
-        console.error('Error from OpenAI for deal recovery:', aiErr);
-        return res.status(200).json({ ...stub, source: 'fallback' });
-      }
-    });
-  });
-});
-
-app.post('/ai/reminder-text', (req, res) => {
-  const { dealId, channel } = req.body || {};
-  if (!dealId) {
-    return res.status(400).json({ error: '"dealId" is required' });
-  }
-  if (channel !== 'SMS' && channel !== 'WhatsApp') {
-    return res.status(400).json({ error: '"channel" must be "SMS" or "WhatsApp"' });
-  }
+    let recoveryIdeas;
+    let messageTemplate;
 
-  getDealWithLead(dealId, async (err, record) => {
-    if (err) {
-      console.error('Error fetching deal for AI reminder:', err);
-      return res.status(500).json({ error: 'Failed to fetch deal' });
-    }
-    if (!record) {
-      return res.status(404).json({ error: 'Deal not found' });
+    switch (stageProfile) {
+      case 'lost':
+        recoveryIdeas = [
+          'Send a short check-in asking if priorities have changed or if concerns remain.',
+          'Offer a lighter/pilot package to reduce risk and re-open the conversation.',
+          'Ask for permission to stay in touch with occasional, high-value insights.',
+        ];
+        messageTemplate =
+          'Hi {{CLIENT_NAME}},\n\nI know we haven’t moved ahead yet, but I wanted to check in briefly in case your priorities have shifted. If helpful, I can suggest a smaller, lower-risk way to test this with you and address any concerns.\n\nThanks,\n{{YOUR_NAME}}';
+        break;
+      case 'won':
+        recoveryIdeas = [
+          'Confirm onboarding success criteria and timeline with clear owners.',
+          'Schedule a kickoff to align on quick wins and risk areas.',
+          'Identify expansion, referral, or upsell opportunities once early value is proven.',
+        ];
+        messageTemplate =
+          'Hi {{CLIENT_NAME}},\n\nExcited to get you live. Can we confirm your success criteria and timeline, and schedule a quick kickoff to align owners? I can also share a plan for early wins and discuss potential expansion paths once we deliver them.\n\nThanks,\n{{YOUR_NAME}}';
+        break;
+      case 'proposal':
+        recoveryIdeas = [
+          'Follow up with a concise summary of value, pricing, and next steps.',
+          'Surface hidden concerns by asking about decision-makers and timeline.',
+          'Offer a short call to address objections and agree a decision date.',
+        ];
+        messageTemplate =
+          'Hi {{CLIENT_NAME}},\n\nFollowing our proposal, I want to ensure we’ve addressed all questions. Are there any concerns from your side or other decision-makers? If helpful, I can walk through the key points briefly and align on a decision date.\n\nThanks,\n{{YOUR_NAME}}';
+        break;
+      case 'new':
+      case 'qualified':
+        recoveryIdeas = [
+          'Clarify the problem, urgency, and success criteria with the client.',
+          'Confirm budget, timeline, and the decision-making process.',
+          'Propose a small next step (demo, pilot, or workshop) to de-risk.',
+        ];
+        messageTemplate =
+          'Hi {{CLIENT_NAME}},\n\nThanks for the recent conversation. To make this valuable, could we confirm your top priorities, timing, and decision process? I can suggest a focused next step (demo, pilot, or workshop) to de-risk and show quick value.\n\nThanks,\n{{YOUR_NAME}}';
+        break;
+      default:
+        recoveryIdeas = [
+          'Clarify the client’s current priorities and any blockers.',
+          'Confirm decision process, timeline, and remaining questions.',
+          'Propose a clear next step to keep momentum (short call, demo, or pilot).',
+        ];
+        messageTemplate =
+          'Hi {{CLIENT_NAME}},\n\nChecking in to make sure we’re aligned on priorities and next steps. Are there any open questions or blockers? I can propose a short call to confirm the plan and keep things moving.\n\nThanks,\n{{YOUR_NAME}}';
+        break;
     }
 
-    const { nextAction, nextActionDate, leadName, leadCompany } = record;
-
-    const displayName = leadName || 'your client';
-    const companyName = leadCompany ? ` at ${leadCompany}` : '';
-    const datePart = nextActionDate ? ` on ${nextActionDate}` : '';
-    const actionPart = nextAction
-      ? ` about "${nextAction}"`
-      : ' about the next step in your project';
+    const stub = {
+      dealId,
+      reasonSummary,
+      recoveryIdeas,
+      messageTemplate,
+      source: 'stub',
+    };
 
     if (!process.env.OPENAI_API_KEY) {
-      const stub =
-        `Reminder: contact ${displayName}${companyName}${actionPart}${datePart}. ` +
-        'Keep it short, reconfirm their priorities, and suggest a specific time for the next call.';
-      return res.json({
-        dealId,
-        channel,
-        message: stub,
-        source: 'stub',
-      });
+      return res.status(200).json(stub);
     }
 
     try {
-      const systemPrompt =
-        'You are a sales assistant. Generate a short, friendly reminder message (1–2 sentences) suitable for ' +
-        (channel === 'WhatsApp' ? 'WhatsApp' : 'SMS') +
-        ', reminding the salesperson what they need to do next. Address the opportunity in neutral terms (no greeting, no signature).';
-
-      const userContext = `
-Recipient: ${displayName}${companyName}
-Next action: ${nextAction || 'not specified'}
-Due: ${nextActionDate || 'not specified'}
-Channel: ${channel}
-`;
-
       const completion = await openai.chat.completions.create({
         model: 'gpt-4.1-mini',
+        response_format: { type: 'json_object' },
         messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userContext },
+          {
+            role: 'system',
+            content:
+              'You are a sales coach helping with deals at any stage. Always respond in JSON. Use the ownerName field and address the owner directly. All primary suggestion strings should start with "<ownerName> – " (e.g., "Ram Sharma – Re-open the conversation by acknowledging the delay and offering a focused, time-boxed call to clarify the proposal.").',
+          },
+          {
+            role: 'user',
+            content: JSON.stringify({
+              task: 'analyse_deal',
+              instructions:
+                'You are a sales coach. Use the CURRENT stage as the source of truth; context.pipelineStages lists the configured stages with their category (open, won or lost) and default outreach intent. If the stage category is "lost", focus on why it was lost and how to revive/re-open. If the stage category is "won", focus on onboarding, expansion, and strengthening the relationship. For open stages whose intent is "proposal_followup", focus on closing, handling objections, and follow-up strategy; for other open stages, treat it as an active opportunity and focus on clarifying fit, priorities, and next steps. NEVER describe the deal as lost unless the stage category is "lost". Use the rep\'s notes and activity history to make advice concrete. Respond in JSON with keys reasonSummary, recoveryIdeas (array of short bullet-style strings), and messageTemplate (a concise outreach email or message). Each reasonSummary and recoveryIdeas item should start with "<ownerName> – " addressing the owner. Use GBP / £ if you reference amounts.',
+              context,
+            }),
+          },
         ],
-        max_tokens: 120,
+        max_tokens: 400,
       });
 
-      const aiText =
-        completion.choices?.[0]?.message?.content?.trim() ||
-        'No reminder generated.';
+      const content = completion.choices?.[0]?.message?.content;
+      let parsed;
+      try {
+        parsed = JSON.parse(content || '{}');
+      } catch (parseErr) {
+        console.error('Failed to parse deal recovery AI response', parseErr, content);
+      }
 
-      res.json({
-        dealId,
-        channel,
-        message: aiText,
-        source: 'openai',
-      });
+      if (
+        parsed &&
+        typeof parsed.reasonSummary === 'string' &&
+        Array.isArray(parsed.recoveryIdeas) &&
+        typeof parsed.messageTemplate === 'string'
+      ) {
+        return res.status(200).json({
+          dealId,
+          reasonSummary: parsed.reasonSummary,
+          recoveryIdeas: parsed.recoveryIdeas,
+          messageTemplate: parsed.messageTemplate,
+          source: 'openai',
+        });
+      }
+
+      return res.status(200).json({ ...stub, source: 'fallback' });
     } catch (aiErr) {
-      console.error('Error from OpenAI for reminder-text:', aiErr);
-      const fallback =
-        `Reminder: contact ${displayName}${companyName}${actionPart}${datePart}. ` +
-        'AI is temporarily unavailable, so keep it short and reconfirm next steps.';
-      res.json({
-        dealId,
-        channel,
-        message: fallback,
-        source: 'fallback',
-      });
+      console.error('Error from OpenAI for deal recovery:', aiErr);
+      return res.status(200).json({ ...stub, source: 'fallback' });
     }
-  });
-});
+  }));
 
-app.post('/ai/message-draft', (req, res) => {
-  const { dealId, intent, channel, userNotes } = req.body || {};
+  router.post('/ai/reminder-text', route('Failed to fetch deal', async (req, res) => {
+    const { dealId, channel } = req.body || {};
+    if (!dealId) {
+      return res.status(400).json({ error: '"dealId" is required' });
+    }
+    if (channel !== 'SMS' && channel !== 'WhatsApp') {
+      return res.status(400).json({ error: '"channel" must be "SMS" or "WhatsApp"' });
+    }
 
-  if (!dealId || !intent || !channel) {
-    return res.status(400).json({ error: 'dealId, intent and channel are required' });
-  }
+    const record = await deals.getWithLead(dealId);
+    if (!record || !canAccessOwner(await getRequestScope(req), record.ownerUserId)) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
 
-  getDealContextForMessageDraft(dealId, async (err, context) => {
-    if (err) {
-      console.error('Error fetching deal context for message draft:', err);
-      return res.status(500).json({ error: 'Failed to generate message draft' });
+    res.json({ dealId, channel, ...(await generateReminderText(record, channel)) });
+  }));
+
+  router.post('/ai/message-draft', route('Failed to generate message draft', async (req, res) => {
+    const { dealId, intent, channel, userNotes } = req.body || {};
+
+    if (!dealId || !intent || !channel) {
+      return res.status(400).json({ error: 'dealId, intent and channel are required' });
     }
 
+    const context = (await findVisibleDeal(req, dealId)) ? await deals.getMessageDraftContext(dealId) : null;
     if (!context) {
       return res.status(404).json({ error: 'Deal not found' });
     }
 
-    const normalizedIntent = normalizeIntentForStage(context.stage, intent, !!context.lastActivityDate);
+    const stages = await loadPipelineStages();
+    const normalizedIntent = normalizeIntentForStage(
+      context.stage,
+      intent,
+      !!context.lastActivityDate,
+      stages,
+    );
+    const aiSettings = await settings.getAiSettings();
     const input = {
       appName: 'lead_desk',
-      businessContext:
-        'Kalyan AI builds custom AI and automation systems to save time, reduce errors and increase profitability for business owners.',
+      businessContext: aiSettings.businessContext,
       intent: normalizedIntent,
       channel,
       ownerName: (context.dealOwnerName && context.dealOwnerName.trim()) || 'Unassigned',
@@ -1316,7 +3129,7 @@ app.post('/ai/message-draft', (req, res) => {
         valueGBP: context.valueGBP,
         productsOrServices: context.productsOrServices,
         keyBenefits: context.keyBenefits,
-        decisionMakers: null,
+        decisionMakers: context.contacts && context.contacts.length > 0 ? context.contacts : null,
       },
       recentHistory: {
         summary: null,
@@ -1340,7 +3153,7 @@ app.post('/ai/message-draft', (req, res) => {
 
     try {
       const systemPrompt =
-        'You are the Global Outreach Copilot for Kalyan AI. Draft outreach tailored to the intent and channel. Be clear, confident, and helpful, without hype. Use GBP (£). Never invent discounts, guarantees, or precise dates not provided. Use senderName from the input as the human sending the message. Write the body as if it is from senderName to the client, and include an appropriate sign-off with the sender’s name for email/whatsapp/sms. Do NOT prefix the content with the owner name plus a dash; write it like a normal outbound message. Respond with VALID JSON ONLY in this shape: {"channel":"email|whatsapp|sms|call_script","subject":string|null,"body":string,"toneSummary":string,"rationale":string,"safetyNotes":string}.';
+        `You are the Global Outreach Copilot for ${aiSettings.businessName || 'the business in businessContext'}. Draft outreach tailored to the intent and channel. Be clear, confident, and helpful, without hype. Use GBP (£). Never invent discounts, guarantees, or precise dates not provided. Use senderName from the input as the human sending the message. Write the body as if it is from senderName to the client, and include an appropriate sign-off with the sender’s name for email/whatsapp/sms. Do NOT prefix the content with the owner name plus a dash; write it like a normal outbound message. Respond with VALID JSON ONLY in this shape: {"channel":"email|whatsapp|sms|call_script","subject":string|null,"body":string,"toneSummary":string,"rationale":string,"safetyNotes":string}.`;
 
       const completion = await openai.chat.completions.create({
         model: 'gpt-4.1-mini',
@@ -1372,22 +3185,19 @@ app.post('/ai/message-draft', (req, res) => {
       console.error('Error from OpenAI for message-draft:', aiErr);
       return res.status(500).json({ error: 'Failed to generate message draft' });
     }
-  });
-});
+  }));
 
-app.get('/ai/leads-summary', (req, res) => {
-  getDealsWithLeadAndLastActivity(async (err, rows) => {
-    if (err) {
-      console.error('Error loading deals for leads summary:', err);
-      return res.status(500).json({ error: 'Failed to generate AI leads summary' });
-    }
+  // The AI summaries only see the deals and leads within the user's scope.
+  router.get('/ai/leads-summary', route('Failed to generate AI leads summary', async (req, res) => {
+    const ownerScope = await getRequestScope(req);
+    const openDeals = await deals.listWithLeadAndLastActivity({ ownerScope });
 
-    const deals = rows || [];
     const today = new Date();
-    const todayStr = today.toISOString().slice(0, 10);
+    const timezone = await workspaces.getTimezone();
+    const todayStr = getZonedDateTime(today, timezone).date;
     const msPerDay = 1000 * 60 * 60 * 24;
 
-    const compactDeals = deals.map((deal) => {
+    const compactDeals = openDeals.map((deal) => {
       let daysSinceLastContact = null;
       if (deal.lastActivityDate) {
         const lastDate = new Date(deal.lastActivityDate);
@@ -1417,41 +3227,35 @@ app.get('/ai/leads-summary', (req, res) => {
     }
 
     try {
-      const leads = await new Promise((resolve) => {
-        getLeads((leadErr, leadRows) => {
-          if (leadErr) {
-            console.error('Error fetching leads for outreach steps:', leadErr);
-            return resolve([]);
-          }
-          resolve(leadRows || []);
-        });
+      const allLeads = await leads.list({ ownerScope }).catch((leadErr) => {
+        console.error('Error fetching leads for outreach steps:', leadErr);
+        return [];
       });
 
-      const leadsById = new Map(leads.map((l) => [l.id, l]));
+      const leadsById = new Map(allLeads.map((l) => [l.id, l]));
 
-      const toDateKey = (d) => {
-        const year = d.getFullYear();
-        const month = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
+      // Whether a step is due today depends on its deal owner's timezone.
+      const ownerDays = new Map();
+      const getOwnerDay = async (ownerUserId) => {
+        const key = ownerUserId || null;
+        if (!ownerDays.has(key)) {
+          const ownerTimezone = await workspaces.getTimezone(key);
+          ownerDays.set(key, { timezone: ownerTimezone, date: getZonedDateTime(today, ownerTimezone).date });
+        }
+        return ownerDays.get(key);
       };
 
-      const todayKey = toDateKey(new Date());
       const todaysOutreachSteps = [];
 
-      for (const deal of deals) {
-        const steps = await new Promise((resolve) => {
-          getOutreachStepsForDeal(deal.id, (stepErr, rows) => {
-            if (stepErr) {
-              console.error(`Error fetching outreach steps for deal ${deal.id}:`, stepErr);
-              return resolve([]);
-            }
-            resolve(rows || []);
-          });
+      for (const deal of openDeals) {
+        const steps = await outreachSteps.listForDeal(deal.id).catch((stepErr) => {
+          console.error(`Error fetching outreach steps for deal ${deal.id}:`, stepErr);
+          return [];
         });
 
         if (!steps || steps.length === 0) continue;
 
+        const ownerDay = await getOwnerDay(deal.ownerUserId);
         const lead = leadsById.get(deal.leadId) || null;
         const ownerName =
           deal && typeof deal.ownerName === 'string' && deal.ownerName.trim()
@@ -1468,10 +3272,7 @@ app.get('/ai/leads-summary', (req, res) => {
         for (const step of steps) {
           if (!step || step.status !== 'pending') continue;
 
-          const stepDate = new Date(step.dueDate);
-          if (Number.isNaN(stepDate.getTime())) continue;
-
-          if (toDateKey(stepDate) !== todayKey) continue;
+          if (toZonedDateKey(step.dueDate, ownerDay.timezone) !== ownerDay.date) continue;
 
           todaysOutreachSteps.push({
             id: step.id,
@@ -1492,13 +3293,35 @@ app.get('/ai/leads-summary', (req, res) => {
       const systemPrompt =
         'You are a concise sales coach creating a daily briefing for the Leads page. You MUST respond with a single valid JSON object only. No markdown, no commentary, no backticks.';
 
+      // The priorities name the workspace's own open stages: those whose default
+      // intent is first contact (or else the default stage) are new, the rest active.
+      const stages = await loadPipelineStages();
+      const openStages = stages.filter((s) => s.category === 'open');
+      const defaultStage = getDefaultPipelineStage(stages);
+      const hasNewStage = openStages.some((s) => getRecoveryStageProfile(s) === 'new');
+      const isNewStage = (s) => (hasNewStage ? getRecoveryStageProfile(s) === 'new' : s === defaultStage);
+      const newStageNames = openStages.filter(isNewStage).map((s) => s.name);
+      const activeStageNames = openStages.filter((s) => !isNewStage(s)).map((s) => s.name);
+      const exampleStage = activeStageNames[activeStageNames.length - 1] || newStageNames[0] || 'open';
+
       const instructions =
-        'Assume today is provided. Prioritise: 1) deals with nextActionDate today or overdue, 2) higher-value Qualified/Proposal Sent with no recent contact, 3) New leads with no first contact. For each action item in todaysTopActions, overdueAtRisk, and newAndWarming, prefix the line with ownerName and a dash when an ownerName is present (e.g., "Zax Kalyan – Call Gemma about The Green Man (Proposal Sent, 3 days since last contact)."). If ownerName is missing or equals "Unassigned", do not add any name prefix; start the sentence directly. For each topActions item include actionType (call/email/whatsapp/sms/meeting), why, and suggestedStep. Keep everything concise, skimmable, and use GBP (£). If little data, keep lists short and explain briefly. Respond ONLY with valid JSON (no trailing commas).';
+        'Assume today is provided. Prioritise: 1) deals with nextActionDate today or overdue, ' +
+        `2) higher-value ${activeStageNames.join('/') || 'open'} deals with no recent contact, ` +
+        `3) ${newStageNames.join('/') || 'new'} leads with no first contact. ` +
+        'pipelineStages lists the configured stages with their category (open, won or lost). ' +
+        'For each action item in todaysTopActions, overdueAtRisk, and newAndWarming, ' +
+        'prefix the line with ownerName and a dash when an ownerName is present ' +
+        `(e.g., "Zax Kalyan – Call Gemma about The Green Man (${exampleStage}, 3 days since last contact)."). ` +
+        'If ownerName is missing or equals "Unassigned", do not add any name prefix; start the sentence directly. ' +
+        'For each topActions item include actionType (call/email/whatsapp/sms/meeting), why, and suggestedStep. ' +
+        'Keep everything concise, skimmable, and use GBP (£). If little data, keep lists short and explain briefly. ' +
+        'Respond ONLY with valid JSON (no trailing commas).';
 
       const userPayload = {
         task: 'leads_daily_brief',
         today: todayStr,
         deals: compactDeals,
+        pipelineStages: stages.map((s) => ({ name: s.name, category: s.category })),
         instructions,
       };
 
@@ -1568,131 +3391,234 @@ app.get('/ai/leads-summary', (req, res) => {
       console.error('Error from OpenAI for leads-summary:', aiErr);
       return res.status(500).json({ error: 'Failed to generate AI leads summary' });
     }
-  });
-});
+  }));
+
+  router.get('/ai/pipeline-insights', route('Failed to load pipeline data', async (req, res) => {
+    const ownerScope = await getRequestScope(req);
+    const openDeals = await deals.listWithLeadAndLastActivity({ ownerScope });
+
+    const stages = await loadPipelineStages();
+    const duplicateGroups = await loadDuplicateLeadGroups(ownerScope);
+    const totalDeals = openDeals.length;
+    const totalValue = openDeals.reduce(
+      (sum, d) => sum + (Number.isFinite(d.value) ? Number(d.value) : 0),
+      0,
+    );
+    let weightedValue = 0;
+    const stageTotals = new Map();
+    openDeals.forEach((d) => {
+      const stageDefinition = findPipelineStage(stages, d.stage);
+      const stage = stageDefinition ? stageDefinition.name : d.stage || 'Unknown';
+      const v = Number.isFinite(d.value) ? Number(d.value) : 0;
+      stageTotals.set(stage, (stageTotals.get(stage) || 0) + v);
+      if (stageDefinition && Number.isFinite(stageDefinition.defaultProbability)) {
+        weightedValue += (v * stageDefinition.defaultProbability) / 100;
+      }
+    });
+    // Configured stages first, in pipeline order, then any unknown stages.
+    const stageOrder = stages.map((s) => s.name);
+    const valueByStage = Object.fromEntries(
+      [...stageTotals.entries()].sort((a, b) => {
+        const ai = stageOrder.indexOf(a[0]);
+        const bi = stageOrder.indexOf(b[0]);
+        return (ai === -1 ? Infinity : ai) - (bi === -1 ? Infinity : bi);
+      }),
+    );
+
+    const meta = {
+      totalDeals,
+      totalValue,
+      weightedValue: Math.round(weightedValue),
+      valueByStage,
+      // Leads that look like another lead; their deals may be counted twice until merged.
+      possibleDuplicateLeads: duplicateGroups.reduce((sum, group) => sum + group.leads.length - 1, 0),
+      generatedAt: new Date().toISOString(),
+    };
+    const formattedTotalValue = totalValue.toLocaleString('en-GB', {
+      style: 'currency',
+      currency: 'GBP',
+    });
 
-app.get('/ai/pipeline-insights', (req, res) => {
-  db.all(
-    `
-    SELECT
-      d.*,
-      l.name AS leadName,
-      l.company AS leadCompany,
-      l.ownerName AS leadOwnerName
-    FROM deals d
-    LEFT JOIN leads l ON l.id = d.leadId
-    `,
-    [],
-    async (err, rows) => {
-      if (err) {
-        console.error('Error loading pipeline data:', err);
-        return res.status(500).json({ error: 'Failed to load pipeline data' });
-      }
-
-      const deals = rows || [];
-      const totalDeals = deals.length;
-      const totalValue = deals.reduce(
-        (sum, d) => sum + (Number.isFinite(d.value) ? Number(d.value) : 0),
-        0,
-      );
-      const valueByStage = deals.reduce((acc, d) => {
-        const stage = d.stage || 'Unknown';
-        const v = Number.isFinite(d.value) ? Number(d.value) : 0;
-        acc[stage] = (acc[stage] || 0) + v;
-        return acc;
-      }, {});
-
-      const meta = {
-        totalDeals,
-        totalValue,
-        valueByStage,
-        generatedAt: new Date().toISOString(),
-      };
-      const formattedTotalValue = totalValue.toLocaleString('en-GB', {
-        style: 'currency',
-        currency: 'GBP',
-      });
+    const topStage =
+      Object.keys(valueByStage).length === 0
+        ? 'N/A'
+        : Object.entries(valueByStage).sort((a, b) => b[1] - a[1])[0][0];
+
+    const stub = {
+      snapshot: `You have ${totalDeals} deals with total pipeline value of ${formattedTotalValue}. Top stage by value is ${topStage}.`,
+      coaching:
+        `Focus on the higher-value deals in ${topStage} and keep momentum; clear out stalled, low-value items so the team can concentrate on the best opportunities.`,
+      source: 'stub',
+      meta,
+    };
 
-      const topStage =
-        Object.keys(valueByStage).length === 0
-          ? 'N/A'
-          : Object.entries(valueByStage).sort((a, b) => b[1] - a[1])[0][0];
+    if (!process.env.OPENAI_API_KEY) {
+      return res.json(stub);
+    }
 
-      const stub = {
-        snapshot: `You have ${totalDeals} deals with total pipeline value of ${formattedTotalValue}. Top stage by value is ${topStage}.`,
-        coaching:
-          `Focus on the higher-value deals in ${topStage} and keep momentum; clear out stalled, low-value items so the team can concentrate on the best opportunities.`,
-        source: 'stub',
-        meta,
-      };
+    try {
+      const compactDeals = openDeals
+        .map((d) => {
+          const ownerLabel =
+            (d.ownerName && typeof d.ownerName === 'string' && d.ownerName.trim()) ||
+            (d.leadOwnerName && typeof d.leadOwnerName === 'string' && d.leadOwnerName.trim()) ||
+            'Unassigned';
+          return `• ${d.id}: ${d.title || 'Untitled'} | stage=${d.stage || 'unknown'} | value=£${d.value ?? 0} | lead=${d.leadName || 'unknown'} @ ${d.leadCompany || 'unknown'} | owner=${ownerLabel}`;
+        })
+        .join('\n');
 
-      if (!process.env.OPENAI_API_KEY) {
-        return res.json(stub);
-      }
+      const systemPrompt =
+        'You are a concise revenue coach. Given pipeline stats and a compact deal list, return STRICT JSON with keys "snapshot" and "coaching" only. Keep each value to 2-3 sentences. Be specific and action-oriented. All amounts are in GBP (British Pounds); use the £ symbol. Use ownerName on each deal to mention who should act; in coaching, reference the owner when suggesting next best moves. If ownerName is Unassigned/missing, refer to "the team".';
 
-      try {
-        const compactDeals = deals
-          .map((d) => {
-            const ownerLabel =
-              (d.ownerName && typeof d.ownerName === 'string' && d.ownerName.trim()) ||
-              (d.leadOwnerName && typeof d.leadOwnerName === 'string' && d.leadOwnerName.trim()) ||
-              'Unassigned';
-            return `• ${d.id}: ${d.title || 'Untitled'} | stage=${d.stage || 'unknown'} | value=£${d.value ?? 0} | lead=${d.leadName || 'unknown'} @ ${d.leadCompany || 'unknown'} | owner=${ownerLabel}`;
-          })
-          .join('\n');
-
-        const systemPrompt =
-          'You are a concise revenue coach. Given pipeline stats and a compact deal list, return STRICT JSON with keys "snapshot" and "coaching" only. Keep each value to 2-3 sentences. Be specific and action-oriented. All amounts are in GBP (British Pounds); use the £ symbol. Use ownerName on each deal to mention who should act; in coaching, reference the owner when suggesting next best moves. If ownerName is Unassigned/missing, refer to "the team".';
-
-        const userContext = `
+      const userContext = `
 Pipeline stats:
 - totalDeals: ${totalDeals}
 - totalValue (GBP): ${formattedTotalValue}
+- weightedValue (GBP, by stage probability): ${meta.weightedValue}
 - valueByStage: ${JSON.stringify(valueByStage)}
+- possibleDuplicateLeads (not yet merged, may inflate totals): ${meta.possibleDuplicateLeads}
 
 Deals:
 ${compactDeals}
 `;
 
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-4.1-mini',
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: userContext },
-          ],
-          response_format: { type: 'json_object' },
-          max_tokens: 220,
-        });
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-4.1-mini',
+        messages: [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContext },
+        ],
+        response_format: { type: 'json_object' },
+        max_tokens: 220,
+      });
+
+      const content = completion.choices?.[0]?.message?.content;
+      let parsed;
+      try {
+        parsed = content ? JSON.parse(content) : null;
+      } catch (parseErr) {
+        throw parseErr;
+      }
+
+      if (!parsed || typeof parsed.snapshot !== 'string' || typeof parsed.coaching !== 'string') {
+        throw new Error('Invalid AI response format');
+      }
+
+      return res.json({
+        snapshot: parsed.snapshot,
+        coaching: parsed.coaching,
+        source: 'openai',
+        meta,
+      });
+    } catch (aiErr) {
+      console.error('Error from OpenAI for pipeline-insights:', aiErr);
+      return res.json({
+        ...stub,
+        source: 'fallback',
+      });
+    }
+  }));
+
+  return router;
+}
+
+const ARCHIVE_PURGE_DAYS = Number.parseInt(process.env.ARCHIVE_PURGE_DAYS, 10);
+const ARCHIVE_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+async function purgeExpiredArchives(maintenance) {
+  try {
+    const result = await maintenance.purgeArchived(ARCHIVE_PURGE_DAYS);
+    if (result.purgedLeads > 0 || result.purgedDeals > 0) {
+      console.log(
+        `Purged ${result.purgedLeads} archived lead(s) and ${result.purgedDeals} archived deal(s) older than ${ARCHIVE_PURGE_DAYS} days`,
+      );
+    }
+  } catch (err) {
+    console.error('Scheduled purge of archived records failed:', err);
+  }
+}
+
+function schedulePurgeOfExpiredArchives(maintenance) {
+  if (!Number.isInteger(ARCHIVE_PURGE_DAYS) || ARCHIVE_PURGE_DAYS < 0) {
+    return;
+  }
+  purgeExpiredArchives(maintenance);
+  setInterval(() => purgeExpiredArchives(maintenance), ARCHIVE_PURGE_INTERVAL_MS).unref();
+}
+
+const BACKUP_INTERVAL_HOURS = Number.parseFloat(process.env.BACKUP_INTERVAL_HOURS);
+const BACKUP_RETENTION = Number.parseInt(process.env.BACKUP_RETENTION, 10);
+const DEFAULT_BACKUP_RETENTION = 7;
+
+async function takeScheduledBackup(backups) {
+  try {
+    const snapshot = await backups.createSnapshot('scheduled');
+    const keep = Number.isInteger(BACKUP_RETENTION) && BACKUP_RETENTION > 0 ? BACKUP_RETENTION : DEFAULT_BACKUP_RETENTION;
+    const pruned = await backups.pruneScheduledSnapshots(keep);
+    console.log(`Wrote scheduled backup ${snapshot.name}${pruned.length > 0 ? `; removed ${pruned.length} older one(s)` : ''}`);
+  } catch (err) {
+    console.error('Scheduled backup failed:', err);
+  }
+}
+
+function scheduleBackups(backups) {
+  if (!(BACKUP_INTERVAL_HOURS > 0)) {
+    return;
+  }
+  takeScheduledBackup(backups);
+  setInterval(() => takeScheduledBackup(backups), BACKUP_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
+
+const REMINDER_SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+// Checks every workspace's reminder schedule once a minute (see
+// runScheduled in reminders.js). A check still running when the next one is
+// due is not overlapped.
+function scheduleReminderDigests(app) {
+  let running = false;
 
-        const content = completion.choices?.[0]?.message?.content;
-        let parsed;
+  const runDue = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const workspace of await app.locals.repositories.workspaces.list()) {
         try {
-          parsed = content ? JSON.parse(content) : null;
-        } catch (parseErr) {
-          throw parseErr;
+          const result = await app.locals.getWorkspaceHandlers(workspace.id).reminderDigest.runScheduled();
+          if (result) {
+            const outcome = result.sent ? 'sent' : `not sent (${result.reason || 'send_failed'})`;
+            console.log(`Scheduled reminders email for workspace ${workspace.id} ${outcome}`);
+          }
+        } catch (err) {
+          console.error(`Scheduled reminders email for workspace ${workspace.id} failed:`, err);
         }
+      }
+    } catch (err) {
+      console.error('Failed to check reminder schedules:', err);
+    } finally {
+      running = false;
+    }
+  };
 
-        if (!parsed || typeof parsed.snapshot !== 'string' || typeof parsed.coaching !== 'string') {
-          throw new Error('Invalid AI response format');
-        }
+  runDue();
+  setInterval(runDue, REMINDER_SCHEDULER_INTERVAL_MS).unref();
+}
 
-        return res.json({
-          snapshot: parsed.snapshot,
-          coaching: parsed.coaching,
-          source: 'openai',
-          meta,
-        });
-      } catch (aiErr) {
-        console.error('Error from OpenAI for pipeline-insights:', aiErr);
-        return res.json({
-          ...stub,
-          source: 'fallback',
-        });
-      }
+if (require.main === module) {
+  const app = createApp();
+  app.locals.ready.then(
+    () => {
+      schedulePurgeOfExpiredArchives(app.locals.repositories.maintenance);
+      scheduleBackups(app.locals.backups);
+      scheduleReminderDigests(app);
+      app.listen(PORT, () => {
+        console.log(`Lead Desk backend listening on port ${PORT}`);
+      });
+    },
+    () => {
+      console.error('Database initialisation failed; not starting the server.');
+      app.locals.store.close(() => process.exit(1));
     },
   );
-});
+}
 
-app.listen(PORT, () => {
-  console.log(`Lead Desk backend listening on port ${PORT}`);
-});
+module.exports = { createApp, getOwnerScope, canAccessOwner };
@@ -0,0 +1,54 @@
+// Referential integrity command.
+//   node integrity.js            report orphaned rows
+//   node integrity.js --repair   delete or unlink them in one transaction
+// Pending migrations are applied first, as at server startup, so the checks
+// always run against the current schema.
+require('dotenv').config();
+const { createDatabase } = require('./db');
+
+const { db, initialiseDb, getIntegrityReport, repairIntegrity } = createDatabase();
+
+const repair = process.argv.slice(2).includes('--repair');
+
+function exit(code) {
+  db.close(() => process.exit(code));
+}
+
+function printReport(report) {
+  report.checks.forEach((check) => {
+    const status = check.count === 0 ? 'ok     ' : `${String(check.count).padEnd(7)}`;
+    console.log(`  ${status} ${check.name}: ${check.description}`);
+    if (check.count > 0) console.log(`          e.g. ${check.sampleIds.join(', ')}`);
+  });
+  console.log(report.ok ? 'No integrity issues found.' : `${report.totalIssues} integrity issue(s) found.`);
+}
+
+initialiseDb((initErr) => {
+  if (initErr) {
+    console.error('The database could not be migrated to the current schema:', initErr.message);
+    return exit(1);
+  }
+
+  getIntegrityReport((err, report) => {
+    if (err) {
+      console.error('Failed to run integrity checks:', err);
+      return exit(1);
+    }
+
+    printReport(report);
+    if (!repair || report.ok) {
+      return exit(repair || report.ok ? 0 : 2);
+    }
+
+    repairIntegrity((repairErr, result) => {
+      if (repairErr) {
+        console.error('Repair failed; nothing was changed:', repairErr.message);
+        return exit(1);
+      }
+      Object.entries(result.repaired)
+        .filter(([, changes]) => changes > 0)
+        .forEach(([name, changes]) => console.log(`Repaired ${changes} ${name}`));
+      exit(0);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// Database migration command.
+//   node migrate.js status      list applied and pending migrations
+//   node migrate.js up          apply pending migrations
+//   node migrate.js --dry-run   run pending migrations, then roll them back
+require('dotenv').config();
+const { createDatabase } = require('./db');
+const { getMigrationStatus, runMigrations } = require('./migrations');
+
+const { db, runInTransaction } = createDatabase();
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const command = args.find((arg) => !arg.startsWith('--')) || (dryRun ? 'up' : 'status');
+
+function exit(code) {
+  db.close(() => process.exit(code));
+}
+
+if (command === 'status') {
+  getMigrationStatus(db, (err, status) => {
+    if (err) {
+      console.error('Failed to read migration status:', err);
+      return exit(1);
+    }
+
+    console.log(`Schema version ${status.currentVersion} (latest ${status.latestVersion})`);
+    status.applied.forEach((migration) => {
+      console.log(`  applied  ${migration.version} ${migration.name} at ${migration.appliedAt}`);
+    });
+    status.pending.forEach((migration) => {
+      console.log(`  pending  ${migration.version} ${migration.name}`);
+    });
+    status.unknown.forEach((migration) => {
+      console.log(`  unknown  ${migration.version} ${migration.name} (applied by a newer version)`);
+    });
+    exit(0);
+  });
+} else if (command === 'up') {
+  runMigrations(runInTransaction, { dryRun }, (err, result) => {
+    if (err) {
+      console.error(dryRun ? 'Dry run failed:' : 'Migration failed:', err.message);
+      return exit(1);
+    }
+
+    if (result.applied.length === 0) {
+      console.log(`Nothing to migrate; schema is at version ${result.currentVersion}.`);
+    } else {
+      const verb = dryRun ? 'Would apply' : 'Applied';
+      result.applied.forEach((migration) => console.log(`${verb} ${migration.version} ${migration.name}`));
+      if (dryRun) console.log('Dry run: all changes were rolled back.');
+    }
+    exit(0);
+  });
+} else {
+  console.error(`Unknown command "${command}". Use "status", "up" or "--dry-run".`);
+  exit(1);
+}
@@ -0,0 +1,713 @@
+// Numbered schema migrations. Pending migrations run in order at startup, in
+// a single transaction, and each applied version is recorded in
+// schema_migrations. Never edit a migration once it has shipped; add a new one.
+
+function runSql(dbInstance, statements, callback) {
+  const runNext = (index) => {
+    if (index >= statements.length) return callback(null);
+    dbInstance.run(statements[index], (err) => {
+      if (err) return callback(err);
+      runNext(index + 1);
+    });
+  };
+
+  runNext(0);
+}
+
+function addMissingColumns(dbInstance, table, columns, callback) {
+  dbInstance.all(`PRAGMA table_info(${table});`, (err, existingCols) => {
+    if (err) return callback(err);
+
+    const existing = new Set((existingCols || []).map((col) => col.name));
+    const statements = columns
+      .filter((col) => !existing.has(col.name))
+      .map((col) => `ALTER TABLE ${table} ADD COLUMN ${col.name} ${col.definition};`);
+
+    runSql(dbInstance, statements, callback);
+  });
+}
+
+// The schema as it stood before migrations existed. Databases created by
+// earlier versions already have some or all of it, so every step is idempotent.
+const BASELINE_STATEMENTS = [
+  `CREATE TABLE IF NOT EXISTS leads (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    company TEXT NOT NULL,
+    email TEXT,
+    value INTEGER,
+    source TEXT,
+    createdAt TEXT,
+    address TEXT,
+    phone TEXT,
+    ownerName TEXT DEFAULT 'Unassigned',
+    archivedAt TEXT,
+    importId TEXT
+  )`,
+  `CREATE TABLE IF NOT EXISTS deals (
+    id TEXT PRIMARY KEY,
+    leadId TEXT NOT NULL,
+    title TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    value INTEGER,
+    nextAction TEXT,
+    nextActionDate TEXT,
+    reminderChannel TEXT,
+    aiAutoReminderEnabled INTEGER,
+    ownerName TEXT DEFAULT 'Unassigned',
+    archivedAt TEXT,
+    createdAt TEXT,
+    companyId TEXT,
+    FOREIGN KEY (leadId) REFERENCES leads(id),
+    FOREIGN KEY (companyId) REFERENCES companies(id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS outreach_steps (
+    id TEXT PRIMARY KEY,
+    dealId TEXT NOT NULL,
+    dueDate TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    intent TEXT NOT NULL,
+    goal TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    createdAt TEXT NOT NULL DEFAULT (datetime('now')),
+    completedAt TEXT,
+    FOREIGN KEY (dealId) REFERENCES deals(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS activities (
+    id TEXT PRIMARY KEY,
+    dealId TEXT NOT NULL,
+    type TEXT NOT NULL,
+    note TEXT NOT NULL,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS lead_history (
+    id TEXT PRIMARY KEY,
+    leadId TEXT NOT NULL,
+    field TEXT NOT NULL,
+    oldValue TEXT,
+    newValue TEXT,
+    changedAt TEXT NOT NULL,
+    changedBy TEXT,
+    FOREIGN KEY (leadId) REFERENCES leads(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS deal_stage_history (
+    id TEXT PRIMARY KEY,
+    dealId TEXT NOT NULL,
+    fromStage TEXT,
+    toStage TEXT NOT NULL,
+    changedAt TEXT NOT NULL,
+    changedBy TEXT,
+    FOREIGN KEY (dealId) REFERENCES deals(id) ON DELETE CASCADE
+  )`,
+  `CREATE TABLE IF NOT EXISTS pipeline_stages (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    displayOrder INTEGER NOT NULL,
+    category TEXT NOT NULL DEFAULT 'open',
+    defaultProbability INTEGER,
+    defaultIntent TEXT,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS companies (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    normalizedName TEXT NOT NULL UNIQUE,
+    address TEXT,
+    createdAt TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS contacts (
+    id TEXT PRIMARY KEY,
+    companyId TEXT,
+    leadId TEXT,
+    name TEXT NOT NULL,
+    email TEXT,
+    phone TEXT,
+    role TEXT,
+    createdAt TEXT NOT NULL,
+    FOREIGN KEY (companyId) REFERENCES companies(id),
+    FOREIGN KEY (leadId) REFERENCES leads(id) ON DELETE SET NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS deal_contacts (
+    dealId TEXT NOT NULL,
+    contactId TEXT NOT NULL,
+    isPrimary INTEGER NOT NULL DEFAULT 0,
+    createdAt TEXT NOT NULL,
+    PRIMARY KEY (dealId, contactId),
+    FOREIGN KEY (dealId) REFERENCES deals(id) ON DELETE CASCADE,
+    FOREIGN KEY (contactId) REFERENCES contacts(id) ON DELETE CASCADE
+  )`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS idx_deal_contacts_primary
+    ON deal_contacts (dealId) WHERE isPrimary = 1`,
+  `CREATE TABLE IF NOT EXISTS lead_imports (
+    id TEXT PRIMARY KEY,
+    fileName TEXT,
+    createdAt TEXT NOT NULL,
+    createdBy TEXT,
+    totalRows INTEGER NOT NULL DEFAULT 0,
+    importedRows INTEGER NOT NULL DEFAULT 0,
+    skippedRows INTEGER NOT NULL DEFAULT 0,
+    errors TEXT,
+    completedAt TEXT,
+    rolledBackAt TEXT
+  )`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS leads_fts USING fts5(
+    leadId UNINDEXED,
+    name,
+    company,
+    email,
+    phone,
+    phoneDigits,
+    address,
+    tokenize = 'unicode61'
+  )`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS deals_fts USING fts5(
+    dealId UNINDEXED,
+    title,
+    nextAction,
+    tokenize = 'unicode61'
+  )`,
+  `CREATE VIRTUAL TABLE IF NOT EXISTS activities_fts USING fts5(
+    activityId UNINDEXED,
+    dealId UNINDEXED,
+    note,
+    tokenize = 'unicode61'
+  )`,
+];
+
+// Tables whose rows belong to a workspace (migration 8). Existing rows go to
+// the default workspace.
+const WORKSPACE_TABLES = [
+  'leads',
+  'deals',
+  'activities',
+  'outreach_steps',
+  'contacts',
+  'lead_imports',
+  'users',
+  'api_keys',
+  'audit_log',
+  'reminder_logs',
+];
+
+// SQLite cannot change a table's constraints in place, so tables whose
+// uniqueness becomes per workspace are copied out, recreated and copied back.
+// Deals and contacts reference companies, so foreign keys are only checked at
+// commit, once the company rows are back.
+function rebuildTableStatements(table, createSql, columns) {
+  const columnList = columns.join(', ');
+  return [
+    `CREATE TEMP TABLE ${table}_copy AS SELECT ${columnList} FROM ${table}`,
+    `DROP TABLE ${table}`,
+    createSql,
+    `INSERT INTO ${table} (${columnList}) SELECT ${columnList} FROM ${table}_copy`,
+    `DROP TABLE ${table}_copy`,
+  ];
+}
+
+// The reminder settings and AI business details become per workspace; the
+// business context the AI endpoints used until now is kept for the default one.
+const DEFAULT_AI_SETTINGS_JSON = JSON.stringify({
+  businessName: 'Kalyan AI',
+  businessContext:
+    'Kalyan AI builds custom AI and automation systems to save time, reduce errors and increase profitability for business owners.',
+});
+
+const WORKSPACE_STATEMENTS = [
+  'PRAGMA defer_foreign_keys = ON',
+  ...rebuildTableStatements(
+    'settings',
+    `CREATE TABLE settings (
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      PRIMARY KEY (workspaceId, key)
+    )`,
+    ['key', 'value'],
+  ),
+  ...rebuildTableStatements(
+    'companies',
+    `CREATE TABLE companies (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL,
+      normalizedName TEXT NOT NULL,
+      address TEXT,
+      createdAt TEXT NOT NULL,
+      UNIQUE (workspaceId, normalizedName)
+    )`,
+    ['id', 'name', 'normalizedName', 'address', 'createdAt'],
+  ),
+  ...rebuildTableStatements(
+    'pipeline_stages',
+    `CREATE TABLE pipeline_stages (
+      id TEXT PRIMARY KEY,
+      workspaceId TEXT NOT NULL DEFAULT 'default',
+      name TEXT NOT NULL COLLATE NOCASE,
+      displayOrder INTEGER NOT NULL,
+      category TEXT NOT NULL DEFAULT 'open',
+      defaultProbability INTEGER,
+      defaultIntent TEXT,
+      createdAt TEXT NOT NULL,
+      UNIQUE (workspaceId, name)
+    )`,
+    ['id', 'name', 'displayOrder', 'category', 'defaultProbability', 'defaultIntent', 'createdAt'],
+  ),
+  `INSERT OR IGNORE INTO settings (workspaceId, key, value) VALUES ('default', 'ai', '${DEFAULT_AI_SETTINGS_JSON}')`,
+  'CREATE INDEX IF NOT EXISTS idx_leads_workspace ON leads (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_deals_workspace ON deals (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_outreach_steps_workspace ON outreach_steps (workspaceId, status, dueDate)',
+  'CREATE INDEX IF NOT EXISTS idx_contacts_workspace ON contacts (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_lead_imports_workspace ON lead_imports (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_users_workspace ON users (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_api_keys_workspace ON api_keys (workspaceId)',
+  'CREATE INDEX IF NOT EXISTS idx_audit_log_workspace ON audit_log (workspaceId, createdAt)',
+  'CREATE INDEX IF NOT EXISTS idx_reminder_logs_workspace ON reminder_logs (workspaceId, createdAt)',
+];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline',
+    up(dbInstance, callback) {
+      runSql(dbInstance, BASELINE_STATEMENTS, (err) => {
+        if (err) return callback(err);
+        addMissingColumns(
+          dbInstance,
+          'leads',
+          [
+            { name: 'ownerName', definition: "TEXT DEFAULT 'Unassigned'" },
+            { name: 'archivedAt', definition: 'TEXT' },
+            { name: 'importId', definition: 'TEXT' },
+          ],
+          (leadErr) => {
+            if (leadErr) return callback(leadErr);
+            addMissingColumns(
+              dbInstance,
+              'deals',
+              [
+                { name: 'ownerName', definition: "TEXT DEFAULT 'Unassigned'" },
+                { name: 'archivedAt', definition: 'TEXT' },
+                { name: 'createdAt', definition: 'TEXT' },
+                { name: 'companyId', definition: 'TEXT REFERENCES companies(id)' },
+              ],
+              callback,
+            );
+          },
+        );
+      });
+    },
+  },
+  {
+    version: 2,
+    name: 'create_reminder_logs',
+    up(dbInstance, callback) {
+      runSql(
+        dbInstance,
+        [
+          `CREATE TABLE IF NOT EXISTS reminder_logs (
+            id TEXT PRIMARY KEY,
+            channel TEXT NOT NULL,
+            recipient TEXT,
+            reminderDate TEXT NOT NULL,
+            reminderCount INTEGER NOT NULL DEFAULT 0,
+            status TEXT NOT NULL,
+            messageId TEXT,
+            error TEXT,
+            createdAt TEXT NOT NULL
+          )`,
+        ],
+        callback,
+      );
+    },
+  },
+  {
+    version: 3,
+    name: 'add_lookup_indexes',
+    up(dbInstance, callback) {
+      runSql(
+        dbInstance,
+        [
+          'CREATE INDEX IF NOT EXISTS idx_leads_import ON leads (importId)',
+          'CREATE INDEX IF NOT EXISTS idx_deals_lead ON deals (leadId)',
+          'CREATE INDEX IF NOT EXISTS idx_deals_company ON deals (companyId)',
+          'CREATE INDEX IF NOT EXISTS idx_deals_next_action_date ON deals (nextActionDate)',
+          'CREATE INDEX IF NOT EXISTS idx_activities_deal ON activities (dealId, createdAt)',
+          'CREATE INDEX IF NOT EXISTS idx_outreach_steps_deal ON outreach_steps (dealId)',
+          'CREATE INDEX IF NOT EXISTS idx_outreach_steps_status_due ON outreach_steps (status, dueDate)',
+          'CREATE INDEX IF NOT EXISTS idx_lead_history_lead ON lead_history (leadId, changedAt)',
+          'CREATE INDEX IF NOT EXISTS idx_deal_stage_history_deal ON deal_stage_history (dealId, changedAt)',
+          'CREATE INDEX IF NOT EXISTS idx_contacts_lead ON contacts (leadId)',
+          'CREATE INDEX IF NOT EXISTS idx_contacts_company ON contacts (companyId)',
+          'CREATE INDEX IF NOT EXISTS idx_reminder_logs_created ON reminder_logs (createdAt)',
+        ],
+        callback,
+      );
+    },
+  },
+  {
+    version: 4,
+    name: 'create_audit_log',
+    up(dbInstance, callback) {
+      runSql(
+        dbInstance,
+        [
+          `CREATE TABLE IF NOT EXISTS audit_log (
+            id TEXT PRIMARY KEY,
+            actor TEXT,
+            method TEXT NOT NULL,
+            route TEXT NOT NULL,
+            path TEXT NOT NULL,
+            statusCode INTEGER NOT NULL,
+            entityType TEXT,
+            entityId TEXT,
+            beforeJson TEXT,
+            afterJson TEXT,
+            createdAt TEXT NOT NULL
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (createdAt)',
+          'CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entityType, entityId, createdAt)',
+          'CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor, createdAt)',
+        ],
+        callback,
+      );
+    },
+  },
+  {
+    version: 5,
+    name: 'create_users_and_sessions',
+    up(dbInstance, callback) {
+      runSql(
+        dbInstance,
+        [
+          `CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            email TEXT NOT NULL UNIQUE,
+            name TEXT NOT NULL,
+            passwordHash TEXT NOT NULL,
+            createdAt TEXT NOT NULL
+          )`,
+          `CREATE TABLE IF NOT EXISTS sessions (
+            id TEXT PRIMARY KEY,
+            tokenHash TEXT NOT NULL UNIQUE,
+            userId TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            createdAt TEXT NOT NULL,
+            expiresAt TEXT NOT NULL
+          )`,
+          'CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (userId)',
+        ],
+        (tableErr) => {
+          if (tableErr) return callback(tableErr);
+
+          const ownerColumn = [{ name: 'ownerUserId', definition: 'TEXT REFERENCES users(id) ON DELETE SET NULL' }];
+          addMissingColumns(dbInstance, 'leads', ownerColumn, (leadsErr) => {
+            if (leadsErr) return callback(leadsErr);
+            addMissingColumns(dbInstance, 'deals', ownerColumn, (dealsErr) => {
+              if (dealsErr) return callback(dealsErr);
+              addMissingColumns(dbInstance, 'audit_log', [{ name: 'actorUserId', definition: 'TEXT' }], (auditErr) => {
+                if (auditErr) return callback(auditErr);
+                runSql(
+                  dbInstance,
+                  [
+                    'CREATE INDEX IF NOT EXISTS idx_leads_owner_user ON leads (ownerUserId)',
+                    'CREATE INDEX IF NOT EXISTS idx_deals_owner_user ON deals (ownerUserId)',
+                  ],
+                  callback,
+                );
+              });
+            });
+          });
+        },
+      );
+    },
+  },
+  {
+    version: 6,
+    name: 'add_user_roles',
+    up(dbInstance, callback) {
+      addMissingColumns(
+        dbInstance,
+        'users',
+        [
+          { name: 'role', definition: "TEXT NOT NULL DEFAULT 'rep' CHECK (role IN ('rep', 'manager', 'admin'))" },
+          { name: 'managerId', definition: 'TEXT REFERENCES users(id) ON DELETE SET NULL' },
+        ],
+        (columnsErr) => {
+          if (columnsErr) return callback(columnsErr);
+          runSql(
+            dbInstance,
+            [
+              // Users created before roles existed could do everything, so they stay admins.
+              "UPDATE users SET role = 'admin'",
+              'CREATE INDEX IF NOT EXISTS idx_users_manager ON users (managerId)',
+            ],
+            callback,
+          );
+        },
+      );
+    },
+  },
+  {
+    version: 7,
+    name: 'create_api_keys',
+    up(dbInstance, callback) {
+      runSql(
+        dbInstance,
+        [
+          `CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            prefix TEXT NOT NULL,
+            keyHash TEXT NOT NULL UNIQUE,
+            scopes TEXT NOT NULL,
+            createdByUserId TEXT REFERENCES users(id) ON DELETE SET NULL,
+            createdAt TEXT NOT NULL,
+            lastUsedAt TEXT,
+            revokedAt TEXT
+          )`,
+        ],
+        callback,
+      );
+    },
+  },
+  {
+    version: 8,
+    name: 'add_workspaces',
+    up(dbInstance, callback) {
+      const workspaceColumn = [{ name: 'workspaceId', definition: "TEXT NOT NULL DEFAULT 'default'" }];
+      const addColumnTo = (index) => {
+        if (index >= WORKSPACE_TABLES.length) {
+          return runSql(dbInstance, WORKSPACE_STATEMENTS, callback);
+        }
+        addMissingColumns(dbInstance, WORKSPACE_TABLES[index], workspaceColumn, (err) => {
+          if (err) return callback(err);
+          addColumnTo(index + 1);
+        });
+      };
+
+      runSql(
+        dbInstance,
+        [
+          `CREATE TABLE IF NOT EXISTS workspaces (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            createdAt TEXT NOT NULL
+          )`,
+          `INSERT OR IGNORE INTO workspaces (id, name, createdAt) VALUES ('default', 'Kalyan AI', '${new Date().toISOString()}')`,
+        ],
+        (err) => {
+          if (err) return callback(err);
+          addColumnTo(0);
+        },
+      );
+    },
+  },
+  {
+    version: 9,
+    name: 'add_reminder_log_runs',
+    up(dbInstance, callback) {
+      // `claimKey` is set on the log of a send that is in progress or went out
+      // (the reminder date), so a second send of the same digest hits the unique
+      // index instead of emailing again. Failed sends clear it.
+      addMissingColumns(
+        dbInstance,
+        'reminder_logs',
+        [
+          { name: 'triggeredBy', definition: "TEXT NOT NULL DEFAULT 'manual'" },
+          { name: 'reason', definition: 'TEXT' },
+          { name: 'claimKey', definition: 'TEXT' },
+        ],
+        (err) => {
+          if (err) return callback(err);
+          runSql(
+            dbInstance,
+            [
+              'CREATE UNIQUE INDEX IF NOT EXISTS idx_reminder_logs_claim ON reminder_logs (workspaceId, claimKey)',
+              'CREATE INDEX IF NOT EXISTS idx_reminder_logs_date ON reminder_logs (workspaceId, reminderDate)',
+            ],
+            callback,
+          );
+        },
+      );
+    },
+  },
+  {
+    version: 10,
+    name: 'add_owner_reminder_preferences',
+    up(dbInstance, callback) {
+      addMissingColumns(
+        dbInstance,
+        'users',
+        [
+          { name: 'reminderEmail', definition: 'TEXT' },
+          { name: 'remindersOptIn', definition: 'INTEGER NOT NULL DEFAULT 0' },
+        ],
+        (err) => {
+          if (err) return callback(err);
+          addMissingColumns(dbInstance, 'reminder_logs', [{ name: 'ownerUserId', definition: 'TEXT' }], callback);
+        },
+      );
+    },
+  },
+  {
+    version: 11,
+    name: 'add_owner_reminder_phone',
+    up(dbInstance, callback) {
+      addMissingColumns(dbInstance, 'users', [{ name: 'reminderPhone', definition: 'TEXT' }], callback);
+    },
+  },
+  {
+    version: 12,
+    name: 'add_timezones',
+    up(dbInstance, callback) {
+      // The timezone of the reminder settings becomes the workspace's, which
+      // every date is now worked out in.
+      addMissingColumns(
+        dbInstance,
+        'workspaces',
+        [{ name: 'timezone', definition: "TEXT NOT NULL DEFAULT 'Europe/London'" }],
+        (err) => {
+          if (err) return callback(err);
+          addMissingColumns(dbInstance, 'users', [{ name: 'timezone', definition: 'TEXT' }], (usersErr) => {
+            if (usersErr) return callback(usersErr);
+            runSql(
+              dbInstance,
+              [
+                `UPDATE workspaces SET timezone = COALESCE((
+                  SELECT json_extract(s.value, '$.timezone') FROM settings s
+                  WHERE s.workspaceId = workspaces.id AND s.key = 'reminders' AND json_valid(s.value)
+                ), timezone)`,
+                "UPDATE settings SET value = json_remove(value, '$.timezone') WHERE key = 'reminders' AND json_valid(value)",
+              ],
+              callback,
+            );
+          });
+        },
+      );
+    },
+  },
+  {
+    version: 13,
+    name: 'keep_saved_reminders_unscheduled',
+    up(dbInstance, callback) {
+      // Reminder settings saved before the daily schedule existed have no
+      // sendDays. Left alone they would pick up the weekday default and start
+      // sending on their own, so they get an empty schedule instead.
+      runSql(
+        dbInstance,
+        [
+          `UPDATE settings SET value = json_set(value, '$.sendDays', json('[]'))
+          WHERE key = 'reminders' AND json_valid(value) AND json_type(value, '$.sendDays') IS NULL`,
+        ],
+        callback,
+      );
+    },
+  },
+];
+
+function getAppliedMigrations(dbInstance, callback) {
+  dbInstance.get(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'",
+    (err, table) => {
+      if (err) return callback(err);
+      if (!table) return callback(null, []);
+      dbInstance.all('SELECT version, name, appliedAt FROM schema_migrations ORDER BY version', callback);
+    },
+  );
+}
+
+function getMigrationStatus(dbInstance, callback) {
+  getAppliedMigrations(dbInstance, (err, applied) => {
+    if (err) return callback(err);
+
+    const appliedVersions = new Set(applied.map((row) => row.version));
+    const knownVersions = new Set(MIGRATIONS.map((migration) => migration.version));
+    callback(null, {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: MIGRATIONS[MIGRATIONS.length - 1].version,
+      applied,
+      pending: MIGRATIONS.filter((migration) => !appliedVersions.has(migration.version)).map(
+        ({ version, name }) => ({ version, name }),
+      ),
+      // Applied by a newer version of the app than this one.
+      unknown: applied.filter((row) => !knownVersions.has(row.version)),
+    });
+  });
+}
+
+// Runs every pending migration in one transaction, queued with `runInTransaction`
+// from db.js like any other. With dryRun the migrations are executed and then
+// rolled back, so errors surface without changing the database.
+function runMigrations(runInTransaction, options, callback) {
+  const dryRun = !!(options && options.dryRun);
+  const rollBackDryRun = new Error('Dry run');
+  let result = null;
+
+  runInTransaction(
+    (dbInstance, done) => {
+      getMigrationStatus(dbInstance, (statusErr, status) => {
+        if (statusErr) return done(statusErr);
+        if (status.pending.length === 0) {
+          result = { dryRun, applied: [], currentVersion: status.currentVersion };
+          return done(null);
+        }
+
+        const pending = MIGRATIONS.filter((migration) =>
+          status.pending.some((candidate) => candidate.version === migration.version),
+        );
+
+        const applyNext = (index) => {
+          if (index >= pending.length) {
+            result = {
+              dryRun,
+              applied: status.pending,
+              currentVersion: dryRun ? status.currentVersion : pending[pending.length - 1].version,
+            };
+            return done(dryRun ? rollBackDryRun : null);
+          }
+          const migration = pending[index];
+
+          migration.up(dbInstance, (upErr) => {
+            if (upErr) {
+              upErr.message = `Migration ${migration.version} (${migration.name}) failed: ${upErr.message}`;
+              return done(upErr);
+            }
+            dbInstance.run(
+              'INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)',
+              [migration.version, migration.name, new Date().toISOString()],
+              (recordErr) => {
+                if (recordErr) return done(recordErr);
+                applyNext(index + 1);
+              },
+            );
+          });
+        };
+
+        dbInstance.run(
+          `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            appliedAt TEXT NOT NULL
+          )`,
+          (tableErr) => {
+            if (tableErr) return done(tableErr);
+            applyNext(0);
+          },
+        );
+      });
+    },
+    (err) => {
+      if (err && err !== rollBackDryRun) return callback(err);
+      callback(null, result);
+    },
+  );
+}
+
+module.exports = {
+  MIGRATIONS,
+  getMigrationStatus,
+  runMigrations,
+};
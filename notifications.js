@@ -0,0 +1,143 @@
+// Delivery of reminders over email, SMS and WhatsApp. Every channel has a
+// provider with the same shape, `{ channel, send({ from, to, subject, text,
+// html }) }`, resolving `{ messageId }`: SMTP through nodemailer for email and
+// Twilio for SMS and WhatsApp. With NOTIFICATION_PROVIDER=outbox every channel
+// is replaced by the outbox, which appends messages to a local file instead of
+// sending them, for development.
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+
+const CHANNELS = ['email', 'sms', 'whatsapp'];
+
+const {
+  NOTIFICATION_PROVIDER,
+  NOTIFICATION_OUTBOX_PATH,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_SMS_FROM,
+  TWILIO_WHATSAPP_FROM,
+} = process.env;
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, 'data', 'outbox.log');
+
+// How long a Twilio request may take before the send counts as failed.
+const TWILIO_TIMEOUT_MS = 15000;
+
+let mailTransporter = null;
+
+function getMailTransporter() {
+  if (!mailTransporter) {
+    if (!SMTP_HOST || !SMTP_PORT || !SMTP_USER || !SMTP_PASS) {
+      console.warn('SMTP is not fully configured; email sending is disabled.');
+      return null;
+    }
+
+    mailTransporter = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT),
+      secure: Number(SMTP_PORT) === 465,
+      auth: {
+        user: SMTP_USER,
+        pass: SMTP_PASS,
+      },
+    });
+  }
+  return mailTransporter;
+}
+
+function createEmailProvider(transporter) {
+  return {
+    channel: 'email',
+    async send({ from, to, subject, text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+// Twilio's Messages API sends both SMS and WhatsApp; WhatsApp numbers carry a
+// `whatsapp:` prefix. `from` is the Twilio number the channel sends from.
+function createTwilioProvider(channel, from) {
+  const address = (number) => (channel === 'whatsapp' ? `whatsapp:${number}` : number);
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(TWILIO_ACCOUNT_SID)}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`;
+
+  return {
+    channel,
+    async send({ to, text }) {
+      let response;
+      let body;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+          body: new URLSearchParams({ From: address(from), To: address(to), Body: text }),
+          signal: AbortSignal.timeout(TWILIO_TIMEOUT_MS),
+        });
+        body = await response.json().catch((parseErr) => {
+          if (parseErr.name === 'TimeoutError') throw parseErr;
+          return {};
+        });
+      } catch (err) {
+        if (err.name === 'TimeoutError') {
+          throw new Error(`Twilio did not answer the ${channel} message within ${TWILIO_TIMEOUT_MS / 1000} seconds`);
+        }
+        throw err;
+      }
+      if (!response.ok) {
+        throw new Error(`Twilio rejected the ${channel} message: ${body.message || response.statusText}`);
+      }
+      return { messageId: body.sid };
+    },
+  };
+}
+
+// Appends each message as a JSON line to NOTIFICATION_OUTBOX_PATH (default
+// data/outbox.log) and logs where it would have gone.
+function createOutboxProvider(channel) {
+  const outboxPath = NOTIFICATION_OUTBOX_PATH
+    ? path.resolve(__dirname, NOTIFICATION_OUTBOX_PATH)
+    : DEFAULT_OUTBOX_PATH;
+
+  return {
+    channel,
+    async send(message) {
+      const messageId = `outbox-${uuidv4()}`;
+      const entry = { messageId, channel, ...message, createdAt: new Date().toISOString() };
+      await fs.promises.mkdir(path.dirname(outboxPath), { recursive: true });
+      await fs.promises.appendFile(outboxPath, `${JSON.stringify(entry)}\n`);
+      console.log(`Outbox: ${channel} message to ${message.to} written to ${outboxPath}`);
+      return { messageId };
+    },
+  };
+}
+
+// The provider for `channel`, or null when the channel is not configured.
+function getNotificationProvider(channel) {
+  if (NOTIFICATION_PROVIDER === 'outbox') {
+    return createOutboxProvider(channel);
+  }
+
+  if (channel === 'email') {
+    const transporter = getMailTransporter();
+    return transporter ? createEmailProvider(transporter) : null;
+  }
+
+  const from = channel === 'whatsapp' ? TWILIO_WHATSAPP_FROM : TWILIO_SMS_FROM;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !from) {
+    console.warn(`Twilio is not fully configured for ${channel}; ${channel} sending is disabled.`);
+    return null;
+  }
+  return createTwilioProvider(channel, from);
+}
+
+module.exports = {
+  CHANNELS,
+  getNotificationProvider,
+};
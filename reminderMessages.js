@@ -0,0 +1,234 @@
+// Renders a reminders digest: as a multipart email, with a plain-text part and
+// an HTML part with inline styles (mail clients drop <style> blocks) laid out as
+// one column so it reads on a phone, or as a short SMS/WhatsApp message. Each
+// owner gets an overdue and a due-today section; deals link to the front-end
+// when a base URL is configured.
+const { DEFAULT_TIMEZONE, toZonedDateKey } = require('./time');
+
+// Twilio splits longer messages into segments but refuses more than this.
+const MAX_TEXT_MESSAGE_LENGTH = 1600;
+
+const URGENCY_SECTIONS = [
+  { urgency: 'overdue', title: 'Overdue', colour: '#b42318', background: '#fef3f2' },
+  { urgency: 'today', title: 'Due today', colour: '#b54708', background: '#fffaeb' },
+];
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Dates are stored as ISO strings; the digest only shows the day, in the
+// digest's timezone.
+function formatDay(value, timezone) {
+  return value ? toZonedDateKey(value, timezone) : null;
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount)) return null;
+  return amount.toLocaleString('en-GB', { style: 'currency', currency: 'GBP' });
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function getDealUrl(appBaseUrl, dealId) {
+  return appBaseUrl && dealId ? `${appBaseUrl}/deals/${encodeURIComponent(dealId)}` : null;
+}
+
+// What the reminder asks for, e.g. "Next action: Call back".
+function describeReminder(reminder) {
+  if (reminder.type === 'nextAction') {
+    return `Next action: ${reminder.nextAction || 'Next action'}`;
+  }
+  if (reminder.type === 'outreachStep') {
+    return `Outreach via ${reminder.channel || 'channel'}: ${reminder.goal || reminder.intent || 'Outreach step'}`;
+  }
+  return 'Reminder';
+}
+
+// The reminders grouped by owner name, each owner's split into URGENCY_SECTIONS
+// with empty sections left out.
+function groupByOwner(reminders) {
+  const owners = new Map();
+
+  reminders.forEach((reminder) => {
+    const ownerLabel = reminder.ownerName && reminder.ownerName.trim() ? reminder.ownerName.trim() : 'Unassigned owner';
+    if (!owners.has(ownerLabel)) {
+      owners.set(ownerLabel, []);
+    }
+    owners.get(ownerLabel).push(reminder);
+  });
+
+  return [...owners.entries()].map(([ownerLabel, ownerReminders]) => ({
+    ownerLabel,
+    sections: URGENCY_SECTIONS.map((section) => ({
+      ...section,
+      reminders: ownerReminders.filter((reminder) => reminder.urgency === section.urgency),
+    })).filter((section) => section.reminders.length > 0),
+  }));
+}
+
+function summarise(reminders) {
+  const overdue = reminders.filter((reminder) => reminder.urgency === 'overdue').length;
+  return `${plural(reminders.length, 'reminder')}: ${overdue} overdue, ${reminders.length - overdue} due today`;
+}
+
+function renderText(owners, { heading, summary, appBaseUrl, timezone }) {
+  const lines = [heading, summary, ''];
+
+  owners.forEach(({ ownerLabel, sections }) => {
+    lines.push(`== ${ownerLabel} ==`, '');
+    sections.forEach((section) => {
+      lines.push(`${section.title.toUpperCase()} (${section.reminders.length})`);
+      section.reminders.forEach((reminder) => {
+        const value = formatValue(reminder.dealValue);
+        const deal = [
+          reminder.dealTitle && `Deal: ${reminder.dealTitle}${value ? ` (${value})` : ''}`,
+          reminder.leadName && `Lead: ${reminder.leadName}`,
+        ].filter(Boolean);
+        const dates = [
+          reminder.dueDate && `Due ${formatDay(reminder.dueDate, timezone)}`,
+          `Last contact ${formatDay(reminder.lastContactDate, timezone) || 'never'}`,
+        ].filter(Boolean);
+        const url = getDealUrl(appBaseUrl, reminder.dealId);
+
+        lines.push(`- ${describeReminder(reminder)}`);
+        if (deal.length > 0) lines.push(`  ${deal.join(' · ')}`);
+        lines.push(`  ${dates.join(' · ')}`);
+        if (url) lines.push(`  ${url}`);
+      });
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+}
+
+function renderReminderHtml(reminder, section, { appBaseUrl, timezone }) {
+  const url = getDealUrl(appBaseUrl, reminder.dealId);
+  const value = formatValue(reminder.dealValue);
+  const dealTitle = reminder.dealTitle ? escapeHtml(reminder.dealTitle) : null;
+  const dealLink = dealTitle && url ? `<a href="${escapeHtml(url)}" style="color:#1d4ed8;">${dealTitle}</a>` : dealTitle;
+  const deal = [dealLink, value && escapeHtml(value), reminder.leadName && `Lead: ${escapeHtml(reminder.leadName)}`]
+    .filter(Boolean)
+    .join(' &middot; ');
+  const dates = [
+    reminder.dueDate && `Due ${escapeHtml(formatDay(reminder.dueDate, timezone))}`,
+    `Last contact ${escapeHtml(formatDay(reminder.lastContactDate, timezone) || 'never')}`,
+  ].filter(Boolean).join(' &middot; ');
+
+  return `
+        <tr>
+          <td style="padding:10px 12px;border-left:4px solid ${section.colour};background:${section.background};">
+            <div style="font-weight:600;">${escapeHtml(describeReminder(reminder))}</div>
+            ${deal ? `<div style="margin-top:4px;">${deal}</div>` : ''}
+            <div style="margin-top:4px;color:#667085;font-size:13px;">${dates}</div>
+            ${url ? `<div style="margin-top:6px;"><a href="${escapeHtml(url)}" style="color:#1d4ed8;font-size:13px;">Open deal</a></div>` : ''}
+          </td>
+        </tr>
+        <tr><td style="height:8px;"></td></tr>`;
+}
+
+function renderHtml(owners, { heading, summary, appBaseUrl, timezone }) {
+  const body = owners.map(({ ownerLabel, sections }) => `
+      <h2 style="margin:24px 0 8px;font-size:17px;">${escapeHtml(ownerLabel)}</h2>${sections.map((section) => `
+      <h3 style="margin:12px 0 8px;font-size:13px;text-transform:uppercase;color:${section.colour};">
+        ${section.title} (${section.reminders.length})
+      </h3>
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border-collapse:collapse;">
+        ${section.reminders.map((reminder) => renderReminderHtml(reminder, section, { appBaseUrl, timezone })).join('')}
+      </table>`).join('')}`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(heading)}</title>
+  </head>
+  <body style="margin:0;padding:0;background:#f2f4f7;">
+    <div style="max-width:600px;margin:0 auto;padding:16px;font-family:Arial,Helvetica,sans-serif;
+      font-size:15px;line-height:1.4;color:#101828;background:#ffffff;">
+      <h1 style="margin:0 0 4px;font-size:20px;">${escapeHtml(heading)}</h1>
+      <p style="margin:0;color:#667085;">${escapeHtml(summary)}</p>${body}
+    </div>
+  </body>
+</html>
+`;
+}
+
+// `dateLabel` is the digest's day (YYYY-MM-DD) in `timezone`, which the other
+// dates are shown in too, and `appBaseUrl` the front-end's address (no trailing
+// slash), or null for no links.
+function buildRemindersEmailPreview(reminders, dateLabel, { appBaseUrl = null, timezone = DEFAULT_TIMEZONE } = {}) {
+  const totalReminders = reminders.length;
+  const heading = `Lead Desk – ${dateLabel}`;
+
+  const subject =
+    totalReminders === 0
+      ? `${heading}: No urgent reminders`
+      : `${heading}: ${totalReminders} urgent reminder${totalReminders === 1 ? '' : 's'}`;
+
+  const summary = totalReminders === 0 ? 'No overdue or due-today reminders.' : summarise(reminders);
+  const owners = groupByOwner(reminders);
+
+  return {
+    date: new Date().toISOString(),
+    totalReminders,
+    subject,
+    textBody: renderText(owners, { heading, summary, appBaseUrl, timezone }),
+    htmlBody: renderHtml(owners, { heading, summary, appBaseUrl, timezone }),
+  };
+}
+
+// The digest as one SMS/WhatsApp message. `reminderTexts` maps deal ids to a
+// line written by the AI (see /ai/reminder-text) that replaces the next action's
+// own description. Items that would take the message past
+// MAX_TEXT_MESSAGE_LENGTH are left out and counted at the end.
+function buildRemindersTextMessage(reminders, dateLabel, { appBaseUrl = null, reminderTexts = new Map() } = {}) {
+  const owners = groupByOwner(reminders);
+  const summary = reminders.length === 0 ? 'No overdue or due-today reminders.' : summarise(reminders);
+  const heading = `Lead Desk – ${dateLabel}\n${summary}`;
+  const items = [];
+
+  owners.forEach(({ ownerLabel, sections }) => {
+    sections.forEach((section) => {
+      section.reminders.forEach((reminder) => {
+        const aiText = reminder.type === 'nextAction' ? reminderTexts.get(reminder.dealId) : null;
+        const url = getDealUrl(appBaseUrl, reminder.dealId);
+        const parts = [
+          `${section.urgency === 'overdue' ? 'OVERDUE' : 'TODAY'}: ${aiText || describeReminder(reminder)}`,
+          reminder.dealTitle && `Deal: ${reminder.dealTitle}`,
+          owners.length > 1 && `Owner: ${ownerLabel}`,
+        ];
+        items.push(`- ${parts.filter(Boolean).join(' · ')}${url ? `\n  ${url}` : ''}`);
+      });
+    });
+  });
+
+  let text = heading;
+  for (let index = 0; index < items.length; index += 1) {
+    const remaining = items.length - index;
+    const more = `\n…and ${remaining - 1} more`;
+    const next = `${text}\n${items[index]}`;
+    if (next.length + (remaining > 1 ? more.length : 0) > MAX_TEXT_MESSAGE_LENGTH) {
+      text += `\n…and ${remaining} more`;
+      break;
+    }
+    text = next;
+  }
+  return text;
+}
+
+module.exports = {
+  buildRemindersEmailPreview,
+  buildRemindersTextMessage,
+};
@@ -0,0 +1,310 @@
+// The daily reminders digests: messages built from a workspace's overdue and
+// due-today reminders, one per opted-in owner plus one for the fallback
+// recipient, sent on the workspace's reminder channel (email, SMS or WhatsApp,
+// see notifications.js) by POST /reminders/today/send-email or by the scheduler
+// in index.js. Every run is written to reminder_logs, and each send claims its
+// digest for the day first so the same digest never goes out twice.
+const { getZonedDateTime } = require('./time');
+const { getNotificationProvider } = require('./notifications');
+const { buildRemindersEmailPreview, buildRemindersTextMessage } = require('./reminderMessages');
+
+const { APP_BASE_URL, REMINDER_EMAIL_FROM, REMINDER_EMAIL_TO } = process.env;
+
+// Where an owner's reminders go on `channel`: their reminder address (or login
+// email) for email, their reminder phone for SMS and WhatsApp.
+function getOwnerRecipient(entry, channel) {
+  return channel === 'email' ? entry.reminderEmail || entry.email : entry.reminderPhone || null;
+}
+
+// Splits reminders into one digest per owner who has opted in, sent to their
+// reminder address or phone on `channel`, and one for everything else (other
+// owners and unassigned deals), sent to the fallback recipient. `key` tells the
+// day's digests apart.
+function groupDigests(dueReminders, directory, fallbackRecipient, channel = 'email') {
+  const entries = new Map(directory.map((entry) => [entry.userId, entry]));
+  const digests = new Map();
+
+  dueReminders.forEach((reminder) => {
+    const owner = reminder.ownerUserId ? entries.get(reminder.ownerUserId) : null;
+    const optedIn = owner && owner.remindersOptIn;
+    const key = optedIn ? `owner:${owner.userId}` : 'fallback';
+
+    if (!digests.has(key)) {
+      digests.set(key, {
+        key,
+        ownerUserId: optedIn ? owner.userId : null,
+        recipient: optedIn ? getOwnerRecipient(owner, channel) : fallbackRecipient,
+        reminders: [],
+      });
+    }
+    digests.get(key).reminders.push(reminder);
+  });
+
+  return [...digests.values()];
+}
+
+// The digests of one workspace. `isDefaultWorkspace` lets it fall back to
+// REMINDER_EMAIL_FROM / REMINDER_EMAIL_TO and APP_BASE_URL. `getReminderText`,
+// if given, resolves the /ai/reminder-text output `{ message, source }` for a
+// next-action reminder on 'sms' or 'whatsapp'.
+function createReminderDigest(repositories, { isDefaultWorkspace, getReminderText = null }) {
+  const { settings, reminders, workspaces } = repositories;
+
+  // The timezone of `ownerUserId`, or of the workspace, and today's date in it.
+  async function getReminderDay(now, ownerUserId = null) {
+    const timezone = await workspaces.getTimezone(ownerUserId);
+    return { timezone, date: getZonedDateTime(now, timezone).date };
+  }
+
+  function getSender(reminderSettings) {
+    return reminderSettings.emailFrom || (isDefaultWorkspace ? REMINDER_EMAIL_FROM : null);
+  }
+
+  function getFallbackRecipient(reminderSettings) {
+    if (reminderSettings.reminderChannel !== 'email') return reminderSettings.phoneTo;
+    return reminderSettings.emailTo || (isDefaultWorkspace ? REMINDER_EMAIL_TO : null);
+  }
+
+  // The front-end the digest links deals to, without a trailing slash.
+  function getEmailOptions(reminderSettings) {
+    const appBaseUrl = reminderSettings.appBaseUrl || (isDefaultWorkspace ? APP_BASE_URL : null);
+    return { appBaseUrl: appBaseUrl ? appBaseUrl.replace(/\/+$/, '') : null };
+  }
+
+  // Today's reminders, only those of `ownerUserId` when it is given.
+  async function getDueReminders(options) {
+    const dueReminders = await reminders.getForToday({ ownerScope: options.ownerScope, now: options.now });
+    return options.ownerUserId
+      ? dueReminders.filter((reminder) => reminder.ownerUserId === options.ownerUserId)
+      : dueReminders;
+  }
+
+  // AI-written lines for the next actions among `dueReminders`, by deal id. Only
+  // lines the AI actually wrote are used; without it the message describes the
+  // next action itself.
+  async function getReminderTexts(dueReminders, channel) {
+    const reminderTexts = new Map();
+    if (!getReminderText) return reminderTexts;
+
+    for (const reminder of dueReminders) {
+      if (reminder.type !== 'nextAction' || reminderTexts.has(reminder.dealId)) continue;
+      try {
+        const result = await getReminderText(reminder, channel);
+        if (result.source === 'openai') reminderTexts.set(reminder.dealId, result.message);
+      } catch (err) {
+        console.error(`Failed to write reminder text for deal ${reminder.dealId}:`, err);
+      }
+    }
+    return reminderTexts;
+  }
+
+  // The reminders within `ownerScope` (of `ownerUserId` if given) as an email,
+  // and as a text message when the channel is SMS or WhatsApp (without AI
+  // lines), with the recipient when it is one owner's.
+  async function preview(options = {}) {
+    const reminderSettings = await settings.getReminderSettings();
+    const channel = reminderSettings.reminderChannel;
+    const dueReminders = await getDueReminders(options);
+    const { timezone, date: reminderDate } = await getReminderDay(new Date(), options.ownerUserId);
+    const emailOptions = { ...getEmailOptions(reminderSettings), timezone };
+    const emailPreview = {
+      ...buildRemindersEmailPreview(dueReminders, reminderDate, emailOptions),
+      channel,
+      ...(channel === 'email' ? {} : { textMessage: buildRemindersTextMessage(dueReminders, reminderDate, emailOptions) }),
+    };
+    if (!options.ownerUserId) return emailPreview;
+
+    const directory = await reminders.getDirectory();
+    const [digest] = groupDigests(
+      [{ ownerUserId: options.ownerUserId }],
+      directory,
+      getFallbackRecipient(reminderSettings),
+      channel,
+    );
+    return { ...emailPreview, recipient: digest.recipient || null };
+  }
+
+  // Every user's reminder preferences, with the address or phone their
+  // reminders go to: their own once they have opted in, otherwise the fallback
+  // recipient.
+  async function getDirectory() {
+    const reminderSettings = await settings.getReminderSettings();
+    const fallbackRecipient = getFallbackRecipient(reminderSettings) || null;
+    const directory = await reminders.getDirectory();
+    return directory.map((entry) => ({
+      ...entry,
+      recipient: entry.remindersOptIn
+        ? getOwnerRecipient(entry, reminderSettings.reminderChannel)
+        : fallbackRecipient,
+    }));
+  }
+
+  // The digest as the provider sends it: a multipart email, or one text message.
+  // Its dates are in the owner's timezone when it is one owner's.
+  async function buildMessage(delivery, digest, run) {
+    const dateLabel = digest.dateLabel || run.reminderDate;
+    if (run.channel === 'email') {
+      const emailPreview = buildRemindersEmailPreview(digest.reminders, dateLabel, {
+        ...delivery,
+        timezone: digest.timezone,
+      });
+      return { subject: emailPreview.subject, text: emailPreview.textBody, html: emailPreview.htmlBody };
+    }
+    const reminderTexts = await getReminderTexts(digest.reminders, run.channel);
+    return { text: buildRemindersTextMessage(digest.reminders, dateLabel, { ...delivery, reminderTexts }) };
+  }
+
+  function describeMissingRecipient(digest, channel) {
+    if (digest.ownerUserId) {
+      return `The owner has no reminder phone for ${channel}; set reminderPhone with PATCH /users/:userId/reminders`;
+    }
+    return channel === 'email'
+      ? 'There is no fallback recipient; set emailTo in the reminder settings'
+      : 'There is no fallback recipient; set phoneTo in the reminder settings';
+  }
+
+  // Sends one digest, unless the day's copy of it has already gone out.
+  async function sendDigest(delivery, digest, run) {
+    const result = {
+      recipient: digest.recipient || null,
+      ownerUserId: digest.ownerUserId,
+      totalReminders: digest.reminders.length,
+    };
+    const digestRun = { ...run, ownerUserId: digest.ownerUserId || run.ownerUserId };
+    // An owner's own digest is the same whether or not the send was narrowed to
+    // them; the fallback digest narrowed to one owner is not the full one.
+    const digestKey = digest.key === 'fallback' && run.ownerUserId ? `fallback:${run.ownerUserId}` : digest.key;
+
+    if (!digest.recipient) {
+      const error = describeMissingRecipient(digest, run.channel);
+      await reminders.recordLog({ ...digestRun, status: 'failed', reason: 'no_recipient', error });
+      return { ...result, sent: false, reason: 'no_recipient', error };
+    }
+
+    const claim = await reminders.claimSend({
+      ...digestRun,
+      recipient: digest.recipient,
+      reminderCount: digest.reminders.length,
+      claimKey: `${run.reminderDate}:${digestKey}`,
+    });
+    if (claim.alreadyClaimed) {
+      await reminders.recordLog({ ...digestRun, recipient: digest.recipient, status: 'skipped', reason: 'already_sent' });
+      return {
+        ...result,
+        sent: false,
+        reason: 'already_sent',
+        message: `This reminders digest for ${run.reminderDate} has already been sent`,
+      };
+    }
+
+    let info;
+    try {
+      const message = await buildMessage(delivery, digest, run);
+      info = await delivery.provider.send({ from: delivery.from, to: digest.recipient, ...message });
+    } catch (sendErr) {
+      console.error(`Failed to send reminders ${run.channel} to ${digest.recipient}:`, sendErr);
+      await reminders
+        .finishSend(claim.log.id, { status: 'failed', error: sendErr.message })
+        .catch((logErr) => console.error('Error recording reminder log:', logErr));
+      return { ...result, sent: false, reason: 'send_failed', error: sendErr.message };
+    }
+
+    await reminders.finishSend(claim.log.id, { status: 'sent', messageId: info.messageId });
+    return { ...result, sent: true, messageId: info.messageId };
+  }
+
+  // Sends today's digests (only `ownerUserId`'s reminders when given) on the
+  // reminder channel. Resolves { sent, reminderDate, channel, digests } with one
+  // result per recipient, or { sent: false, reason } when nothing was
+  // attempted, with `error` set when the run failed rather than being skipped.
+  async function send({ triggeredBy, ownerUserId = null, now = new Date() }) {
+    const reminderSettings = await settings.getReminderSettings();
+    const workspaceDay = await getReminderDay(now);
+    const reminderDate = workspaceDay.date;
+    const channel = reminderSettings.reminderChannel;
+    const run = { channel, reminderDate, triggeredBy, ownerUserId };
+
+    const skip = async (reason, message, details = {}) => {
+      await reminders.recordLog({ ...run, status: 'skipped', reason });
+      return { sent: false, reason, message, ...details };
+    };
+    const fail = async (reason, error) => {
+      await reminders.recordLog({ ...run, status: 'failed', reason, error });
+      return { sent: false, reason, error };
+    };
+
+    if (!reminderSettings.remindersEnabled) {
+      return skip('disabled', 'Reminder sending is currently disabled in settings', {
+        settings: reminderSettings,
+      });
+    }
+
+    const provider = getNotificationProvider(channel);
+    if (!provider) {
+      return channel === 'email'
+        ? fail('smtp_not_configured', 'SMTP is not configured; cannot send reminder emails')
+        : fail('provider_not_configured', `Twilio is not configured; cannot send ${channel} reminders`);
+    }
+
+    const delivery = { ...getEmailOptions(reminderSettings), provider, from: null };
+    if (channel === 'email') {
+      delivery.from = getSender(reminderSettings);
+      if (!delivery.from) {
+        return fail(
+          'email_from_missing',
+          isDefaultWorkspace
+            ? 'Set emailFrom in the reminder settings, or REMINDER_EMAIL_FROM'
+            : 'Set emailFrom in the reminder settings',
+        );
+      }
+    }
+
+    const dueReminders = await getDueReminders({ ownerUserId, now });
+    if (dueReminders.length === 0) {
+      return skip('no_reminders', `No overdue or due-today reminders; ${channel} not sent`);
+    }
+
+    const digests = groupDigests(
+      dueReminders,
+      await reminders.getDirectory(),
+      getFallbackRecipient(reminderSettings),
+      channel,
+    );
+    const results = [];
+    for (const digest of digests) {
+      const day = digest.ownerUserId ? await getReminderDay(now, digest.ownerUserId) : workspaceDay;
+      digest.dateLabel = day.date;
+      digest.timezone = day.timezone;
+      results.push(await sendDigest(delivery, digest, run));
+    }
+
+    const response = { sent: results.some((result) => result.sent), reminderDate, channel, digests: results };
+    if (results.every((result) => result.error)) {
+      return { ...response, reason: 'send_failed', error: 'None of the reminders could be sent' };
+    }
+    return response;
+  }
+
+  // Sends the digests if reminders are enabled, today is one of `sendDays` and
+  // `sendTime` has passed in the workspace's timezone, unless the scheduler
+  // already ran today. Resolves null when there was nothing to do.
+  async function runScheduled(now = new Date()) {
+    const reminderSettings = await settings.getReminderSettings();
+    if (!reminderSettings.remindersEnabled) return null;
+
+    const local = getZonedDateTime(now, await workspaces.getTimezone());
+    if (!reminderSettings.sendDays.includes(local.weekday) || local.time < reminderSettings.sendTime) return null;
+
+    const earlierRuns = await reminders.listLogs({ triggeredBy: 'schedule', reminderDate: local.date, limit: 1 });
+    if (earlierRuns.length > 0) return null;
+
+    return send({ triggeredBy: 'schedule', now });
+  }
+
+  return { getDirectory, preview, send, runScheduled };
+}
+
+module.exports = {
+  groupDigests,
+  createReminderDigest,
+};
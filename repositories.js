@@ -0,0 +1,294 @@
+// Promise-based data access for the routes, one repository per entity. The SQL
+// lives in db.js; these wrap its callback functions so routes can use
+// async/await and let failures reject instead of threading callbacks.
+const { promisify } = require('util');
+const { isForeignKeyError } = require('./db');
+const { DEFAULT_TIMEZONE, getZonedDateTime, toZonedDateKey } = require('./time');
+
+// Whether a date is overdue or due today (`todayKey`) in `timeZone`, or null.
+function urgencyFor(dateStr, todayKey, timeZone) {
+  const key = toZonedDateKey(dateStr, timeZone);
+  if (!key) return null;
+  if (key < todayKey) return 'overdue';
+  if (key === todayKey) return 'today';
+  return null;
+}
+
+// Builds the repositories for one store returned by `createDatabase` in db.js,
+// so they read and write the records of that store's workspace.
+function createRepositories(store) {
+  // Runs `work(tx)` in a single transaction. `tx` has the same repositories
+  // (tx.leads, tx.deals, ...) bound to the transaction, plus tx.run, tx.get and
+  // tx.all for raw SQL; the transaction commits when `work` resolves and rolls
+  // back when it rejects. Only use `tx` inside `work`: other repository calls
+  // are held until this transaction finishes.
+  function withTransaction(work) {
+    return new Promise((resolve, reject) => {
+      store.runInTransaction(
+        (connection, done) => {
+          const tx = {
+            ...createRepositories(store.forTransaction(connection)),
+            run: (sql, params = []) =>
+              new Promise((resolveRun, rejectRun) => {
+                connection.run(sql, params, function (err) {
+                  if (err) return rejectRun(err);
+                  resolveRun({ changes: this.changes, lastID: this.lastID });
+                });
+              }),
+            get: (sql, params = []) => promisify(connection.get.bind(connection))(sql, params),
+            all: (sql, params = []) => promisify(connection.all.bind(connection))(sql, params),
+          };
+
+          Promise.resolve()
+            .then(() => work(tx))
+            .then((result) => done(null, result), (err) => done(err));
+        },
+        (err, result) => (err ? reject(err) : resolve(result)),
+      );
+    });
+  }
+
+  const leads = {
+    list: promisify(store.getLeads),
+    count: promisify(store.countLeads),
+    getById: promisify(store.getLeadById),
+    create: promisify(store.createLead),
+    updateFields: promisify(store.updateLeadFields),
+    updateOwner: promisify(store.updateLeadOwner),
+    getHistory: promisify(store.getLeadHistory),
+    findDuplicates: promisify(store.findDuplicateLeads),
+    merge: promisify(store.mergeLeads),
+    getMatchKeys: promisify(store.getLeadMatchKeys),
+    archive: promisify(store.archiveLead),
+    restore: promisify(store.restoreLead),
+  };
+
+  const deals = {
+    list: promisify(store.getDeals),
+    count: promisify(store.countDeals),
+    listWithLeadAndLastActivity: promisify(store.getDealsWithLeadAndLastActivity),
+    getById: promisify(store.getDealById),
+    getWithLead: promisify(store.getDealWithLead),
+    getMessageDraftContext: promisify(store.getDealContextForMessageDraft),
+    create: promisify(store.createDeal),
+    updateDetails: promisify(store.updateDealDetails),
+    updateStage: promisify(store.updateDealStage),
+    getStageHistory: promisify(store.getDealStageHistory),
+    archive: promisify(store.archiveDeal),
+    restore: promisify(store.restoreDeal),
+    getContacts: promisify(store.getContactsForDeal),
+    addContact: promisify(store.addContactToDeal),
+    removeContact: promisify(store.removeContactFromDeal),
+  };
+
+  const activities = {
+    create: promisify(store.createActivity),
+    listForDeal: promisify(store.getActivitiesForDeal),
+    listRecentForDeal: promisify(store.getRecentActivitiesForDeal),
+    listWithDeal: promisify(store.getActivitiesWithDeal),
+  };
+
+  const outreachSteps = {
+    createMany: promisify(store.createOutreachSteps),
+    listForDeal: promisify(store.getOutreachStepsForDeal),
+    getById: promisify(store.getOutreachStepById),
+    listWithDeal: promisify(store.getOutreachStepsWithDeal),
+    updateStatus: promisify(store.updateOutreachStepStatus),
+  };
+
+  const settings = {
+    getReminderSettings: store.getReminderSettings,
+    saveReminderSettings: store.saveReminderSettings,
+    getAiSettings: store.getAiSettings,
+    saveAiSettings: store.saveAiSettings,
+  };
+
+  const pipelineStages = {
+    list: promisify(store.getPipelineStages),
+    getById: promisify(store.getPipelineStageById),
+    create: promisify(store.createPipelineStage),
+    update: promisify(store.updatePipelineStage),
+    remove: promisify(store.deletePipelineStage),
+  };
+
+  const companies = {
+    list: promisify(store.getCompanies),
+    getWithContactsAndDeals: promisify(store.getCompanyWithContactsAndDeals),
+    create: promisify(store.createCompany),
+    createContact: promisify(store.createContact),
+  };
+
+  const leadImports = {
+    create: promisify(store.createLeadImport),
+    complete: promisify(store.completeLeadImport),
+    list: promisify(store.getLeadImports),
+    getById: promisify(store.getLeadImportById),
+    rollback: promisify(store.rollbackLeadImport),
+  };
+
+  const search = {
+    query: promisify(store.searchRecords),
+    rebuildIndexes: promisify(store.rebuildSearchIndexes),
+  };
+
+  const maintenance = {
+    purgeArchived: promisify(store.purgeArchivedRecords),
+    getIntegrityReport: promisify(store.getIntegrityReport),
+    repairIntegrity: promisify(store.repairIntegrity),
+  };
+
+  // The workspace's timezone and the timezone of each user who set their own.
+  async function getTimezones() {
+    const [workspace, directory] = await Promise.all([
+      workspaces.getById(store.workspaceId),
+      promisify(store.getReminderDirectory)(),
+    ]);
+    return {
+      workspaceTimezone: workspace ? workspace.timezone : DEFAULT_TIMEZONE,
+      ownerTimezones: new Map(directory.filter((entry) => entry.timezone).map((entry) => [entry.userId, entry.timezone])),
+    };
+  }
+
+  // The timezone dates are worked out in for `ownerUserId`: their own if they
+  // set one, otherwise the workspace's.
+  async function getTimezone(ownerUserId = null) {
+    const { workspaceTimezone, ownerTimezones } = await getTimezones();
+    return (ownerUserId && ownerTimezones.get(ownerUserId)) || workspaceTimezone;
+  }
+
+  // Next actions and pending outreach steps that are overdue or due today, for
+  // every deal that is not archived (within `options.ownerScope`, if given).
+  // "Today" is the date in the deal owner's timezone at `options.now`.
+  async function getRemindersForToday(options = {}) {
+    const now = options.now || new Date();
+    const { workspaceTimezone, ownerTimezones } = await getTimezones();
+    const openDeals = await deals.listWithLeadAndLastActivity({ ownerScope: options.ownerScope });
+    const pendingSteps = await outreachSteps.listWithDeal({ ownerScope: options.ownerScope, status: 'pending' });
+    const pendingStepsByDeal = new Map();
+    pendingSteps.forEach((step) => {
+      if (!pendingStepsByDeal.has(step.dealId)) pendingStepsByDeal.set(step.dealId, []);
+      pendingStepsByDeal.get(step.dealId).push(step);
+    });
+    const reminders = [];
+
+    for (const deal of openDeals) {
+      const timezone = (deal.ownerUserId && ownerTimezones.get(deal.ownerUserId)) || workspaceTimezone;
+      const todayKey = getZonedDateTime(now, timezone).date;
+      const dealFields = {
+        dealId: deal.id,
+        leadId: deal.leadId,
+        ownerUserId: deal.ownerUserId || null,
+        ownerName: deal.ownerName || null,
+        leadName: deal.leadName || null,
+        leadCompany: deal.leadCompany || null,
+        dealTitle: deal.title,
+        dealValue: deal.value ?? null,
+        lastContactDate: deal.lastActivityDate || null,
+      };
+
+      const nextActionUrgency = urgencyFor(deal.nextActionDate, todayKey, timezone);
+      if (nextActionUrgency) {
+        reminders.push({
+          type: 'nextAction',
+          urgency: nextActionUrgency,
+          ...dealFields,
+          nextAction: deal.nextAction || null,
+          dueDate: deal.nextActionDate || null,
+        });
+      }
+
+      (pendingStepsByDeal.get(deal.id) || []).forEach((step) => {
+        const urgency = urgencyFor(step.dueDate, todayKey, timezone);
+        if (!urgency) return;
+
+        reminders.push({
+          type: 'outreachStep',
+          urgency,
+          ...dealFields,
+          channel: step.channel,
+          intent: step.intent,
+          goal: step.goal,
+          dueDate: step.dueDate,
+        });
+      });
+    }
+
+    return reminders;
+  }
+
+  const workspaces = {
+    list: promisify(store.getWorkspaces),
+    getById: promisify(store.getWorkspaceById),
+    create: promisify(store.createWorkspace),
+    update: promisify(store.updateWorkspace),
+    // The workspace this store is bound to.
+    getCurrent: () => promisify(store.getWorkspaceById)(store.workspaceId),
+    updateCurrent: (changes) => promisify(store.updateWorkspace)(store.workspaceId, changes),
+    getTimezone,
+  };
+
+  const users = {
+    list: promisify(store.getUsers),
+    getById: promisify(store.getUserById),
+    update: promisify(store.updateUser),
+    getCredentials: promisify(store.getUserCredentials),
+    create: promisify(store.createUser),
+  };
+
+  const sessions = {
+    create: promisify(store.createSession),
+    getUser: promisify(store.getSessionUser),
+    remove: promisify(store.deleteSession),
+    removeExpired: promisify(store.deleteExpiredSessions),
+  };
+
+  const apiKeys = {
+    create: promisify(store.createApiKey),
+    list: promisify(store.getApiKeys),
+    getActiveByHash: promisify(store.getActiveApiKeyByHash),
+    markUsed: promisify(store.markApiKeyUsed),
+    revoke: promisify(store.revokeApiKey),
+  };
+
+  const auditLog = {
+    record: promisify(store.recordAuditEntry),
+    list: promisify(store.getAuditEntries),
+    count: promisify(store.countAuditEntries),
+  };
+
+  const reminders = {
+    getForToday: getRemindersForToday,
+    recordLog: store.recordReminderLog,
+    claimSend: store.claimReminderSend,
+    finishSend: store.finishReminderSend,
+    listLogs: promisify(store.getReminderLogs),
+    countLogs: promisify(store.countReminderLogs),
+    getDirectory: promisify(store.getReminderDirectory),
+    updateDirectoryEntry: promisify(store.updateReminderDirectoryEntry),
+  };
+
+  return {
+    withTransaction,
+    leads,
+    deals,
+    activities,
+    outreachSteps,
+    settings,
+    pipelineStages,
+    companies,
+    leadImports,
+    search,
+    maintenance,
+    workspaces,
+    users,
+    sessions,
+    apiKeys,
+    auditLog,
+    reminders,
+  };
+}
+
+module.exports = {
+  createRepositories,
+  isForeignKeyError,
+};
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let api;
+let admin;
+
+test.before(async () => {
+  api = await startApp();
+  ({ token: admin } = await api.addUser({ email: 'ann@example.com', name: 'Ann Admin', role: 'admin' }));
+});
+
+test.after(() => api.close());
+
+async function createKey(scopes, token = admin) {
+  const res = await api.request('POST', '/api-keys', { token, body: { name: `Key ${scopes.join(' ')}`, scopes } });
+  assert.equal(res.status, 201);
+  return res.body;
+}
+
+test('a key can use the routes its scopes allow', async () => {
+  const { key } = await createKey(['leads:read', 'leads:write']);
+
+  const created = await api.request('POST', '/leads', { token: key, body: { name: 'Kim Lee', company: 'Keyco' } });
+  assert.equal(created.status, 201);
+
+  const list = await api.request('GET', '/leads', { token: key });
+  assert.equal(list.status, 200);
+  assert.ok(list.body.some((lead) => lead.id === created.body.id));
+});
+
+test('a key without the scope a route needs is refused with 403', async () => {
+  const { key } = await createKey(['leads:read']);
+
+  assert.equal((await api.request('POST', '/leads', { token: key, body: { name: 'A', company: 'B' } })).status, 403);
+  assert.equal((await api.request('GET', '/deals', { token: key })).status, 403);
+  assert.equal((await api.request('GET', '/search?q=kim', { token: key })).status, 403);
+});
+
+test('keys cannot use the settings, user or key management routes', async () => {
+  const { key } = await createKey(['leads:read', 'leads:write', 'deals:read', 'deals:write']);
+
+  assert.equal((await api.request('GET', '/api-keys', { token: key })).status, 403);
+  assert.equal((await api.request('GET', '/settings/reminders', { token: key })).status, 403);
+  assert.equal((await api.request('GET', '/admin/integrity', { token: key })).status, 403);
+});
+
+test('a revoked key is refused with 401', async () => {
+  const { id, key } = await createKey(['leads:read']);
+  assert.equal((await api.request('GET', '/leads', { token: key })).status, 200);
+
+  assert.equal((await api.request('DELETE', `/api-keys/${id}`, { token: admin })).status, 200);
+  const res = await api.request('GET', '/leads', { token: key });
+  assert.equal(res.status, 401);
+  assert.deepEqual(res.body, { error: 'Invalid or revoked API key' });
+
+  assert.equal((await api.request('DELETE', `/api-keys/${id}`, { token: admin })).status, 409);
+});
+
+test('an unknown key is refused with 401', async () => {
+  const { key } = await createKey(['leads:read']);
+  const res = await api.request('GET', '/leads', { token: `${key.slice(0, -4)}xxxx` });
+  assert.equal(res.status, 401);
+});
+
+test('only the hash of a key is stored', async () => {
+  const { id, key, prefix } = await createKey(['leads:read']);
+  assert.ok(key.startsWith(prefix));
+
+  const listed = (await api.request('GET', '/api-keys', { token: admin })).body.find((apiKey) => apiKey.id === id);
+  assert.equal(listed.key, undefined);
+  assert.equal(listed.keyHash, undefined);
+
+  const row = await new Promise((resolve, reject) => {
+    api.store.db.get('SELECT * FROM api_keys WHERE id = ?', [id], (err, found) => (err ? reject(err) : resolve(found)));
+  });
+  assert.notEqual(row.keyHash, key);
+  assert.ok(!Object.values(row).includes(key));
+});
+
+test("a key only reaches its own workspace's records", async () => {
+  const workspace = await api.request('POST', '/admin/workspaces', {
+    token: admin,
+    body: { name: 'Second Brand', id: 'brand2' },
+  });
+  assert.equal(workspace.status, 201);
+  const { token: otherAdmin } = await api.addUser({
+    email: 'bo@example.com',
+    name: 'Bo Admin',
+    role: 'admin',
+    workspaceId: 'brand2',
+  });
+
+  const ownLead = await api.request('POST', '/leads', { token: admin, body: { name: 'Home', company: 'Default Co' } });
+  const otherLead = await api.request('POST', '/leads', {
+    token: otherAdmin,
+    body: { name: 'Away', company: 'Brand Co' },
+  });
+  const { key } = await createKey(['leads:read', 'leads:write'], otherAdmin);
+
+  const list = await api.request('GET', '/leads', { token: key });
+  assert.equal(list.status, 200);
+  assert.deepEqual(
+    list.body.map((lead) => lead.id),
+    [otherLead.body.id],
+  );
+
+  assert.equal((await api.request('GET', `/leads/${ownLead.body.id}/history`, { token: key })).status, 404);
+  const patch = await api.request('PATCH', `/leads/${ownLead.body.id}`, { token: key, body: { phone: '0123 456789' } });
+  assert.equal(patch.status, 404);
+  const unchanged = (await api.request('GET', '/leads', { token: admin })).body.find((l) => l.id === ownLead.body.id);
+  assert.equal(unchanged.phone, null);
+});
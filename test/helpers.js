@@ -0,0 +1,100 @@
+// Shared setup for the HTTP tests: an app on its own `:memory:` database,
+// listening on a free port, with helpers to add users and call the API.
+const { once } = require('node:events');
+const { promisify } = require('node:util');
+
+// index.js needs a key to build its OpenAI client. It is removed again once
+// loaded, so the AI endpoints answer with their stub responses.
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+const { createApp } = require('../index');
+const { hashPassword } = require('../auth');
+const { createDatabase } = require('../db');
+const { MIGRATIONS } = require('../migrations');
+
+delete process.env.OPENAI_API_KEY;
+
+const PASSWORD = 'correct horse';
+
+async function startApp(options = {}) {
+  const app = createApp({ dbPath: ':memory:', ...options });
+  await app.locals.ready;
+  const server = app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const { store } = app.locals;
+
+  // Resolves { status, body } with the body parsed as JSON (or null).
+  async function request(method, path, { token, body } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await res.text();
+    return { status: res.status, body: text ? JSON.parse(text) : null };
+  }
+
+  // Creates a user in `workspaceId` (default: the default workspace) and signs
+  // them in. Resolves { user, token }.
+  async function addUser({ email, name, role = 'rep', managerId = null, workspaceId = 'default' }) {
+    const workspaceStore = store.forWorkspace(workspaceId);
+    const passwordHash = await hashPassword(PASSWORD);
+    await promisify(workspaceStore.createUser)({ email, name, role, managerId, passwordHash });
+
+    const login = await request('POST', '/auth/login', { body: { email, password: PASSWORD } });
+    if (login.status !== 200) throw new Error(`Could not sign in ${email}: ${login.status}`);
+    return { user: login.body.user, token: login.body.token };
+  }
+
+  async function close() {
+    server.close();
+    await promisify(store.close)();
+  }
+
+  return { app, store, baseUrl, request, addUser, close, PASSWORD };
+}
+
+// A store on a new `:memory:` database with only the migrations up to
+// `version` applied, as an older release of the app left its database.
+async function openDatabaseAt(version) {
+  const store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.runInTransaction)((connection, done) => {
+    const applyNext = (index) => {
+      const migration = MIGRATIONS[index];
+      if (!migration || migration.version > version) return done(null);
+      migration.up(connection, (err) => {
+        if (err) return done(err);
+        connection.run(
+          'INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()],
+          (recordErr) => (recordErr ? done(recordErr) : applyNext(index + 1)),
+        );
+      });
+    };
+    connection.run(
+      'CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, appliedAt TEXT NOT NULL)',
+      (err) => (err ? done(err) : applyNext(0)),
+    );
+  });
+  return store;
+}
+
+// Promise versions of the statement functions on `store.db`.
+function sql(store) {
+  return {
+    run: (query, params = []) => promisify(store.db.run)(query, params),
+    get: (query, params = []) => promisify(store.db.get)(query, params),
+    all: (query, params = []) => promisify(store.db.all)(query, params),
+  };
+}
+
+module.exports = {
+  PASSWORD,
+  startApp,
+  openDatabaseAt,
+  sql,
+};
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+const { openDatabaseAt, sql } = require('./helpers');
+const { MIGRATIONS, getMigrationStatus, runMigrations } = require('../migrations');
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Opens a database at `version`, lets `seed` write the rows an older release
+// would have, then runs the pending migrations. Resolves { store, db, result }.
+async function upgradeFrom(version, seed) {
+  const store = await openDatabaseAt(version);
+  const db = sql(store);
+  await seed(db);
+  const result = await promisify(runMigrations)(store.runInTransaction, {});
+  return { store, db, result };
+}
+
+const parse = (row) => JSON.parse(row.value);
+
+test('a database at the baseline schema is upgraded with its data kept', async (t) => {
+  const { store, db, result } = await upgradeFrom(1, async (seed) => {
+    await seed.run("INSERT INTO companies VALUES ('c1', 'Acme Ltd', 'acme', '1 High St', '2024-01-01')");
+    await seed.run("INSERT INTO pipeline_stages VALUES ('s1', 'New', 1, 'open', 10, 'first_contact', '2024-01-01')");
+    await seed.run("INSERT INTO pipeline_stages VALUES ('s2', 'Demo', 2, 'open', 40, 'nurture_checkin', '2024-01-01')");
+    await seed.run(
+      `INSERT INTO leads (id, name, company, email, createdAt, ownerName)
+      VALUES ('l1', 'Ada', 'Acme Ltd', 'ada@acme.test', '2024-01-01', 'Sam')`,
+    );
+    await seed.run(
+      `INSERT INTO deals (id, leadId, title, stage, value, ownerName, createdAt, companyId)
+      VALUES ('d1', 'l1', 'Acme - initial deal', 'Demo', 500, 'Sam', '2024-01-02', 'c1')`,
+    );
+    await seed.run(
+      "INSERT INTO contacts (id, companyId, leadId, name, createdAt) VALUES ('p1', 'c1', 'l1', 'Ada', '2024-01-01')",
+    );
+    await seed.run('INSERT INTO settings (key, value) VALUES (?, ?)', [
+      'reminders',
+      JSON.stringify({ remindersEnabled: true, timezone: 'Asia/Tokyo', emailTo: 'team@acme.test' }),
+    ]);
+  });
+  t.after(() => promisify(store.close)());
+
+  assert.deepEqual(
+    result.applied.map((migration) => migration.version),
+    MIGRATIONS.slice(1).map((migration) => migration.version),
+  );
+  const status = await promisify(getMigrationStatus)(store.db);
+  assert.equal(status.currentVersion, LATEST_VERSION);
+  assert.deepEqual(status.pending, []);
+
+  // Migration 8: every record belongs to the default workspace, and the rebuilt
+  // settings, companies and pipeline_stages tables kept their rows.
+  const workspace = await db.get("SELECT * FROM workspaces WHERE id = 'default'");
+  assert.equal(workspace.name, 'Kalyan AI');
+  for (const table of ['leads', 'deals', 'contacts', 'companies', 'pipeline_stages', 'settings']) {
+    const rows = await db.all(`SELECT DISTINCT workspaceId FROM ${table}`);
+    assert.deepEqual(
+      rows.map((row) => row.workspaceId),
+      ['default'],
+      table,
+    );
+  }
+  assert.deepEqual({ ...(await db.get("SELECT name, normalizedName, address FROM companies WHERE id = 'c1'")) }, {
+    name: 'Acme Ltd',
+    normalizedName: 'acme',
+    address: '1 High St',
+  });
+  const stages = await db.all('SELECT id, name, displayOrder FROM pipeline_stages ORDER BY displayOrder');
+  assert.deepEqual(
+    stages.map((stage) => [stage.id, stage.name, stage.displayOrder]),
+    [
+      ['s1', 'New', 1],
+      ['s2', 'Demo', 2],
+    ],
+  );
+  const deal = await db.get("SELECT leadId, stage, value, companyId FROM deals WHERE id = 'd1'");
+  assert.deepEqual({ ...deal }, { leadId: 'l1', stage: 'Demo', value: 500, companyId: 'c1' });
+  assert.deepEqual(await db.all('PRAGMA foreign_key_check'), []);
+
+  // Names are now only unique within a workspace.
+  await db.run("INSERT INTO companies VALUES ('c2', 'b', 'Acme', 'acme', NULL, '2024-02-01')");
+  await db.run("INSERT INTO pipeline_stages VALUES ('s3', 'b', 'Demo', 1, 'open', 40, NULL, '2024-02-01')");
+  await assert.rejects(
+    db.run("INSERT INTO companies VALUES ('c3', 'default', 'ACME', 'acme', NULL, '2024-02-01')"),
+    { code: 'SQLITE_CONSTRAINT' },
+  );
+
+  // The default workspace keeps the AI business context used until now.
+  assert.equal(parse(await db.get("SELECT value FROM settings WHERE key = 'ai'")).businessName, 'Kalyan AI');
+
+  // Migration 12 moves the reminder timezone to the workspace, and 13 gives the
+  // saved settings an empty schedule so the scheduler does not start sending.
+  assert.equal(workspace.timezone, 'Asia/Tokyo');
+  assert.deepEqual(parse(await db.get("SELECT value FROM settings WHERE key = 'reminders'")), {
+    remindersEnabled: true,
+    emailTo: 'team@acme.test',
+    sendDays: [],
+  });
+});
+
+test('reminder settings without a timezone or with send days are upgraded as they are', async (t) => {
+  const { store, db } = await upgradeFrom(1, (seed) =>
+    seed.run('INSERT INTO settings (key, value) VALUES (?, ?)', [
+      'reminders',
+      JSON.stringify({ remindersEnabled: false }),
+    ]),
+  );
+  t.after(() => promisify(store.close)());
+
+  assert.equal((await db.get("SELECT timezone FROM workspaces WHERE id = 'default'")).timezone, 'Europe/London');
+  assert.deepEqual(parse(await db.get("SELECT value FROM settings WHERE key = 'reminders'")), {
+    remindersEnabled: false,
+    sendDays: [],
+  });
+
+  const scheduled = await upgradeFrom(12, (seed) =>
+    seed.run('INSERT INTO settings (workspaceId, key, value) VALUES (?, ?, ?)', [
+      'default',
+      'reminders',
+      JSON.stringify({ remindersEnabled: true, sendDays: [1, 3] }),
+    ]),
+  );
+  t.after(() => promisify(scheduled.store.close)());
+  const saved = await scheduled.db.get("SELECT value FROM settings WHERE key = 'reminders'");
+  assert.deepEqual(parse(saved).sendDays, [1, 3]);
+});
+
+test('users from before roles become admins in the default workspace', async (t) => {
+  const { store, db } = await upgradeFrom(5, (seed) =>
+    seed.run('INSERT INTO users (id, email, name, passwordHash, createdAt) VALUES (?, ?, ?, ?, ?)', [
+      'u1',
+      'sam@acme.test',
+      'Sam',
+      'x',
+      '2024-01-01',
+    ]),
+  );
+  t.after(() => promisify(store.close)());
+
+  const user = await db.get("SELECT role, managerId, workspaceId, timezone FROM users WHERE id = 'u1'");
+  assert.deepEqual({ ...user }, { role: 'admin', managerId: null, workspaceId: 'default', timezone: null });
+});
+
+test('a dry run applies nothing', async (t) => {
+  const store = await openDatabaseAt(1);
+  t.after(() => promisify(store.close)());
+
+  const result = await promisify(runMigrations)(store.runInTransaction, { dryRun: true });
+  assert.equal(result.dryRun, true);
+  assert.equal(result.applied.length, MIGRATIONS.length - 1);
+
+  const status = await promisify(getMigrationStatus)(store.db);
+  assert.equal(status.currentVersion, 1);
+  assert.equal(await sql(store).get("SELECT name FROM sqlite_master WHERE name = 'workspaces'"), undefined);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+
+// notifications.js reads the Twilio settings when it is loaded.
+process.env.TWILIO_ACCOUNT_SID = 'AC00000000000000000000000000000000';
+process.env.TWILIO_AUTH_TOKEN = 'test-token';
+process.env.TWILIO_SMS_FROM = '+447700900001';
+delete process.env.NOTIFICATION_PROVIDER;
+
+const { startApp, sql } = require('./helpers');
+const { CHANNELS } = require('../notifications');
+const { createDatabase } = require('../db');
+const { createRepositories } = require('../repositories');
+const { createReminderDigest } = require('../reminders');
+
+test('an SMS that Twilio never answers counts as a failed send after 15 seconds', async (t) => {
+  const store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.initialiseDb)();
+  t.after(() => promisify(store.close)());
+  const repositories = createRepositories(store);
+  await repositories.leads.create({ id: 'lead-1', name: 'Ada', company: 'Engines Ltd' });
+  await repositories.deals.create({ leadId: 'lead-1', title: 'Engines - initial deal', nextActionDate: '2026-10-01' });
+  await repositories.settings.saveReminderSettings({
+    remindersEnabled: true,
+    reminderChannel: 'sms',
+    phoneTo: '+447700900123',
+  });
+
+  // Twilio accepts the connection and never responds; only the abort signal
+  // ends the request. The timeout fires at once instead of after 15 seconds.
+  const timeouts = [];
+  t.mock.method(AbortSignal, 'timeout', (ms) => {
+    timeouts.push(ms);
+    const controller = new AbortController();
+    setImmediate(() => controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')));
+    return controller.signal;
+  });
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', (url, options) => {
+    requests.push(url);
+    return new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    });
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const digest = createReminderDigest(repositories, { isDefaultWorkspace: false });
+  const result = await digest.send({ triggeredBy: 'manual', now: new Date('2026-10-19T09:00:00Z') });
+
+  assert.deepEqual(timeouts, [15000]);
+  assert.equal(requests.length, 1);
+  assert.match(requests[0], /^https:\/\/api\.twilio\.com\/.*\/Messages\.json$/);
+  assert.equal(result.sent, false);
+  assert.equal(result.reason, 'send_failed');
+  assert.equal(result.digests[0].error, 'Twilio did not answer the sms message within 15 seconds');
+
+  const logs = await sql(store).all('SELECT channel, recipient, status, error, claimKey FROM reminder_logs');
+  assert.deepEqual(logs, [
+    {
+      channel: 'sms',
+      recipient: '+447700900123',
+      status: 'failed',
+      error: 'Twilio did not answer the sms message within 15 seconds',
+      claimKey: null,
+    },
+  ]);
+});
+
+test.describe('reminder channel setting', () => {
+  let api;
+  let admin;
+
+  test.before(async () => {
+    api = await startApp();
+    ({ token: admin } = await api.addUser({ email: 'ann@example.com', name: 'Ann Admin', role: 'admin' }));
+  });
+
+  test.after(() => api.close());
+
+  const save = (body) => api.request('POST', '/settings/reminders', { token: admin, body });
+
+  test('accepts each channel, in any case', async () => {
+    for (const channel of CHANNELS) {
+      const res = await save({ reminderChannel: channel.toUpperCase() });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.reminderChannel, channel);
+    }
+  });
+
+  test('refuses anything else and keeps the saved channel', async () => {
+    assert.equal((await save({ reminderChannel: 'sms' })).status, 200);
+
+    for (const reminderChannel of ['fax', '', null, 3, ['sms']]) {
+      const res = await save({ reminderChannel, remindersEnabled: true });
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body, {
+        error: 'Invalid reminder settings',
+        details: ['"reminderChannel" must be one of: email, sms, whatsapp'],
+      });
+    }
+
+    const saved = (await api.request('GET', '/settings/reminders', { token: admin })).body;
+    assert.equal(saved.reminderChannel, 'sms');
+    assert.equal(saved.remindersEnabled, false);
+  });
+});
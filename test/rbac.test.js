@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+const { startApp, openDatabaseAt, sql } = require('./helpers');
+const { getOwnerScope, canAccessOwner } = require('../index');
+const { runMigrations } = require('../migrations');
+
+test('getOwnerScope: admins see everyone, managers their team and unassigned, reps themselves', () => {
+  const users = [
+    { id: 'm1', role: 'manager', managerId: null },
+    { id: 'r1', role: 'rep', managerId: 'm1' },
+    { id: 'r2', role: 'rep', managerId: 'm2' },
+  ];
+
+  assert.equal(getOwnerScope({ id: 'a1', role: 'admin' }, users), null);
+  assert.deepEqual(getOwnerScope(users[0], users), { userIds: ['m1', 'r1'], includeUnassigned: true });
+  assert.deepEqual(getOwnerScope(users[1], users), { userIds: ['r1'], includeUnassigned: false });
+});
+
+test('canAccessOwner checks an owner against a scope', () => {
+  const team = { userIds: ['m1', 'r1'], includeUnassigned: true };
+  const rep = { userIds: ['r1'], includeUnassigned: false };
+
+  assert.equal(canAccessOwner(null, 'anyone'), true);
+  assert.equal(canAccessOwner(null, null), true);
+  assert.equal(canAccessOwner(team, 'r1'), true);
+  assert.equal(canAccessOwner(team, 'r2'), false);
+  assert.equal(canAccessOwner(team, null), true);
+  assert.equal(canAccessOwner(rep, 'r1'), true);
+  assert.equal(canAccessOwner(rep, 'm1'), false);
+  assert.equal(canAccessOwner(rep, null), false);
+});
+
+test('migration 6 makes the users who existed before roles admins', async () => {
+  const store = await openDatabaseAt(5);
+  await sql(store).run(
+    'INSERT INTO users (id, email, name, passwordHash, createdAt) VALUES (?, ?, ?, ?, ?)',
+    ['u1', 'old@example.com', 'Old', 'x', '2024-01-01'],
+  );
+
+  await promisify(runMigrations)(store.runInTransaction, {});
+  const user = await sql(store).get("SELECT role, managerId FROM users WHERE id = 'u1'");
+  assert.deepEqual({ ...user }, { role: 'admin', managerId: null });
+  await promisify(store.close)();
+});
+
+test.describe('routes', () => {
+  let api;
+  let admin;
+  let manager;
+  let teamRep;
+  let otherRep;
+  const leadIds = {};
+  const dealIds = {};
+
+  test.before(async () => {
+    api = await startApp();
+    admin = await api.addUser({ email: 'ann@example.com', name: 'Ann Admin', role: 'admin' });
+    manager = await api.addUser({ email: 'max@example.com', name: 'Max Manager', role: 'manager' });
+    teamRep = await api.addUser({
+      email: 'tia@example.com',
+      name: 'Tia Rep',
+      role: 'rep',
+      managerId: manager.user.id,
+    });
+    otherRep = await api.addUser({ email: 'oli@example.com', name: 'Oli Rep', role: 'rep' });
+
+    const owners = { manager, teamRep, otherRep, unassigned: null };
+    for (const [key, owner] of Object.entries(owners)) {
+      const lead = await api.request('POST', '/leads', {
+        token: admin.token,
+        body: { name: `Lead of ${key}`, company: `${key} Ltd`, ownerUserId: owner ? owner.user.id : undefined },
+      });
+      leadIds[key] = lead.body.id;
+      if (!owner) {
+        // Unassigning the lead unassigns its deals too.
+        await api.request('POST', `/leads/${lead.body.id}/owner`, { token: admin.token, body: { ownerUserId: null } });
+      }
+
+      const [deal] = (await api.request('GET', `/deals?leadId=${lead.body.id}`, { token: admin.token })).body;
+      dealIds[key] = deal.id;
+      await api.request('POST', `/deals/${deal.id}/details`, {
+        token: admin.token,
+        body: { nextAction: `Call ${key}`, nextActionDate: '2020-01-01' },
+      });
+    }
+  });
+
+  test.after(() => api.close());
+
+  test("a rep cannot read or change another owner's lead", async () => {
+    const { token } = teamRep;
+    const leadId = leadIds.otherRep;
+
+    assert.equal((await api.request('GET', `/leads/${leadId}/history`, { token })).status, 404);
+    const patch = await api.request('PATCH', `/leads/${leadId}`, { token, body: { phone: '0123 456789' } });
+    assert.equal(patch.status, 404);
+    assert.equal((await api.request('DELETE', `/leads/${leadId}`, { token })).status, 403);
+
+    const list = await api.request('GET', '/leads', { token });
+    assert.deepEqual(
+      list.body.map((lead) => lead.id),
+      [leadIds.teamRep],
+    );
+
+    const lead = (await api.request('GET', '/leads', { token: admin.token })).body.find((l) => l.id === leadId);
+    assert.equal(lead.phone, null);
+  });
+
+  test("a rep cannot read or change another owner's deal", async () => {
+    const { token } = teamRep;
+    const dealId = dealIds.otherRep;
+
+    assert.equal((await api.request('GET', `/deals/${dealId}/activities`, { token })).status, 404);
+    assert.equal((await api.request('POST', `/deals/${dealId}/details`, { token, body: { value: 1 } })).status, 404);
+    assert.equal((await api.request('POST', `/deals/${dealId}/stage`, { token, body: { stage: 'Won' } })).status, 404);
+
+    const list = await api.request('GET', '/deals', { token });
+    assert.deepEqual(
+      list.body.map((deal) => deal.id),
+      [dealIds.teamRep],
+    );
+
+    const deal = (await api.request('GET', '/deals', { token: admin.token })).body.find((d) => d.id === dealId);
+    assert.equal(deal.stage, 'New');
+    assert.equal(deal.value, 0);
+  });
+
+  test('a rep cannot give their lead to someone else', async () => {
+    const res = await api.request('POST', `/leads/${leadIds.teamRep}/owner`, {
+      token: teamRep.token,
+      body: { ownerUserId: otherRep.user.id },
+    });
+    assert.equal(res.status, 403);
+  });
+
+  test("a manager's lists cover their own, their team's and unassigned records", async () => {
+    const { token } = manager;
+    const leads = (await api.request('GET', '/leads', { token })).body;
+    assert.deepEqual(leads.map((lead) => lead.id).sort(), [leadIds.manager, leadIds.teamRep, leadIds.unassigned].sort());
+
+    const deals = (await api.request('GET', '/deals', { token })).body;
+    assert.deepEqual(deals.map((deal) => deal.id).sort(), [dealIds.manager, dealIds.teamRep, dealIds.unassigned].sort());
+
+    assert.equal((await api.request('GET', `/leads/${leadIds.otherRep}/history`, { token })).status, 404);
+    assert.equal((await api.request('GET', `/leads/${leadIds.teamRep}/history`, { token })).status, 200);
+  });
+
+  test("a manager's reminders cover the same owners", async () => {
+    const res = await api.request('GET', '/reminders/today', { token: manager.token });
+    assert.equal(res.status, 200);
+    const dealsWithReminders = [...new Set(res.body.reminders.map((reminder) => reminder.dealId))].sort();
+    assert.deepEqual(dealsWithReminders, [dealIds.manager, dealIds.teamRep, dealIds.unassigned].sort());
+
+    const repReminders = await api.request('GET', '/reminders/today', { token: otherRep.token });
+    assert.deepEqual(
+      [...new Set(repReminders.body.reminders.map((reminder) => reminder.dealId))],
+      [dealIds.otherRep],
+    );
+  });
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+const { sql } = require('./helpers');
+const { createDatabase } = require('../db');
+
+let store;
+let db;
+
+const claim = (claimKey, workspaceStore = store) =>
+  workspaceStore.claimReminderSend({
+    channel: 'email',
+    recipient: 'team@example.com',
+    reminderDate: '2026-10-19',
+    reminderCount: 2,
+    triggeredBy: 'schedule',
+    claimKey,
+  });
+
+test.before(async () => {
+  store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.initialiseDb)();
+  db = sql(store);
+});
+
+test.after(() => promisify(store.close)());
+
+test.beforeEach(() => db.run('DELETE FROM reminder_logs'));
+
+test('a key can only be claimed once', async () => {
+  const first = await claim('2026-10-19:fallback');
+  assert.equal(first.alreadyClaimed, undefined);
+  assert.equal(first.log.status, 'sending');
+
+  const again = await claim('2026-10-19:fallback');
+  assert.equal(again.alreadyClaimed, true);
+  assert.equal(again.log.id, first.log.id);
+
+  assert.equal((await claim('2026-10-19:owner:u1')).alreadyClaimed, undefined);
+});
+
+test('of several claims made at once, exactly one wins', async () => {
+  const claims = await Promise.all(Array.from({ length: 5 }, () => claim('2026-10-19:fallback')));
+
+  const winners = claims.filter((result) => !result.alreadyClaimed);
+  assert.equal(winners.length, 1);
+  claims
+    .filter((result) => result.alreadyClaimed)
+    .forEach((result) => assert.equal(result.log.id, winners[0].log.id));
+  assert.equal((await db.all('SELECT id FROM reminder_logs')).length, 1);
+});
+
+test('a sent digest keeps its claim', async () => {
+  const { log } = await claim('2026-10-19:fallback');
+  const finished = await store.finishReminderSend(log.id, { status: 'sent', messageId: 'msg-1' });
+  assert.equal(finished.status, 'sent');
+  assert.equal(finished.messageId, 'msg-1');
+  assert.equal(finished.claimKey, '2026-10-19:fallback');
+
+  // Finishing it again changes nothing.
+  assert.deepEqual(await store.finishReminderSend(log.id, { status: 'sent', messageId: 'msg-1' }), finished);
+
+  const again = await claim('2026-10-19:fallback');
+  assert.equal(again.alreadyClaimed, true);
+  assert.equal(again.log.status, 'sent');
+});
+
+test('a failed send gives its claim up, so the digest can be sent again', async () => {
+  const { log } = await claim('2026-10-19:fallback');
+  const failed = await store.finishReminderSend(log.id, { status: 'failed', error: 'SMTP timed out' });
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.error, 'SMTP timed out');
+  assert.equal(failed.claimKey, null);
+
+  const claims = await Promise.all([claim('2026-10-19:fallback'), claim('2026-10-19:fallback')]);
+  assert.equal(claims.filter((result) => !result.alreadyClaimed).length, 1);
+  const statuses = await db.all('SELECT status FROM reminder_logs ORDER BY status');
+  assert.deepEqual(
+    statuses.map((row) => row.status),
+    ['failed', 'sending'],
+  );
+});
+
+test('a send left unfinished for 15 minutes loses its claim', async () => {
+  const { log } = await claim('2026-10-19:fallback');
+  assert.equal((await claim('2026-10-19:fallback')).alreadyClaimed, true);
+
+  const sixteenMinutesAgo = new Date(Date.now() - 16 * 60 * 1000).toISOString();
+  await db.run('UPDATE reminder_logs SET createdAt = ? WHERE id = ?', [sixteenMinutesAgo, log.id]);
+
+  const retry = await claim('2026-10-19:fallback');
+  assert.equal(retry.alreadyClaimed, undefined);
+  const interrupted = await db.get('SELECT status, error, claimKey FROM reminder_logs WHERE id = ?', [log.id]);
+  assert.deepEqual({ ...interrupted }, {
+    status: 'failed',
+    error: 'Interrupted before the send finished',
+    claimKey: null,
+  });
+});
+
+test('each workspace claims its own keys', async () => {
+  await promisify(store.createWorkspace)({ id: 'b', name: 'Brand B' });
+  const other = store.forWorkspace('b');
+
+  assert.equal((await claim('2026-10-19:fallback')).alreadyClaimed, undefined);
+  const { log } = await claim('2026-10-19:fallback', other);
+  assert.equal((await claim('2026-10-19:fallback', other)).alreadyClaimed, true);
+
+  // A workspace cannot finish another's send.
+  assert.equal(await store.finishReminderSend(log.id, { status: 'failed', error: 'Not mine' }), null);
+  assert.equal((await db.get('SELECT status FROM reminder_logs WHERE id = ?', [log.id])).status, 'sending');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRemindersEmailPreview } = require('../reminderMessages');
+
+const reminder = {
+  type: 'outreachStep',
+  urgency: 'today',
+  dealId: 'deal-1',
+  ownerName: 'Taro',
+  dealTitle: 'Tokyo deal',
+  channel: 'email',
+  goal: 'Follow up',
+  // 08:30 on 20 October in Tokyo, while it is still the 19th in UTC.
+  dueDate: '2026-10-19T23:30:00.000Z',
+  lastContactDate: '2026-10-18T23:30:00.000Z',
+};
+
+test('shows dates in the digest timezone', () => {
+  const preview = buildRemindersEmailPreview([reminder], '2026-10-20', { timezone: 'Asia/Tokyo' });
+
+  assert.match(preview.textBody, /Due 2026-10-20 · Last contact 2026-10-19/);
+  assert.match(preview.htmlBody, /Due 2026-10-20 &middot; Last contact 2026-10-19/);
+});
+
+test('shows dates in Europe/London by default', () => {
+  const preview = buildRemindersEmailPreview([reminder], '2026-10-20');
+
+  assert.match(preview.textBody, /Due 2026-10-20 · Last contact 2026-10-19/);
+  assert.doesNotMatch(preview.textBody, /2026-10-18|Due 2026-10-19/);
+});
+
+test('keeps date-only values as they are', () => {
+  const nextAction = { ...reminder, type: 'nextAction', nextAction: 'Call', dueDate: '2026-10-20', lastContactDate: null };
+  const preview = buildRemindersEmailPreview([nextAction], '2026-10-20', { timezone: 'Pacific/Auckland' });
+
+  assert.match(preview.textBody, /Due 2026-10-20 · Last contact never/);
+});
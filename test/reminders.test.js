@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { promisify } = require('node:util');
+
+// Every channel writes to this file instead of sending. notifications.js reads
+// the variables when it is loaded, so they are set first.
+const outboxPath = path.join(os.tmpdir(), `leads-crm-reminders-${process.pid}.log`);
+process.env.NOTIFICATION_PROVIDER = 'outbox';
+process.env.NOTIFICATION_OUTBOX_PATH = outboxPath;
+
+const { sql } = require('./helpers');
+const { createDatabase } = require('../db');
+const { createRepositories } = require('../repositories');
+const { createReminderDigest } = require('../reminders');
+
+let store;
+let db;
+let repositories;
+let digest;
+
+// Monday 19 October 2026, 10:00 in Europe/London (BST).
+const MONDAY_MORNING = new Date('2026-10-19T09:00:00Z');
+const at = (iso) => new Date(iso);
+
+const sentMessages = () =>
+  fs.existsSync(outboxPath) ? fs.readFileSync(outboxPath, 'utf8').trim().split('\n').filter(Boolean) : [];
+
+test.before(async () => {
+  store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.initialiseDb)();
+  db = sql(store);
+  repositories = createRepositories(store);
+  digest = createReminderDigest(repositories, { isDefaultWorkspace: false });
+
+  await repositories.leads.create({ id: 'lead-1', name: 'Ada', company: 'Engines Ltd' });
+  await repositories.deals.create({
+    leadId: 'lead-1',
+    title: 'Engines - initial deal',
+    nextAction: 'Send the quote',
+    nextActionDate: '2026-10-01',
+  });
+  await repositories.settings.saveReminderSettings({
+    remindersEnabled: true,
+    emailFrom: 'crm@example.com',
+    emailTo: 'team@example.com',
+    sendTime: '08:00',
+    sendDays: ['mon', 'wed'],
+  });
+});
+
+test.beforeEach(async () => {
+  await db.run('DELETE FROM reminder_logs');
+  fs.rmSync(outboxPath, { force: true });
+});
+
+test.after(async () => {
+  fs.rmSync(outboxPath, { force: true });
+  await promisify(store.close)();
+});
+
+test('the scheduler sends once a day, however often it runs', async () => {
+  const first = await digest.runScheduled(MONDAY_MORNING);
+  assert.equal(first.sent, true);
+  assert.equal(first.reminderDate, '2026-10-19');
+
+  assert.equal(await digest.runScheduled(at('2026-10-19T09:01:00Z')), null);
+  assert.equal(await digest.runScheduled(at('2026-10-19T22:59:00Z')), null);
+  assert.equal(sentMessages().length, 1);
+
+  // Midnight in London is the next day, even though it is still the 19th in UTC.
+  assert.equal(await digest.runScheduled(at('2026-10-19T23:00:00Z')), null); // Tuesday
+  const wednesday = await digest.runScheduled(at('2026-10-21T07:00:00Z'));
+  assert.equal(wednesday.reminderDate, '2026-10-21');
+  assert.equal(sentMessages().length, 2);
+});
+
+test('the scheduler only sends on sendDays, once sendTime has passed', async () => {
+  assert.equal(await digest.runScheduled(at('2026-10-20T09:00:00Z')), null); // Tuesday
+  assert.equal(await digest.runScheduled(at('2026-10-25T09:00:00Z')), null); // Sunday
+  assert.equal(await digest.runScheduled(at('2026-10-19T06:59:00Z')), null); // 07:59 on Monday
+
+  assert.equal((await digest.runScheduled(at('2026-10-19T07:00:00Z'))).sent, true);
+  assert.equal(sentMessages().length, 1);
+  assert.deepEqual(await db.all('SELECT triggeredBy, reminderDate, status FROM reminder_logs'), [
+    { triggeredBy: 'schedule', reminderDate: '2026-10-19', status: 'sent' },
+  ]);
+});
+
+test('runs that overlap send the digest once', async () => {
+  const results = await Promise.all([digest.runScheduled(MONDAY_MORNING), digest.runScheduled(MONDAY_MORNING)]);
+
+  assert.equal(results.filter((result) => result && result.sent).length, 1);
+  assert.equal(sentMessages().length, 1);
+  const sent = await db.all("SELECT claimKey FROM reminder_logs WHERE status = 'sent'");
+  assert.deepEqual(sent, [{ claimKey: '2026-10-19:fallback' }]);
+});
+
+test("a manual send after the scheduled one is refused by the day's claim", async () => {
+  await digest.runScheduled(MONDAY_MORNING);
+  const manual = await digest.send({ triggeredBy: 'manual', now: at('2026-10-19T12:00:00Z') });
+
+  assert.equal(manual.sent, false);
+  assert.equal(manual.digests[0].reason, 'already_sent');
+  assert.equal(sentMessages().length, 1);
+});
+
+test('nothing is sent while reminders are disabled', async (t) => {
+  await repositories.settings.saveReminderSettings({ remindersEnabled: false });
+  t.after(() => repositories.settings.saveReminderSettings({ remindersEnabled: true }));
+
+  assert.equal(await digest.runScheduled(MONDAY_MORNING), null);
+  assert.equal(sentMessages().length, 0);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { promisify } = require('node:util');
+const { startApp, sql, PASSWORD } = require('./helpers');
+const { hashPassword, verifyPassword, hashSessionToken } = require('../auth');
+
+test('passwords are stored as salted scrypt hashes', async () => {
+  const first = await hashPassword(PASSWORD);
+  const second = await hashPassword(PASSWORD);
+
+  assert.match(first, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+  assert.notEqual(first, second);
+  assert.equal(await verifyPassword(PASSWORD, first), true);
+  assert.equal(await verifyPassword('wrong password', first), false);
+  assert.equal(await verifyPassword(PASSWORD, 'plain-text'), false);
+});
+
+test.describe('routes', () => {
+  let api;
+  let user;
+
+  test.before(async () => {
+    api = await startApp();
+    ({ user } = await api.addUser({ email: 'ann@example.com', name: 'Ann Admin', role: 'admin' }));
+  });
+
+  test.after(() => api.close());
+
+  async function logIn(email = 'ann@example.com', password = PASSWORD) {
+    return api.request('POST', '/auth/login', { body: { email, password } });
+  }
+
+  test('a wrong password or unknown email is refused with the same 401', async () => {
+    const wrongPassword = await logIn('ann@example.com', 'not the password');
+    const unknownEmail = await logIn('nobody@example.com');
+
+    assert.equal(wrongPassword.status, 401);
+    assert.deepEqual(wrongPassword.body, { error: 'Invalid email or password' });
+    assert.deepEqual(unknownEmail, wrongPassword);
+  });
+
+  test('a session token works until it expires, and only its SHA-256 hash is stored', async () => {
+    const login = await logIn('ANN@example.com');
+    assert.equal(login.status, 200);
+    const { token } = login.body;
+
+    const me = await api.request('GET', '/auth/me', { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.id, user.id);
+
+    const db = sql(api.store);
+    const sha256 = crypto.createHash('sha256').update(token).digest('hex');
+    assert.equal(hashSessionToken(token), sha256);
+    const session = await db.get('SELECT * FROM sessions WHERE tokenHash = ?', [sha256]);
+    assert.ok(session);
+    assert.ok(!Object.values(session).includes(token));
+
+    await db.run('UPDATE sessions SET expiresAt = ? WHERE id = ?', ['2000-01-01T00:00:00.000Z', session.id]);
+    const expired = await api.request('GET', '/auth/me', { token });
+    assert.equal(expired.status, 401);
+    assert.deepEqual(expired.body, { error: 'Invalid or expired session' });
+  });
+
+  test('logging out ends the session', async () => {
+    const { token } = (await logIn()).body;
+    const other = (await logIn()).body.token;
+
+    assert.equal((await api.request('POST', '/auth/logout', { token })).status, 200);
+    assert.equal((await api.request('GET', '/auth/me', { token })).status, 401);
+    assert.equal((await api.request('POST', '/auth/logout', { token })).status, 401);
+
+    assert.equal((await api.request('GET', '/auth/me', { token: other })).status, 200);
+  });
+
+  test('deleteExpiredSessions removes only expired sessions', async () => {
+    const { token } = (await logIn()).body;
+    const db = sql(api.store);
+    await db.run(
+      'INSERT INTO sessions (id, tokenHash, userId, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?)',
+      ['old-session', hashSessionToken('old'), user.id, '2000-01-01T00:00:00.000Z', '2000-01-02T00:00:00.000Z'],
+    );
+
+    const removed = await promisify(api.store.deleteExpiredSessions)();
+    assert.ok(removed >= 1);
+    assert.equal(await db.get("SELECT id FROM sessions WHERE id = 'old-session'"), undefined);
+    assert.equal((await api.request('GET', '/auth/me', { token })).status, 200);
+  });
+
+  test('requests without a token are refused', async () => {
+    const res = await api.request('GET', '/leads');
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: 'Authentication required' });
+  });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+const { getZonedDateTime, zonedTimeToDate, toZonedDateKey } = require('../time');
+const { createDatabase } = require('../db');
+const { createRepositories } = require('../repositories');
+
+// In 2026 the UK clocks go forward at 01:00 UTC on 29 March and back at 01:00
+// UTC on 25 October.
+const utc = (iso) => new Date(`${iso}Z`);
+const iso = (date) => date.toISOString().slice(0, 16);
+
+test('getZonedDateTime reads the wall clock on either side of a change', () => {
+  assert.deepEqual(getZonedDateTime(utc('2026-03-29T00:59'), 'Europe/London'), {
+    date: '2026-03-29',
+    weekday: 'sun',
+    time: '00:59',
+  });
+  assert.equal(getZonedDateTime(utc('2026-03-29T01:00'), 'Europe/London').time, '02:00');
+
+  assert.equal(getZonedDateTime(utc('2026-10-25T00:59'), 'Europe/London').time, '01:59');
+  assert.equal(getZonedDateTime(utc('2026-10-25T01:00'), 'Europe/London').time, '01:00');
+
+  // 23:30 UTC on the Saturday is already Sunday in summer time only.
+  assert.equal(getZonedDateTime(utc('2026-10-24T23:30'), 'Europe/London').date, '2026-10-25');
+  assert.equal(getZonedDateTime(utc('2026-10-25T23:30'), 'Europe/London').date, '2026-10-25');
+});
+
+test('zonedTimeToDate uses the offset in force on the day', () => {
+  assert.equal(iso(zonedTimeToDate('2026-03-28', '09:00', 'Europe/London')), '2026-03-28T09:00');
+  assert.equal(iso(zonedTimeToDate('2026-03-29', '09:00', 'Europe/London')), '2026-03-29T08:00');
+  assert.equal(iso(zonedTimeToDate('2026-10-24', '09:00', 'Europe/London')), '2026-10-24T08:00');
+  assert.equal(iso(zonedTimeToDate('2026-10-25', '09:00', 'Europe/London')), '2026-10-25T09:00');
+  // The US changes two weeks before the UK.
+  assert.equal(iso(zonedTimeToDate('2026-03-08', '09:00', 'America/New_York')), '2026-03-08T13:00');
+  assert.equal(iso(zonedTimeToDate('2026-03-07', '09:00', 'America/New_York')), '2026-03-07T14:00');
+});
+
+test('zonedTimeToDate moves a skipped time an hour later and keeps a repeated one', () => {
+  const skipped = zonedTimeToDate('2026-03-29', '01:30', 'Europe/London');
+  assert.equal(iso(skipped), '2026-03-29T01:30');
+  assert.equal(getZonedDateTime(skipped, 'Europe/London').time, '02:30');
+
+  const repeated = zonedTimeToDate('2026-10-25', '01:30', 'Europe/London');
+  assert.deepEqual(getZonedDateTime(repeated, 'Europe/London'), { date: '2026-10-25', weekday: 'sun', time: '01:30' });
+});
+
+test('toZonedDateKey converts timestamps and keeps plain dates', () => {
+  assert.equal(toZonedDateKey('2026-10-24T23:30:00.000Z', 'Europe/London'), '2026-10-25');
+  assert.equal(toZonedDateKey('2026-10-25T23:30:00.000Z', 'Europe/London'), '2026-10-25');
+  assert.equal(toZonedDateKey('2026-03-28T23:30:00.000Z', 'Europe/London'), '2026-03-28');
+  assert.equal(toZonedDateKey('2026-03-29T23:30:00.000Z', 'Europe/London'), '2026-03-30');
+
+  assert.equal(toZonedDateKey('2026-10-25', 'Pacific/Auckland'), '2026-10-25');
+  assert.equal(toZonedDateKey('not a date', 'Europe/London'), null);
+  assert.equal(toZonedDateKey(null, 'Europe/London'), null);
+});
+
+test("today's reminders follow each owner's timezone", async (t) => {
+  const store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.initialiseDb)();
+  t.after(() => promisify(store.close)());
+  const repositories = createRepositories(store);
+
+  const { user: owner } = await promisify(store.createUser)({
+    email: 'kiri@example.com',
+    name: 'Kiri',
+    role: 'rep',
+    passwordHash: 'x',
+  });
+  await repositories.reminders.updateDirectoryEntry(owner.id, { timezone: 'Pacific/Auckland' });
+
+  await repositories.leads.create({ id: 'lead-1', name: 'Ada', company: 'Engines Ltd' });
+  const deal = (title, nextActionDate, ownerUserId = null) =>
+    repositories.deals.create({
+      leadId: 'lead-1',
+      title,
+      nextActionDate,
+      ownerUserId,
+      ownerName: ownerUserId ? 'Kiri' : null,
+    });
+  await deal('Kiri today', '2026-10-20', owner.id);
+  await deal('Kiri overdue', '2026-10-19', owner.id);
+  await deal('Unassigned tomorrow', '2026-10-20');
+  await deal('Unassigned today', '2026-10-19');
+
+  // 12:00 UTC is 13:00 on the 19th in London, the workspace's timezone, and
+  // 01:00 on the 20th in Auckland.
+  const reminders = await repositories.reminders.getForToday({ now: utc('2026-10-19T12:00') });
+  assert.deepEqual(
+    reminders.map((reminder) => [reminder.dealTitle, reminder.urgency]).sort(),
+    [
+      ['Kiri overdue', 'overdue'],
+      ['Kiri today', 'today'],
+      ['Unassigned today', 'today'],
+    ],
+  );
+  assert.equal(await repositories.workspaces.getTimezone(owner.id), 'Pacific/Auckland');
+  assert.equal(await repositories.workspaces.getTimezone(), 'Europe/London');
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { promisify } = require('node:util');
+const { sql } = require('./helpers');
+const { createDatabase } = require('../db');
+const { createRepositories } = require('../repositories');
+
+let store;
+let db;
+
+test.before(async () => {
+  store = createDatabase({ dbPath: ':memory:' });
+  await promisify(store.initialiseDb)();
+  db = sql(store);
+  await db.run('CREATE TABLE notes (id TEXT PRIMARY KEY)');
+});
+
+test.after(() => promisify(store.close)());
+
+test.beforeEach(() => db.run('DELETE FROM notes'));
+
+const ids = async () => (await db.all('SELECT id FROM notes ORDER BY id')).map((row) => row.id);
+
+// Runs `work(connection, done)` in a transaction, resolving with its result.
+const inTransaction = (work) => promisify(store.runInTransaction)(work);
+
+test('a transaction commits its writes', async () => {
+  await inTransaction((connection, done) => connection.run("INSERT INTO notes (id) VALUES ('a')", done));
+  assert.deepEqual(await ids(), ['a']);
+});
+
+test('an error rolls back every write of the transaction', async () => {
+  const failed = inTransaction((connection, done) => {
+    connection.run("INSERT INTO notes (id) VALUES ('a')", (err) => {
+      if (err) return done(err);
+      connection.run("INSERT INTO notes (id) VALUES ('a')", done); // duplicate key
+    });
+  });
+
+  await assert.rejects(failed, { code: 'SQLITE_CONSTRAINT' });
+  assert.deepEqual(await ids(), []);
+});
+
+test('statements issued during a transaction wait for it and are not rolled back with it', async () => {
+  const events = [];
+  let outside;
+
+  const failed = inTransaction((connection, done) => {
+    connection.run("INSERT INTO notes (id) VALUES ('inside')", (err) => {
+      if (err) return done(err);
+      // Another request writes while the transaction is open.
+      outside = db.run("INSERT INTO notes (id) VALUES ('outside')").then(() => events.push('outside written'));
+      setTimeout(() => {
+        events.push('transaction failing');
+        done(new Error('Something went wrong'));
+      }, 20);
+    });
+  });
+
+  await assert.rejects(failed, /Something went wrong/);
+  await outside;
+  assert.deepEqual(events, ['transaction failing', 'outside written']);
+  assert.deepEqual(await ids(), ['outside']);
+});
+
+test('transactions run one at a time, in the order they were queued', async () => {
+  const events = [];
+  const step = (name, delay) =>
+    inTransaction((connection, done) => {
+      events.push(`${name} begins`);
+      setTimeout(() => {
+        connection.run('INSERT INTO notes (id) VALUES (?)', [name], (err) => {
+          events.push(`${name} ends`);
+          done(err);
+        });
+      }, delay);
+    });
+
+  await Promise.all([step('first', 20), step('second', 0), step('third', 0)]);
+  assert.deepEqual(events, [
+    'first begins',
+    'first ends',
+    'second begins',
+    'second ends',
+    'third begins',
+    'third ends',
+  ]);
+  assert.deepEqual(await ids(), ['first', 'second', 'third']);
+});
+
+test('a transaction waits for statements already running', async () => {
+  const events = [];
+  const slowRead = db
+    .get('WITH RECURSIVE n(x) AS (SELECT 1 UNION ALL SELECT x + 1 FROM n WHERE x < 200000) SELECT COUNT(*) FROM n')
+    .then(() => events.push('read finished'));
+  const transaction = inTransaction((connection, done) => {
+    events.push('transaction begins');
+    done(null);
+  });
+
+  await Promise.all([slowRead, transaction]);
+  assert.deepEqual(events, ['read finished', 'transaction begins']);
+});
+
+test('withTransaction commits, or rolls back when the callback throws', async () => {
+  const { withTransaction, leads, deals } = createRepositories(store);
+  const lead = { id: 'lead-1', name: 'Ada', company: 'Engines Ltd' };
+
+  await assert.rejects(
+    withTransaction(async (tx) => {
+      await tx.leads.create(lead);
+      await tx.deals.create({ leadId: lead.id, title: 'Engines - initial deal', stage: 'New' });
+      throw new Error('Deal rejected');
+    }),
+    /Deal rejected/,
+  );
+  assert.equal(await leads.getById(lead.id), null);
+  assert.equal(await deals.count({ leadId: lead.id, includeArchived: true }), 0);
+
+  await withTransaction(async (tx) => {
+    await tx.leads.create(lead);
+    await tx.deals.create({ leadId: lead.id, title: 'Engines - initial deal', stage: 'New' });
+  });
+  assert.equal((await leads.getById(lead.id)).name, 'Ada');
+  assert.equal(await deals.count({ leadId: lead.id, includeArchived: true }), 1);
+});
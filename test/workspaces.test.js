@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+let api;
+let adminA;
+let adminB;
+let leadA;
+let dealA;
+
+test.before(async () => {
+  api = await startApp();
+  adminA = (await api.addUser({ email: 'ann@example.com', name: 'Ann Admin', role: 'admin' })).token;
+  const workspace = await api.request('POST', '/admin/workspaces', { token: adminA, body: { name: 'Brand B', id: 'b' } });
+  assert.equal(workspace.status, 201);
+  const userB = await api.addUser({ email: 'bea@example.com', name: 'Bea Admin', role: 'admin', workspaceId: 'b' });
+  adminB = userB.token;
+
+  const body = { name: 'Zelda Quill', company: 'Quillworks' };
+  leadA = (await api.request('POST', '/leads', { token: adminA, body })).body;
+  [dealA] = (await api.request('GET', `/deals?leadId=${leadA.id}`, { token: adminA })).body;
+  await api.request('POST', `/deals/${dealA.id}/details`, {
+    token: adminA,
+    body: { nextAction: 'Call Zelda', nextActionDate: '2020-01-01' },
+  });
+  await api.request('POST', `/deals/${dealA.id}/activities`, {
+    token: adminA,
+    body: { type: 'note', note: 'Quillworks wants a demo' },
+  });
+});
+
+test.after(() => api.close());
+
+test("another workspace's leads cannot be seen or changed", async () => {
+  assert.deepEqual((await api.request('GET', '/leads', { token: adminB })).body, []);
+  assert.equal((await api.request('GET', `/leads/${leadA.id}/history`, { token: adminB })).status, 404);
+
+  const patch = await api.request('PATCH', `/leads/${leadA.id}`, { token: adminB, body: { name: 'Taken' } });
+  assert.equal(patch.status, 404);
+  assert.equal((await api.request('DELETE', `/leads/${leadA.id}`, { token: adminB })).status, 404);
+
+  const leads = (await api.request('GET', '/leads', { token: adminA })).body;
+  assert.deepEqual(
+    leads.map((lead) => [lead.id, lead.name, lead.archivedAt]),
+    [[leadA.id, 'Zelda Quill', null]],
+  );
+});
+
+test("another workspace's deals cannot be seen or changed", async () => {
+  assert.deepEqual((await api.request('GET', '/deals', { token: adminB })).body, []);
+  assert.equal((await api.request('GET', `/deals/${dealA.id}/activities`, { token: adminB })).status, 404);
+
+  const stage = await api.request('POST', `/deals/${dealA.id}/stage`, { token: adminB, body: { stage: 'Won' } });
+  assert.equal(stage.status, 404);
+  const details = await api.request('POST', `/deals/${dealA.id}/details`, { token: adminB, body: { value: 5 } });
+  assert.equal(details.status, 404);
+  const activity = await api.request('POST', `/deals/${dealA.id}/activities`, {
+    token: adminB,
+    body: { type: 'note', note: 'Not mine' },
+  });
+  assert.equal(activity.status, 404);
+
+  const deal = await api.request('POST', '/deals', {
+    token: adminB,
+    body: { leadId: leadA.id, title: 'Borrowed lead' },
+  });
+  assert.equal(deal.status, 404);
+
+  const [unchanged] = (await api.request('GET', '/deals', { token: adminA })).body;
+  assert.equal(unchanged.stage, 'New');
+  assert.equal(unchanged.value, 0);
+  const activities = (await api.request('GET', `/deals/${dealA.id}/activities`, { token: adminA })).body;
+  assert.deepEqual(
+    activities.map((a) => a.note),
+    ['Quillworks wants a demo'],
+  );
+});
+
+test("search only finds the caller's workspace", async () => {
+  const own = await api.request('GET', '/search?q=quillworks', { token: adminA });
+  assert.ok(own.body.results.length > 0);
+
+  const other = await api.request('GET', '/search?q=quillworks', { token: adminB });
+  assert.equal(other.status, 200);
+  assert.deepEqual(other.body.results, []);
+});
+
+test("reminders only cover the caller's workspace", async () => {
+  const own = await api.request('GET', '/reminders/today', { token: adminA });
+  assert.ok(own.body.reminders.some((reminder) => reminder.dealId === dealA.id));
+
+  const other = await api.request('GET', '/reminders/today', { token: adminB });
+  assert.deepEqual(other.body.reminders, []);
+  const preview = await api.request('GET', '/reminders/today/email-preview', { token: adminB });
+  assert.equal(preview.status, 200);
+  assert.doesNotMatch(JSON.stringify(preview.body), /Zelda|Quillworks/);
+});
+
+test('the same names can be used in each workspace', async () => {
+  const lead = await api.request('POST', '/leads', {
+    token: adminB,
+    body: { name: 'Zelda Quill', company: 'Quillworks' },
+  });
+  assert.equal(lead.status, 201);
+
+  const companiesA = (await api.request('GET', '/companies', { token: adminA })).body;
+  const companiesB = (await api.request('GET', '/companies', { token: adminB })).body;
+  assert.equal(companiesA.length, 1);
+  assert.equal(companiesB.length, 1);
+  assert.notEqual(companiesA[0].id, companiesB[0].id);
+});
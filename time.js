@@ -0,0 +1,95 @@
+// Calendar dates and clock times in a named IANA timezone (e.g. Europe/London),
+// using the Intl API so no timezone database has to be shipped.
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+// Workspaces work in this timezone until an admin sets another.
+const DEFAULT_TIMEZONE = 'Europe/London';
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      }),
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// The wall-clock date (`YYYY-MM-DD`), weekday (`mon`..`sun`) and time (`HH:MM`)
+// of `date` in `timeZone`.
+function getZonedDateTime(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.slice(0, 3).toLowerCase(),
+    time: `${parts.hour}:${parts.minute}`,
+  };
+}
+
+// How far the wall clock in `timeZone` is ahead of UTC at `date`, in ms.
+function getOffset(date, timeZone) {
+  const local = getZonedDateTime(date, timeZone);
+  const wholeMinute = Math.floor(date.getTime() / 60000) * 60000;
+  return Date.parse(`${local.date}T${local.time}:00Z`) - wholeMinute;
+}
+
+// The instant at which the wall clock in `timeZone` reads `time` (HH:MM) on
+// `date` (YYYY-MM-DD). A time skipped by a daylight-saving change comes out an
+// hour later.
+function zonedTimeToDate(date, time, timeZone) {
+  const wallClock = Date.parse(`${date}T${time}:00Z`);
+  const guess = wallClock - getOffset(new Date(wallClock), timeZone);
+  // The offset at the guess differs from the one at `wallClock` near a change.
+  return new Date(wallClock - getOffset(new Date(guess), timeZone));
+}
+
+// `date` (YYYY-MM-DD) moved by `days`.
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+// The day (YYYY-MM-DD) a stored date falls on in `timeZone`: a date without a
+// time is that day everywhere, a timestamp is converted. Null if unparseable.
+function toZonedDateKey(value, timeZone) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : getZonedDateTime(date, timeZone).date;
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedDateTime,
+  zonedTimeToDate,
+  addDays,
+  toZonedDateKey,
+};
@@ -0,0 +1,132 @@
+// User account command, mainly for creating the first user (every API route
+// except /health and /auth/login needs a signed-in user).
+//   node users.js list [--workspace <id>]
+//   node users.js create --email ann@example.com --name "Ann Lee" [--password ...] [--role rep|manager|admin]
+//     [--workspace <id>]
+// Without --password the password is read from the USER_PASSWORD variable, or
+// from the first line of standard input. Without --role the first user of a
+// workspace is an admin and later ones are reps. Without --workspace the
+// default workspace is used.
+require('dotenv').config();
+const readline = require('readline');
+const { createDatabase, DEFAULT_WORKSPACE_ID } = require('./db');
+const { MIN_PASSWORD_LENGTH, hashPassword } = require('./auth');
+
+const ROLES = ['rep', 'manager', 'admin'];
+
+const args = process.argv.slice(2);
+const command = args[0] || 'list';
+
+function option(name) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+function readPassword() {
+  if (option('password') !== undefined) return Promise.resolve(option('password'));
+  if (process.env.USER_PASSWORD) return Promise.resolve(process.env.USER_PASSWORD);
+
+  const input = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+  if (process.stdin.isTTY) process.stdout.write('Password: ');
+  return new Promise((resolve) => {
+    input.once('line', (line) => {
+      input.close();
+      resolve(line);
+    });
+    input.once('close', () => resolve(''));
+  });
+}
+
+const workspaceId = option('workspace') || DEFAULT_WORKSPACE_ID;
+const database = createDatabase();
+const store = database.forWorkspace(workspaceId);
+
+function exit(code) {
+  database.close(() => process.exit(code));
+}
+
+function createUser() {
+  const email = option('email');
+  const name = option('name');
+  if (!email || !name) {
+    console.error(
+      'Usage: node users.js create --email <email> --name <name> [--password <password>] [--role rep|manager|admin]' +
+        ' [--workspace <id>]',
+    );
+    return exit(1);
+  }
+  const role = option('role');
+  if (role !== undefined && !ROLES.includes(role)) {
+    console.error(`The role must be one of ${ROLES.join(', ')}.`);
+    return exit(1);
+  }
+
+  readPassword().then(async (password) => {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      console.error(`The password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+      return exit(1);
+    }
+
+    const existingUsers = await new Promise((resolve) => {
+      store.getUsers((err, users) => resolve(err ? null : users));
+    });
+    if (!existingUsers) {
+      console.error('Failed to check existing users.');
+      return exit(1);
+    }
+
+    const userRole = role || (existingUsers.length === 0 ? 'admin' : 'rep');
+    store.createUser({ email, name, role: userRole, passwordHash: await hashPassword(password) }, (err, result) => {
+      if (err) {
+        console.error('Failed to create user:', err.message);
+        return exit(1);
+      }
+      if (result.emailTaken) {
+        console.error(`A user with email ${email} already exists.`);
+        return exit(1);
+      }
+
+      console.log(`Created ${result.user.role} ${result.user.name} <${result.user.email}> (${result.user.id})`);
+      if (result.linkedLeads > 0 || result.linkedDeals > 0) {
+        console.log(`Linked ${result.linkedLeads} lead(s) and ${result.linkedDeals} deal(s) owned by "${result.user.name}".`);
+      }
+      exit(0);
+    });
+  });
+}
+
+function listUsers() {
+  store.getUsers((err, users) => {
+    if (err) {
+      console.error('Failed to list users:', err.message);
+      return exit(1);
+    }
+    if (users.length === 0) console.log('No users yet. Create one with: npm run users -- create --email ... --name ...');
+    users.forEach((user) => console.log(`${user.id}  ${user.role.padEnd(7)}  ${user.email}  ${user.name}`));
+    exit(0);
+  });
+}
+
+// Migrations have to be applied before the users table exists.
+database.initialiseDb((initErr) => {
+  if (initErr) {
+    console.error('Failed to prepare the database:', initErr.message);
+    return exit(1);
+  }
+
+  database.getWorkspaceById(workspaceId, (workspaceErr, workspace) => {
+    if (workspaceErr || !workspace) {
+      console.error(workspaceErr ? 'Failed to check the workspace.' : `There is no workspace with id "${workspaceId}".`);
+      return exit(1);
+    }
+
+    if (command === 'create') {
+      createUser();
+    } else if (command === 'list') {
+      listUsers();
+    } else {
+      console.error(`Unknown command "${command}". Use "list" or "create".`);
+      exit(1);
+    }
+  });
+});